@@ -3,6 +3,17 @@ const path = require("path");
 // Environment configuration
 const env = process.env.NODE_ENV || "development";
 
+// Parse a JSON environment variable, falling back when it is unset or invalid
+const parseJsonEnv = (name, fallback) => {
+  if (!process.env[name]) return fallback;
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (err) {
+    console.error(`Invalid JSON in ${name}, using default`);
+    return fallback;
+  }
+};
+
 // Base configuration
 const baseConfig = {
   env,
@@ -18,6 +29,47 @@ const baseConfig = {
   jwtSecret: process.env.JWT_SECRET || "your-secret-key",
   jwtExpire: process.env.JWT_EXPIRE || "30d",
   jwtCookieExpire: process.env.JWT_COOKIE_EXPIRE || 30,
+  jwtAccessExpire: process.env.JWT_ACCESS_EXPIRE || "15m",
+
+  // Refresh token / session configuration (days)
+  refreshTokenExpire: process.env.REFRESH_TOKEN_EXPIRE || 1,
+  refreshTokenExpireRemember: process.env.REFRESH_TOKEN_EXPIRE_REMEMBER || 30,
+
+  // Multi-school tenancy. A request's school comes from the X-School header
+  // (its slug), a subdomain of baseDomain, or defaultSchool, in that order.
+  tenancy: {
+    header: "x-school",
+    baseDomain: process.env.TENANT_BASE_DOMAIN,
+    defaultSchool: process.env.DEFAULT_SCHOOL,
+    cacheTtl: 60 * 1000, // 1 minute
+  },
+
+  // OpenID Connect single sign-on (enabled when an issuer is configured)
+  oidc: {
+    enabled: !!process.env.OIDC_ISSUER,
+    providerName: process.env.OIDC_PROVIDER_NAME || "School account",
+    issuer: process.env.OIDC_ISSUER,
+    clientId: process.env.OIDC_CLIENT_ID,
+    clientSecret: process.env.OIDC_CLIENT_SECRET,
+    scope: process.env.OIDC_SCOPE || "openid email profile",
+    redirectUri:
+      process.env.OIDC_REDIRECT_URI ||
+      `${process.env.BASE_URL || "http://localhost:5000"}/api/auth/oidc/callback`,
+    // Where the browser lands after the callback, with a one-time login code
+    frontendCallbackUrl:
+      process.env.OIDC_FRONTEND_CALLBACK_URL ||
+      `${process.env.FRONTEND_URL}/sso/callback`,
+    // Claim listing the user's groups/roles and how its values map to our
+    // roles, e.g. {"staff":"teacher","it-admins":"admin"}
+    roleClaim: process.env.OIDC_ROLE_CLAIM || "roles",
+    roleMapping: parseJsonEnv("OIDC_ROLE_MAPPING", {}),
+    // Role for new users whose claims map to nothing; unset refuses them
+    defaultRole: process.env.OIDC_DEFAULT_ROLE || null,
+    provisionUsers: process.env.OIDC_PROVISION_USERS !== "false",
+    syncRoles: process.env.OIDC_SYNC_ROLES === "true",
+    transactionExpire: 10 * 60 * 1000, // 10 minutes
+    discoveryCacheTtl: 60 * 60 * 1000, // 1 hour
+  },
 
   // File upload configuration
   uploadDir: path.join(__dirname, "../uploads"),
@@ -28,6 +80,46 @@ const baseConfig = {
     assignments: [".pdf", ".doc", ".docx", ".txt", ".zip", ".rar"],
   },
 
+  // Personal data exports. ZIP files are kept outside public/ and are
+  // only reachable through their expiring download link
+  dataExport: {
+    dir: process.env.DATA_EXPORT_DIR || path.join(__dirname, "../storage/exports"),
+    linkExpire: 48 * 60 * 60 * 1000, // 48 hours
+    // Exports still unfinished after this were interrupted (e.g. a restart)
+    staleAfter: 60 * 60 * 1000, // 1 hour
+    cleanupInterval: 60 * 60 * 1000, // 1 hour
+    // Exports each user may request per window
+    requestLimit: {
+      windowMs: 24 * 60 * 60 * 1000,
+      max: 5,
+    },
+  },
+
+  // Deleted accounts are deactivated; those marked for anonymization can be
+  // restored until the window ends, then their personal data is scrubbed
+  accountDeletion: {
+    restoreWindow: 30 * 24 * 60 * 60 * 1000, // 30 days
+    checkInterval: 60 * 60 * 1000, // 1 hour
+  },
+
+  // API keys for service accounts (integrations such as SIS sync)
+  apiKeys: {
+    // Marks a bearer token as an API key rather than a JWT
+    prefix: "sk_",
+    defaultExpiryDays: 90,
+    maxExpiryDays: 365,
+    // How long a rotated-out key keeps working, unless overridden per rotation
+    rotationGracePeriod: 24 * 60 * 60 * 1000, // 24 hours
+    // lastUsedAt is written at most this often per key
+    lastUsedInterval: 60 * 1000, // 1 minute
+  },
+
+  // Admin "view as user" sessions (minutes). They cannot be refreshed.
+  impersonation: {
+    duration: 30,
+    maxDuration: 120,
+  },
+
   // Email service configuration
   emailService: {
     provider: process.env.EMAIL_PROVIDER || "smtp",
@@ -55,11 +147,57 @@ const baseConfig = {
     process.env.PLAGIARISM_API_ENDPOINT ||
     "https://api.plagiarism-service.com/v1",
 
-  // Academic year configuration
+  // Academic year configuration. Starting values only, used until an academic
+  // calendar is set up (/api/academic-years); the term rollover advances the
+  // current term at runtime
   currentAcademicYear: process.env.CURRENT_ACADEMIC_YEAR || "2025",
   currentTerm: process.env.CURRENT_TERM || "Term 1",
 
-  // Grading configuration
+  // End-of-term rollover and year-end promotion
+  rollover: {
+    // Defaults only; admins can change the rules at runtime
+    promotion: {
+      // Class levels in order; students finishing the last one graduate
+      levels: ["S1", "S2", "S3", "S4", "S5", "S6"],
+      // Promote into a class with the same stream when there is one
+      keepStream: true,
+      // Repeat the level when the year's published gradebooks fall short
+      repeatOnFailure: true,
+      passMark: 50, // subject average (totalMarks) needed to pass a subject
+      minAverage: 40, // overall average needed to be promoted
+      maxFailedSubjects: 3,
+    },
+    // A run still queued or processing after this long is assumed to have crashed
+    staleAfter: 30 * 60 * 1000,
+  },
+
+  // Joining a class with its class code
+  classJoin: {
+    // Attempts per student, to stop codes being guessed
+    rateLimit: {
+      windowMs: 15 * 60 * 1000,
+      max: 10,
+    },
+  },
+
+  // Default bell schedule; admins can change it at runtime
+  timetable: {
+    days: ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday"],
+    periods: [
+      { key: "P1", name: "Period 1", start: "08:00", end: "08:40" },
+      { key: "P2", name: "Period 2", start: "08:40", end: "09:20" },
+      { key: "P3", name: "Period 3", start: "09:20", end: "10:00" },
+      { key: "BREAK", name: "Break", start: "10:00", end: "10:30", isBreak: true },
+      { key: "P4", name: "Period 4", start: "10:30", end: "11:10" },
+      { key: "P5", name: "Period 5", start: "11:10", end: "11:50" },
+      { key: "P6", name: "Period 6", start: "11:50", end: "12:30" },
+      { key: "LUNCH", name: "Lunch", start: "12:30", end: "13:30", isBreak: true },
+      { key: "P7", name: "Period 7", start: "13:30", end: "14:10" },
+      { key: "P8", name: "Period 8", start: "14:10", end: "14:50" },
+    ],
+  },
+
+  // Grading configuration. Default only; each school can set its own scale.
   gradingSystem: {
     A: { min: 80, points: 5 },
     B: { min: 70, points: 4 },
@@ -74,6 +212,17 @@ const baseConfig = {
     maxLimit: 100,
   },
 
+  // Student/teacher ID number formats. Defaults only; admins can change
+  // them at runtime. Tokens: {YEAR}, {YY}, {LEVEL} (students), {SEQ:n}
+  idNumbers: {
+    formats: {
+      student: process.env.STUDENT_ID_FORMAT || "{YEAR}/{LEVEL}/{SEQ:4}",
+      teacher: process.env.TEACHER_ID_FORMAT || "TCH/{YEAR}/{SEQ:3}",
+    },
+    // Used for {LEVEL} when a student has no class yet
+    unknownLevel: "NA",
+  },
+
   // Cache configuration
   cache: {
     enabled: process.env.CACHE_ENABLED === "true",
@@ -89,9 +238,56 @@ const baseConfig = {
   // Security configuration
   security: {
     bcryptSaltRounds: 10,
+    // Express "trust proxy" setting, e.g. 1 when behind a single proxy
+    trustProxy:
+      process.env.TRUST_PROXY === "true"
+        ? true
+        : Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY || false,
+    // Defaults only; admins can change the required roles at runtime
+    twoFactor: {
+      issuer: process.env.APP_NAME || "Digital Learning Platform",
+      requiredRoles: [],
+      challengeExpire: "5m",
+      recoveryCodeCount: 10,
+    },
+    // Defaults only; admins can change the policy at runtime
+    passwordPolicy: {
+      minLength: 8,
+      requireUppercase: true,
+      requireLowercase: true,
+      requireNumber: true,
+      requireSymbol: false,
+      checkBreached: true,
+      historySize: 5, // previous passwords that cannot be reused
+      maxAgeDays: 0, // 0 = passwords never expire
+    },
+    breachedPasswordsFile:
+      process.env.BREACHED_PASSWORDS_FILE ||
+      path.join(__dirname, "breached-passwords.txt"),
+    // How long a reset link sent by an admin stays valid
+    adminResetLinkExpire: 24 * 60 * 60 * 1000,
     rateLimit: {
       windowMs: 15 * 60 * 1000, // 15 minutes
       max: 100, // limit each IP to 100 requests per windowMs
+      // Credential endpoints are limited per IP and per account (email)
+      login: {
+        windowMs: 15 * 60 * 1000,
+        maxPerIp: 20,
+        maxPerAccount: 10,
+      },
+      forgotPassword: {
+        windowMs: 60 * 60 * 1000,
+        maxPerIp: 10,
+        maxPerAccount: 3,
+      },
+      // Progressive lockout after consecutive failed logins: each lockout
+      // lasts `multiplier` times longer than the previous one
+      lockout: {
+        threshold: 5,
+        duration: 15 * 60 * 1000,
+        multiplier: 2,
+        maxDuration: 24 * 60 * 60 * 1000,
+      },
     },
     cors: {
       origin: process.env.CLIENT_URL || "*",
@@ -136,7 +332,7 @@ const envConfig = {
     security: {
       ...baseConfig.security,
       rateLimit: {
-        windowMs: 15 * 60 * 1000,
+        ...baseConfig.security.rateLimit,
         max: 50,
       },
     },
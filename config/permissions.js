@@ -0,0 +1,125 @@
+// Permission registry
+//
+// Every authorization decision is made against one of these keys. Built-in
+// roles get a fixed bundle below; custom roles (models/Role) bundle any of
+// them and can be granted to a user with an optional class/level scope.
+const PERMISSIONS = {
+  // Users & security
+  "users:read": "View any user account",
+  "users:manage": "Create, update and delete user accounts",
+  "users:import": "Bulk import users from CSV",
+  "users:sessions": "List and revoke other users' sessions",
+  "users:export": "Export any user's personal data",
+  "users:impersonate": "View the app as another user (read-only)",
+  "users:impersonate_write": "Make changes while viewing the app as another user",
+  "api_keys:manage": "Manage service accounts and their API keys",
+  "roles:manage": "Manage custom roles and role grants",
+  "security:manage": "Manage security policies such as mandatory 2FA",
+  "audit:read": "Query and export the audit log",
+  "id_numbers:manage": "Configure, reserve and regenerate student and teacher ID numbers",
+  "school:manage": "Manage the school's branding and grading scale",
+
+  // Classes & subjects
+  "classes:manage": "Create and delete classes, manage class subjects",
+  "classes:update": "Update class details",
+  "classes:assign_teachers": "Assign and remove subject teachers in a class",
+  "classes:manage_prefects": "Assign and remove class prefects",
+  "subjects:manage": "Create, update and delete subjects",
+  "timetable:manage": "Build the timetable and manage the bell schedule and venues",
+  "syllabus:manage": "Build and edit subject syllabuses",
+  "syllabus:coverage_all": "View syllabus coverage for any class",
+
+  // Teacher qualifications
+  "qualifications:submit": "Submit your own teaching qualifications for review",
+  "qualifications:review": "Approve or reject teacher qualifications",
+  "qualifications:override": "Assign a teacher to a subject without a verified qualification",
+
+  // Enrollment
+  "enrollments:read": "View enrollments",
+  "enrollments:manage": "Create, update, transfer and complete enrollments",
+  "enrollments:rollover": "Roll enrollments over to the next term and promote students at year end",
+  "academic_calendar:manage": "Set up academic years, terms, holidays and half-term breaks",
+  "enrollments:review_requests": "Approve or reject requests to join classes and subjects",
+  "electives:manage": "Run elective selection windows and allocate electives",
+
+  // Attendance
+  "attendance:record": "Record attendance for assigned classes",
+  "attendance:verify": "Verify submitted attendance",
+  "attendance:manage_all": "Update or delete attendance recorded by others",
+
+  // Assessment
+  "assignments:write": "Create and edit assignments",
+  "assignments:manage_all": "Edit or delete any assignment, including published ones",
+  "submissions:create": "Submit work for assignments",
+  "submissions:read": "View submissions",
+  "submissions:grade": "Grade submissions and request resubmissions",
+  "submissions:parent_feedback": "Leave parent feedback on a linked child's submission",
+  "submissions:manage_all": "View and download any submission",
+  "gradebook:write": "Create and edit gradebook entries for assigned subjects",
+  "gradebook:publish": "Publish gradebook entries",
+  "gradebook:manage_all": "Edit, publish or delete any gradebook entry",
+
+  // Teaching
+  "content:write": "Create and edit learning content",
+  "content:manage_all": "Edit or delete any learning content",
+  "live_sessions:host": "Schedule and host live sessions",
+  "live_sessions:manage_all": "Access any live session",
+
+  // Communication
+  "calendar:manage_all": "Create events for any class and edit any event",
+  "notifications:send": "Send and manage notifications for other users",
+  "messages:read_all": "Read any message and message any user",
+  "feedback:manage_all": "View, respond to and edit any feedback",
+
+  // Guardians
+  "guardians:invite": "Invite a parent/guardian to link to yourself",
+  "guardians:link": "Link to a student as their parent/guardian",
+  "guardians:manage": "Invite guardians for any student and view all links",
+};
+
+// Permissions over the platform rather than one school. They are held by
+// super-admins only: "*" does not include them, and custom roles and API keys
+// cannot carry them.
+const PLATFORM_PERMISSIONS = {
+  "schools:manage": "Create schools and manage them across the platform",
+};
+
+// Permissions held by the built-in roles. "*" means every school permission.
+const ROLE_PERMISSIONS = {
+  superadmin: ["*", ...Object.keys(PLATFORM_PERMISSIONS)],
+  admin: ["*"],
+  teacher: [
+    "classes:update",
+    "classes:manage_prefects",
+    "enrollments:read",
+    "attendance:record",
+    "assignments:write",
+    "submissions:read",
+    "submissions:grade",
+    "gradebook:write",
+    "gradebook:publish",
+    "content:write",
+    "live_sessions:host",
+    "notifications:send",
+    "qualifications:submit",
+  ],
+  student: ["submissions:create", "guardians:invite"],
+  parent: ["guardians:link", "submissions:parent_feedback"],
+  // Service accounts only hold the permissions of the API key in use
+  service: [],
+};
+
+// Permissions an API key can never carry: keys must not mint other keys or
+// act as people
+const API_KEY_EXCLUDED_PERMISSIONS = [
+  "api_keys:manage",
+  "users:impersonate",
+  "users:impersonate_write",
+];
+
+module.exports = {
+  PERMISSIONS,
+  PLATFORM_PERMISSIONS,
+  ROLE_PERMISSIONS,
+  API_KEY_EXCLUDED_PERMISSIONS,
+};
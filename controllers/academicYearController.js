@@ -0,0 +1,194 @@
+const AcademicYear = require('../models/AcademicYear');
+const AcademicEnrollment = require('../models/AcademicEnrollment');
+const Gradebook = require('../models/Gradebook');
+const Attendance = require('../models/Attendance');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/async');
+const { getActiveTerm, getCurrentTerm } = require('../utils/academicTerm');
+const { setAuditAction } = require('../utils/audit');
+
+const YEAR_FIELDS = ['name', 'startDate', 'endDate', 'terms', 'breaks'];
+const TERM_FIELDS = ['name', 'startDate', 'endDate'];
+const BREAK_FIELDS = ['name', 'kind', 'startDate', 'endDate'];
+
+// @desc    Get the academic years of the calendar
+// @route   GET /api/academic-years
+// @access  Private
+exports.getAcademicYears = asyncHandler(async (req, res, next) => {
+  const years = await AcademicYear.find().sort('-startDate');
+
+  res.status(200).json({
+    success: true,
+    count: years.length,
+    data: years
+  });
+});
+
+// @desc    Get the active term
+// @route   GET /api/academic-years/active
+// @access  Private
+exports.getActive = asyncHandler(async (req, res, next) => {
+  const active = await getActiveTerm();
+
+  // Without a calendar the rollover-managed current term still applies
+  const data = active
+    ? { ...active, source: 'calendar' }
+    : { ...(await getCurrentTerm()), source: 'setting' };
+
+  res.status(200).json({
+    success: true,
+    data
+  });
+});
+
+// @desc    Get an academic year
+// @route   GET /api/academic-years/:id
+// @access  Private
+exports.getAcademicYear = asyncHandler(async (req, res, next) => {
+  const year = await AcademicYear.findById(req.params.id).populate('terms.closedBy', 'firstName lastName');
+
+  if (!year) {
+    return next(new ErrorResponse(`Academic year not found with id of ${req.params.id}`, 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: year
+  });
+});
+
+// @desc    Add an academic year with its terms and breaks
+// @route   POST /api/academic-years
+// @access  Private (academic_calendar:manage)
+exports.createAcademicYear = asyncHandler(async (req, res, next) => {
+  const fields = pickYearFields(req.body);
+
+  const year = await AcademicYear.create({ ...fields, createdBy: req.user.id });
+
+  res.status(201).json({
+    success: true,
+    data: year
+  });
+});
+
+// @desc    Update an academic year, its terms and breaks
+// @route   PUT /api/academic-years/:id
+// @access  Private (academic_calendar:manage)
+exports.updateAcademicYear = asyncHandler(async (req, res, next) => {
+  const year = await AcademicYear.findById(req.params.id);
+
+  if (!year) {
+    return next(new ErrorResponse(`Academic year not found with id of ${req.params.id}`, 404));
+  }
+
+  const fields = pickYearFields(req.body);
+
+  if (fields.name !== undefined && fields.name !== year.name && (await isInUse(year.name))) {
+    return next(new ErrorResponse('This academic year has records and cannot be renamed', 400));
+  }
+
+  // Terms are replaced as a list but keep whether they were closed
+  if (fields.terms) {
+    fields.terms = fields.terms.map(term => {
+      const existing = year.terms.find(t => t.name === term.name);
+      return existing
+        ? { ...term, status: existing.status, closedAt: existing.closedAt, closedBy: existing.closedBy }
+        : term;
+    });
+  }
+
+  year.set(fields);
+  year.updatedAt = Date.now();
+  await year.save();
+
+  res.status(200).json({
+    success: true,
+    data: year
+  });
+});
+
+// @desc    Delete an academic year
+// @route   DELETE /api/academic-years/:id
+// @access  Private (academic_calendar:manage)
+exports.deleteAcademicYear = asyncHandler(async (req, res, next) => {
+  const year = await AcademicYear.findById(req.params.id);
+
+  if (!year) {
+    return next(new ErrorResponse(`Academic year not found with id of ${req.params.id}`, 404));
+  }
+
+  if (await isInUse(year.name)) {
+    return next(
+      new ErrorResponse('This academic year has enrollments, gradebook entries or attendance and cannot be deleted', 400)
+    );
+  }
+
+  await year.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+// @desc    Close or reopen a term
+// @route   PUT /api/academic-years/:id/terms/:termId/status
+// @access  Private (academic_calendar:manage)
+exports.setTermStatus = asyncHandler(async (req, res, next) => {
+  const { status } = req.body;
+
+  if (!['open', 'closed'].includes(status)) {
+    return next(new ErrorResponse('Status must be open or closed', 400));
+  }
+
+  const year = await AcademicYear.findById(req.params.id);
+  const term = year && year.terms.id(req.params.termId);
+
+  if (!term) {
+    return next(new ErrorResponse(`Term not found with id of ${req.params.termId}`, 404));
+  }
+
+  setAuditAction(status === 'closed' ? 'academic_year.close_term' : 'academic_year.reopen_term');
+  term.status = status;
+  term.closedAt = status === 'closed' ? Date.now() : undefined;
+  term.closedBy = status === 'closed' ? req.user.id : undefined;
+  year.updatedAt = Date.now();
+  await year.save();
+
+  res.status(200).json({
+    success: true,
+    data: year
+  });
+});
+
+// Helper Functions
+
+function pick(body, allowed) {
+  return allowed.reduce((fields, field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+    return fields;
+  }, {});
+}
+
+// Term status is only changed through setTermStatus and the rollover
+function pickYearFields(body) {
+  const fields = pick(body, YEAR_FIELDS);
+
+  if (fields.terms !== undefined) {
+    if (!Array.isArray(fields.terms)) throw new ErrorResponse('terms must be a list', 400);
+    fields.terms = fields.terms.map(term => pick(term || {}, TERM_FIELDS));
+  }
+  if (fields.breaks !== undefined) {
+    if (!Array.isArray(fields.breaks)) throw new ErrorResponse('breaks must be a list', 400);
+    fields.breaks = fields.breaks.map(period => pick(period || {}, BREAK_FIELDS));
+  }
+
+  return fields;
+}
+
+async function isInUse(name) {
+  const counts = await Promise.all(
+    [AcademicEnrollment, Gradebook, Attendance].map(Model => Model.countDocuments({ academicYear: name }))
+  );
+  return counts.some(count => count > 0);
+}
@@ -4,14 +4,16 @@ const Class = require("../models/Class");
 const Subject = require("../models/Subject");
 const AcademicEnrollment = require("../models/AcademicEnrollment");
 const ErrorResponse = require("../utils/errorResponse");
+const { hasPermission } = require("../utils/permissions");
+const { resolveTopicTags } = require("../utils/syllabus");
 
 // @desc    Get all assignments
 // @route   GET /api/assignments
 // @access  Private (Teacher, Admin)
 exports.getAssignments = async (req, res, next) => {
   try {
-    // Check if user is teacher or admin
-    if (!["teacher", "admin"].includes(req.user.role)) {
+    // Check if user may write assignments
+    if (!hasPermission(req.user, "assignments:write")) {
       return next(
         new ErrorResponse("Not authorized to view all assignments", 403)
       );
@@ -25,8 +27,8 @@ exports.getAssignments = async (req, res, next) => {
     if (status) query.status = status;
     if (type) query.assignmentType = type;
 
-    // If teacher, only show their assignments
-    if (req.user.role === "teacher") {
+    // Unless they manage all assignments, only show their own
+    if (!hasPermission(req.user, "assignments:manage_all")) {
       query.createdBy = req.user.id;
     }
 
@@ -115,10 +117,10 @@ exports.getAssignment = async (req, res, next) => {
 // @access  Private (Teacher, Admin)
 exports.createAssignment = async (req, res, next) => {
   try {
-    // Check if user is teacher or admin
-    if (req.user.role !== "teacher" && req.user.role !== "admin") {
+    // Check if user may write assignments
+    if (!hasPermission(req.user, "assignments:write")) {
       return next(
-        new ErrorResponse("Only teachers and admins can create assignments", 403)
+        new ErrorResponse("Not authorized to create assignments", 403)
       );
     }
     console.log("Creating assignment with body:", req.body);
@@ -169,6 +171,18 @@ exports.createAssignment = async (req, res, next) => {
       return next(new ErrorResponse("Due date must be in the future", 400));
     }
 
+    // Check syllabus topic tags
+    if (req.body.topics !== undefined) {
+      const tags = await resolveTopicTags(req.body.topics, {
+        subject: req.body.subject,
+        class: req.body.class,
+      });
+      if (tags.error) {
+        return next(new ErrorResponse(tags.error, 400));
+      }
+      req.body.topics = tags.topics;
+    }
+
     // Create assignment
     const assignment = await Assignment.create({
       ...req.body,
@@ -190,10 +204,10 @@ exports.createAssignment = async (req, res, next) => {
 // @access  Private/Teacher/Admin
 exports.updateAssignment = async (req, res, next) => {
   try {
-    // Check if user is teacher or admin
-    if (req.user.role !== "teacher" && req.user.role !== "admin") {
+    // Check if user may write assignments
+    if (!hasPermission(req.user, "assignments:write")) {
       return next(
-        new ErrorResponse("Only teachers and admins can update assignments", 403)
+        new ErrorResponse("Not authorized to update assignments", 403)
       );
     }
 
@@ -208,8 +222,11 @@ exports.updateAssignment = async (req, res, next) => {
       );
     }
 
-    // For teachers, verify they are the creator
-    if (req.user.role === "teacher" && assignment.createdBy.toString() !== req.user.id) {
+    // Unless they manage all assignments, verify they are the creator
+    if (
+      !hasPermission(req.user, "assignments:manage_all") &&
+      assignment.createdBy.toString() !== req.user.id
+    ) {
       return next(
         new ErrorResponse(
           "You are not authorized to update this assignment",
@@ -272,6 +289,18 @@ exports.updateAssignment = async (req, res, next) => {
     //   }
     // }
 
+    // Topics must still fit if the class or subject changes
+    if (req.body.topics !== undefined || req.body.class || req.body.subject) {
+      const tags = await resolveTopicTags(req.body.topics ?? assignment.topics, {
+        subject: req.body.subject || assignment.subject,
+        class: req.body.class || assignment.class,
+      });
+      if (tags.error) {
+        return next(new ErrorResponse(tags.error, 400));
+      }
+      req.body.topics = tags.topics;
+    }
+
     assignment = await Assignment.findByIdAndUpdate(req.params.id, req.body, {
       new: true,
       runValidators: true,
@@ -291,10 +320,10 @@ exports.updateAssignment = async (req, res, next) => {
 // @access  Private/Teacher/Admin
 exports.deleteAssignment = async (req, res, next) => {
   try {
-    // Check if user is teacher or admin
-    if (req.user.role !== "teacher" && req.user.role !== "admin") {
+    // Check if user may write assignments
+    if (!hasPermission(req.user, "assignments:write")) {
       return next(
-        new ErrorResponse("Only teachers and admins can delete assignments", 403)
+        new ErrorResponse("Not authorized to delete assignments", 403)
       );
     }
 
@@ -309,8 +338,11 @@ exports.deleteAssignment = async (req, res, next) => {
       );
     }
 
-    // For teachers, verify they are the creator
-    if (req.user.role === "teacher" && assignment.createdBy.toString() !== req.user.id) {
+    // Unless they manage all assignments, verify they are the creator
+    if (
+      !hasPermission(req.user, "assignments:manage_all") &&
+      assignment.createdBy.toString() !== req.user.id
+    ) {
       return next(
         new ErrorResponse(
           "You are not authorized to delete this assignment",
@@ -319,8 +351,11 @@ exports.deleteAssignment = async (req, res, next) => {
       );
     }
 
-    // Prevent teachers from deleting published assignments (admins can delete any)
-    if (assignment.status === "published" && req.user.role !== "admin") {
+    // Prevent deleting published assignments unless the user manages all assignments
+    if (
+      assignment.status === "published" &&
+      !hasPermission(req.user, "assignments:manage_all")
+    ) {
       return next(new ErrorResponse("Cannot delete published assignment", 400));
     }
 
@@ -3,6 +3,10 @@ const Class = require("../models/Class");
 const Subject = require("../models/Subject");
 const User = require("../models/User");
 const ErrorResponse = require("../utils/errorResponse");
+const { hasPermission, classTarget } = require("../utils/permissions");
+const { setAuditAction } = require("../utils/audit");
+const { getCurrentTerm, resolveSchoolDay } = require("../utils/academicTerm");
+const { getCoveredSubjects, isCovering } = require("../utils/substitutes");
 
 // @desc    Get all attendance records
 // @route   GET /api/attendance
@@ -29,14 +33,24 @@ exports.getAttendance = async (req, res, next) => {
       };
     }
 
-    // For teachers, only show attendance for their classes
+    // Filter by term if provided
+    if (req.query.academicYear) {
+      query.academicYear = req.query.academicYear;
+    }
+    if (req.query.term) {
+      query.term = req.query.term;
+    }
+
+    // For teachers, only show attendance for their classes and the ones
+    // they are covering
     if (req.user.role === "teacher") {
       const classes = await Class.find({
         "subjects.teachers.teacher": req.user.id,
         "subjects.teachers.status": "approved",
       });
+      const covered = await getCoveredSubjects(req.user.id);
 
-      query.class = { $in: classes.map((c) => c._id) };
+      query.class = { $in: [...classes.map((c) => c._id), ...covered.map((c) => c.class)] };
     }
 
     // For students, only show their attendance
@@ -106,13 +120,6 @@ exports.getAttendanceRecord = async (req, res, next) => {
 // @access  Private/Teacher or Admin
 exports.createAttendance = async (req, res, next) => {
   try {
-    // Verify user is a teacher or admin
-    if (req.user.role !== "admin" && req.user.role !== "teacher") {
-      return next(
-        new ErrorResponse("Only teachers can create attendance records", 403)
-      );
-    }
-
     // Verify class exists
     const classObj = await Class.findById(req.body.class);
     if (!classObj) {
@@ -120,6 +127,13 @@ exports.createAttendance = async (req, res, next) => {
         new ErrorResponse(`Class not found with id of ${req.body.class}`, 404)
       );
     }
+
+    const target = { class: classObj._id, level: classObj.level };
+    if (!hasPermission(req.user, "attendance:record", target)) {
+      return next(
+        new ErrorResponse("Not authorized to record attendance for this class", 403)
+      );
+    }
     // Verify subject exists if provided
     if (req.body.subject) {
       const subject = await Subject.findById(req.body.subject);
@@ -143,7 +157,11 @@ exports.createAttendance = async (req, res, next) => {
           )
       );
 
-      if (req.user.role === "teacher" && !isAssigned) {
+      if (
+        !isAssigned &&
+        !(await isCovering(req.user.id, classObj._id, req.body.subject)) &&
+        !hasPermission(req.user, "attendance:manage_all", target)
+      ) {
         return next(
           new ErrorResponse(
             "You are not assigned to teach this subject in this class",
@@ -153,6 +171,13 @@ exports.createAttendance = async (req, res, next) => {
       }
     }
 
+    // Attendance is only taken on school days of an open term
+    const schoolDay = await resolveSchoolDay(req.body.date);
+    if (schoolDay.error) {
+      return next(new ErrorResponse(schoolDay.error, 400));
+    }
+    const { academicYear, term } = schoolDay.term || (await getCurrentTerm());
+
     // Check if attendance already exists for this class/date/session
     const existingAttendance = await Attendance.findOne({
       class: req.body.class,
@@ -203,6 +228,8 @@ exports.createAttendance = async (req, res, next) => {
 
     const attendance = await Attendance.create({
       ...req.body,
+      academicYear,
+      term,
       recordedBy: req.user.id,
     });
 
@@ -231,10 +258,14 @@ exports.updateAttendance = async (req, res, next) => {
       );
     }
 
-    // Check if user is admin or the teacher who created the record
+    // Check if user manages all attendance or is the teacher who created the record
     if (
-      req.user.role !== "admin" &&
-      attendance.recordedBy.toString() !== req.user.id
+      attendance.recordedBy.toString() !== req.user.id &&
+      !hasPermission(
+        req.user,
+        "attendance:manage_all",
+        await classTarget(attendance.class)
+      )
     ) {
       return next(
         new ErrorResponse(
@@ -244,6 +275,19 @@ exports.updateAttendance = async (req, res, next) => {
       );
     }
 
+    // The record must stay on a school day of an open term
+    const schoolDay = await resolveSchoolDay(req.body.date || attendance.date);
+    if (schoolDay.error) {
+      return next(new ErrorResponse(schoolDay.error, 400));
+    }
+    if (schoolDay.term) {
+      req.body.academicYear = schoolDay.term.academicYear;
+      req.body.term = schoolDay.term.term;
+    } else {
+      delete req.body.academicYear;
+      delete req.body.term;
+    }
+
     // Verify class if being updated
     if (req.body.class) {
       const classObj = await Class.findById(req.body.class);
@@ -371,6 +415,7 @@ exports.verifyAttendance = async (req, res, next) => {
       );
     }
 
+    setAuditAction("attendance.verify");
     attendance.isVerified = true;
     attendance.verifiedBy = req.user.id;
     attendance.verifiedAt = new Date();
@@ -401,10 +446,14 @@ exports.deleteAttendance = async (req, res, next) => {
       );
     }
 
-    // Check if user is admin or the teacher who created the record
+    // Check if user manages all attendance or is the teacher who created the record
     if (
-      req.user.role !== "admin" &&
-      attendance.recordedBy.toString() !== req.user.id
+      attendance.recordedBy.toString() !== req.user.id &&
+      !hasPermission(
+        req.user,
+        "attendance:manage_all",
+        await classTarget(attendance.class)
+      )
     ) {
       return next(
         new ErrorResponse(
@@ -427,17 +476,23 @@ exports.deleteAttendance = async (req, res, next) => {
 
 // Helper function to check attendance access
 const checkAttendanceAccess = async (user, attendance) => {
-  // Admins have access to everything
-  if (user.role === "admin") return true;
-
   // Teacher who recorded it has access
   if (attendance.recordedBy.toString() === user.id) return true;
 
+  // Users who manage attendance for this class have access
+  if (
+    hasPermission(user, "attendance:manage_all", await classTarget(attendance.class))
+  )
+    return true;
+
   // For teachers, check if they teach this class/subject
   if (user.role === "teacher") {
     const classObj = await Class.findById(attendance.class);
     if (!classObj) return false;
 
+    // Substitutes have the same access while covering
+    if (await isCovering(user.id, classObj._id, attendance.subject)) return true;
+
     // If attendance is for a specific subject
     if (attendance.subject) {
       return classObj.subjects.some(
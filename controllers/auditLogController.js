@@ -0,0 +1,160 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/async');
+const csv = require('../utils/csv');
+const config = require('../config/config');
+
+// @desc    Get audit log entries
+// @route   GET /api/audit-logs
+// @access  Private/Admin
+exports.getAuditLogs = asyncHandler(async (req, res, next) => {
+  const query = buildQuery(req.query);
+  if (query instanceof ErrorResponse) return next(query);
+
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(
+    parseInt(req.query.limit) || config.pagination.defaultLimit,
+    config.pagination.maxLimit
+  );
+
+  const logs = await AuditLog.find(query)
+    .populate('actor', 'firstName lastName email role')
+    .sort('-createdAt')
+    .skip((page - 1) * limit)
+    .limit(limit);
+
+  const total = await AuditLog.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    count: logs.length,
+    total,
+    totalPages: Math.ceil(total / limit),
+    currentPage: page,
+    data: logs
+  });
+});
+
+// @desc    Get single audit log entry
+// @route   GET /api/audit-logs/:id
+// @access  Private/Admin
+exports.getAuditLog = asyncHandler(async (req, res, next) => {
+  const log = await AuditLog.findById(req.params.id)
+    .populate('actor', 'firstName lastName email role');
+
+  if (!log) {
+    return next(new ErrorResponse(`Audit log entry not found with id of ${req.params.id}`, 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: log
+  });
+});
+
+// @desc    Export audit log entries as CSV (one row per changed field)
+// @route   GET /api/audit-logs/export
+// @access  Private/Admin
+exports.exportAuditLogs = asyncHandler(async (req, res, next) => {
+  const query = buildQuery(req.query);
+  if (query instanceof ErrorResponse) return next(query);
+
+  const total = await AuditLog.countDocuments(query);
+  if (total > EXPORT_MAX_ENTRIES) {
+    return next(
+      new ErrorResponse(
+        `Export is limited to ${EXPORT_MAX_ENTRIES} entries (${total} match), please narrow the filters`,
+        400
+      )
+    );
+  }
+
+  const logs = await AuditLog.find(query).sort('-createdAt').lean();
+
+  const rows = [];
+  logs.forEach((log) => {
+    const base = {
+      createdAt: log.createdAt,
+      actor: log.actor ? log.actor.toString() : '',
+      actorEmail: log.actorEmail,
+      actorRole: log.actorRole,
+      impersonatedUser: log.impersonatedUser && log.impersonatedUser.toString(),
+      action: log.action,
+      entityType: log.entityType,
+      entityId: log.entityId.toString(),
+      ip: log.ip,
+      method: log.method,
+      path: log.path,
+      statusCode: log.statusCode
+    };
+
+    if (!log.changes || log.changes.length === 0) {
+      rows.push(base);
+      return;
+    }
+
+    log.changes.forEach((change) => {
+      rows.push({ ...base, field: change.field, before: change.before, after: change.after });
+    });
+  });
+
+  const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  res.status(200).send(csv.stringify(rows, EXPORT_COLUMNS));
+});
+
+// Helper Functions
+
+const EXPORT_MAX_ENTRIES = 50000;
+
+const EXPORT_COLUMNS = [
+  'createdAt',
+  'actor',
+  'actorEmail',
+  'actorRole',
+  'impersonatedUser',
+  'action',
+  'entityType',
+  'entityId',
+  'field',
+  'before',
+  'after',
+  'ip',
+  'method',
+  'path',
+  'statusCode'
+];
+
+// Build the Mongo filter from query string filters, or an ErrorResponse
+function buildQuery({ actor, impersonatedUser, impersonated, action, entityType, entityId, ip, from, to }) {
+  const query = {};
+
+  for (const [name, value] of Object.entries({ actor, impersonatedUser, entityId })) {
+    if (value && !mongoose.isValidObjectId(value)) {
+      return new ErrorResponse(`Invalid ${name} id`, 400);
+    }
+  }
+
+  if (actor) query.actor = actor;
+  if (impersonatedUser) query.impersonatedUser = impersonatedUser;
+  else if (impersonated === 'true') query.impersonatedUser = { $exists: true };
+  if (entityId) query.entityId = entityId;
+  if (entityType) query.entityType = entityType;
+  if (action) query.action = action;
+  if (ip) query.ip = ip;
+
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = new Date(from);
+    if (to) query.createdAt.$lte = new Date(to);
+
+    if (Object.values(query.createdAt).some((date) => isNaN(date))) {
+      return new ErrorResponse('Invalid from/to date', 400);
+    }
+  }
+
+  return query;
+}
@@ -1,5 +1,15 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const Setting = require('../models/Setting');
+const OidcTransaction = require('../models/OidcTransaction');
+const { verifyToken } = require('../utils/totp');
+const { hasPermission, resolveGrants } = require('../utils/permissions');
+const { setAuditAction, recordAudit } = require('../utils/audit');
+const { acrossSchools, enterUserSchool, runAsSchool, currentSchool } = require('../utils/tenancy');
+const oidc = require('../utils/oidc');
+const passwords = require('../utils/passwords');
+const config = require('../config/config');
 const sendEmail = require('../utils/emailService');
 const crypto = require('crypto');
 const ErrorResponse = require('../utils/errorResponse');
@@ -11,6 +21,20 @@ exports.register = async (req, res, next) => {
   try {
     const { firstName, lastName, email, password, role } = req.body;
 
+    if (role === 'service') {
+      return next(new ErrorResponse('Service accounts are created by administrators', 400));
+    }
+
+    if (role === 'superadmin') {
+      return next(new ErrorResponse('Super-admins are created by other super-admins', 400));
+    }
+
+    const policy = await passwords.getPolicy();
+    const passwordError = passwords.checkPassword(password, policy, { firstName, lastName, email });
+    if (passwordError) {
+      return next(new ErrorResponse(passwordError, 400));
+    }
+
     // Create user
     const user = await User.create({
       firstName,
@@ -62,10 +86,10 @@ exports.verifyEmail = async (req, res, next) => {
       .update(req.params.token)
       .digest('hex');
 
-    const user = await User.findOne({
+    const user = await findAccount(User.findOne({
       emailVerificationToken: verificationToken,
       emailVerificationExpire: { $gt: Date.now() }
-    });
+    }));
 
     if (!user) {
       return next(new ErrorResponse('Invalid or expired token', 400));
@@ -103,46 +127,417 @@ exports.login = async (req, res, next) => {
     }
 
     // Check for user
-    const user = await User.findOne({ email }).select('+password');
+    const user = await findAccount(User.findOne({ email }).select('+password'));
 
     if (!user) {
       return next(new ErrorResponse('Invalid credentials', 401));
     }
 
+    if (user.isLocked()) {
+      return next(lockedError(user));
+    }
+
     // Check if password matches
     const isMatch = await user.matchPassword(password);
 
     if (!isMatch) {
+      await recordFailedLogin(user);
       return next(new ErrorResponse('Invalid credentials', 401));
     }
 
+    if (user.isActive === false) {
+      return next(new ErrorResponse('Your account has been deactivated', 403));
+    }
+
+    if (user.role === 'service') {
+      return next(new ErrorResponse('Service accounts sign in with API keys', 403));
+    }
+
     // Check if email is verified
     if (!user.isVerified) {
       return next(new ErrorResponse('Please verify your email first', 401));
     }
 
-     // Create token
-     const token = user.getSignedJwtToken(
-        remember ? process.env.JWT_COOKIE_EXPIRE : process.env.JWT_COOKIE_EXPIRE_REMEMBER
-     );
-
-     // Prepare user data to return (excluding sensitive info)
-     const userData = {
-       _id: user._id,
-       firstName: user.firstName,
-       lastName: user.lastName,
-       email: user.email,
-       role: user.role,
-       isVerified: user.isVerified,
-       profile: user.profile,
-       createdAt: user.createdAt
-     };
- 
-     res.status(200).json({
-       success: true,
-       token,
-       user: userData
-     });
+    // Passwords past the policy's maximum age must be changed first
+    if (!user.mustChangePassword && passwords.isExpired(user, await passwords.getPolicy())) {
+      user.mustChangePassword = true;
+      await user.save({ validateBeforeSave: false });
+    }
+
+    await beginLogin(user, req, res, remember);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Complete login with a TOTP or recovery code
+// @route   POST /api/auth/2fa/login
+// @access  Public
+exports.loginTwoFactor = async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return next(new ErrorResponse('Please provide the challenge token and a code', 400));
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (err) {
+      return next(new ErrorResponse('Login challenge has expired, please sign in again', 401));
+    }
+
+    if (decoded.purpose !== '2fa') {
+      return next(new ErrorResponse('Invalid login challenge', 401));
+    }
+
+    const user = await findAccount(
+      User.findById(decoded.id).select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep')
+    );
+
+    if (!user || !user.twoFactor.enabled) {
+      return next(new ErrorResponse('Invalid login challenge', 401));
+    }
+
+    if (user.isLocked()) {
+      return next(lockedError(user));
+    }
+
+    if (code) {
+      const step = verifyToken(user.twoFactor.secret, code, {
+        afterStep: user.twoFactor.lastUsedStep
+      });
+      if (step === null) {
+        await recordFailedLogin(user);
+        return next(new ErrorResponse('Invalid authentication code', 401));
+      }
+      user.twoFactor.lastUsedStep = step;
+    } else if (!user.useRecoveryCode(recoveryCode)) {
+      await recordFailedLogin(user);
+      return next(new ErrorResponse('Invalid recovery code', 401));
+    }
+
+    await completeLogin(user, req, res, decoded.remember);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Single sign-on availability, for the login page
+// @route   GET /api/auth/oidc
+// @access  Public
+exports.getOidcConfig = async (req, res, next) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      enabled: config.oidc.enabled,
+      providerName: config.oidc.enabled ? config.oidc.providerName : undefined
+    }
+  });
+};
+
+// @desc    Start single sign-on (redirects to the identity provider)
+// @route   GET /api/auth/oidc/login
+// @access  Public
+exports.oidcLogin = async (req, res, next) => {
+  try {
+    if (!config.oidc.enabled) {
+      return next(new ErrorResponse('Single sign-on is not enabled', 404));
+    }
+
+    const state = crypto.randomBytes(32).toString('base64url');
+    const binding = crypto.randomBytes(32).toString('base64url');
+    const nonce = crypto.randomBytes(16).toString('base64url');
+    const { codeVerifier, codeChallenge } = oidc.createPkce();
+
+    let authorizationUrl;
+    try {
+      authorizationUrl = await oidc.buildAuthorizationUrl({ state, nonce, codeChallenge });
+    } catch (err) {
+      console.error('OIDC discovery error:', err.message);
+      return next(new ErrorResponse('The identity provider is unavailable, please try again later', 502));
+    }
+
+    await OidcTransaction.create({
+      stateHash: OidcTransaction.hashValue(state),
+      bindingHash: OidcTransaction.hashValue(binding),
+      nonce,
+      codeVerifier,
+      remember: req.query.remember === 'true',
+      deviceName: req.query.deviceName,
+      expiresAt: Date.now() + config.oidc.transactionExpire
+    });
+
+    // Ties the callback to this browser so a login can't be planted in another
+    res.cookie(OIDC_BINDING_COOKIE, binding, {
+      httpOnly: true,
+      secure: config.env === 'production',
+      sameSite: 'lax',
+      path: '/api/auth/oidc',
+      maxAge: config.oidc.transactionExpire
+    });
+
+    res.redirect(authorizationUrl);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Identity provider callback (redirects to the frontend with a login code)
+// @route   GET /api/auth/oidc/callback
+// @access  Public
+exports.oidcCallback = async (req, res, next) => {
+  const { code, state, error, error_description: errorDescription } = req.query;
+
+  try {
+    if (error) {
+      throw new ErrorResponse(errorDescription || 'Sign-in was cancelled', 401);
+    }
+
+    if (!code || !state) {
+      throw new ErrorResponse('Invalid single sign-on response', 400);
+    }
+
+    // The provider may send the browser back without the school it started in
+    const transaction = await acrossSchools(() =>
+      OidcTransaction.findOne({
+        stateHash: OidcTransaction.hashValue(state),
+        completedAt: { $exists: false },
+        expiresAt: { $gt: Date.now() }
+      }).select('+codeVerifier').exec()
+    );
+
+    if (!transaction) {
+      throw new ErrorResponse('Your sign-in attempt has expired, please try again', 400);
+    }
+
+    const binding = readCookie(req, OIDC_BINDING_COOKIE);
+    if (!binding || OidcTransaction.hashValue(binding) !== transaction.bindingHash) {
+      throw new ErrorResponse('Please finish signing in with the browser you started in', 400);
+    }
+
+    const tokens = await oidc.exchangeCode(code, transaction.codeVerifier);
+    let claims = await oidc.verifyIdToken(tokens.id_token, transaction.nonce);
+
+    // Some providers only put email/roles in UserInfo
+    if (!claims.email || claims[config.oidc.roleClaim.split('.')[0]] === undefined) {
+      const userInfo = await oidc.fetchUserInfo(tokens.access_token);
+      if (userInfo.sub === claims.sub) claims = { ...userInfo, ...claims };
+    }
+
+    const user = await runAsSchool(transaction.school, () => resolveOidcUser(claims));
+
+    transaction.user = user._id;
+    const loginCode = transaction.getLoginCode();
+    await transaction.save();
+
+    res.clearCookie(OIDC_BINDING_COOKIE, { path: '/api/auth/oidc' });
+    redirectToFrontend(res, { code: loginCode });
+  } catch (err) {
+    console.error('OIDC callback error:', err.message);
+    redirectToFrontend(res, {
+      error: err instanceof ErrorResponse ? err.message : 'Single sign-on failed, please try again'
+    });
+  }
+};
+
+// @desc    Exchange the one-time single sign-on login code for tokens
+// @route   POST /api/auth/oidc/exchange
+// @access  Public
+exports.oidcExchange = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return next(new ErrorResponse('Please provide the login code', 400));
+    }
+
+    // Single use: claim the code atomically
+    const transaction = await acrossSchools(() =>
+      OidcTransaction.findOneAndUpdate(
+        {
+          loginCodeHash: OidcTransaction.hashValue(code),
+          consumedAt: { $exists: false },
+          expiresAt: { $gt: Date.now() }
+        },
+        { consumedAt: Date.now() },
+        { new: true }
+      ).exec()
+    );
+
+    if (!transaction) {
+      return next(new ErrorResponse('Invalid or expired login code', 400));
+    }
+
+    const user = await findAccount(User.findById(transaction.user));
+    if (!user || user.isActive === false) {
+      return next(new ErrorResponse('Your account is not active', 401));
+    }
+
+    req.body.deviceName = req.body.deviceName || transaction.deviceName;
+    await beginLogin(user, req, res, transaction.remember);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @route   POST /api/auth/refresh
+// @access  Public
+exports.refresh = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return next(new ErrorResponse('Please provide a refresh token', 400));
+    }
+
+    const tokenHash = Session.hashToken(refreshToken);
+
+    const session = await Session.findOne({ refreshTokenHash: tokenHash }).select('+refreshTokenHash');
+
+    if (!session) {
+      await revokeReusedSession(tokenHash);
+      return next(new ErrorResponse('Invalid refresh token', 401));
+    }
+
+    if (!session.isActive()) {
+      return next(new ErrorResponse('Session has expired or been revoked', 401));
+    }
+
+    const user = await findAccount(User.findById(session.user));
+    if (!user || !user.isActive) {
+      session.revoke('revoked');
+      await session.save();
+      return next(new ErrorResponse('Not authorized to access this route', 401));
+    }
+
+    // Only one request can rotate a given token; losing the race means the
+    // same token was used twice
+    const rotated = await Session.rotateCurrentToken(tokenHash, { ip: req.ip });
+    if (!rotated) {
+      await revokeReusedSession(tokenHash);
+      return next(new ErrorResponse('Invalid refresh token', 401));
+    }
+
+    res.status(200).json({
+      success: true,
+      token: user.getSignedJwtToken(session._id),
+      refreshToken: rotated.refreshToken,
+      sessionId: session._id
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Logout from the current device
+// @route   POST /api/auth/logout
+// @access  Private
+exports.logout = async (req, res, next) => {
+  try {
+    req.authSession.revoke('logout', req.user._id);
+    await req.authSession.save();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    List active sessions (own, or any user's for admins)
+// @route   GET /api/auth/sessions
+// @route   GET /api/users/:id/sessions
+// @access  Private
+exports.getSessions = async (req, res, next) => {
+  try {
+    const userId = req.params.id || req.user.id;
+
+    if (userId !== req.user.id && !hasPermission(req.user, 'users:sessions')) {
+      return next(new ErrorResponse('Not authorized to view these sessions', 403));
+    }
+
+    const sessions = await Session.find({
+      user: userId,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: Date.now() }
+    }).sort('-lastUsedAt');
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map(session => ({
+        ...session.toObject(),
+        current: session._id.equals(req.authSession._id)
+      }))
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Revoke a single session (device)
+// @route   DELETE /api/auth/sessions/:sessionId
+// @access  Private (owner or admin)
+exports.revokeSession = async (req, res, next) => {
+  try {
+    const session = await Session.findById(req.params.sessionId);
+
+    if (!session) {
+      return next(new ErrorResponse(`Session not found with id of ${req.params.sessionId}`, 404));
+    }
+
+    if (!session.user.equals(req.user._id) && !hasPermission(req.user, 'users:sessions')) {
+      return next(new ErrorResponse('Not authorized to revoke this session', 403));
+    }
+
+    if (!session.revokedAt) {
+      session.revoke('revoked', req.user._id);
+      await session.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Revoke all sessions of a user (own, or any user's for admins)
+// @route   DELETE /api/auth/sessions
+// @route   DELETE /api/users/:id/sessions
+// @access  Private
+exports.revokeAllSessions = async (req, res, next) => {
+  try {
+    const userId = req.params.id || req.user.id;
+
+    if (userId !== req.user.id && !hasPermission(req.user, 'users:sessions')) {
+      return next(new ErrorResponse('Not authorized to revoke these sessions', 403));
+    }
+
+    const query = { user: userId, revokedAt: { $exists: false } };
+
+    // Users signing out "everywhere else" keep the device they are on
+    if (userId === req.user.id && req.query.keepCurrent === 'true') {
+      query._id = { $ne: req.authSession._id };
+    }
+
+    const result = await Session.updateMany(query, {
+      revokedAt: Date.now(),
+      revokedReason: 'revoked',
+      revokedBy: req.user._id
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { revoked: result.modifiedCount }
+    });
   } catch (err) {
     next(err);
   }
@@ -153,12 +548,18 @@ exports.login = async (req, res, next) => {
 // @access  Private
 exports.getMe = async (req, res, next) => {
   try {
-    const user = await User.findById(req.user.id)
-      .populate('profile.currentClass')
-      .populate('classRequests.class');
+    // Super-admins visiting a school are not one of its users
+    const user = await acrossSchools(() =>
+      User.findById(req.user.id)
+        .populate('profile.currentClass')
+        .populate('classRequests.class')
+        .exec()
+    );
 
     res.status(200).json({
       success: true,
+      // Clients show a "viewing as" banner while this is active
+      impersonation: impersonationStatus(req.impersonator, req.authSession),
       data: user
     });
   } catch (err) {
@@ -166,6 +567,130 @@ exports.getMe = async (req, res, next) => {
   }
 };
 
+// @desc    Start viewing the app as another user
+// @route   POST /api/users/:id/impersonate
+// @access  Private (users:impersonate)
+exports.startImpersonation = async (req, res, next) => {
+  try {
+    const { reason, allowWrites } = req.body;
+    const writes = allowWrites === true || allowWrites === 'true';
+
+    if (req.impersonator) {
+      return next(new ErrorResponse('Stop the current impersonation first', 400));
+    }
+
+    if (!reason || !String(reason).trim()) {
+      return next(new ErrorResponse('Please give a reason for impersonating this user', 400));
+    }
+
+    if (writes && !hasPermission(req.user, 'users:impersonate_write')) {
+      return next(new ErrorResponse('Not authorized to make changes while impersonating', 403));
+    }
+
+    const duration = Math.min(
+      parseInt(req.body.duration) || config.impersonation.duration,
+      config.impersonation.maxDuration
+    );
+    if (duration < 1) {
+      return next(new ErrorResponse('Duration must be at least 1 minute', 400));
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return next(new ErrorResponse(`User not found with id of ${req.params.id}`, 404));
+    }
+
+    if (user._id.equals(req.user._id)) {
+      return next(new ErrorResponse('You cannot impersonate yourself', 400));
+    }
+
+    if (!user.isActive) {
+      return next(new ErrorResponse('Deactivated users cannot be impersonated', 400));
+    }
+
+    if (user.role === 'service') {
+      return next(new ErrorResponse('Service accounts cannot be impersonated', 400));
+    }
+
+    // Admins and support staff can't borrow each other's access
+    user.permissionGrants = await resolveGrants(user);
+    if (hasPermission(user, 'users:impersonate')) {
+      return next(new ErrorResponse('Users who can impersonate others cannot be impersonated', 403));
+    }
+
+    const session = await Session.create({
+      user: user._id,
+      deviceName: `Impersonation by ${req.user.email}`,
+      userAgent: req.get('user-agent'),
+      ip: req.ip,
+      impersonation: {
+        impersonator: req.user._id,
+        reason: String(reason).trim(),
+        allowWrites: writes
+      },
+      expiresAt: Date.now() + duration * 60 * 1000
+    });
+
+    await recordAudit({
+      action: 'impersonation.start',
+      entityType: 'User',
+      entityId: user._id,
+      changes: [
+        { field: 'reason', after: session.impersonation.reason },
+        { field: 'allowWrites', after: writes },
+        { field: 'expiresAt', after: session.expiresAt }
+      ]
+    });
+
+    res.status(200).json({
+      success: true,
+      token: user.getSignedJwtToken(session._id, {
+        impersonator: req.user.id,
+        expiresIn: duration * 60
+      }),
+      sessionId: session._id,
+      impersonation: impersonationStatus(req.user, session),
+      user: {
+        _id: user._id,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        email: user.email,
+        role: user.role
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Stop impersonating (call with the impersonation token)
+// @route   DELETE /api/auth/impersonate
+// @access  Private (impersonation session)
+exports.endImpersonation = async (req, res, next) => {
+  try {
+    if (!req.impersonator) {
+      return next(new ErrorResponse('You are not impersonating anyone', 400));
+    }
+
+    req.authSession.revoke('impersonation_ended', req.impersonator._id);
+    await req.authSession.save();
+
+    await recordAudit({
+      action: 'impersonation.end',
+      entityType: 'User',
+      entityId: req.user._id
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
 // @desc    Forgot password
 // @route   POST /api/auth/forgotpassword
 // @access  Public
@@ -181,7 +706,7 @@ exports.forgotPassword = async (req, res, next) => {
       });
     }
 
-    const user = await User.findOne({ email });
+    const user = await findAccount(User.findOne({ email }));
 
     // Return same response whether user exists or not (security best practice)
     const response = {
@@ -291,23 +816,18 @@ exports.resetPassword = async (req, res, next) => {
       });
     }
 
-    if (newPassword.length < 8) {
-      return res.status(400).json({
-        success: false,
-        error: 'Password must be at least 8 characters'
-      });
-    }
-
     // Hash token and find user
     const resetPasswordToken = crypto
       .createHash('sha256')
       .update(token)
       .digest('hex');
 
-    const user = await User.findOne({
-      resetPasswordToken,
-      resetPasswordExpire: { $gt: Date.now() }
-    });
+    const user = await findAccount(
+      User.findOne({
+        resetPasswordToken,
+        resetPasswordExpire: { $gt: Date.now() }
+      }).select('+passwordHistory')
+    );
 
     if (!user) {
       return res.status(400).json({
@@ -316,12 +836,28 @@ exports.resetPassword = async (req, res, next) => {
       });
     }
 
-    // Set new password
-    user.password = newPassword;
+    const policy = await passwords.getPolicy();
+    const passwordError = await passwords.validateNewPassword(user, newPassword, policy);
+    if (passwordError) {
+      return res.status(400).json({
+        success: false,
+        error: passwordError
+      });
+    }
+
+    // Set new password (proving access to the inbox also lifts any lockout)
+    passwords.setPassword(user, newPassword, policy);
     user.resetPasswordToken = undefined;
     user.resetPasswordExpire = undefined;
+    user.resetLoginFailures();
     await user.save();
 
+    // Sign out every device that may have been using the old password
+    await Session.updateMany(
+      { user: user._id, revokedAt: { $exists: false } },
+      { revokedAt: Date.now(), revokedReason: 'revoked' }
+    );
+
     // Send confirmation email
     try {
       const confirmationTemplate = `
@@ -369,3 +905,285 @@ exports.resetPassword = async (req, res, next) => {
     });
   }
 };
+
+// Helper Functions
+
+const OIDC_BINDING_COOKIE = 'oidc_binding';
+
+// Run a user query in every school (emails are unique across schools) and
+// continue the request in the school of the account found. A request for
+// another school finds no account.
+async function findAccount(query) {
+  const user = await acrossSchools(() => query.exec());
+  if (!user || enterUserSchool(user)) return null;
+  return user;
+}
+
+// Find the user for verified SSO claims: by linked identity, then by verified
+// email (linking it), then by creating them in the school the sign-in started
+// from if provisioning is enabled
+async function resolveOidcUser(claims) {
+  const { issuer, provisionUsers, syncRoles } = config.oidc;
+  const email = claims.email ? String(claims.email).trim().toLowerCase() : null;
+  const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+
+  let user = await findAccount(User.findOne({ 'oidc.issuer': issuer, 'oidc.subject': claims.sub }));
+
+  if (!user && email) {
+    if (!emailVerified) {
+      throw new ErrorResponse('Your identity provider has not verified your email address', 403);
+    }
+
+    const escaped = email.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    user = await findAccount(User.findOne({ email: new RegExp(`^${escaped}$`, 'i') }));
+
+    if (user) {
+      if (user.role === 'service') {
+        throw new ErrorResponse('Service accounts sign in with API keys', 403);
+      }
+
+      if (user.oidc && user.oidc.subject) {
+        throw new ErrorResponse('This account is already linked to another single sign-on identity', 409);
+      }
+
+      setAuditAction('user.sso_link');
+      user.oidc = { issuer, subject: claims.sub, linkedAt: Date.now() };
+      user.isVerified = true;
+    }
+  }
+
+  if (!user) {
+    if (!provisionUsers) {
+      throw new ErrorResponse('No account exists for you yet, please ask an administrator', 403);
+    }
+
+    if (!email || !emailVerified) {
+      throw new ErrorResponse('A verified email address is required to create your account', 403);
+    }
+
+    if (!currentSchool()) {
+      throw new ErrorResponse('Please sign in through your school to create your account', 403);
+    }
+
+    const role = oidc.mapRole(claims);
+    if (!role) {
+      throw new ErrorResponse('Your account is not permitted to sign in here', 403);
+    }
+
+    const [firstName, ...rest] = (claims.name || '').split(' ');
+
+    setAuditAction('user.sso_provision');
+    return User.create({
+      firstName: claims.given_name || firstName || email.split('@')[0],
+      lastName: claims.family_name || rest.join(' ') || '-',
+      email,
+      role,
+      // Never used: SSO users sign in through the provider
+      password: crypto.randomBytes(32).toString('base64url'),
+      isVerified: true,
+      oidc: { issuer, subject: claims.sub, linkedAt: Date.now() }
+    });
+  }
+
+  if (user.isActive === false) {
+    throw new ErrorResponse('Your account has been deactivated', 403);
+  }
+
+  if (user.role === 'service') {
+    throw new ErrorResponse('Service accounts sign in with API keys', 403);
+  }
+
+  // Super-admins belong to no school, so they can't take a school role
+  if (syncRoles && user.role !== 'superadmin') {
+    const role = oidc.mapRole(claims);
+    if (role && role !== user.role) {
+      setAuditAction('user.sso_role_sync');
+      user.role = role;
+    }
+  }
+
+  if (user.isModified()) await user.save({ validateBeforeSave: false });
+  return user;
+}
+
+// Send the browser back to the frontend's SSO page
+function redirectToFrontend(res, params) {
+  const url = new URL(config.oidc.frontendCallbackUrl);
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  res.redirect(url.toString());
+}
+
+// Read a cookie without a cookie parser
+function readCookie(req, name) {
+  const cookies = (req.headers.cookie || '').split(';');
+  for (const cookie of cookies) {
+    const [key, ...value] = cookie.trim().split('=');
+    if (key === name) return decodeURIComponent(value.join('='));
+  }
+  return null;
+}
+
+// Ask for the second factor if enabled, otherwise finish signing in
+async function beginLogin(user, req, res, remember) {
+  // Second factor required: hand out a short-lived challenge instead of tokens
+  if (user.twoFactor && user.twoFactor.enabled) {
+    const challengeToken = jwt.sign(
+      { id: user._id, purpose: '2fa', remember: !!remember },
+      process.env.JWT_SECRET,
+      { expiresIn: config.security.twoFactor.challengeExpire }
+    );
+
+    return res.status(200).json({
+      success: true,
+      twoFactorRequired: true,
+      challengeToken
+    });
+  }
+
+  await completeLogin(user, req, res, remember);
+}
+
+// Start a session and send the login response
+async function completeLogin(user, req, res, remember) {
+  // Roles with mandatory 2FA may only enrol until they have set it up
+  const policy = await Setting.getValue('security.twoFactor', config.security.twoFactor);
+  const twoFactorSetupRequired =
+    !user.twoFactor.enabled && policy.requiredRoles.includes(user.role);
+
+  const { token, refreshToken, session } = await startSession(user, req, remember, {
+    twoFactorSetupRequired
+  });
+
+  user.lastLogin = Date.now();
+  user.resetLoginFailures();
+  await user.save({ validateBeforeSave: false });
+
+  // Prepare user data to return (excluding sensitive info)
+  const userData = {
+    _id: user._id,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    email: user.email,
+    role: user.role,
+    isVerified: user.isVerified,
+    profile: user.profile,
+    twoFactorEnabled: user.twoFactor.enabled,
+    createdAt: user.createdAt
+  };
+
+  res.status(200).json({
+    success: true,
+    token,
+    refreshToken,
+    sessionId: session._id,
+    twoFactorSetupRequired,
+    passwordChangeRequired: !!user.mustChangePassword,
+    user: userData
+  });
+}
+
+// A rotated-out refresh token being replayed means it was stolen: end the
+// session it belonged to
+async function revokeReusedSession(tokenHash) {
+  await Session.updateOne(
+    { rotatedTokenHashes: tokenHash, revokedAt: { $exists: false } },
+    { revokedAt: Date.now(), revokedReason: 'reuse_detected' }
+  );
+}
+
+// Create a session for the device and issue its first token pair
+async function startSession(user, req, remember, options = {}) {
+  const days = remember ? config.refreshTokenExpireRemember : config.refreshTokenExpire;
+
+  const session = new Session({
+    user: user._id,
+    deviceName: req.body.deviceName,
+    userAgent: req.get('user-agent'),
+    ip: req.ip,
+    remember: !!remember,
+    twoFactorSetupRequired: !!options.twoFactorSetupRequired,
+    expiresAt: Date.now() + days * 24 * 60 * 60 * 1000
+  });
+
+  const refreshToken = session.rotateRefreshToken();
+  await session.save();
+
+  return {
+    session,
+    refreshToken,
+    token: user.getSignedJwtToken(session._id)
+  };
+}
+
+// Banner details: who is viewing the app as the session's user, if anyone
+function impersonationStatus(impersonator, session) {
+  if (!impersonator) return { active: false };
+
+  return {
+    active: true,
+    impersonator: {
+      _id: impersonator._id,
+      firstName: impersonator.firstName,
+      lastName: impersonator.lastName,
+      email: impersonator.email
+    },
+    reason: session.impersonation.reason,
+    allowWrites: !!session.impersonation.allowWrites,
+    expiresAt: session.expiresAt
+  };
+}
+
+// Count a failed sign-in and email the user if it locked their account
+async function recordFailedLogin(user) {
+  const locked = user.registerFailedLogin(config.security.rateLimit.lockout);
+  await user.save({ validateBeforeSave: false });
+
+  if (!locked) return;
+
+  const minutes = Math.ceil((user.loginSecurity.lockUntil - Date.now()) / 60000);
+  const resetUrl = `${process.env.FRONTEND_URL}/forgot-password`;
+
+  try {
+    await sendEmail({
+      email: user.email,
+      subject: `Account locked - ${process.env.APP_NAME}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #2d3748;">Your account has been locked</h2>
+          <p>Hello ${user.firstName},</p>
+          <p>We locked sign-in to your ${process.env.APP_NAME} account for ${minutes} minutes after several failed login attempts.</p>
+          <p>If this was you, you can wait and try again, or reset your password to unlock it right away.</p>
+
+          <div style="margin: 25px 0; text-align: center;">
+            <a href="${resetUrl}"
+               style="background-color: #4299e1; color: white;
+                      padding: 12px 24px; text-decoration: none;
+                      border-radius: 4px; font-weight: bold;
+                      display: inline-block;">
+              Reset Password
+            </a>
+          </div>
+
+          <p>If this wasn't you, someone may be trying to guess your password. We recommend resetting it and enabling two-factor authentication.</p>
+
+          <hr style="border: 0; border-top: 1px solid #e2e8f0; margin: 20px 0;">
+
+          <p style="font-size: 0.8em; color: #718096;">
+            © ${new Date().getFullYear()} ${process.env.APP_NAME}
+          </p>
+        </div>
+      `
+    });
+  } catch (err) {
+    console.error('Lockout email error:', err);
+  }
+}
+
+// Error for a sign-in attempt on a locked account
+function lockedError(user) {
+  const minutes = Math.ceil((user.loginSecurity.lockUntil - Date.now()) / 60000);
+  return new ErrorResponse(
+    `Account locked after repeated failed logins. Try again in ${minutes} minute(s) or reset your password`,
+    423
+  );
+}
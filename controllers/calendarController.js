@@ -1,6 +1,7 @@
 const CalendarEvent = require("../models/CalendarEvent");
 const Class = require("../models/Class");
 const ErrorResponse = require("../utils/errorResponse");
+const { hasPermission, classTarget } = require("../utils/permissions");
 
 // @desc    Get all calendar events
 // @route   GET /api/calendar
@@ -119,7 +120,13 @@ exports.createEvent = async (req, res, next) => {
         )
       );
 
-      if (!isTeacher && req.user.role !== "admin") {
+      if (
+        !isTeacher &&
+        !hasPermission(req.user, "calendar:manage_all", {
+          class: classObj._id,
+          level: classObj.level,
+        })
+      ) {
         return next(
           new ErrorResponse(
             "Not authorized to create events for this class",
@@ -156,10 +163,14 @@ exports.updateEvent = async (req, res, next) => {
       );
     }
 
-    // Check if user is creator or admin
+    // Check if user is creator or manages calendars for the event's class
     if (
       event.createdBy.toString() !== req.user.id &&
-      req.user.role !== "admin"
+      !hasPermission(
+        req.user,
+        "calendar:manage_all",
+        await classTarget(event.class)
+      )
     ) {
       return next(
         new ErrorResponse("Not authorized to update this event", 403)
@@ -203,10 +214,14 @@ exports.deleteEvent = async (req, res, next) => {
       );
     }
 
-    // Check if user is creator or admin
+    // Check if user is creator or manages calendars for the event's class
     if (
       event.createdBy.toString() !== req.user.id &&
-      req.user.role !== "admin"
+      !hasPermission(
+        req.user,
+        "calendar:manage_all",
+        await classTarget(event.class)
+      )
     ) {
       return next(
         new ErrorResponse("Not authorized to delete this event", 403)
@@ -263,8 +278,9 @@ exports.updateAttendance = async (req, res, next) => {
 
 // Helper function to check event access
 const checkEventAccess = async (user, event) => {
-  // Admins have access to everything
-  if (user.role === "admin") return true;
+  // Calendar managers have access to everything
+  if (hasPermission(user, "calendar:manage_all", await classTarget(event.class)))
+    return true;
 
   // Creator has access
   if (event.createdBy.toString() === user.id) return true;
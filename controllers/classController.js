@@ -2,7 +2,11 @@ const Class = require("../models/Class");
 const Subject = require("../models/Subject");
 const User = require("../models/User");
 const AcademicEnrollment = require("../models/AcademicEnrollment");
+const WaitlistEntry = require("../models/WaitlistEntry");
 const ErrorResponse = require("../utils/errorResponse");
+const { setAuditAction } = require("../utils/audit");
+const { hasPermission } = require("../utils/permissions");
+const { promoteWaitlist } = require("../services/waitlistService");
 
 // @desc    Get all classes
 // @route   GET /api/classes
@@ -80,7 +84,7 @@ exports.getClass = async (req, res, next) => {
 // @access  Private/Admin or Teacher
 exports.createClass = async (req, res, next) => {
   try {
-    const { name, level, stream, description } = req.body;
+    const { name, level, stream, description, capacity } = req.body;
 
     // Initialize subjects as empty array if not provided
     const subjects = req.body.subjects || [];
@@ -95,20 +99,27 @@ exports.createClass = async (req, res, next) => {
       if (subjectDocs.length !== subjects.length) {
         return next(new ErrorResponse("One or more subjects not found", 404));
       }
+
+      const problem = capacityProblem(subjects, subjectDocs);
+      if (problem) return next(new ErrorResponse(problem, 400));
     }
 
     // Create class with subjects
-    const newClass = await Class.create({
+    const newClass = new Class({
       name,
       level,
       code: `CL-${this.level}-${this.stream}`, // Auto-generated code
       stream,
       description,
+      capacity,
+      // Teachers are assigned through /subjects/:subjectId/teachers, which
+      // checks their qualifications
       subjects: subjects.map((subject) => ({
         subject: subject.subject,
-        teachers: subject.teachers || [],
+        capacity: subject.capacity,
       })),
     });
+    await newClass.saveWithNewCode();
 
     res.status(201).json({
       success: true,
@@ -133,6 +144,12 @@ exports.updateClass = async (req, res, next) => {
       );
     }
 
+    // Single subject fields (e.g. "subjects.0.teachers") and update
+    // operators would get around the checks below
+    if (Object.keys(req.body).some((key) => key.startsWith("$") || key.includes("."))) {
+      return next(new ErrorResponse("Invalid field name", 400));
+    }
+
     // Verify subjects if being updated
     if (req.body.subjects && req.body.subjects.length > 0) {
       const subjects = await Subject.find({
@@ -142,13 +159,32 @@ exports.updateClass = async (req, res, next) => {
       if (subjects.length !== req.body.subjects.length) {
         return next(new ErrorResponse("One or more subjects not found", 404));
       }
+
+      const problem = capacityProblem(req.body.subjects, subjects);
+      if (problem) return next(new ErrorResponse(problem, 400));
     }
 
+    // Subjects keep the teachers they have; teachers are assigned through
+    // /subjects/:subjectId/teachers, which checks their qualifications
+    if (Array.isArray(req.body.subjects)) {
+      req.body.subjects = req.body.subjects.map((subject) => {
+        const current = classObj.subjects.find((s) => s.subject.equals(subject.subject));
+        return { ...subject, teachers: current ? current.teachers : [] };
+      });
+    }
+
+    // The code and join settings have their own endpoints
+    delete req.body.code;
+    delete req.body.joinSettings;
+
     classObj = await Class.findByIdAndUpdate(req.params.id, req.body, {
       new: true,
       runValidators: true,
     });
 
+    // A raised capacity lets waitlisted students in
+    await promoteWaitlist(classObj._id);
+
     res.status(200).json({
       success: true,
       data: classObj,
@@ -172,6 +208,7 @@ exports.deleteClass = async (req, res, next) => {
     }
 
     await classObj.deleteOne();
+    await cancelWaitlist({ class: classObj._id }, "Class was deleted");
 
     res.status(200).json({
       success: true,
@@ -217,8 +254,12 @@ exports.addSubjectToClass = async (req, res, next) => {
       );
     }
 
+    const problem = capacityProblem([req.body], [subject]);
+    if (problem) return next(new ErrorResponse(problem, 400));
+
     classObj.subjects.push({
       subject: req.body.subject,
+      capacity: req.body.capacity,
       teachers: req.body.teachers || [],
     });
 
@@ -257,6 +298,54 @@ exports.removeSubjectFromClass = async (req, res, next) => {
 
     classObj.subjects.splice(subjectIndex, 1);
     await classObj.save();
+    await cancelWaitlist(
+      { class: classObj._id, subject: req.params.subjectId },
+      "Subject was removed from the class"
+    );
+
+    res.status(200).json({
+      success: true,
+      data: classObj,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Update the capacity of an elective subject in a class
+// @route   PUT /api/classes/:id/subjects/:subjectId
+// @access  Private/Admin
+exports.updateClassSubject = async (req, res, next) => {
+  try {
+    const classObj = await Class.findById(req.params.id);
+
+    if (!classObj) {
+      return next(
+        new ErrorResponse(`Class not found with id of ${req.params.id}`, 404)
+      );
+    }
+
+    const classSubject = classObj.subjects.find(
+      (s) => s.subject.toString() === req.params.subjectId
+    );
+
+    if (!classSubject) {
+      return next(new ErrorResponse("Subject not found in this class", 404));
+    }
+
+    // null removes the limit
+    const capacity = req.body.capacity ?? undefined;
+    const subject = await Subject.findById(req.params.subjectId);
+    const problem = capacityProblem(
+      [{ subject: req.params.subjectId, capacity }],
+      subject ? [subject] : []
+    );
+    if (problem) return next(new ErrorResponse(problem, 400));
+
+    classSubject.capacity = capacity;
+    classObj.updatedAt = Date.now();
+    await classObj.save();
+    await promoteWaitlist(classObj._id);
 
     res.status(200).json({
       success: true,
@@ -311,12 +400,40 @@ exports.assignTeacherToSubject = async (req, res, next) => {
       );
     }
 
+    // Teachers are only approved for subjects they hold a verified
+    // qualification in, unless an authorized user explicitly overrides
+    const qualified = teacher.hasVerifiedQualification(req.params.subjectId);
+    const override =
+      !qualified &&
+      (req.body.override === true || req.body.override === "true");
+
+    if (!qualified && !override) {
+      return next(
+        new ErrorResponse(
+          "Teacher does not hold a verified qualification for this subject",
+          400
+        )
+      );
+    }
+
+    if (override && !hasPermission(req.user, "qualifications:override")) {
+      return next(
+        new ErrorResponse(
+          "Not authorized to assign a teacher without a verified qualification",
+          403
+        )
+      );
+    }
+
     subject.teachers.push({
       teacher: req.body.teacher,
       isLeadTeacher: req.body.isLeadTeacher || false,
       status: "approved",
     });
 
+    setAuditAction(
+      override ? "class.assign_teacher_override" : "class.assign_teacher"
+    );
     await classObj.save();
 
     res.status(200).json({
@@ -360,6 +477,7 @@ exports.removeTeacherFromSubject = async (req, res, next) => {
     }
 
     subject.teachers.splice(teacherIndex, 1);
+    setAuditAction("class.remove_teacher");
     await classObj.save();
 
     res.status(200).json({
@@ -667,3 +785,150 @@ exports.removePrefect = async (req, res, next) => {
     next(err);
   }
 };
+
+// @desc    Get the class code and its join settings
+// @route   GET /api/classes/:id/join-code
+// @access  Private/Admin or Teacher
+exports.getJoinCode = async (req, res, next) => {
+  try {
+    const classObj = await Class.findById(req.params.id).select("name code joinSettings isActive");
+
+    if (!classObj) {
+      return next(
+        new ErrorResponse(`Class not found with id of ${req.params.id}`, 404)
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      data: joinCodeDetails(classObj),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Update the join settings of the class code
+// @route   PUT /api/classes/:id/join-code
+// @access  Private/Admin or Teacher
+exports.updateJoinCode = async (req, res, next) => {
+  try {
+    const classObj = await Class.findById(req.params.id);
+
+    if (!classObj) {
+      return next(
+        new ErrorResponse(`Class not found with id of ${req.params.id}`, 404)
+      );
+    }
+
+    const { enabled, autoApprove, expiresAt, maxJoins } = req.body;
+
+    for (const [option, value] of Object.entries({ enabled, autoApprove })) {
+      if (value !== undefined && typeof value !== "boolean") {
+        return next(new ErrorResponse(`${option} must be true or false`, 400));
+      }
+    }
+
+    if (expiresAt) {
+      const expiry = new Date(expiresAt);
+      if (isNaN(expiry.getTime()) || expiry <= Date.now()) {
+        return next(new ErrorResponse("expiresAt must be a date in the future", 400));
+      }
+    }
+
+    if (maxJoins !== undefined && maxJoins !== null) {
+      if (!Number.isInteger(maxJoins) || maxJoins < 1) {
+        return next(new ErrorResponse("maxJoins must be a whole number of 1 or more", 400));
+      }
+    }
+
+    const settings = classObj.joinSettings;
+    if (enabled !== undefined) settings.enabled = enabled;
+    if (autoApprove !== undefined) settings.autoApprove = autoApprove;
+    // null removes the expiry or the limit
+    if (expiresAt !== undefined) settings.expiresAt = expiresAt || undefined;
+    if (maxJoins !== undefined) settings.maxJoins = maxJoins || undefined;
+
+    setAuditAction("class.update_join_code");
+    classObj.updatedAt = Date.now();
+    await classObj.save();
+
+    res.status(200).json({
+      success: true,
+      data: joinCodeDetails(classObj),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Replace the class code; the old one stops working
+// @route   POST /api/classes/:id/join-code/regenerate
+// @access  Private/Admin or Teacher
+exports.regenerateJoinCode = async (req, res, next) => {
+  try {
+    const classObj = await Class.findById(req.params.id);
+
+    if (!classObj) {
+      return next(
+        new ErrorResponse(`Class not found with id of ${req.params.id}`, 404)
+      );
+    }
+
+    // Any change to the code makes the pre-save hook generate a new one
+    classObj.code = `${classObj.level}-${classObj.stream}`;
+    classObj.joinSettings.joinCount = 0;
+    classObj.updatedAt = Date.now();
+
+    setAuditAction("class.regenerate_join_code");
+    await classObj.saveWithNewCode();
+
+    res.status(200).json({
+      success: true,
+      data: joinCodeDetails(classObj),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Helper Functions
+
+// Capacities only apply to elective subjects
+function capacityProblem(classSubjects, subjectDocs) {
+  const invalid = classSubjects.some((classSubject) => {
+    if (classSubject.capacity == null) return false;
+
+    const subject = subjectDocs.find(
+      (s) => s._id.toString() === classSubject.subject.toString()
+    );
+    return !subject || subject.category !== "elective";
+  });
+
+  return invalid ? "Only elective subjects can have a capacity" : null;
+}
+
+// Cancel the waiting entries of a class or subject that no longer exists
+async function cancelWaitlist(filter, reason) {
+  await WaitlistEntry.updateMany(
+    { ...filter, status: "waiting" },
+    { status: "cancelled", cancelledAt: Date.now(), cancelReason: reason }
+  );
+}
+
+function joinCodeDetails(classObj) {
+  const settings = classObj.joinSettings;
+
+  return {
+    class: classObj._id,
+    name: classObj.name,
+    code: classObj.code,
+    enabled: settings.enabled,
+    autoApprove: settings.autoApprove,
+    expiresAt: settings.expiresAt,
+    maxJoins: settings.maxJoins,
+    joinCount: settings.joinCount,
+    // Why students can't join with the code right now, if they can't
+    unavailableReason: classObj.joinCodeProblem(),
+  };
+}
@@ -5,6 +5,9 @@ const AcademicEnrollment = require("../models/AcademicEnrollment");
 const ErrorResponse = require("../utils/errorResponse");
 const asyncHandler = require("../middleware/async");
 const fileUpload = require("../utils/fileUpload");
+const { hasPermission } = require("../utils/permissions");
+const { resolveTopicTags } = require("../utils/syllabus");
+const { getCoveredSubjects, isCovering } = require("../utils/substitutes");
 const fs = require("fs");
 const path = require("path");
 
@@ -44,8 +47,8 @@ exports.getContent = asyncHandler(async (req, res, next) => {
   }
   console.log(req.user);
 
-  // Add access control for non-admins
-  if (req.user.role !== "admin") {
+  // Add access control unless the user manages all content
+  if (!hasPermission(req.user, "content:manage_all")) {
     query.$or = [
       { accessLevel: "public" },
       { accessLevel: "school" },
@@ -214,13 +217,25 @@ exports.createContent = asyncHandler(async (req, res, next) => {
         )
     );
 
-    if (!isAssigned) {
+    if (!isAssigned && !(await isCovering(req.user.id, classId, subjectId))) {
       return next(
         new ErrorResponse("Not authorized to add content for this subject", 403)
       );
     }
   }
 
+  // Check syllabus topic tags
+  if (req.body.topics !== undefined) {
+    const tags = await resolveTopicTags(req.body.topics, {
+      subject: subjectId,
+      class: classId,
+    });
+    if (tags.error) {
+      return next(new ErrorResponse(tags.error, 400));
+    }
+    req.body.topics = tags.topics;
+  }
+
   // Handle file upload
   let fileData = {};
   if (req.file) {
@@ -297,13 +312,25 @@ exports.updateContent = asyncHandler(async (req, res, next) => {
   // Check ownership
   if (
     content.uploadedBy.toString() !== req.user.id &&
-    req.user.role !== "admin"
+    !hasPermission(req.user, "content:manage_all")
   ) {
     return next(
       new ErrorResponse("Not authorized to update this content", 403)
     );
   }
 
+  // Topics must still fit if the class or subject changes
+  if (req.body.topics !== undefined || req.body.class || req.body.subject) {
+    const tags = await resolveTopicTags(req.body.topics ?? content.topics, {
+      subject: req.body.subject || content.subject,
+      class: req.body.class || content.class,
+    });
+    if (tags.error) {
+      return next(new ErrorResponse(tags.error, 400));
+    }
+    req.body.topics = tags.topics;
+  }
+
   // Handle file update
   let fileData = {};
   if (req.file) {
@@ -376,7 +403,7 @@ exports.deleteContent = asyncHandler(async (req, res, next) => {
   // Check ownership
   if (
     content.uploadedBy.toString() !== req.user.id &&
-    req.user.role !== "admin"
+    !hasPermission(req.user, "content:manage_all")
   ) {
     return next(
       new ErrorResponse("Not authorized to delete this content", 403)
@@ -457,8 +484,9 @@ exports.getMyContent = asyncHandler(async (req, res, next) => {
         },
       },
     });
+    const covered = await getCoveredSubjects(req.user._id);
 
-    if (!teacherClasses || teacherClasses.length === 0) {
+    if ((!teacherClasses || teacherClasses.length === 0) && covered.length === 0) {
       return res.status(200).json({
         success: true,
         count: 0,
@@ -486,6 +514,8 @@ exports.getMyContent = asyncHandler(async (req, res, next) => {
         class: { $in: classIds },
         subject: { $in: subjectIds },
       },
+      // Classes they are covering as a substitute
+      ...covered.map((c) => ({ class: c.class, subject: c.subject })),
     ];
   } else if (req.user.role === "student") {
     // Get classes where student is enrolled
@@ -505,8 +535,8 @@ exports.getMyContent = asyncHandler(async (req, res, next) => {
 
     const classIds = studentClasses.map((c) => c._id);
     query.class = { $in: classIds };
-  } else if (req.user.role === "admin") {
-    // Admins can see all content
+  } else if (hasPermission(req.user, "content:manage_all")) {
+    // Content managers can see all content
     query = {};
   } else {
     return next(new ErrorResponse("Not authorized to access content", 403));
@@ -612,8 +642,8 @@ const hasAccess = async (content, user) => {
       return false;
     }
 
-    // Admins have access to everything
-    if (user.role === "admin") return true;
+    // Content managers have access to everything
+    if (hasPermission(user, "content:manage_all")) return true;
 
     // Content owner has access
     if (
@@ -667,7 +697,7 @@ const hasAccess = async (content, user) => {
               t.teacher &&
               t.teacher.toString() === user._id.toString() &&
               t.status === "approved"
-          ) || false
+          ) || isCovering(user._id, content.class, content.subject)
         );
       }
 
@@ -706,6 +736,9 @@ const getUsersClasses = async (userId) => {
       },
     });
 
+    // For substitutes - classes they are covering
+    const covered = await getCoveredSubjects(userId);
+
     // For students - get classes where they are enrolled
     const studentEnrollments = await AcademicEnrollment.find({
       student: userId,
@@ -715,6 +748,7 @@ const getUsersClasses = async (userId) => {
     // Combine and return unique class IDs
     const classIds = new Set([
       ...teacherClasses.map((c) => c._id),
+      ...covered.map((c) => c.class),
       ...studentEnrollments.map((e) => e.class),
     ]);
 
@@ -0,0 +1,166 @@
+const fs = require('fs');
+const User = require('../models/User');
+const DataExport = require('../models/DataExport');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/async');
+const { hasPermission } = require('../utils/permissions');
+const { isGuardianOf } = require('../utils/guardians');
+const { recordAudit } = require('../utils/audit');
+const { queueExport } = require('../services/dataExportService');
+const { acrossSchools, currentSchool, runAsSchool } = require('../utils/tenancy');
+
+// @desc    Start a personal data export (ZIP) for a user
+// @route   GET /api/users/:id/export
+// @access  Private (Self, linked parent, Admin)
+exports.requestExport = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return next(new ErrorResponse(`User not found with id of ${req.params.id}`, 404));
+  }
+
+  if (!(await canExport(req.user, user))) {
+    return next(new ErrorResponse('Not authorized to export this user\'s data', 403));
+  }
+
+  // One export at a time per user
+  const inProgress = await DataExport.findOne({
+    user: user._id,
+    status: { $in: ['queued', 'processing'] }
+  });
+  if (inProgress) {
+    return res.status(202).json({
+      success: true,
+      statusUrl: `/api/exports/${inProgress._id}`,
+      data: inProgress
+    });
+  }
+
+  const dataExport = await DataExport.create({
+    user: user._id,
+    requestedBy: req.user.id,
+    ip: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  await recordAudit({
+    action: 'user.export',
+    entityType: 'User',
+    entityId: user._id
+  });
+
+  queueExport(dataExport, `${req.protocol}://${req.get('host')}/api/exports/download`);
+
+  res.status(202).json({
+    success: true,
+    statusUrl: `/api/exports/${dataExport._id}`,
+    data: dataExport
+  });
+});
+
+// @desc    Get the export history of a user
+// @route   GET /api/users/:id/exports
+// @access  Private (Self, linked parent, Admin)
+exports.getUserExports = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return next(new ErrorResponse(`User not found with id of ${req.params.id}`, 404));
+  }
+
+  if (!(await canExport(req.user, user))) {
+    return next(new ErrorResponse('Not authorized to view this user\'s exports', 403));
+  }
+
+  const dataExports = await DataExport.find({ user: user._id })
+    .populate('requestedBy', 'firstName lastName email role')
+    .sort('-createdAt');
+
+  res.status(200).json({
+    success: true,
+    count: dataExports.length,
+    data: dataExports
+  });
+});
+
+// @desc    Get the status of an export
+// @route   GET /api/exports/:id
+// @access  Private (Self, linked parent, Admin)
+exports.getExport = asyncHandler(async (req, res, next) => {
+  const dataExport = await DataExport.findById(req.params.id)
+    .populate('user', 'firstName lastName email role')
+    .populate('requestedBy', 'firstName lastName email role');
+
+  if (!dataExport || !(await canExport(req.user, dataExport.user))) {
+    return next(new ErrorResponse(`Export not found with id of ${req.params.id}`, 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: dataExport
+  });
+});
+
+// @desc    Download a completed export
+// @route   GET /api/exports/:id/download
+// @access  Private (Self, linked parent, Admin)
+exports.downloadExport = asyncHandler(async (req, res, next) => {
+  const dataExport = await DataExport.findById(req.params.id).select('+filePath');
+
+  if (!dataExport || !(await canExport(req.user, dataExport.user))) {
+    return next(new ErrorResponse(`Export not found with id of ${req.params.id}`, 404));
+  }
+
+  await sendExportFile(dataExport, res, next);
+});
+
+// @desc    Download a completed export with the emailed link
+// @route   GET /api/exports/download/:token
+// @access  Public (link holder)
+exports.downloadExportByToken = asyncHandler(async (req, res, next) => {
+  // Emailed links carry no school, so the export is found in any school and
+  // served in its own; a request naming another school finds nothing
+  const dataExport = await acrossSchools(() =>
+    DataExport.findOne({
+      downloadTokenHash: DataExport.hashToken(req.params.token)
+    }).select('+filePath').exec()
+  );
+  const school = currentSchool();
+
+  if (!dataExport || (school && !school.equals(dataExport.school))) {
+    return next(new ErrorResponse('Invalid or expired download link', 404));
+  }
+
+  await runAsSchool(dataExport.school, () => sendExportFile(dataExport, res, next));
+});
+
+// Helper Functions
+
+// Users may export themselves, parents their linked children, admins anyone
+async function canExport(user, target) {
+  const targetId = String(target && target._id ? target._id : target);
+
+  if (user.id === targetId) return true;
+  if (hasPermission(user, 'users:export')) return true;
+  if (user.role === 'parent') return isGuardianOf(user.id, targetId);
+
+  return false;
+}
+
+// Stream a completed, unexpired export and count the download
+async function sendExportFile(dataExport, res, next) {
+  if (dataExport.status !== 'completed') {
+    return next(new ErrorResponse(`Export is ${dataExport.status}, nothing to download`, 400));
+  }
+
+  if (dataExport.expiresAt <= Date.now() || !fs.existsSync(dataExport.filePath)) {
+    return next(new ErrorResponse('This export has expired, please request a new one', 410));
+  }
+
+  await DataExport.updateOne(
+    { _id: dataExport._id },
+    { $inc: { downloadCount: 1 }, lastDownloadedAt: Date.now() }
+  );
+
+  res.download(dataExport.filePath, dataExport.fileName);
+}
@@ -0,0 +1,375 @@
+const mongoose = require('mongoose');
+const ElectiveWindow = require('../models/ElectiveWindow');
+const ElectiveChoice = require('../models/ElectiveChoice');
+const AcademicEnrollment = require('../models/AcademicEnrollment');
+const Class = require('../models/Class');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/async');
+const electives = require('../services/electiveService');
+const { seatsLeft } = require('../services/waitlistService');
+const { hasPermission } = require('../utils/permissions');
+const { validateTerm } = require('../utils/validators');
+const { setAuditAction } = require('../utils/audit');
+
+const MANAGE_PERMISSION = 'electives:manage';
+const WINDOW_FIELDS = [
+  'name',
+  'academicYear',
+  'term',
+  'classes',
+  'opensAt',
+  'closesAt',
+  'maxChoices',
+  'electivesPerStudent'
+];
+
+// @desc    Get elective selection windows
+// @route   GET /api/electives/windows
+// @access  Private (students see their class's windows)
+exports.getWindows = asyncHandler(async (req, res, next) => {
+  const query = {};
+
+  if (hasPermission(req.user, MANAGE_PERMISSION)) {
+    if (req.query.class) query.classes = req.query.class;
+  } else {
+    const enrollment = await AcademicEnrollment.findOne({ student: req.user.id, status: 'active' });
+    if (!enrollment) {
+      return res.status(200).json({ success: true, count: 0, data: [] });
+    }
+    query.classes = enrollment.class;
+  }
+
+  const windows = await ElectiveWindow.find(query)
+    .populate('classes', 'name level stream')
+    .sort('-opensAt');
+
+  res.status(200).json({
+    success: true,
+    count: windows.length,
+    data: windows
+  });
+});
+
+// @desc    Get an elective selection window
+// @route   GET /api/electives/windows/:id
+// @access  Private
+exports.getWindow = asyncHandler(async (req, res, next) => {
+  const window = await ElectiveWindow.findById(req.params.id)
+    .populate('classes', 'name level stream')
+    .populate('allocation.allocatedBy', 'firstName lastName');
+
+  if (!window) {
+    return next(new ErrorResponse(`Selection window not found with id of ${req.params.id}`, 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: window
+  });
+});
+
+// @desc    Open an elective selection window
+// @route   POST /api/electives/windows
+// @access  Private (electives:manage)
+exports.createWindow = asyncHandler(async (req, res, next) => {
+  const fields = pickWindowFields(req.body);
+
+  const error = await checkWindowFields(fields);
+  if (error) {
+    return next(new ErrorResponse(error, 400));
+  }
+
+  const window = await ElectiveWindow.create({ ...fields, createdBy: req.user.id });
+
+  res.status(201).json({
+    success: true,
+    data: window
+  });
+});
+
+// @desc    Update an elective selection window
+// @route   PUT /api/electives/windows/:id
+// @access  Private (electives:manage)
+exports.updateWindow = asyncHandler(async (req, res, next) => {
+  const window = await ElectiveWindow.findById(req.params.id);
+
+  if (!window) {
+    return next(new ErrorResponse(`Selection window not found with id of ${req.params.id}`, 404));
+  }
+
+  if (window.allocation.status === 'completed') {
+    return next(new ErrorResponse('Electives have already been allocated for this window', 400));
+  }
+
+  const fields = pickWindowFields(req.body);
+  const error = await checkWindowFields(fields);
+  if (error) {
+    return next(new ErrorResponse(error, 400));
+  }
+
+  window.set(fields);
+  window.updatedAt = Date.now();
+  await window.save();
+
+  res.status(200).json({
+    success: true,
+    data: window
+  });
+});
+
+// @desc    Delete an elective selection window and its choices
+// @route   DELETE /api/electives/windows/:id
+// @access  Private (electives:manage)
+exports.deleteWindow = asyncHandler(async (req, res, next) => {
+  const window = await ElectiveWindow.findById(req.params.id);
+
+  if (!window) {
+    return next(new ErrorResponse(`Selection window not found with id of ${req.params.id}`, 404));
+  }
+
+  if (window.allocation.status === 'completed') {
+    return next(new ErrorResponse('Electives have already been allocated for this window', 400));
+  }
+
+  await ElectiveChoice.deleteMany({ window: window._id });
+  await window.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+// @desc    Get the electives you can choose in a window
+// @route   GET /api/electives/windows/:id/options
+// @access  Private (Student)
+exports.getOptions = asyncHandler(async (req, res, next) => {
+  const { window, classObj } = await studentWindow(req);
+
+  const offered = await electives.classElectives(classObj);
+  const record = (await electives.studentRecords([req.user.id])).get(String(req.user.id));
+
+  const options = [];
+  for (const { subject, capacity } of offered) {
+    const unmet = electives.unmetPrerequisites(subject, record);
+    options.push({
+      subject: { _id: subject._id, name: subject.name, code: subject.code },
+      prerequisites: subject.prerequisites,
+      capacity: capacity || null,
+      seatsLeft: capacity ? await seatsLeft(classObj, subject._id) : null,
+      eligible: unmet.length === 0,
+      unmetPrerequisites: unmet
+    });
+  }
+
+  const choice = await ElectiveChoice.findOne({ window: window._id, student: req.user.id });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      window,
+      options,
+      choice
+    }
+  });
+});
+
+// @desc    Submit or change your ranked elective choices
+// @route   PUT /api/electives/windows/:id/choices
+// @access  Private (Student)
+exports.submitChoices = asyncHandler(async (req, res, next) => {
+  const { window, classObj } = await studentWindow(req);
+
+  if (window.status !== 'open') {
+    return next(new ErrorResponse(`This selection window is ${window.status}`, 400));
+  }
+
+  const ranked = (req.body.choices || []).map(String);
+  if (ranked.length === 0) {
+    return next(new ErrorResponse('Please rank at least one elective', 400));
+  }
+  if (ranked.length > window.maxChoices) {
+    return next(new ErrorResponse(`You can rank at most ${window.maxChoices} electives`, 400));
+  }
+  if (new Set(ranked).size !== ranked.length) {
+    return next(new ErrorResponse('An elective is ranked more than once', 400));
+  }
+
+  const offered = await electives.classElectives(classObj);
+  const record = (await electives.studentRecords([req.user.id])).get(String(req.user.id));
+
+  for (const subjectId of ranked) {
+    const elective = offered.find(e => e.subject._id.toString() === subjectId);
+    if (!elective) {
+      return next(new ErrorResponse(`Subject ${subjectId} is not an elective of your class`, 400));
+    }
+
+    const unmet = electives.unmetPrerequisites(elective.subject, record);
+    if (unmet.length > 0) {
+      return next(new ErrorResponse(`${elective.subject.name}: ${unmet.join('; ')}`, 400));
+    }
+  }
+
+  const choices = ranked.map((subject, index) => ({ subject, rank: index + 1 }));
+  let choice = await ElectiveChoice.findOne({ window: window._id, student: req.user.id });
+
+  // Changing choices keeps the original submission time, and with it the
+  // student's turn in the allocation
+  if (choice) {
+    choice.class = classObj._id;
+    choice.choices = choices;
+    choice.updatedAt = Date.now();
+    await choice.save();
+  } else {
+    choice = await ElectiveChoice.create({
+      window: window._id,
+      student: req.user.id,
+      class: classObj._id,
+      choices
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: choice
+  });
+});
+
+// @desc    Withdraw your elective choices
+// @route   DELETE /api/electives/windows/:id/choices
+// @access  Private (Student)
+exports.withdrawChoices = asyncHandler(async (req, res, next) => {
+  const window = await ElectiveWindow.findById(req.params.id);
+
+  if (!window) {
+    return next(new ErrorResponse(`Selection window not found with id of ${req.params.id}`, 404));
+  }
+
+  if (window.status !== 'open') {
+    return next(new ErrorResponse(`This selection window is ${window.status}`, 400));
+  }
+
+  await ElectiveChoice.deleteOne({ window: window._id, student: req.user.id });
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+// @desc    Get your choices in a window, with the allocation once made
+// @route   GET /api/electives/windows/:id/choices/me
+// @access  Private (Student)
+exports.getMyChoices = asyncHandler(async (req, res, next) => {
+  const choice = await ElectiveChoice.findOne({ window: req.params.id, student: req.user.id })
+    .populate('choices.subject', 'name code')
+    .populate('allocated', 'name code');
+
+  if (!choice) {
+    return next(new ErrorResponse('You have not made any choices in this window', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: choice
+  });
+});
+
+// @desc    Get all choices in a window
+// @route   GET /api/electives/windows/:id/choices
+// @access  Private (electives:manage)
+exports.getChoices = asyncHandler(async (req, res, next) => {
+  const query = { window: req.params.id };
+  if (req.query.class) query.class = req.query.class;
+
+  const choices = await ElectiveChoice.find(query)
+    .populate('student', 'firstName lastName email')
+    .populate('class', 'name level stream')
+    .populate('choices.subject', 'name code')
+    .populate('allocated', 'name code')
+    .sort('submittedAt');
+
+  res.status(200).json({
+    success: true,
+    count: choices.length,
+    data: choices
+  });
+});
+
+// @desc    Allocate the electives of a closed window
+// @route   POST /api/electives/windows/:id/allocate
+// @access  Private (electives:manage)
+exports.allocateWindow = asyncHandler(async (req, res, next) => {
+  const window = await ElectiveWindow.findById(req.params.id);
+
+  if (!window) {
+    return next(new ErrorResponse(`Selection window not found with id of ${req.params.id}`, 404));
+  }
+
+  if (window.status !== 'closed') {
+    return next(new ErrorResponse('Electives can only be allocated once the window has closed', 400));
+  }
+
+  setAuditAction('electives.allocate');
+
+  // Running it again redoes the allocation from the same choices
+  const summary = await electives.allocateWindow(window);
+
+  window.allocation = {
+    status: 'completed',
+    allocatedAt: Date.now(),
+    allocatedBy: req.user.id,
+    summary
+  };
+  window.updatedAt = Date.now();
+  await window.save();
+
+  res.status(200).json({
+    success: true,
+    data: window
+  });
+});
+
+// Helper Functions
+
+function pickWindowFields(body) {
+  return WINDOW_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+    return fields;
+  }, {});
+}
+
+async function checkWindowFields(fields) {
+  if (fields.term !== undefined && !validateTerm(fields.term)) {
+    return 'Invalid term';
+  }
+
+  if (fields.classes !== undefined) {
+    if (!Array.isArray(fields.classes) || fields.classes.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      return 'classes must be a list of class IDs';
+    }
+
+    const found = await Class.countDocuments({ _id: { $in: fields.classes } });
+    if (found !== new Set(fields.classes.map(String)).size) {
+      return 'One or more classes not found';
+    }
+  }
+
+  return null;
+}
+
+// The window and the class the student takes part in it with
+async function studentWindow(req) {
+  const window = await ElectiveWindow.findById(req.params.id);
+  if (!window) {
+    throw new ErrorResponse(`Selection window not found with id of ${req.params.id}`, 404);
+  }
+
+  const enrollment = await AcademicEnrollment.findOne({ student: req.user.id, status: 'active' });
+  if (!enrollment || !window.classes.some(c => c.equals(enrollment.class))) {
+    throw new ErrorResponse('This selection window is not for your class', 403);
+  }
+
+  const classObj = await Class.findById(enrollment.class);
+  return { window, classObj };
+}
@@ -1,8 +1,19 @@
 const AcademicEnrollment = require("../models/AcademicEnrollment");
 const Class = require("../models/Class");
 const User = require("../models/User");
+const WaitlistEntry = require("../models/WaitlistEntry");
 const ErrorResponse = require("../utils/errorResponse");
 const { sendNotification } = require("../utils/notifications");
+const { setAuditAction } = require("../utils/audit");
+const { hasPermission, classTarget } = require("../utils/permissions");
+const { getCurrentTerm, checkOpenTerm } = require("../utils/academicTerm");
+const {
+  seatsLeft,
+  joinWaitlist,
+  waitlistPosition,
+  enrollableSubjects,
+  promoteWaitlist,
+} = require("../services/waitlistService");
 
 // @desc    Get all enrollments
 // @route   GET /api/enrollments
@@ -126,13 +137,38 @@ exports.createEnrollment = async (req, res, next) => {
       );
     }
 
-    // Create enrollment with subjects from class
+    // Enroll for the active term unless another one is given
+    const current = await getCurrentTerm();
+    const academicYear = req.body.academicYear || current.academicYear;
+    const term = req.body.term || current.term;
+
+    const notOpen = await checkOpenTerm({ academicYear, term });
+    if (notOpen) {
+      return next(new ErrorResponse(notOpen, 400));
+    }
+
+    const waitlistDetails = {
+      academicYear,
+      term,
+      requestedBy: req.user.id,
+    };
+
+    // A full class puts the student on its waitlist instead
+    if ((await seatsLeft(classObj)) === 0) {
+      const entry = await joinWaitlist({
+        student: student._id,
+        classObj,
+        ...waitlistDetails,
+      });
+      return sendWaitlisted(res, entry, await waitlistPosition(entry));
+    }
+
+    // Create enrollment with subjects from class (full electives are waitlisted)
     const enrollment = await AcademicEnrollment.create({
       ...req.body,
-      subjects: classObj.subjects.map((subject) => ({
-        subject: subject.subject,
-        status: "enrolled",
-      })),
+      academicYear,
+      term,
+      subjects: await enrollableSubjects(classObj, student._id, waitlistDetails),
       enrolledBy: req.user.id,
     });
 
@@ -180,6 +216,32 @@ exports.updateEnrollment = async (req, res, next) => {
       return next(new ErrorResponse("Cannot update completed enrollment", 400));
     }
 
+    const notOpen = await checkOpenTerm({
+      academicYear: req.body.academicYear || enrollment.academicYear,
+      term: req.body.term || enrollment.term,
+    });
+    if (notOpen) {
+      return next(new ErrorResponse(notOpen, 400));
+    }
+
+    // Moving a student takes a seat in another class, so it goes through
+    // the transfer endpoint, which waitlists them when the class is full
+    if (req.body.class && String(req.body.class) !== String(enrollment.class)) {
+      return next(
+        new ErrorResponse(
+          "Use the transfer endpoint to move a student to another class",
+          400
+        )
+      );
+    }
+
+    const seatProblem = await checkNewSeats(enrollment, req.body);
+    if (seatProblem) {
+      return next(new ErrorResponse(seatProblem, 400));
+    }
+
+    const previousClass = enrollment.class;
+
     enrollment = await AcademicEnrollment.findByIdAndUpdate(
       req.params.id,
       req.body,
@@ -189,6 +251,12 @@ exports.updateEnrollment = async (req, res, next) => {
       }
     );
 
+    // Status, class or subject changes can free seats
+    await promoteWaitlist(previousClass);
+    if (!enrollment.class.equals(previousClass)) {
+      await promoteWaitlist(enrollment.class);
+    }
+
     res.status(200).json({
       success: true,
       data: enrollment,
@@ -220,6 +288,7 @@ exports.deleteEnrollment = async (req, res, next) => {
     }
 
     await enrollment.deleteOne();
+    await promoteWaitlist(enrollment.class);
 
     res.status(200).json({
       success: true,
@@ -331,7 +400,27 @@ exports.transferEnrollment = async (req, res, next) => {
       );
     }
 
+    const notOpen = await checkOpenTerm(enrollment);
+    if (notOpen) {
+      return next(new ErrorResponse(notOpen, 400));
+    }
+
+    // A full target class waitlists the transfer until a seat frees up
+    if ((await seatsLeft(targetClass)) === 0) {
+      const entry = await joinWaitlist({
+        student: enrollment.student,
+        classObj: targetClass,
+        academicYear: enrollment.academicYear,
+        term: enrollment.term,
+        fromEnrollment: enrollment._id,
+        reason: req.body.reason,
+        requestedBy: req.user.id,
+      });
+      return sendWaitlisted(res, entry, await waitlistPosition(entry));
+    }
+
     // Update enrollment status and transfer details
+    setAuditAction("enrollment.transfer");
     enrollment.status = "transferred";
     enrollment.transferDetails = {
       fromClass: enrollment.class,
@@ -349,13 +438,17 @@ exports.transferEnrollment = async (req, res, next) => {
       academicYear: enrollment.academicYear,
       term: enrollment.term,
       status: "active",
-      subjects: targetClass.subjects.map((subject) => ({
-        subject: subject.subject,
-        status: "enrolled",
-      })),
+      subjects: await enrollableSubjects(targetClass, enrollment.student, {
+        academicYear: enrollment.academicYear,
+        term: enrollment.term,
+        requestedBy: req.user.id,
+      }),
       enrolledBy: req.user.id,
     });
 
+    // The student's seat in the old class is free now
+    await promoteWaitlist(enrollment.class);
+
     // Send notification to student
     await sendNotification({
       recipient: enrollment.student,
@@ -399,16 +492,10 @@ exports.completeEnrollment = async (req, res, next) => {
       );
     }
 
-    enrollment.status = "completed";
-    enrollment.completionDate = Date.now();
-
-    // Update all subjects to completed status
-    enrollment.subjects.forEach((subject) => {
-      subject.status = "completed";
-      subject.completionDate = Date.now();
-    });
-
+    // Completes all subjects too
+    enrollment.complete();
     await enrollment.save();
+    await promoteWaitlist(enrollment.class);
 
     // Send notification to student
     await sendNotification({
@@ -461,3 +548,153 @@ exports.getEnrollmentStats = async (req, res, next) => {
     next(err);
   }
 };
+
+// @desc    Get the waitlist of a class, or of one of its electives
+// @route   GET /api/enrollments/waitlist
+// @access  Private (enrollments:read)
+exports.getWaitlist = async (req, res, next) => {
+  try {
+    const { class: classId, subject, status = "waiting" } = req.query;
+
+    if (!classId) {
+      return next(new ErrorResponse("Please provide a class", 400));
+    }
+
+    const entries = await WaitlistEntry.find({
+      class: classId,
+      subject: subject || null,
+      status,
+    })
+      .populate("student", "firstName lastName email")
+      .populate("subject", "name code")
+      .sort("createdAt");
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      data: entries.map((entry, index) => ({
+        ...entry.toObject(),
+        position: status === "waiting" ? index + 1 : null,
+      })),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Get your waitlist entries
+// @route   GET /api/enrollments/waitlist/mine
+// @access  Private
+exports.getMyWaitlist = async (req, res, next) => {
+  try {
+    const entries = await WaitlistEntry.find({ student: req.user.id })
+      .populate("class", "name code level stream")
+      .populate("subject", "name code")
+      .sort("-createdAt");
+
+    const data = [];
+    for (const entry of entries) {
+      data.push({ ...entry.toObject(), position: await waitlistPosition(entry) });
+    }
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Remove a student from a waitlist
+// @route   DELETE /api/enrollments/waitlist/:entryId
+// @access  Private (the student, or enrollments:manage)
+exports.leaveWaitlist = async (req, res, next) => {
+  try {
+    const entry = await WaitlistEntry.findById(req.params.entryId);
+
+    if (!entry) {
+      return next(
+        new ErrorResponse(
+          `Waitlist entry not found with id of ${req.params.entryId}`,
+          404
+        )
+      );
+    }
+
+    if (
+      !entry.student.equals(req.user.id) &&
+      !hasPermission(
+        req.user,
+        "enrollments:manage",
+        await classTarget(entry.class)
+      )
+    ) {
+      return next(
+        new ErrorResponse("You are not authorized to change this waitlist", 403)
+      );
+    }
+
+    if (entry.status !== "waiting") {
+      return next(new ErrorResponse(`Waitlist entry is already ${entry.status}`, 400));
+    }
+
+    entry.status = "cancelled";
+    entry.cancelledAt = Date.now();
+    entry.cancelReason = entry.student.equals(req.user.id)
+      ? "Left the waitlist"
+      : "Removed from the waitlist";
+    await entry.save();
+
+    res.status(200).json({
+      success: true,
+      data: entry,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Helper Functions
+function sendWaitlisted(res, entry, position) {
+  res.status(202).json({
+    success: true,
+    waitlisted: true,
+    data: { ...entry.toObject(), position },
+  });
+}
+
+// Reactivating an enrollment takes a seat in its class, and enrolling in an
+// elective a seat in the subject; returns why the update doesn't fit
+async function checkNewSeats(enrollment, body) {
+  const wasActive = enrollment.status === "active";
+  if ((body.status || enrollment.status) !== "active") return null;
+
+  const classObj = await Class.findById(enrollment.class);
+  if (!classObj) return null;
+
+  if (!wasActive && (await seatsLeft(classObj)) === 0) {
+    return `${classObj.name} is full`;
+  }
+
+  // Subjects of an inactive enrollment hold no seats yet
+  let subjects = body.subjects;
+  if (!Array.isArray(subjects)) subjects = wasActive ? [] : enrollment.subjects;
+
+  for (const subject of subjects) {
+    if (!subject || !subject.subject) continue;
+    if ((subject.status || "enrolled") !== "enrolled") continue;
+
+    const held =
+      wasActive &&
+      enrollment.subjects.some(
+        (s) => s.subject.equals(subject.subject) && s.status === "enrolled"
+      );
+    if (!held && (await seatsLeft(classObj, subject.subject)) === 0) {
+      return `An elective of ${classObj.name} is full`;
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,571 @@
+const mongoose = require('mongoose');
+const EnrollmentRequest = require('../models/EnrollmentRequest');
+const AcademicEnrollment = require('../models/AcademicEnrollment');
+const Class = require('../models/Class');
+const Subject = require('../models/Subject');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/async');
+const { hasPermission } = require('../utils/permissions');
+const { setAuditAction } = require('../utils/audit');
+const { getCurrentTerm, checkOpenTerm } = require('../utils/academicTerm');
+const { seatsLeft, joinWaitlist, enrollableSubjects } = require('../services/waitlistService');
+const { studentRecords, unmetPrerequisites } = require('../services/electiveService');
+const config = require('../config/config');
+
+const REVIEW_PERMISSION = 'enrollments:review_requests';
+
+// @desc    Request to join a class or subject
+// @route   POST /api/enrollment-requests
+// @access  Private (Student, Teacher)
+exports.createRequest = asyncHandler(async (req, res, next) => {
+  const { class: classId, subject, message } = req.body;
+
+  if (!['student', 'teacher'].includes(req.user.role)) {
+    return next(new ErrorResponse('Only students and teachers can request to join a class', 403));
+  }
+
+  if (!mongoose.isValidObjectId(classId) || (subject && !mongoose.isValidObjectId(subject))) {
+    return next(new ErrorResponse('Please provide a valid class, and subject if any', 400));
+  }
+
+  if (req.user.role === 'teacher' && !subject) {
+    return next(new ErrorResponse('Teachers request to teach a subject in a class', 400));
+  }
+
+  const classObj = await Class.findById(classId);
+  if (!classObj || !classObj.isActive) {
+    return next(new ErrorResponse(`Class not found with id of ${classId}`, 404));
+  }
+
+  const request = new EnrollmentRequest({
+    requester: req.user.id,
+    requesterRole: req.user.role,
+    type: subject ? 'subject' : 'class',
+    class: classObj._id,
+    subject,
+    message
+  });
+
+  // Nothing to ask for if it would already be true
+  const problem = await checkRequest(request, classObj);
+  if (problem) {
+    return next(new ErrorResponse(problem, 400));
+  }
+
+  const duplicate = await EnrollmentRequest.exists({
+    requester: req.user.id,
+    class: classObj._id,
+    subject: subject || { $exists: false },
+    status: 'pending'
+  });
+  if (duplicate) {
+    return next(new ErrorResponse('You already have a pending request for this', 400));
+  }
+
+  setAuditAction('enrollment_request.create');
+  await request.save();
+
+  await notifyReviewers(request, classObj, req.user);
+
+  res.status(201).json({
+    success: true,
+    data: request
+  });
+});
+
+// @desc    Join a class with its class code
+// @route   POST /api/enrollment-requests/join
+// @access  Private (Student)
+exports.joinByCode = asyncHandler(async (req, res, next) => {
+  const code = typeof req.body.code === 'string' ? req.body.code.trim().toUpperCase() : '';
+
+  if (!code) {
+    return next(new ErrorResponse('Please enter a class code', 400));
+  }
+
+  if (req.user.role !== 'student') {
+    return next(new ErrorResponse('Only students can join a class with a class code', 403));
+  }
+
+  const classObj = await Class.findOne({ code });
+  if (!classObj) {
+    return next(new ErrorResponse('No class found with this code', 404));
+  }
+
+  const closed = classObj.joinCodeProblem();
+  if (closed) {
+    return next(new ErrorResponse(closed, 400));
+  }
+
+  const request = new EnrollmentRequest({
+    requester: req.user.id,
+    requesterRole: 'student',
+    type: 'class',
+    class: classObj._id,
+    source: 'join_code'
+  });
+
+  const problem = await checkRequest(request, classObj);
+  if (problem) {
+    return next(new ErrorResponse(problem, 400));
+  }
+
+  if (await EnrollmentRequest.exists({ requester: req.user.id, class: classObj._id, status: 'pending' })) {
+    return next(new ErrorResponse('You already have a pending request for this class', 400));
+  }
+
+  // Checked before the join is counted, as enrolling would fail
+  if (classObj.joinSettings.autoApprove) {
+    const notOpen = await checkOpenTerm(await getCurrentTerm());
+    if (notOpen) {
+      return next(new ErrorResponse(notOpen, 400));
+    }
+  }
+
+  setAuditAction('class.join');
+
+  // Counted atomically so simultaneous joins can't go over the limit
+  const counted = await Class.findOneAndUpdate(
+    {
+      _id: classObj._id,
+      code,
+      $or: [
+        { 'joinSettings.maxJoins': null },
+        { $expr: { $lt: ['$joinSettings.joinCount', '$joinSettings.maxJoins'] } }
+      ]
+    },
+    { $inc: { 'joinSettings.joinCount': 1 } }
+  );
+  if (!counted) {
+    return next(new ErrorResponse('This class code has reached its join limit', 400));
+  }
+
+  if (classObj.joinSettings.autoApprove) {
+    const student = await User.findById(req.user.id);
+    await enrollStudent(request, classObj, student);
+    request.status = 'approved';
+    request.reviewedAt = Date.now();
+    request.reason = 'Joined with the class code';
+    await request.save();
+  } else {
+    await request.save();
+    await notifyReviewers(request, classObj, req.user);
+  }
+
+  res.status(201).json({
+    success: true,
+    data: request
+  });
+});
+
+// @desc    Get my requests
+// @route   GET /api/enrollment-requests/mine
+// @access  Private
+exports.getMyRequests = asyncHandler(async (req, res, next) => {
+  const query = { requester: req.user.id };
+  if (req.query.status) query.status = req.query.status;
+
+  const requests = await populateRequest(EnrollmentRequest.find(query)).sort('-createdAt');
+
+  res.status(200).json({
+    success: true,
+    count: requests.length,
+    data: requests
+  });
+});
+
+// @desc    Get the requests the current user can review
+// @route   GET /api/enrollment-requests/inbox
+// @access  Private (class teachers, enrollments:review_requests)
+exports.getInbox = asyncHandler(async (req, res, next) => {
+  const query = { status: req.query.status || 'pending' };
+  if (req.query.type) query.type = req.query.type;
+  if (req.query.requesterRole) query.requesterRole = req.query.requesterRole;
+
+  const classIds = await reviewableClassIds(req.user);
+  if (classIds) {
+    const wanted = req.query.class ? classIds.filter(id => id.equals(req.query.class)) : classIds;
+    query.class = { $in: wanted };
+  } else if (req.query.class) {
+    query.class = req.query.class;
+  }
+
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(
+    parseInt(req.query.limit) || config.pagination.defaultLimit,
+    config.pagination.maxLimit
+  );
+
+  // Oldest first: the longest-waiting requests are at the top
+  const requests = await populateRequest(EnrollmentRequest.find(query))
+    .sort('createdAt')
+    .skip((page - 1) * limit)
+    .limit(limit);
+
+  const total = await EnrollmentRequest.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    count: requests.length,
+    total,
+    totalPages: Math.ceil(total / limit),
+    currentPage: page,
+    data: requests
+  });
+});
+
+// @desc    Get a request
+// @route   GET /api/enrollment-requests/:id
+// @access  Private (requester, reviewers)
+exports.getRequest = asyncHandler(async (req, res, next) => {
+  const request = await populateRequest(EnrollmentRequest.findById(req.params.id));
+
+  if (!request) {
+    return next(new ErrorResponse(`Request not found with id of ${req.params.id}`, 404));
+  }
+
+  const own = request.requester && request.requester._id.equals(req.user._id);
+  if (!own && !(await canReview(req.user, request.class))) {
+    return next(new ErrorResponse('Not authorized to view this request', 403));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: request
+  });
+});
+
+// @desc    Approve a request
+// @route   PUT /api/enrollment-requests/:id/approve
+// @access  Private (class teachers, enrollments:review_requests)
+exports.approveRequest = asyncHandler(async (req, res, next) => {
+  const request = await EnrollmentRequest.findById(req.params.id);
+
+  if (!request) {
+    return next(new ErrorResponse(`Request not found with id of ${req.params.id}`, 404));
+  }
+
+  const classObj = await Class.findById(request.class);
+  if (!(await canReview(req.user, classObj))) {
+    return next(new ErrorResponse('Not authorized to review requests for this class', 403));
+  }
+
+  if (request.status !== 'pending') {
+    return next(new ErrorResponse(`This request has already been ${request.status}`, 400));
+  }
+
+  if (!classObj.isActive) {
+    return next(new ErrorResponse('This class is no longer active', 400));
+  }
+
+  const requester = await User.findById(request.requester);
+  if (!requester || !requester.isActive) {
+    return next(new ErrorResponse('The requester\'s account is no longer active', 400));
+  }
+
+  // Things may have changed since the request was made
+  const problem = await checkRequest(request, classObj);
+  if (problem) {
+    return next(new ErrorResponse(problem, 400));
+  }
+
+  setAuditAction('enrollment_request.approve');
+
+  if (request.requesterRole === 'teacher') {
+    await addTeacher(request, classObj, requester, req);
+  } else if (request.type === 'class') {
+    await enrollStudent(request, classObj, requester);
+  } else {
+    await addStudentSubject(request, classObj);
+  }
+
+  request.status = 'approved';
+  request.reviewedBy = req.user.id;
+  request.reviewedAt = Date.now();
+  request.reason = req.body.note;
+  request.updatedAt = Date.now();
+  await request.save();
+
+  await notifyRequester(request, classObj, req.user);
+
+  res.status(200).json({
+    success: true,
+    data: request
+  });
+});
+
+// @desc    Reject a request
+// @route   PUT /api/enrollment-requests/:id/reject
+// @access  Private (class teachers, enrollments:review_requests)
+exports.rejectRequest = asyncHandler(async (req, res, next) => {
+  const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+  if (!reason) {
+    return next(new ErrorResponse('Please give a reason for the rejection', 400));
+  }
+
+  const request = await EnrollmentRequest.findById(req.params.id);
+
+  if (!request) {
+    return next(new ErrorResponse(`Request not found with id of ${req.params.id}`, 404));
+  }
+
+  const classObj = await Class.findById(request.class);
+  if (!(await canReview(req.user, classObj))) {
+    return next(new ErrorResponse('Not authorized to review requests for this class', 403));
+  }
+
+  if (request.status !== 'pending') {
+    return next(new ErrorResponse(`This request has already been ${request.status}`, 400));
+  }
+
+  setAuditAction('enrollment_request.reject');
+  request.status = 'rejected';
+  request.reviewedBy = req.user.id;
+  request.reviewedAt = Date.now();
+  request.reason = reason;
+  request.updatedAt = Date.now();
+  await request.save();
+
+  await notifyRequester(request, classObj, req.user);
+
+  res.status(200).json({
+    success: true,
+    data: request
+  });
+});
+
+// @desc    Cancel my pending request
+// @route   DELETE /api/enrollment-requests/:id
+// @access  Private (requester)
+exports.cancelRequest = asyncHandler(async (req, res, next) => {
+  const request = await EnrollmentRequest.findOne({ _id: req.params.id, requester: req.user.id });
+
+  if (!request) {
+    return next(new ErrorResponse(`Request not found with id of ${req.params.id}`, 404));
+  }
+
+  if (request.status !== 'pending') {
+    return next(new ErrorResponse(`This request has already been ${request.status}`, 400));
+  }
+
+  setAuditAction('enrollment_request.cancel');
+  request.status = 'cancelled';
+  request.updatedAt = Date.now();
+  await request.save();
+
+  res.status(200).json({
+    success: true,
+    data: request
+  });
+});
+
+// Helper Functions
+
+function populateRequest(query) {
+  return query
+    .populate('requester', 'firstName lastName email role profile.studentId profile.teacherId')
+    .populate('class', 'name code level stream classTeacher')
+    .populate('subject', 'name code')
+    .populate('reviewedBy', 'firstName lastName');
+}
+
+// Class teachers review their own class; others need the permission
+async function canReview(user, classObj) {
+  if (!classObj) return false;
+  if (classObj.classTeacher && classObj.classTeacher.equals(user._id)) return true;
+  return hasPermission(user, REVIEW_PERMISSION, { class: classObj._id, level: classObj.level });
+}
+
+// Classes a user can review, or null for every class
+async function reviewableClassIds(user) {
+  if (hasPermission(user, REVIEW_PERMISSION)) return null;
+
+  const classes = await Class.find().select('level classTeacher');
+  const reviewable = [];
+  for (const classObj of classes) {
+    if (await canReview(user, classObj)) reviewable.push(classObj._id);
+  }
+  return reviewable;
+}
+
+// Why a request can't be granted as things stand, or null if it can
+async function checkRequest(request, classObj) {
+  const classSubject = request.subject
+    ? classObj.subjects.find(s => s.subject.equals(request.subject))
+    : null;
+
+  if (request.subject && !classSubject) {
+    return 'This subject is not offered in this class';
+  }
+
+  if (request.requesterRole === 'teacher') {
+    const assigned = classSubject.teachers.some(
+      t => t.teacher && t.teacher.equals(request.requester) && t.status === 'approved'
+    );
+    return assigned ? 'Already a teacher of this subject in this class' : null;
+  }
+
+  const enrollment = await AcademicEnrollment.findOne({
+    student: request.requester,
+    status: 'active'
+  });
+
+  if (request.type === 'class') {
+    if (!enrollment) return null;
+    return enrollment.class.equals(classObj._id)
+      ? 'Already enrolled in this class'
+      : 'Already enrolled in another class; ask for a transfer instead';
+  }
+
+  if (!enrollment || !enrollment.class.equals(classObj._id)) {
+    return 'Only students enrolled in this class can join its subjects';
+  }
+
+  const taking = enrollment.subjects.some(
+    s => s.subject.equals(request.subject) && s.status === 'enrolled'
+  );
+  if (taking) return 'Already enrolled in this subject';
+
+  const subject = await Subject.findById(request.subject).populate('prerequisites.subject', 'name');
+  const records = await studentRecords([request.requester]);
+  const unmet = subject ? unmetPrerequisites(subject, records.get(String(request.requester))) : [];
+  return unmet.length > 0 ? unmet.join('; ') : null;
+}
+
+// Approve a teacher for the subject, with the same qualification rule as
+// assigning one directly
+async function addTeacher(request, classObj, teacher, req) {
+  const qualified = teacher.hasVerifiedQualification(request.subject);
+  const override = !qualified && (req.body.override === true || req.body.override === 'true');
+
+  if (!qualified && !override) {
+    throw new ErrorResponse('Teacher does not hold a verified qualification for this subject', 400);
+  }
+
+  if (override && !hasPermission(req.user, 'qualifications:override')) {
+    throw new ErrorResponse('Not authorized to assign a teacher without a verified qualification', 403);
+  }
+
+  const classSubject = classObj.subjects.find(s => s.subject.equals(request.subject));
+  const existing = classSubject.teachers.find(t => t.teacher && t.teacher.equals(teacher._id));
+  if (existing) {
+    existing.status = 'approved';
+    existing.approvedAt = Date.now();
+  } else {
+    classSubject.teachers.push({
+      teacher: teacher._id,
+      isLeadTeacher: req.body.isLeadTeacher === true,
+      status: 'approved',
+      approvedAt: Date.now(),
+      assignedBy: req.user.id
+    });
+  }
+
+  await classObj.save();
+}
+
+// Enroll the student, or put them on the waitlist of a full class
+async function enrollStudent(request, classObj, student) {
+  const current = await getCurrentTerm();
+
+  const notOpen = await checkOpenTerm(current);
+  if (notOpen) throw new ErrorResponse(notOpen, 400);
+
+  if ((await seatsLeft(classObj)) === 0) {
+    const entry = await joinWaitlist({ student: student._id, classObj, ...current });
+    request.waitlistEntry = entry._id;
+    return;
+  }
+
+  const enrollment = await AcademicEnrollment.create({
+    student: student._id,
+    class: classObj._id,
+    academicYear: current.academicYear,
+    term: current.term,
+    status: 'active',
+    subjects: await enrollableSubjects(classObj, student._id, current)
+  });
+  request.enrollment = enrollment._id;
+
+  student.set('profile.currentClass', classObj._id);
+  await student.save({ validateBeforeSave: false });
+}
+
+// Add the subject to the student's enrollment, or waitlist a full elective
+async function addStudentSubject(request, classObj) {
+  const enrollment = await AcademicEnrollment.findOne({
+    student: request.requester,
+    class: request.class,
+    status: 'active'
+  });
+
+  const notOpen = await checkOpenTerm(enrollment);
+  if (notOpen) throw new ErrorResponse(notOpen, 400);
+
+  if ((await seatsLeft(classObj, request.subject)) === 0) {
+    const entry = await joinWaitlist({
+      student: request.requester,
+      classObj,
+      subject: request.subject
+    });
+    request.waitlistEntry = entry._id;
+    return;
+  }
+
+  const dropped = enrollment.subjects.find(s => s.subject.equals(request.subject));
+  if (dropped) {
+    dropped.status = 'enrolled';
+    dropped.enrollmentDate = Date.now();
+  } else {
+    enrollment.subjects.push({ subject: request.subject, status: 'enrolled' });
+  }
+
+  enrollment.updatedAt = Date.now();
+  await enrollment.save();
+  request.enrollment = enrollment._id;
+}
+
+// Tell the class teacher, or the school's administrators if the class has
+// none, about a new request
+async function notifyReviewers(request, classObj, requester) {
+  const reviewers = classObj.classTeacher
+    ? [classObj.classTeacher]
+    : (await User.find({ role: 'admin', isActive: true }).select('_id')).map(u => u._id);
+
+  const what = request.type === 'class' ? classObj.name : `a subject in ${classObj.name}`;
+
+  await Notification.insertMany(
+    reviewers.map(recipient => ({
+      recipient,
+      sender: requester._id,
+      title: 'New class request',
+      message: `${requester.firstName} ${requester.lastName} asked to join ${what}`,
+      relatedEntity: classObj._id,
+      relatedEntityModel: 'Class',
+      notificationType: 'enrollment'
+    }))
+  );
+}
+
+async function notifyRequester(request, classObj, reviewer) {
+  const approved = request.status === 'approved';
+  const what = request.type === 'class' ? classObj.name : `the subject in ${classObj.name}`;
+  const waitlisted = request.waitlistEntry
+    ? ', but it is full so you have been put on the waitlist'
+    : '';
+
+  await Notification.create({
+    recipient: request.requester,
+    sender: reviewer._id,
+    title: approved ? 'Class request approved' : 'Class request rejected',
+    message: approved
+      ? `Your request to join ${what} was approved${waitlisted}`
+      : `Your request to join ${what} was rejected: ${request.reason}`,
+    relatedEntity: classObj._id,
+    relatedEntityModel: 'Class',
+    notificationType: 'enrollment'
+  });
+}
@@ -4,6 +4,7 @@ const Class = require('../models/Class');
 const Content = require('../models/Content');
 const ErrorResponse = require('../utils/errorResponse');
 const asyncHandler = require('../middleware/async');
+const { hasPermission } = require('../utils/permissions');
 
 // @desc    Get all feedback
 // @route   GET /api/feedback
@@ -22,22 +23,21 @@ exports.getFeedback = asyncHandler(async (req, res, next) => {
   if (subject) query.subject = subject;
   if (contentItem) query.contentItem = contentItem;
 
-  // Role-based filtering
-  switch (req.user.role) {
-    case 'teacher':
-      query.$or = [
-        { toUser: req.user.id },
-        { class: { $in: await getTeacherClasses(req.user.id) } }
-      ];
-      break;
-    case 'student':
-      query.fromUser = req.user.id;
-      break;
-    case 'admin':
-      // Admins see all feedback
-      break;
-    default:
-      query.fromUser = req.user.id;
+  // Role-based filtering (feedback managers see all feedback)
+  if (!hasPermission(req.user, 'feedback:manage_all')) {
+    switch (req.user.role) {
+      case 'teacher':
+        query.$or = [
+          { toUser: req.user.id },
+          { class: { $in: await getTeacherClasses(req.user.id) } }
+        ];
+        break;
+      case 'student':
+        query.fromUser = req.user.id;
+        break;
+      default:
+        query.fromUser = req.user.id;
+    }
   }
 
   const feedback = await Feedback.find(query)
@@ -247,26 +247,26 @@ async function isUserInClass(user, classObj) {
 }
 
 function hasFeedbackAccess(user, feedback) {
-  if (user.role === 'admin') return true;
+  if (hasPermission(user, 'feedback:manage_all')) return true;
   if (feedback.fromUser.toString() === user.id) return true;
   if (feedback.toUser && feedback.toUser.toString() === user.id) return true;
   return false;
 }
 
 function canRespondToFeedback(user, feedback) {
-  if (user.role === 'admin') return true;
+  if (hasPermission(user, 'feedback:manage_all')) return true;
   if (feedback.toUser && feedback.toUser.toString() === user.id) return true;
   return false;
 }
 
 function canUpdateFeedback(user, feedback) {
-  if (user.role === 'admin') return true;
+  if (hasPermission(user, 'feedback:manage_all')) return true;
   if (feedback.fromUser.toString() === user.id) return true;
   return false;
 }
 
 function canDeleteFeedback(user, feedback) {
-  if (user.role === 'admin') return true;
+  if (hasPermission(user, 'feedback:manage_all')) return true;
   if (feedback.fromUser.toString() === user.id) return true;
   return false;
 }
\ No newline at end of file
@@ -5,6 +5,10 @@ const User = require('../models/User');
 const ErrorResponse = require('../utils/errorResponse');
 const asyncHandler = require('../middleware/async');
 const AcademicEnrollment = require('../models/AcademicEnrollment');
+const { hasPermission, classTarget } = require('../utils/permissions');
+const { setAuditAction } = require('../utils/audit');
+const { getCurrentTerm, checkOpenTerm } = require('../utils/academicTerm');
+const { calculateGrade, getGradingScale } = require('../utils/gradingUtils');
 
 // @desc    Get all gradebook entries
 // @route   GET /api/gradebook
@@ -64,7 +68,7 @@ exports.getGradebook = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse(`Gradebook entry not found with id of ${req.params.id}`, 404));
   }
 
-  if (!hasGradebookAccess(req.user, gradebook)) {
+  if (!(await hasGradebookAccess(req.user, gradebook))) {
     return next(new ErrorResponse('Not authorized to access this gradebook entry', 403));
   }
 
@@ -78,11 +82,21 @@ exports.getGradebook = asyncHandler(async (req, res, next) => {
 // @route   POST /api/gradebook
 // @access  Private/Teacher or Admin
 exports.createGradebook = asyncHandler(async (req, res, next) => {
-  if (req.user.role !== 'teacher' && req.user.role !== 'admin') {
-    return next(new ErrorResponse('Only teachers and admins can create gradebook entries', 403));
+  if (!hasPermission(req.user, 'gradebook:write')) {
+    return next(new ErrorResponse('Not authorized to create gradebook entries', 403));
   }
 
-  const { student, class: classId, subject, academicYear, term } = req.body;
+  const { student, class: classId, subject } = req.body;
+
+  // Grade the active term unless another one is given
+  const current = await getCurrentTerm();
+  const academicYear = req.body.academicYear || current.academicYear;
+  const term = req.body.term || current.term;
+
+  const notOpen = await checkOpenTerm({ academicYear, term }, markDates(req.body));
+  if (notOpen) {
+    return next(new ErrorResponse(notOpen, 400));
+  }
 
   // Validate student
   const studentUser = await User.findById(student);
@@ -111,8 +125,8 @@ exports.createGradebook = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Student is not enrolled in this class', 400));
   }
 
-  // Check teacher assignment (skip for admin)
-  if (req.user.role === 'teacher') {
+  // Check teacher assignment (skip for users who manage all gradebooks)
+  if (!hasPermission(req.user, 'gradebook:manage_all', { class: classObj._id, level: classObj.level })) {
     const isAssigned = classObj.subjects.some(
       s => s.subject.toString() === subject &&
            s.teachers.some(t => t.teacher.toString() === req.user.id && t.status === 'approved')
@@ -137,6 +151,8 @@ exports.createGradebook = asyncHandler(async (req, res, next) => {
   // Create gradebook
   const gradebook = await Gradebook.create({
     ...req.body,
+    academicYear,
+    term,
     teacher: req.body.teacher || req.user.id // Allow admin to specify a teacher or use themselves
   });
 
@@ -156,19 +172,25 @@ exports.updateGradebook = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse(`Gradebook entry not found with id of ${req.params.id}`, 404));
   }
 
-  if (!canModifyGradebook(req.user, gradebook)) {
+  if (!(await canModifyGradebook(req.user, gradebook))) {
     return next(new ErrorResponse('Not authorized to update this gradebook entry', 403));
   }
 
+  const notOpen = await checkOpenTerm(gradebook, markDates(req.body));
+  if (notOpen) {
+    return next(new ErrorResponse(notOpen, 400));
+  }
+
   // Prevent changing certain fields
   const { student, class: classId, subject, teacher, academicYear, term, ...updateData } = req.body;
 
   // Recalculate totals if marks are updated
   if (req.body.assignments || req.body.tests || req.body.exams) {
     updateData.totalMarks = calculateTotalMarks(req.body);
-    updateData.finalGrade = calculateGrade(updateData.totalMarks);
+    updateData.finalGrade = calculateGrade(updateData.totalMarks, 100, await getGradingScale());
   }
 
+  setAuditAction('gradebook.update');
   gradebook = await Gradebook.findByIdAndUpdate(req.params.id, updateData, {
     new: true,
     runValidators: true
@@ -190,14 +212,14 @@ exports.publishGradebook = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse(`Gradebook entry not found with id of ${req.params.id}`, 404));
   }
 
-  if (!canModifyGradebook(req.user, gradebook)) {
+  if (!(await canModifyGradebook(req.user, gradebook))) {
     return next(new ErrorResponse('Not authorized to publish this gradebook entry', 403));
   }
 
   // Calculate totals if not set
   if (!gradebook.totalMarks) {
     gradebook.totalMarks = calculateTotalMarks(gradebook);
-    gradebook.finalGrade = calculateGrade(gradebook.totalMarks);
+    gradebook.finalGrade = calculateGrade(gradebook.totalMarks, 100, await getGradingScale());
   }
 
   gradebook.isPublished = true;
@@ -220,7 +242,7 @@ exports.deleteGradebook = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse(`Gradebook entry not found with id of ${req.params.id}`, 404));
   }
 
-  if (!canModifyGradebook(req.user, gradebook)) {
+  if (!(await canModifyGradebook(req.user, gradebook))) {
     return next(new ErrorResponse('Not authorized to delete this gradebook entry', 403));
   }
 
@@ -234,17 +256,20 @@ exports.deleteGradebook = asyncHandler(async (req, res, next) => {
 
 // Helper Functions
 
-function hasGradebookAccess(user, gradebook) {
-  if (user.role === 'admin') return true;
+async function hasGradebookAccess(user, gradebook) {
   if (gradebook.student._id.toString() === user.id) return true;
   if (gradebook.teacher._id.toString() === user.id) return true;
-  return false;
+  return hasPermission(user, 'gradebook:manage_all', await classTarget(gradebook.class));
 }
 
-function canModifyGradebook(user, gradebook) {
-  if (user.role === 'admin') return true;
+async function canModifyGradebook(user, gradebook) {
   if (gradebook.teacher._id.toString() === user.id) return true;
-  return false;
+  return hasPermission(user, 'gradebook:manage_all', await classTarget(gradebook.class));
+}
+
+// Dates of the tests and exams in a write, which must fall in the entry's term
+function markDates(body) {
+  return [...(body.tests || []), ...(body.exams || [])].filter(m => m && m.date).map(m => m.date);
 }
 
 function calculateTotalMarks(gradebook) {
@@ -288,11 +313,3 @@ function calculateTotalMarks(gradebook) {
 
   return parseFloat(total.toFixed(2));
 }
-
-function calculateGrade(totalMarks) {
-  if (totalMarks >= 90) return 'A';
-  if (totalMarks >= 80) return 'B';
-  if (totalMarks >= 70) return 'C';
-  if (totalMarks >= 60) return 'D';
-  return 'F';
-}
\ No newline at end of file
@@ -0,0 +1,364 @@
+const GuardianLink = require('../models/GuardianLink');
+const User = require('../models/User');
+const Submission = require('../models/Submission');
+const Gradebook = require('../models/Gradebook');
+const Attendance = require('../models/Attendance');
+const Notification = require('../models/Notification');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/async');
+const sendEmail = require('../utils/emailService');
+const { validateEmail } = require('../utils/validators');
+const { getLinkedStudentIds } = require('../utils/guardians');
+const { hasPermission } = require('../utils/permissions');
+
+// @desc    Invite a parent/guardian by email
+// @route   POST /api/guardians/invitations
+// @access  Private (Student for self, Admin for any student)
+exports.createInvitation = asyncHandler(async (req, res, next) => {
+  const { email, relationship } = req.body;
+  const studentId = hasPermission(req.user, 'guardians:manage') ? req.body.student : req.user.id;
+
+  if (!email || !validateEmail(email)) {
+    return next(new ErrorResponse('Please provide a valid email address', 400));
+  }
+
+  const student = await User.findById(studentId);
+  if (!student || student.role !== 'student') {
+    return next(new ErrorResponse(`Student not found with id of ${studentId}`, 404));
+  }
+
+  const link = new GuardianLink({
+    student: student._id,
+    relationship,
+    method: 'invitation',
+    inviteEmail: email,
+    createdBy: req.user.id
+  });
+  const token = link.getInvitationToken();
+  await link.save();
+
+  const inviteUrl = `${process.env.FRONTEND_URL}/guardian-invite?token=${token}`;
+
+  try {
+    await sendEmail({
+      email,
+      subject: `Guardian invitation - ${process.env.APP_NAME}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #2d3748;">You have been invited as a guardian</h2>
+          <p>You have been invited to follow ${student.firstName} ${student.lastName}'s progress on ${process.env.APP_NAME}.</p>
+          <p>Sign in or create a parent account with this email address, then open the link below.</p>
+          <div style="margin: 25px 0; text-align: center;">
+            <a href="${inviteUrl}"
+               style="background-color: #4299e1; color: white;
+                      padding: 12px 24px; text-decoration: none;
+                      border-radius: 4px; font-weight: bold;
+                      display: inline-block;">
+              Accept Invitation
+            </a>
+          </div>
+          <p style="color: #718096; font-size: 0.9em;">This invitation expires in 7 days.</p>
+        </div>
+      `
+    });
+  } catch (err) {
+    await link.deleteOne();
+    return next(new ErrorResponse('Invitation email could not be sent', 500));
+  }
+
+  res.status(201).json({
+    success: true,
+    data: link
+  });
+});
+
+// @desc    Accept an emailed invitation
+// @route   POST /api/guardians/invitations/accept
+// @access  Private/Parent
+exports.acceptInvitation = asyncHandler(async (req, res, next) => {
+  if (!req.body.token) {
+    return next(new ErrorResponse('Please provide the invitation token', 400));
+  }
+
+  const link = await GuardianLink.findOne({
+    tokenHash: GuardianLink.hashToken(req.body.token),
+    method: 'invitation',
+    status: 'pending',
+    expiresAt: { $gt: Date.now() }
+  });
+
+  if (!link) {
+    return next(new ErrorResponse('Invalid or expired invitation', 400));
+  }
+
+  // The invitation proves control of this mailbox, so the account must match it
+  if (link.inviteEmail !== req.user.email.toLowerCase() || !req.user.isVerified) {
+    return next(new ErrorResponse('This invitation was sent to a different email address', 403));
+  }
+
+  await activateLink(link, req.user, req.body.relationship);
+
+  res.status(200).json({
+    success: true,
+    data: link
+  });
+});
+
+// @desc    Generate a one-time code for a parent to link to me
+// @route   POST /api/guardians/link-code
+// @access  Private/Student
+exports.createLinkCode = asyncHandler(async (req, res, next) => {
+  const link = new GuardianLink({
+    student: req.user.id,
+    relationship: req.body.relationship,
+    method: 'code',
+    createdBy: req.user.id
+  });
+  const code = link.getLinkCode();
+  await link.save();
+
+  res.status(201).json({
+    success: true,
+    data: {
+      code,
+      expiresAt: link.expiresAt
+    }
+  });
+});
+
+// @desc    Link to a student using their code
+// @route   POST /api/guardians/link
+// @access  Private/Parent
+exports.redeemLinkCode = asyncHandler(async (req, res, next) => {
+  if (!req.body.code) {
+    return next(new ErrorResponse('Please provide the link code', 400));
+  }
+
+  const link = await GuardianLink.findOne({
+    tokenHash: GuardianLink.hashToken(req.body.code),
+    method: 'code',
+    status: 'pending',
+    expiresAt: { $gt: Date.now() }
+  });
+
+  if (!link) {
+    return next(new ErrorResponse('Invalid or expired link code', 400));
+  }
+
+  await activateLink(link, req.user, req.body.relationship);
+
+  res.status(200).json({
+    success: true,
+    data: link
+  });
+});
+
+// @desc    Get guardian links
+// @route   GET /api/guardians/links
+// @access  Private
+exports.getLinks = asyncHandler(async (req, res, next) => {
+  const { parent, student, status } = req.query;
+  let query = {};
+
+  if (status) query.status = status;
+
+  // Role-based filtering
+  if (hasPermission(req.user, 'guardians:manage')) {
+    if (parent) query.parent = parent;
+    if (student) query.student = student;
+  } else if (req.user.role === 'parent') {
+    query.parent = req.user.id;
+  } else if (req.user.role === 'student') {
+    query.student = req.user.id;
+  } else {
+    return next(new ErrorResponse('Not authorized to view guardian links', 403));
+  }
+
+  const links = await GuardianLink.find(query)
+    .populate('parent', 'firstName lastName email profile.phone')
+    .populate('student', 'firstName lastName email profile.studentId')
+    .sort('-createdAt');
+
+  res.status(200).json({
+    success: true,
+    count: links.length,
+    data: links
+  });
+});
+
+// @desc    Revoke a guardian link
+// @route   DELETE /api/guardians/links/:id
+// @access  Private (linked parent, linked student or Admin)
+exports.revokeLink = asyncHandler(async (req, res, next) => {
+  const link = await GuardianLink.findById(req.params.id);
+
+  if (!link) {
+    return next(new ErrorResponse(`Guardian link not found with id of ${req.params.id}`, 404));
+  }
+
+  const isParty =
+    (link.parent && link.parent.toString() === req.user.id) ||
+    link.student.toString() === req.user.id;
+
+  if (!hasPermission(req.user, 'guardians:manage') && !isParty) {
+    return next(new ErrorResponse('Not authorized to revoke this guardian link', 403));
+  }
+
+  link.status = 'revoked';
+  link.revokedAt = Date.now();
+  link.revokedBy = req.user.id;
+  link.tokenHash = undefined;
+  link.updatedAt = Date.now();
+  await link.save();
+
+  res.status(200).json({
+    success: true,
+    data: link
+  });
+});
+
+// @desc    Get my linked children
+// @route   GET /api/guardians/children
+// @access  Private/Parent
+exports.getChildren = asyncHandler(async (req, res, next) => {
+  const links = await GuardianLink.find({ parent: req.user.id, status: 'active' })
+    .populate({
+      path: 'student',
+      select: 'firstName lastName email profile.studentId profile.currentClass profile.year',
+      populate: { path: 'profile.currentClass', select: 'name code level stream' }
+    });
+
+  res.status(200).json({
+    success: true,
+    count: links.length,
+    data: links.map(link => ({
+      linkId: link._id,
+      relationship: link.relationship,
+      verifiedAt: link.verifiedAt,
+      student: link.student
+    }))
+  });
+});
+
+// @desc    Get a child's submissions
+// @route   GET /api/guardians/children/:studentId/submissions
+// @access  Private/Parent
+exports.getChildSubmissions = asyncHandler(async (req, res, next) => {
+  const submissions = await Submission.find({ student: req.params.studentId })
+    .populate('assignment', 'title dueDate totalMarks')
+    .populate('gradedBy', 'firstName lastName')
+    .select('-plagiarismReport')
+    .sort('-submitDate');
+
+  res.status(200).json({
+    success: true,
+    count: submissions.length,
+    data: submissions
+  });
+});
+
+// @desc    Get a child's published gradebooks
+// @route   GET /api/guardians/children/:studentId/gradebooks
+// @access  Private/Parent
+exports.getChildGradebooks = asyncHandler(async (req, res, next) => {
+  const { academicYear, term } = req.query;
+  let query = { student: req.params.studentId, isPublished: true };
+
+  if (academicYear) query.academicYear = academicYear;
+  if (term) query.term = term;
+
+  const gradebooks = await Gradebook.find(query)
+    .populate('class', 'name code')
+    .populate('subject', 'name code')
+    .populate('teacher', 'firstName lastName')
+    .sort('academicYear term');
+
+  res.status(200).json({
+    success: true,
+    count: gradebooks.length,
+    data: gradebooks
+  });
+});
+
+// @desc    Get a child's attendance
+// @route   GET /api/guardians/children/:studentId/attendance
+// @access  Private/Parent
+exports.getChildAttendance = asyncHandler(async (req, res, next) => {
+  let query = { 'records.student': req.params.studentId };
+
+  if (req.query.startDate && req.query.endDate) {
+    query.date = {
+      $gte: new Date(req.query.startDate),
+      $lte: new Date(req.query.endDate)
+    };
+  }
+
+  const attendance = await Attendance.find(query)
+    .populate('class', 'name code')
+    .populate('subject', 'name code')
+    .sort('-date');
+
+  // Only expose this child's own record from each register
+  const data = attendance.map(entry => {
+    const record = entry.records.find(r => r.student.toString() === req.params.studentId);
+    return {
+      _id: entry._id,
+      class: entry.class,
+      subject: entry.subject,
+      date: entry.date,
+      session: entry.session,
+      status: record.status,
+      remark: record.remark,
+      timeIn: record.timeIn,
+      timeOut: record.timeOut
+    };
+  });
+
+  res.status(200).json({
+    success: true,
+    count: data.length,
+    data
+  });
+});
+
+// @desc    Get a child's notifications
+// @route   GET /api/guardians/children/:studentId/notifications
+// @access  Private/Parent
+exports.getChildNotifications = asyncHandler(async (req, res, next) => {
+  const notifications = await Notification.find({ recipient: req.params.studentId })
+    .sort('-createdAt')
+    .limit(100)
+    .populate('sender', 'firstName lastName');
+
+  res.status(200).json({
+    success: true,
+    count: notifications.length,
+    data: notifications
+  });
+});
+
+// Helper Functions
+
+async function activateLink(link, parent, relationship) {
+  const alreadyLinked = await getLinkedStudentIds(parent._id);
+  if (alreadyLinked.includes(link.student.toString())) {
+    throw new ErrorResponse('You are already linked to this student', 400);
+  }
+
+  link.parent = parent._id;
+  link.status = 'active';
+  link.verifiedAt = Date.now();
+  link.tokenHash = undefined;
+  link.expiresAt = undefined;
+  link.updatedAt = Date.now();
+  if (relationship) link.relationship = relationship;
+  await link.save();
+
+  await Notification.create({
+    recipient: link.student,
+    sender: parent._id,
+    title: 'Guardian linked',
+    message: `${parent.firstName} ${parent.lastName} is now linked to your account as ${link.relationship || 'a guardian'}`,
+    notificationType: 'system'
+  });
+}
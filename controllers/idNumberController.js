@@ -0,0 +1,212 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const IdNumber = require('../models/IdNumber');
+const Setting = require('../models/Setting');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/async');
+const config = require('../config/config');
+const { setAuditAction } = require('../utils/audit');
+const {
+  ID_FIELDS,
+  FORMATS_KEY,
+  getFormats,
+  validateTemplate,
+  renderTemplate,
+  assignIdNumber
+} = require('../utils/idNumbers');
+
+// @desc    Get student and teacher ID number formats
+// @route   GET /api/id-numbers/formats
+// @access  Private/Admin
+exports.getIdFormats = asyncHandler(async (req, res, next) => {
+  const formats = await getFormats();
+
+  res.status(200).json({
+    success: true,
+    data: withExamples(formats)
+  });
+});
+
+// @desc    Update student and/or teacher ID number formats
+// @route   PUT /api/id-numbers/formats
+// @access  Private/Admin
+exports.updateIdFormats = asyncHandler(async (req, res, next) => {
+  const current = await getFormats();
+  const formats = { ...current };
+
+  for (const role of Object.keys(ID_FIELDS)) {
+    if (req.body[role] === undefined) continue;
+
+    const error = validateTemplate(req.body[role], role);
+    if (error) {
+      return next(new ErrorResponse(`Invalid ${role} ID format: ${error}`, 400));
+    }
+    formats[role] = req.body[role].trim();
+  }
+
+  await Setting.setValue(FORMATS_KEY, formats, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: withExamples(formats)
+  });
+});
+
+// @desc    Get issued, reserved and retired ID numbers
+// @route   GET /api/id-numbers
+// @access  Private/Admin
+exports.getIdNumbers = asyncHandler(async (req, res, next) => {
+  const { idType, status, value, user } = req.query;
+  const query = {};
+
+  if (user && !mongoose.isValidObjectId(user)) {
+    return next(new ErrorResponse('Invalid user id', 400));
+  }
+
+  if (idType) query.idType = idType;
+  if (status) query.status = status;
+  if (value) query.value = value;
+  if (user) query.user = user;
+
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(
+    parseInt(req.query.limit) || config.pagination.defaultLimit,
+    config.pagination.maxLimit
+  );
+
+  const idNumbers = await IdNumber.find(query)
+    .populate('user', 'firstName lastName email role')
+    .populate('createdBy', 'firstName lastName')
+    .sort('-createdAt')
+    .skip((page - 1) * limit)
+    .limit(limit);
+
+  const total = await IdNumber.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    count: idNumbers.length,
+    total,
+    totalPages: Math.ceil(total / limit),
+    currentPage: page,
+    data: idNumbers
+  });
+});
+
+// @desc    Reserve an ID number so it is never generated or assigned
+// @route   POST /api/id-numbers/reservations
+// @access  Private/Admin
+exports.reserveIdNumber = asyncHandler(async (req, res, next) => {
+  const { idType, reason } = req.body;
+  const value = typeof req.body.value === 'string' ? req.body.value.trim() : '';
+
+  if (!Object.values(ID_FIELDS).includes(idType)) {
+    return next(new ErrorResponse(`idType must be one of: ${Object.values(ID_FIELDS).join(', ')}`, 400));
+  }
+
+  if (!value) {
+    return next(new ErrorResponse('Please provide the ID number to reserve', 400));
+  }
+
+  const existing = await IdNumber.findOne({ idType, value });
+  const holder = await User.exists({ [`profile.${idType}`]: value });
+  if (existing || holder) {
+    const state = existing && existing.status !== 'assigned' ? existing.status : 'already in use';
+    return next(new ErrorResponse(`${idType} ${value} is ${state}`, 400));
+  }
+
+  const idNumber = await IdNumber.create({
+    idType,
+    value,
+    status: 'reserved',
+    reason,
+    createdBy: req.user.id
+  });
+
+  res.status(201).json({
+    success: true,
+    data: idNumber
+  });
+});
+
+// @desc    Generate ID numbers for existing accounts (e.g. legacy accounts)
+// @route   POST /api/id-numbers/regenerate
+// @access  Private/Admin
+exports.regenerateIdNumbers = asyncHandler(async (req, res, next) => {
+  const { role, users } = req.body;
+  const missingOnly = req.body.missingOnly !== false && req.body.missingOnly !== 'false';
+  const field = ID_FIELDS[role];
+
+  if (!field) {
+    return next(new ErrorResponse(`Role must be one of: ${Object.keys(ID_FIELDS).join(', ')}`, 400));
+  }
+
+  if (users !== undefined && (!Array.isArray(users) || users.some(id => !mongoose.isValidObjectId(id)))) {
+    return next(new ErrorResponse('users must be a list of user ids', 400));
+  }
+
+  // Replacing numbers people already use must name the accounts
+  if (!missingOnly && !(users && users.length > 0)) {
+    return next(new ErrorResponse('Please list the users whose existing ID numbers should be replaced', 400));
+  }
+
+  const query = { role };
+  if (users) query._id = { $in: users };
+  if (missingOnly) {
+    query.$or = [
+      { [`profile.${field}`]: { $exists: false } },
+      { [`profile.${field}`]: null },
+      { [`profile.${field}`]: '' }
+    ];
+  }
+
+  const total = await User.countDocuments(query);
+  const accounts = await User.find(query).sort('createdAt').limit(REGENERATE_BATCH_SIZE);
+
+  setAuditAction('user.regenerate_id');
+
+  const results = [];
+  for (const user of accounts) {
+    const previous = user.profile[field] || null;
+
+    try {
+      await assignIdNumber(user);
+      await user.save({ validateBeforeSave: false });
+      results.push({ user: user._id, email: user.email, previous, current: user.profile[field] });
+    } catch (err) {
+      results.push({ user: user._id, email: user.email, previous, error: err.message });
+    }
+  }
+
+  const failed = results.filter(r => r.error).length;
+
+  res.status(200).json({
+    success: true,
+    summary: {
+      matched: total,
+      processed: results.length,
+      regenerated: results.length - failed,
+      failed,
+      // Call again to continue with the next batch
+      remaining: total - results.length
+    },
+    data: results
+  });
+});
+
+// Helper Functions
+
+const REGENERATE_BATCH_SIZE = 500;
+
+// Show what each format produces for the first number of the year
+function withExamples(formats) {
+  const year = new Date().getFullYear();
+
+  return Object.keys(ID_FIELDS).reduce((data, role) => {
+    data[role] = {
+      template: formats[role],
+      example: renderTemplate(formats[role], { year, level: 'S1', seq: 1 })
+    };
+    return data;
+  }, {});
+}
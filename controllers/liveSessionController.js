@@ -4,6 +4,8 @@ const LiveSession = require("../models/LiveSession");
 const User = require("../models/User");
 const Class = require("../models/Class");
 const { sendNotification } = require("../utils/notifications");
+const { hasPermission } = require("../utils/permissions");
+const { resolveTopicTags } = require("../utils/syllabus");
 
 // @desc    Create a new live session
 // @route   POST /api/live-sessions
@@ -12,10 +14,10 @@ exports.createLiveSession = asyncHandler(async (req, res, next) => {
   // Add teacher to req.body
   req.body.teacher = req.user.id;
 
-  // Check if user is teacher
-  if (req.user.role !== "teacher") {
+  // Check if user may host live sessions
+  if (!hasPermission(req.user, "live_sessions:host")) {
     return next(
-      new ErrorResponse("Only teachers can create live sessions", 403)
+      new ErrorResponse("Not authorized to create live sessions", 403)
     );
   }
 
@@ -45,6 +47,18 @@ exports.createLiveSession = asyncHandler(async (req, res, next) => {
     );
   }
 
+  // Check syllabus topic tags
+  if (req.body.topics !== undefined) {
+    const tags = await resolveTopicTags(req.body.topics, {
+      subject: req.body.subject,
+      class: req.body.class,
+    });
+    if (tags.error) {
+      return next(new ErrorResponse(tags.error, 400));
+    }
+    req.body.topics = tags.topics;
+  }
+
   // Create session
   const session = await LiveSession.create(req.body);
 
@@ -225,18 +239,38 @@ exports.updateLiveSession = asyncHandler(async (req, res, next) => {
     );
   }
 
-  // Check if session has already started
-  if (session.status === "live" || session.status === "ended") {
+  // Once started, only the topics covered can still be recorded
+  const started = session.status === "live" || session.status === "ended";
+  if (started && Object.keys(req.body).some((field) => field !== "topics")) {
     return next(
       new ErrorResponse("Cannot update a session that has already started", 400)
     );
   }
 
+  // Topics must still fit if the class or subject changes
+  if (req.body.topics !== undefined || req.body.class || req.body.subject) {
+    const tags = await resolveTopicTags(req.body.topics ?? session.topics, {
+      subject: req.body.subject || session.subject,
+      class: req.body.class || session.class,
+    });
+    if (tags.error) {
+      return next(new ErrorResponse(tags.error, 400));
+    }
+    req.body.topics = tags.topics;
+  }
+
   session = await LiveSession.findByIdAndUpdate(req.params.id, req.body, {
     new: true,
     runValidators: true,
   });
 
+  if (started) {
+    return res.status(200).json({
+      success: true,
+      data: session,
+    });
+  }
+
   // Notify students about update
   const students = await User.find({
     role: "student",
@@ -557,11 +591,11 @@ exports.addChatMessage = asyncHandler(async (req, res, next) => {
 
 // Helper function to check session access
 const checkSessionAccess = async (session, user) => {
-  // Admins have access to everything
-  if (user.role === "admin") return true;
+  // Users who manage all live sessions have access to everything
+  if (hasPermission(user, "live_sessions:manage_all")) return true;
 
-  // Teacher can access their own sessions
-  if (user.role === "teacher" && session.teacher.toString() === user.id) {
+  // Hosts can access their own sessions
+  if (session.teacher.toString() === user.id) {
     return true;
   }
 
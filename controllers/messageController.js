@@ -5,6 +5,7 @@ const AcademicEnrollment = require("../models/AcademicEnrollment");
 const ErrorResponse = require("../utils/errorResponse");
 const asyncHandler = require("../middleware/async");
 const { sendNotification } = require("../utils/notifications");
+const { hasPermission } = require("../utils/permissions");
 
 // @desc    Get all messages
 // @route   GET /api/messages
@@ -305,8 +306,8 @@ exports.deleteMessage = asyncHandler(async (req, res, next) => {
 
 // Helper function to check message access
 const checkMessageAccess = async (user, message) => {
-  // Admins have access to everything
-  if (user.role === "admin") return true;
+  // Users who may read all messages have access to everything
+  if (hasPermission(user, "messages:read_all")) return true;
 
   // Sender or recipient has access
   if (
@@ -462,7 +463,7 @@ exports.getUsersForMessaging = asyncHandler(async (req, res, next) => {
       const studentIds = enrollments.map((e) => e.student);
       query._id = { $in: studentIds };
     }
-  } else if (req.user.role === "admin") {
+  } else if (hasPermission(req.user, "messages:read_all")) {
     // Admins can message everyone
     if (role) {
       query.role = role;
@@ -1,6 +1,7 @@
 const Notification = require('../models/Notification');
 const ErrorResponse = require('../utils/errorResponse');
 const asyncHandler = require('../middleware/async');
+const { hasPermission } = require('../utils/permissions');
 
 // @desc    Get all notifications
 // @route   GET /api/notifications
@@ -22,8 +23,8 @@ exports.getNotifications = asyncHandler(async (req, res, next) => {
 // @route   POST /api/notifications
 // @access  Private/Admin/Teacher
 exports.createNotification = asyncHandler(async (req, res, next) => {
-  // Only admins and teachers can create notifications for other users
-  if (req.user.role !== 'admin' && req.user.role !== 'teacher' && req.body.recipient && req.body.recipient !== req.user.id) {
+  // Only users who may send notifications can create them for other users
+  if (!hasPermission(req.user, 'notifications:send') && req.body.recipient && req.body.recipient !== req.user.id) {
     return next(
       new ErrorResponse('Not authorized to create notifications for other users', 403)
     );
@@ -54,8 +55,8 @@ exports.updateNotification = asyncHandler(async (req, res, next) => {
     );
   }
 
-  // Check if user is admin, teacher, or the sender
-  if (req.user.role !== 'admin' && req.user.role !== 'teacher' && notification.sender.toString() !== req.user.id) {
+  // Check if user may send notifications or is the sender
+  if (!hasPermission(req.user, 'notifications:send') && notification.sender.toString() !== req.user.id) {
     return next(
       new ErrorResponse('Not authorized to update this notification', 403)
     );
@@ -135,11 +136,10 @@ exports.deleteNotification = asyncHandler(async (req, res, next) => {
     );
   }
 
-  // Check if user is recipient, admin, teacher, or the sender
+  // Check if user is recipient, may send notifications, or is the sender
   if (
     notification.recipient.toString() !== req.user.id && 
-    req.user.role !== 'admin' && 
-    req.user.role !== 'teacher' && 
+    !hasPermission(req.user, 'notifications:send') && 
     (notification.sender && notification.sender.toString() !== req.user.id)
   ) {
     return next(
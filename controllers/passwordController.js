@@ -0,0 +1,203 @@
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Setting = require('../models/Setting');
+const ErrorResponse = require('../utils/errorResponse');
+const sendEmail = require('../utils/emailService');
+const passwords = require('../utils/passwords');
+const { setAuditAction } = require('../utils/audit');
+const config = require('../config/config');
+
+const BOOLEAN_OPTIONS = [
+  'requireUppercase',
+  'requireLowercase',
+  'requireNumber',
+  'requireSymbol',
+  'checkBreached'
+];
+
+// Allowed ranges for numeric options
+const NUMBER_OPTIONS = {
+  minLength: [6, 128],
+  historySize: [0, 24],
+  maxAgeDays: [0, 3650]
+};
+
+const RESET_METHODS = ['link', 'temporary'];
+
+// @desc    Get the password policy
+// @route   GET /api/auth/password-policy
+// @access  Public
+exports.getPasswordPolicy = async (req, res, next) => {
+  try {
+    const policy = await passwords.getPolicy();
+
+    res.status(200).json({
+      success: true,
+      data: policy
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Update the password policy
+// @route   PUT /api/auth/password-policy
+// @access  Private/Admin
+exports.updatePasswordPolicy = async (req, res, next) => {
+  try {
+    const current = await passwords.getPolicy();
+    const policy = { ...current };
+
+    for (const option of BOOLEAN_OPTIONS) {
+      if (req.body[option] === undefined) continue;
+      if (typeof req.body[option] !== 'boolean') {
+        return next(new ErrorResponse(`${option} must be true or false`, 400));
+      }
+      policy[option] = req.body[option];
+    }
+
+    for (const [option, [min, max]] of Object.entries(NUMBER_OPTIONS)) {
+      if (req.body[option] === undefined) continue;
+      const value = Number(req.body[option]);
+      if (!Number.isInteger(value) || value < min || value > max) {
+        return next(new ErrorResponse(`${option} must be a whole number from ${min} to ${max}`, 400));
+      }
+      policy[option] = value;
+    }
+
+    await Setting.setValue(passwords.POLICY_KEY, policy, req.user.id);
+
+    // Existing passwords are checked against the new rules when next changed
+    res.status(200).json({
+      success: true,
+      data: policy
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Reset a user's password (emailed link or temporary password)
+// @route   POST /api/users/:id/reset-password
+// @access  Private/Admin
+exports.resetUserPassword = async (req, res, next) => {
+  try {
+    const method = req.body.method || 'link';
+    const notify = req.body.sendEmail !== false && req.body.sendEmail !== 'false';
+
+    if (!RESET_METHODS.includes(method)) {
+      return next(new ErrorResponse(`method must be one of: ${RESET_METHODS.join(', ')}`, 400));
+    }
+
+    if (method === 'link' && !notify) {
+      return next(new ErrorResponse('A reset link can only be delivered by email', 400));
+    }
+
+    const user = await User.findById(req.params.id).select('+passwordHistory');
+
+    if (!user) {
+      return next(new ErrorResponse(`User not found with id of ${req.params.id}`, 404));
+    }
+
+    if (!user.isActive) {
+      return next(new ErrorResponse('Deactivated accounts cannot have their password reset', 400));
+    }
+
+    if (user._id.equals(req.user._id)) {
+      return next(new ErrorResponse('Change your own password from your profile', 400));
+    }
+
+    setAuditAction('user.reset_password');
+
+    let temporaryPassword;
+    let resetUrl;
+
+    if (method === 'temporary') {
+      const policy = await passwords.getPolicy();
+      temporaryPassword = passwords.generateTemporaryPassword(policy);
+      passwords.setPassword(user, temporaryPassword, policy, { temporary: true });
+    } else {
+      const resetToken = user.getResetPasswordToken();
+      user.resetPasswordExpire = Date.now() + config.security.adminResetLinkExpire;
+      // The current password still works until then, but only to change it
+      user.mustChangePassword = true;
+      resetUrl = `${process.env.FRONTEND_URL}/reset-password?token=${resetToken}`;
+    }
+
+    user.resetLoginFailures();
+    await user.save({ validateBeforeSave: false });
+
+    // Sign out every device that may have been using the old password
+    await Session.updateMany(
+      { user: user._id, revokedAt: { $exists: false } },
+      { revokedAt: Date.now(), revokedReason: 'revoked', revokedBy: req.user._id }
+    );
+
+    let emailSent = false;
+    if (notify) {
+      try {
+        await sendResetEmail(user, { resetUrl, temporaryPassword });
+        emailSent = true;
+      } catch (err) {
+        console.error('Admin password reset email error:', err);
+      }
+    }
+
+    if (method === 'link' && !emailSent) {
+      return next(new ErrorResponse('The reset link could not be emailed, please try again', 500));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        method,
+        emailSent,
+        // Only hand back a password that was not delivered by email
+        temporaryPassword: emailSent ? undefined : temporaryPassword
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Helper Functions
+
+async function sendResetEmail(user, { resetUrl, temporaryPassword }) {
+  const loginUrl = `${process.env.FRONTEND_URL}/login`;
+  const hours = Math.round(config.security.adminResetLinkExpire / (60 * 60 * 1000));
+
+  await sendEmail({
+    email: user.email,
+    subject: `Your password has been reset - ${process.env.APP_NAME}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #2d3748;">Your password has been reset</h2>
+        <p>Hello ${user.firstName},</p>
+        <p>An administrator reset the password of your ${process.env.APP_NAME} account and signed you out of every device.</p>
+        ${temporaryPassword
+          ? `<p><strong>Temporary password:</strong> ${temporaryPassword}</p>
+        <p>You will be asked to choose a new password when you sign in.</p>`
+          : `<p>Choose a new password with the button below. The link works for ${hours} hours.</p>`}
+
+        <div style="margin: 25px 0; text-align: center;">
+          <a href="${resetUrl || loginUrl}"
+             style="background-color: #4299e1; color: white;
+                    padding: 12px 24px; text-decoration: none;
+                    border-radius: 4px; font-weight: bold;
+                    display: inline-block;">
+            ${temporaryPassword ? 'Sign In' : 'Choose New Password'}
+          </a>
+        </div>
+
+        <p>If you didn't ask for this, please contact your school administrator.</p>
+
+        <hr style="border: 0; border-top: 1px solid #e2e8f0; margin: 20px 0;">
+
+        <p style="font-size: 0.8em; color: #718096;">
+          © ${new Date().getFullYear()} ${process.env.APP_NAME}
+        </p>
+      </div>
+    `
+  });
+}
@@ -0,0 +1,285 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Subject = require('../models/Subject');
+const Notification = require('../models/Notification');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/async');
+const config = require('../config/config');
+const { setAuditAction } = require('../utils/audit');
+const {
+  SUBMITTED_FIELDS,
+  documentsFromFiles,
+  buildQualification
+} = require('../utils/qualifications');
+
+// @desc    Submit a qualification with supporting documents for review
+// @route   POST /api/qualifications
+// @access  Private/Teacher
+exports.submitQualification = asyncHandler(async (req, res, next) => {
+  if (req.user.role !== 'teacher') {
+    return next(new ErrorResponse('Only teachers can submit qualifications', 403));
+  }
+
+  if (!req.files || req.files.length === 0) {
+    return next(new ErrorResponse('Please upload at least one supporting document', 400));
+  }
+
+  const subjectError = await validateSubject(req.body.subject);
+  if (subjectError) return next(subjectError);
+
+  const user = await User.findById(req.user.id);
+  const qualifications = user.profile.qualifications || [];
+
+  const awaitingReview = qualifications.some(
+    q => q.status === 'pending' && q.subject && q.subject.toString() === req.body.subject
+  );
+  if (awaitingReview) {
+    return next(
+      new ErrorResponse('You already have a qualification for this subject awaiting review', 400)
+    );
+  }
+
+  user.profile.qualifications.push(
+    buildQualification(req.body, req.files, req.body.documentDescription)
+  );
+
+  setAuditAction('qualification.submit');
+  await user.save();
+
+  const qualification = user.profile.qualifications[user.profile.qualifications.length - 1];
+
+  res.status(201).json({
+    success: true,
+    data: qualification
+  });
+});
+
+// @desc    Get my qualifications and their review status
+// @route   GET /api/qualifications/me
+// @access  Private/Teacher
+exports.getMyQualifications = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id)
+    .select('profile.qualifications')
+    .populate('profile.qualifications.subject', 'name code')
+    .populate('profile.qualifications.reviewedBy', 'firstName lastName');
+
+  const qualifications = user.profile.qualifications || [];
+
+  res.status(200).json({
+    success: true,
+    count: qualifications.length,
+    data: qualifications
+  });
+});
+
+// @desc    Update a pending or rejected qualification and resubmit it for review
+// @route   PUT /api/qualifications/:id
+// @access  Private/Teacher (owner)
+exports.resubmitQualification = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+  const qualification = user.profile.qualifications.id(req.params.id);
+
+  if (!qualification) {
+    return next(new ErrorResponse(`Qualification not found with id of ${req.params.id}`, 404));
+  }
+
+  if (qualification.status === 'approved') {
+    return next(
+      new ErrorResponse('Approved qualifications cannot be changed, please submit a new one', 400)
+    );
+  }
+
+  if (req.body.subject !== undefined) {
+    const subjectError = await validateSubject(req.body.subject);
+    if (subjectError) return next(subjectError);
+  }
+
+  SUBMITTED_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined && req.body[field] !== '') {
+      qualification[field] = req.body[field];
+    }
+  });
+
+  if (req.files && req.files.length > 0) {
+    qualification.documents.push(...documentsFromFiles(req.files, req.body.documentDescription));
+  }
+
+  if (qualification.documents.length === 0) {
+    return next(new ErrorResponse('Please upload at least one supporting document', 400));
+  }
+
+  // Back into the review queue
+  qualification.status = 'pending';
+  qualification.submittedAt = Date.now();
+  qualification.rejectionReason = undefined;
+  qualification.reviewedBy = undefined;
+  qualification.reviewedAt = undefined;
+
+  setAuditAction('qualification.resubmit');
+  await user.save();
+
+  res.status(200).json({
+    success: true,
+    data: qualification
+  });
+});
+
+// @desc    Get qualifications for review
+// @route   GET /api/qualifications
+// @access  Private/Admin
+exports.getQualifications = asyncHandler(async (req, res, next) => {
+  const { status = 'pending', subject, teacher } = req.query;
+
+  for (const [name, value] of Object.entries({ subject, teacher })) {
+    if (value && !mongoose.isValidObjectId(value)) {
+      return next(new ErrorResponse(`Invalid ${name} id`, 400));
+    }
+  }
+
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(
+    parseInt(req.query.limit) || config.pagination.defaultLimit,
+    config.pagination.maxLimit
+  );
+
+  const userMatch = { role: 'teacher' };
+  if (teacher) userMatch._id = new mongoose.Types.ObjectId(teacher);
+
+  const qualificationMatch = {};
+  if (status !== 'all') qualificationMatch['qualification.status'] = status;
+  if (subject) qualificationMatch['qualification.subject'] = new mongoose.Types.ObjectId(subject);
+
+  const [result] = await User.aggregate([
+    { $match: userMatch },
+    { $unwind: '$profile.qualifications' },
+    {
+      $project: {
+        teacher: {
+          _id: '$_id',
+          firstName: '$firstName',
+          lastName: '$lastName',
+          email: '$email',
+          teacherId: '$profile.teacherId'
+        },
+        qualification: '$profile.qualifications'
+      }
+    },
+    { $match: qualificationMatch },
+    // Oldest submissions first, they have waited longest
+    { $sort: { 'qualification.submittedAt': 1, _id: 1 } },
+    {
+      $facet: {
+        data: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  const entries = await User.populate(result.data, [
+    { path: 'qualification.subject', model: 'Subject', select: 'name code' },
+    { path: 'qualification.reviewedBy', model: 'User', select: 'firstName lastName' }
+  ]);
+  const total = result.total.length > 0 ? result.total[0].count : 0;
+
+  res.status(200).json({
+    success: true,
+    count: entries.length,
+    total,
+    totalPages: Math.ceil(total / limit),
+    currentPage: page,
+    data: entries.map(entry => ({ ...entry.qualification, teacher: entry.teacher }))
+  });
+});
+
+// @desc    Approve or reject a qualification
+// @route   PUT /api/qualifications/:id/review
+// @access  Private/Admin
+exports.reviewQualification = asyncHandler(async (req, res, next) => {
+  const { status, reason } = req.body;
+
+  if (!['approved', 'rejected'].includes(status)) {
+    return next(new ErrorResponse('Status must be either approved or rejected', 400));
+  }
+
+  if (status === 'rejected' && (!reason || !reason.trim())) {
+    return next(new ErrorResponse('Please provide a reason for rejecting the qualification', 400));
+  }
+
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return next(new ErrorResponse(`Qualification not found with id of ${req.params.id}`, 404));
+  }
+
+  const teacher = await User.findOne({ 'profile.qualifications._id': req.params.id });
+  if (!teacher) {
+    return next(new ErrorResponse(`Qualification not found with id of ${req.params.id}`, 404));
+  }
+
+  if (teacher.id === req.user.id) {
+    return next(new ErrorResponse('You cannot review your own qualification', 403));
+  }
+
+  const qualification = teacher.profile.qualifications.id(req.params.id);
+
+  qualification.status = status;
+  qualification.reviewedBy = req.user.id;
+  qualification.reviewedAt = Date.now();
+
+  if (status === 'approved') {
+    qualification.isVerified = true;
+    qualification.verifiedBy = req.user.id;
+    qualification.verifiedAt = Date.now();
+    qualification.rejectionReason = undefined;
+  } else {
+    // Rejecting an approved qualification withdraws its verification
+    qualification.isVerified = false;
+    qualification.verifiedBy = undefined;
+    qualification.verifiedAt = undefined;
+    qualification.rejectionReason = reason.trim();
+  }
+
+  setAuditAction(status === 'approved' ? 'qualification.approve' : 'qualification.reject');
+  await teacher.save();
+
+  await notifyDecision(teacher, qualification, req.user);
+
+  res.status(200).json({
+    success: true,
+    data: qualification
+  });
+});
+
+// Helper Functions
+
+// Check a submitted subject ID refers to an existing subject
+async function validateSubject(subjectId) {
+  if (!subjectId) {
+    return new ErrorResponse('Please specify the subject the qualification covers', 400);
+  }
+
+  if (!mongoose.isValidObjectId(subjectId) || !(await Subject.exists({ _id: subjectId }))) {
+    return new ErrorResponse(`Subject not found with id of ${subjectId}`, 404);
+  }
+
+  return null;
+}
+
+// Tell the teacher about the outcome of their qualification review
+async function notifyDecision(teacher, qualification, reviewer) {
+  const subject = await Subject.findById(qualification.subject).select('name');
+  const label = [qualification.qualificationLevel, subject && subject.name]
+    .filter(Boolean)
+    .join(' in ');
+  const name = label ? `${label} qualification` : 'qualification';
+
+  const approved = qualification.status === 'approved';
+
+  await Notification.create({
+    recipient: teacher._id,
+    sender: reviewer._id,
+    title: approved ? 'Qualification approved' : 'Qualification rejected',
+    message: approved
+      ? `Your ${name} has been verified`
+      : `Your ${name} was rejected: ${qualification.rejectionReason}`,
+    notificationType: 'system'
+  });
+}
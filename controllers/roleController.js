@@ -0,0 +1,217 @@
+const mongoose = require('mongoose');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const Class = require('../models/Class');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/async');
+const { PERMISSIONS, ROLE_PERMISSIONS } = require('../config/permissions');
+
+// @desc    Get the permission registry and built-in role bundles
+// @route   GET /api/roles/permissions
+// @access  Private/Admin
+exports.getPermissions = asyncHandler(async (req, res, next) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      permissions: Object.entries(PERMISSIONS).map(([key, description]) => ({
+        key,
+        description
+      })),
+      builtInRoles: ROLE_PERMISSIONS
+    }
+  });
+});
+
+// @desc    Get all custom roles
+// @route   GET /api/roles
+// @access  Private/Admin
+exports.getRoles = asyncHandler(async (req, res, next) => {
+  const roles = await Role.find().sort('name');
+
+  res.status(200).json({
+    success: true,
+    count: roles.length,
+    data: roles
+  });
+});
+
+// @desc    Get single custom role
+// @route   GET /api/roles/:id
+// @access  Private/Admin
+exports.getRole = asyncHandler(async (req, res, next) => {
+  const role = await Role.findById(req.params.id);
+
+  if (!role) {
+    return next(new ErrorResponse(`Role not found with id of ${req.params.id}`, 404));
+  }
+
+  const grantedTo = await User.countDocuments({ 'roleGrants.role': role._id });
+
+  res.status(200).json({
+    success: true,
+    data: { ...role.toObject(), grantedTo }
+  });
+});
+
+// @desc    Create custom role
+// @route   POST /api/roles
+// @access  Private/Admin
+exports.createRole = asyncHandler(async (req, res, next) => {
+  const { name, description, permissions } = req.body;
+
+  if (ROLE_PERMISSIONS[String(name).toLowerCase()]) {
+    return next(new ErrorResponse(`${name} is a built-in role`, 400));
+  }
+
+  const role = await Role.create({
+    name,
+    description,
+    permissions,
+    createdBy: req.user.id
+  });
+
+  res.status(201).json({
+    success: true,
+    data: role
+  });
+});
+
+// @desc    Update custom role
+// @route   PUT /api/roles/:id
+// @access  Private/Admin
+exports.updateRole = asyncHandler(async (req, res, next) => {
+  const { name, description, permissions, isActive } = req.body;
+
+  if (name && ROLE_PERMISSIONS[String(name).toLowerCase()]) {
+    return next(new ErrorResponse(`${name} is a built-in role`, 400));
+  }
+
+  const role = await Role.findByIdAndUpdate(
+    req.params.id,
+    { name, description, permissions, isActive, updatedAt: Date.now() },
+    { new: true, runValidators: true }
+  );
+
+  if (!role) {
+    return next(new ErrorResponse(`Role not found with id of ${req.params.id}`, 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: role
+  });
+});
+
+// @desc    Delete custom role and remove it from every user
+// @route   DELETE /api/roles/:id
+// @access  Private/Admin
+exports.deleteRole = asyncHandler(async (req, res, next) => {
+  const role = await Role.findById(req.params.id);
+
+  if (!role) {
+    return next(new ErrorResponse(`Role not found with id of ${req.params.id}`, 404));
+  }
+
+  await User.updateMany(
+    { 'roleGrants.role': role._id },
+    { $pull: { roleGrants: { role: role._id } } }
+  );
+  await role.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+// @desc    Get a user's custom role grants
+// @route   GET /api/users/:id/grants
+// @access  Private/Admin
+exports.getUserGrants = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.params.id)
+    .select('role roleGrants')
+    .populate('roleGrants.role', 'name permissions isActive')
+    .populate('roleGrants.scope.classes', 'name code level');
+
+  if (!user) {
+    return next(new ErrorResponse(`User not found with id of ${req.params.id}`, 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    count: user.roleGrants.length,
+    data: user.roleGrants
+  });
+});
+
+// @desc    Grant a custom role to a user, optionally scoped to classes or levels
+// @route   POST /api/users/:id/grants
+// @access  Private/Admin
+exports.grantRole = asyncHandler(async (req, res, next) => {
+  const { role: roleId, scope = {} } = req.body;
+
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    return next(new ErrorResponse(`User not found with id of ${req.params.id}`, 404));
+  }
+
+  if (!mongoose.isValidObjectId(roleId)) {
+    return next(new ErrorResponse('Please provide a valid role', 400));
+  }
+
+  const role = await Role.findById(roleId);
+  if (!role) {
+    return next(new ErrorResponse(`Role not found with id of ${roleId}`, 404));
+  }
+
+  const levels = scope.levels || [];
+  const classes = scope.classes || [];
+
+  if (!Array.isArray(levels) || !Array.isArray(classes)) {
+    return next(new ErrorResponse('Scope levels and classes must be arrays', 400));
+  }
+
+  if (classes.length > 0) {
+    const found = classes.every((id) => mongoose.isValidObjectId(id))
+      ? await Class.countDocuments({ _id: { $in: classes } })
+      : 0;
+    if (found !== new Set(classes.map(String)).size) {
+      return next(new ErrorResponse('One or more scope classes were not found', 400));
+    }
+  }
+
+  user.roleGrants.push({
+    role: role._id,
+    scope: { levels, classes },
+    grantedBy: req.user.id
+  });
+  await user.save({ validateBeforeSave: false });
+
+  res.status(201).json({
+    success: true,
+    data: user.roleGrants[user.roleGrants.length - 1]
+  });
+});
+
+// @desc    Revoke a custom role grant from a user
+// @route   DELETE /api/users/:id/grants/:grantId
+// @access  Private/Admin
+exports.revokeGrant = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    return next(new ErrorResponse(`User not found with id of ${req.params.id}`, 404));
+  }
+
+  const grant = user.roleGrants.id(req.params.grantId);
+  if (!grant) {
+    return next(new ErrorResponse(`Grant not found with id of ${req.params.grantId}`, 404));
+  }
+
+  grant.deleteOne();
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
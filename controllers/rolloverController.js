@@ -0,0 +1,184 @@
+const TermRollover = require('../models/TermRollover');
+const Setting = require('../models/Setting');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/async');
+const rollover = require('../services/rolloverService');
+const { getCurrentTerm, checkOpenTerm } = require('../utils/academicTerm');
+const { validateTerm } = require('../utils/validators');
+const { setAuditAction } = require('../utils/audit');
+const config = require('../config/config');
+
+// @desc    Get the promotion rules
+// @route   GET /api/rollover/rules
+// @access  Private/Admin
+exports.getPromotionRules = asyncHandler(async (req, res, next) => {
+  const rules = await rollover.getPromotionRules();
+
+  res.status(200).json({
+    success: true,
+    data: rules
+  });
+});
+
+// @desc    Update the promotion rules
+// @route   PUT /api/rollover/rules
+// @access  Private/Admin
+exports.updatePromotionRules = asyncHandler(async (req, res, next) => {
+  const current = await rollover.getPromotionRules();
+  const rules = Object.keys(config.rollover.promotion).reduce((merged, option) => {
+    merged[option] = req.body[option] !== undefined ? req.body[option] : current[option];
+    return merged;
+  }, {});
+
+  const error = rollover.validatePromotionRules(rules);
+  if (error) {
+    return next(new ErrorResponse(error, 400));
+  }
+
+  await Setting.setValue(rollover.RULES_KEY, rules, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: rules
+  });
+});
+
+// @desc    Preview the rollover of the current term without changing anything
+// @route   POST /api/rollover/preview
+// @access  Private/Admin
+exports.previewRollover = asyncHandler(async (req, res, next) => {
+  const current = await getCurrentTerm();
+  const plan = await rollover.planRollover(current, {
+    rules: await rollover.getPromotionRules(),
+    overrides: rollover.normalizeOverrides(req.body.overrides)
+  });
+
+  res.status(200).json({
+    success: true,
+    data: plan
+  });
+});
+
+// @desc    Roll the current term over to the next one
+// @route   POST /api/rollover
+// @access  Private/Admin
+exports.startRollover = asyncHandler(async (req, res, next) => {
+  const { academicYear, term } = req.body;
+
+  // The term is named explicitly so repeating the request can't roll over
+  // the term after it
+  if (!academicYear || !validateTerm(term)) {
+    return next(new ErrorResponse('Please provide the academicYear and term being closed', 400));
+  }
+
+  const existing = await TermRollover.findOne({ academicYear: String(academicYear), term });
+
+  if (existing && existing.status === 'completed') {
+    return res.status(200).json({
+      success: true,
+      data: existing
+    });
+  }
+
+  if (existing && ['queued', 'processing'].includes(existing.status) && !isStale(existing)) {
+    return next(new ErrorResponse(`The rollover of ${term} ${academicYear} is already running`, 409));
+  }
+
+  const current = await getCurrentTerm();
+  if (current.academicYear !== String(academicYear) || current.term !== term) {
+    return next(
+      new ErrorResponse(`Only the current term (${current.term} ${current.academicYear}) can be rolled over`, 400)
+    );
+  }
+
+  const rules = await rollover.getPromotionRules();
+  const overrides = rollover.normalizeOverrides(req.body.overrides);
+  const plan = await rollover.planRollover(current, { rules, overrides });
+
+  const unplaced = plan.students.filter(s => s.problem);
+  if (unplaced.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: `${unplaced.length} students could not be placed`,
+      unplaced
+    });
+  }
+
+  const notOpen = await checkOpenTerm({ academicYear: plan.toAcademicYear, term: plan.toTerm });
+  if (notOpen) {
+    return next(new ErrorResponse(`Cannot roll over: ${notOpen}`, 400));
+  }
+
+  setAuditAction('rollover.start');
+
+  let run = existing;
+  if (run) {
+    // Resume a failed or crashed run; finished students are skipped
+    run.set({ status: 'queued', queuedAt: Date.now(), rules, overrides, startedBy: req.user.id });
+    await run.save();
+  } else {
+    run = await TermRollover.create({
+      academicYear: plan.academicYear,
+      term: plan.term,
+      toAcademicYear: plan.toAcademicYear,
+      toTerm: plan.toTerm,
+      yearEnd: plan.yearEnd,
+      rules,
+      overrides,
+      startedBy: req.user.id,
+      queuedAt: Date.now()
+    });
+  }
+
+  rollover.queueRollover(run);
+
+  res.status(202).json({
+    success: true,
+    data: run
+  });
+});
+
+// @desc    Get rollover runs
+// @route   GET /api/rollover
+// @access  Private/Admin
+exports.getRollovers = asyncHandler(async (req, res, next) => {
+  const runs = await TermRollover.find()
+    .select('-results -overrides')
+    .populate('startedBy', 'firstName lastName')
+    .sort('-createdAt');
+
+  res.status(200).json({
+    success: true,
+    count: runs.length,
+    data: runs
+  });
+});
+
+// @desc    Get a rollover run with its results
+// @route   GET /api/rollover/:id
+// @access  Private/Admin
+exports.getRollover = asyncHandler(async (req, res, next) => {
+  const run = await TermRollover.findById(req.params.id)
+    .populate('startedBy', 'firstName lastName')
+    .populate('results.student', 'firstName lastName')
+    .populate('results.fromClass', 'name level stream')
+    .populate('results.toClass', 'name level stream');
+
+  if (!run) {
+    return next(new ErrorResponse(`Rollover not found with id of ${req.params.id}`, 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: run
+  });
+});
+
+// Helper Functions
+
+// A run left queued or processing by a server that stopped can be resumed.
+// Runs queued before queuedAt was recorded count from their creation.
+function isStale(run) {
+  const since = run.status === 'processing' ? run.startedAt : run.queuedAt || run.createdAt;
+  return Date.now() - since > config.rollover.staleAfter;
+}
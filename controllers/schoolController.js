@@ -0,0 +1,238 @@
+const mongoose = require('mongoose');
+const School = require('../models/School');
+const User = require('../models/User');
+const Setting = require('../models/Setting');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/async');
+const passwords = require('../utils/passwords');
+const { currentSchool, runAsSchool, acrossSchools, forgetSchool } = require('../utils/tenancy');
+const { SCALE_KEY, getGradingScale, validateGradingScale } = require('../utils/gradingUtils');
+
+const BRANDING_FIELDS = ['displayName', 'logoUrl', 'primaryColor', 'emailFromName', 'emailFrom', 'emailFooter'];
+const ADMIN_FIELDS = ['firstName', 'lastName', 'email', 'password'];
+
+// @desc    Get the name and branding of the school a request is for
+// @route   GET /api/schools/current
+// @access  Public
+exports.getCurrentSchool = asyncHandler(async (req, res, next) => {
+  if (!req.school) {
+    return next(new ErrorResponse('No school selected (X-School header or subdomain)', 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      name: req.school.name,
+      slug: req.school.slug,
+      branding: req.school.branding
+    }
+  });
+});
+
+// @desc    Update the branding of the current school
+// @route   PUT /api/schools/current
+// @access  Private (school:manage)
+exports.updateCurrentSchool = asyncHandler(async (req, res, next) => {
+  const school = await loadCurrentSchool();
+
+  school.set('branding', { ...school.toObject().branding, ...pick(req.body.branding || {}, BRANDING_FIELDS) });
+  school.updatedAt = Date.now();
+  await school.save();
+  forgetSchool(school.slug);
+
+  res.status(200).json({
+    success: true,
+    data: school
+  });
+});
+
+// @desc    Get the grading scale of the current school
+// @route   GET /api/schools/current/grading-scale
+// @access  Private
+exports.getGradingScale = asyncHandler(async (req, res, next) => {
+  await loadCurrentSchool();
+
+  res.status(200).json({
+    success: true,
+    data: await getGradingScale()
+  });
+});
+
+// @desc    Replace the grading scale of the current school
+// @route   PUT /api/schools/current/grading-scale
+// @access  Private (school:manage)
+exports.updateGradingScale = asyncHandler(async (req, res, next) => {
+  await loadCurrentSchool();
+
+  const scale = req.body.scale;
+  const error = validateGradingScale(scale);
+  if (error) {
+    return next(new ErrorResponse(error, 400));
+  }
+
+  const sorted = scale
+    .map(({ grade, min, points }) => ({ grade: grade.trim(), min, points }))
+    .sort((a, b) => b.min - a.min);
+
+  await Setting.setValue(SCALE_KEY, sorted, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: sorted
+  });
+});
+
+// @desc    Get all schools
+// @route   GET /api/schools
+// @access  Private (schools:manage)
+exports.getSchools = asyncHandler(async (req, res, next) => {
+  const schools = await School.find().sort('name');
+
+  res.status(200).json({
+    success: true,
+    count: schools.length,
+    data: schools
+  });
+});
+
+// @desc    Get a school
+// @route   GET /api/schools/:id
+// @access  Private (schools:manage)
+exports.getSchool = asyncHandler(async (req, res, next) => {
+  const school = await School.findById(req.params.id);
+
+  if (!school) {
+    return next(new ErrorResponse(`School not found with id of ${req.params.id}`, 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: school
+  });
+});
+
+// @desc    Create a school, optionally with its first admin
+// @route   POST /api/schools
+// @access  Private (schools:manage)
+exports.createSchool = asyncHandler(async (req, res, next) => {
+  const { name, slug, isActive, branding, admin } = req.body;
+
+  let adminFields;
+  if (admin) {
+    adminFields = pick(admin, ADMIN_FIELDS);
+
+    const passwordError = passwords.checkPassword(adminFields.password, await passwords.getPolicy(), adminFields);
+    if (passwordError) {
+      return next(new ErrorResponse(passwordError, 400));
+    }
+
+    const existing = await acrossSchools(() => User.findOne({ email: adminFields.email }).exec());
+    if (existing) {
+      return next(new ErrorResponse(`User with email ${adminFields.email} already exists`, 400));
+    }
+  }
+
+  const school = await School.create({
+    name,
+    slug,
+    isActive,
+    branding: pick(branding || {}, BRANDING_FIELDS),
+    createdBy: req.user.id
+  });
+
+  let adminUser;
+  if (adminFields) {
+    adminUser = await runAsSchool(school._id, () =>
+      User.create({ ...adminFields, role: 'admin', isVerified: true, mustChangePassword: true })
+    );
+  }
+
+  res.status(201).json({
+    success: true,
+    data: school,
+    admin: adminUser
+  });
+});
+
+// @desc    Update a school
+// @route   PUT /api/schools/:id
+// @access  Private (schools:manage)
+exports.updateSchool = asyncHandler(async (req, res, next) => {
+  const school = await School.findById(req.params.id);
+
+  if (!school) {
+    return next(new ErrorResponse(`School not found with id of ${req.params.id}`, 404));
+  }
+
+  const previousSlug = school.slug;
+  const fields = pick(req.body, ['name', 'slug', 'isActive']);
+  if (req.body.branding) {
+    fields.branding = { ...school.toObject().branding, ...pick(req.body.branding, BRANDING_FIELDS) };
+  }
+
+  school.set(fields);
+  school.updatedAt = Date.now();
+  await school.save();
+
+  forgetSchool(previousSlug);
+  forgetSchool(school.slug);
+
+  res.status(200).json({
+    success: true,
+    data: school
+  });
+});
+
+// @desc    Move records that belong to no school yet into a school
+// @route   POST /api/schools/:id/adopt-records
+// @access  Private (schools:manage)
+exports.adoptRecords = asyncHandler(async (req, res, next) => {
+  const school = await School.findById(req.params.id);
+
+  if (!school) {
+    return next(new ErrorResponse(`School not found with id of ${req.params.id}`, 404));
+  }
+
+  const adopted = {};
+
+  await acrossSchools(async () => {
+    for (const name of mongoose.modelNames()) {
+      const Model = mongoose.model(name);
+      if (name === 'School' || !Model.schema.path('school')) continue;
+
+      // Super-admins stay platform users
+      const filter = { school: { $exists: false } };
+      if (name === 'User') filter.role = { $ne: 'superadmin' };
+
+      const result = await Model.updateMany(filter, { $set: { school: school._id } }).exec();
+      adopted[name] = result.modifiedCount;
+
+      // Replaces unique indexes from before schools with the per-school ones
+      await Model.syncIndexes();
+    }
+  });
+
+  res.status(200).json({
+    success: true,
+    data: adopted
+  });
+});
+
+// Helper Functions
+
+function pick(body, allowed) {
+  return allowed.reduce((fields, field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+    return fields;
+  }, {});
+}
+
+// The school the request runs in; super-admins must name one
+async function loadCurrentSchool() {
+  const school = currentSchool() && (await School.findById(currentSchool()));
+
+  if (!school) {
+    throw new ErrorResponse('Please choose a school (X-School header or subdomain)', 400);
+  }
+  return school;
+}
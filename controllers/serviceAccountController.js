@@ -0,0 +1,381 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const Class = require('../models/Class');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/async');
+const { hasPermission } = require('../utils/permissions');
+const { setAuditAction } = require('../utils/audit');
+const { PERMISSIONS, API_KEY_EXCLUDED_PERMISSIONS } = require('../config/permissions');
+const config = require('../config/config');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Fields of a service account returned by the API
+const ACCOUNT_FIELDS = 'firstName email role isActive serviceAccount createdAt';
+
+// @desc    Get all service accounts
+// @route   GET /api/service-accounts
+// @access  Private/Admin
+exports.getServiceAccounts = asyncHandler(async (req, res, next) => {
+  const accounts = await User.find({ role: 'service' })
+    .select(ACCOUNT_FIELDS)
+    .sort('firstName');
+
+  const keyCounts = await ApiKey.aggregate([
+    {
+      $match: {
+        serviceAccount: { $in: accounts.map(a => a._id) },
+        revokedAt: { $exists: false },
+        expiresAt: { $gt: new Date() }
+      }
+    },
+    { $group: { _id: '$serviceAccount', count: { $sum: 1 } } }
+  ]);
+  const countById = new Map(keyCounts.map(k => [k._id.toString(), k.count]));
+
+  res.status(200).json({
+    success: true,
+    count: accounts.length,
+    data: accounts.map(account => ({
+      ...toAccount(account),
+      activeKeys: countById.get(account._id.toString()) || 0
+    }))
+  });
+});
+
+// @desc    Create a service account
+// @route   POST /api/service-accounts
+// @access  Private/Admin
+exports.createServiceAccount = asyncHandler(async (req, res, next) => {
+  const { name, description } = req.body;
+
+  if (!name || String(name).trim().length < 2 || String(name).trim().length > 50) {
+    return next(new ErrorResponse('Name must be between 2 and 50 characters', 400));
+  }
+
+  setAuditAction('service_account.create');
+
+  const slug = String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'service';
+  const account = await User.create({
+    firstName: String(name).trim(),
+    lastName: 'Service Account',
+    // Never used to sign in or receive mail
+    email: `${slug}-${crypto.randomBytes(3).toString('hex')}@service-accounts.invalid`,
+    password: crypto.randomBytes(32).toString('base64url'),
+    role: 'service',
+    isVerified: true,
+    serviceAccount: {
+      description,
+      createdBy: req.user.id
+    }
+  });
+
+  res.status(201).json({
+    success: true,
+    data: toAccount(account)
+  });
+});
+
+// @desc    Update a service account
+// @route   PUT /api/service-accounts/:id
+// @access  Private/Admin
+exports.updateServiceAccount = asyncHandler(async (req, res, next) => {
+  const account = await findServiceAccount(req.params.id);
+
+  if (!account) {
+    return next(new ErrorResponse(`Service account not found with id of ${req.params.id}`, 404));
+  }
+
+  const { name, description } = req.body;
+
+  if (name !== undefined) {
+    if (String(name).trim().length < 2 || String(name).trim().length > 50) {
+      return next(new ErrorResponse('Name must be between 2 and 50 characters', 400));
+    }
+    account.firstName = String(name).trim();
+  }
+  if (description !== undefined) account.serviceAccount.description = description;
+
+  await account.save();
+
+  res.status(200).json({
+    success: true,
+    data: toAccount(account)
+  });
+});
+
+// @desc    Deactivate a service account and revoke all its keys
+// @route   DELETE /api/service-accounts/:id
+// @access  Private/Admin
+exports.deleteServiceAccount = asyncHandler(async (req, res, next) => {
+  const account = await findServiceAccount(req.params.id);
+
+  if (!account) {
+    return next(new ErrorResponse(`Service account not found with id of ${req.params.id}`, 404));
+  }
+
+  setAuditAction('service_account.deactivate');
+
+  // Kept, not deleted, so audit entries still name who made each change
+  account.isActive = false;
+  await account.save({ validateBeforeSave: false });
+
+  const keys = await ApiKey.find({ serviceAccount: account._id, revokedAt: { $exists: false } });
+  for (const key of keys) {
+    key.revoke('account_deactivated', req.user.id);
+    await key.save();
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { ...toAccount(account), keysRevoked: keys.length }
+  });
+});
+
+// @desc    List the API keys of a service account
+// @route   GET /api/service-accounts/:id/keys
+// @access  Private/Admin
+exports.getApiKeys = asyncHandler(async (req, res, next) => {
+  const account = await findServiceAccount(req.params.id);
+
+  if (!account) {
+    return next(new ErrorResponse(`Service account not found with id of ${req.params.id}`, 404));
+  }
+
+  const keys = await ApiKey.find({ serviceAccount: account._id })
+    .populate('createdBy', 'firstName lastName email')
+    .populate('revokedBy', 'firstName lastName email')
+    .sort('-createdAt');
+
+  res.status(200).json({
+    success: true,
+    count: keys.length,
+    data: keys.map(key => ({ ...key.toObject(), active: key.isActive() }))
+  });
+});
+
+// @desc    Create an API key (the key is only shown in this response)
+// @route   POST /api/service-accounts/:id/keys
+// @access  Private/Admin
+exports.createApiKey = asyncHandler(async (req, res, next) => {
+  const account = await findServiceAccount(req.params.id);
+
+  if (!account) {
+    return next(new ErrorResponse(`Service account not found with id of ${req.params.id}`, 404));
+  }
+
+  if (!account.isActive) {
+    return next(new ErrorResponse('This service account has been deactivated', 400));
+  }
+
+  const { name, permissions } = req.body;
+
+  if (!name || !String(name).trim()) {
+    return next(new ErrorResponse('Please give the key a name', 400));
+  }
+
+  const permissionError = checkPermissions(req.user, permissions);
+  if (permissionError) return next(permissionError);
+
+  const scope = await checkScope(req.body.scope);
+  if (scope instanceof ErrorResponse) return next(scope);
+
+  const expiresAt = expiryFrom(req.body.expiresInDays);
+  if (expiresAt instanceof ErrorResponse) return next(expiresAt);
+
+  setAuditAction('api_key.create');
+
+  const { key, prefix, keyHash } = ApiKey.generate();
+  const apiKey = await ApiKey.create({
+    name,
+    serviceAccount: account._id,
+    prefix,
+    keyHash,
+    permissions,
+    scope,
+    expiresAt,
+    createdBy: req.user.id
+  });
+
+  res.status(201).json({
+    success: true,
+    // Store it now: only a hash is kept
+    key,
+    data: withoutHash(apiKey)
+  });
+});
+
+// @desc    Rotate an API key: issue a replacement, the old key keeps working
+//          for a grace period
+// @route   POST /api/service-accounts/:id/keys/:keyId/rotate
+// @access  Private/Admin
+exports.rotateApiKey = asyncHandler(async (req, res, next) => {
+  const oldKey = await ApiKey.findOne({ _id: req.params.keyId, serviceAccount: req.params.id });
+
+  if (!oldKey) {
+    return next(new ErrorResponse(`API key not found with id of ${req.params.keyId}`, 404));
+  }
+
+  if (!oldKey.isActive()) {
+    return next(new ErrorResponse('Only active keys can be rotated', 400));
+  }
+
+  const account = await findServiceAccount(req.params.id);
+  if (!account || !account.isActive) {
+    return next(new ErrorResponse('This service account has been deactivated', 400));
+  }
+
+  // The replacement may not carry permissions the admin doesn't hold
+  const permissionError = checkPermissions(req.user, oldKey.permissions);
+  if (permissionError) return next(permissionError);
+
+  const lifetimeDays = Math.ceil((oldKey.expiresAt - oldKey.createdAt) / DAY);
+  const expiresAt = expiryFrom(req.body.expiresInDays || Math.min(lifetimeDays, config.apiKeys.maxExpiryDays));
+  if (expiresAt instanceof ErrorResponse) return next(expiresAt);
+
+  const graceHours = req.body.gracePeriodHours !== undefined
+    ? Number(req.body.gracePeriodHours)
+    : config.apiKeys.rotationGracePeriod / (60 * 60 * 1000);
+  if (!Number.isFinite(graceHours) || graceHours < 0 || graceHours > 24 * 7) {
+    return next(new ErrorResponse('gracePeriodHours must be between 0 and 168', 400));
+  }
+
+  setAuditAction('api_key.rotate');
+
+  const { key, prefix, keyHash } = ApiKey.generate();
+  const newKey = await ApiKey.create({
+    name: oldKey.name,
+    serviceAccount: oldKey.serviceAccount,
+    prefix,
+    keyHash,
+    permissions: oldKey.permissions,
+    scope: oldKey.scope,
+    expiresAt,
+    rotatedFrom: oldKey._id,
+    createdBy: req.user.id
+  });
+
+  oldKey.replacedBy = newKey._id;
+  if (graceHours === 0) {
+    oldKey.revoke('rotated', req.user.id);
+  } else {
+    const graceEnd = Date.now() + graceHours * 60 * 60 * 1000;
+    if (graceEnd < oldKey.expiresAt) oldKey.expiresAt = graceEnd;
+  }
+  await oldKey.save();
+
+  res.status(201).json({
+    success: true,
+    key,
+    data: withoutHash(newKey),
+    previous: {
+      _id: oldKey._id,
+      expiresAt: oldKey.expiresAt,
+      revokedAt: oldKey.revokedAt
+    }
+  });
+});
+
+// @desc    Revoke an API key
+// @route   DELETE /api/service-accounts/:id/keys/:keyId
+// @access  Private/Admin
+exports.revokeApiKey = asyncHandler(async (req, res, next) => {
+  const apiKey = await ApiKey.findOne({ _id: req.params.keyId, serviceAccount: req.params.id });
+
+  if (!apiKey) {
+    return next(new ErrorResponse(`API key not found with id of ${req.params.keyId}`, 404));
+  }
+
+  setAuditAction('api_key.revoke');
+
+  if (!apiKey.revokedAt) {
+    apiKey.revoke('revoked', req.user.id);
+    await apiKey.save();
+  }
+
+  res.status(200).json({
+    success: true,
+    data: apiKey
+  });
+});
+
+// Helper Functions
+
+function findServiceAccount(id) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return User.findOne({ _id: id, role: 'service' }).select(ACCOUNT_FIELDS);
+}
+
+function toAccount(account) {
+  return {
+    _id: account._id,
+    name: account.firstName,
+    description: account.serviceAccount && account.serviceAccount.description,
+    isActive: account.isActive,
+    createdBy: account.serviceAccount && account.serviceAccount.createdBy,
+    createdAt: account.createdAt
+  };
+}
+
+function withoutHash(apiKey) {
+  const data = apiKey.toObject();
+  delete data.keyHash;
+  return data;
+}
+
+// Keys may only carry known, key-safe permissions the admin holds themselves
+function checkPermissions(user, permissions) {
+  if (!Array.isArray(permissions) || permissions.length === 0) {
+    return new ErrorResponse('Please choose at least one permission', 400);
+  }
+
+  const unknown = permissions.filter(p => !Object.hasOwn(PERMISSIONS, p));
+  if (unknown.length > 0) {
+    return new ErrorResponse(`Unknown permissions: ${unknown.join(', ')}`, 400);
+  }
+
+  const excluded = permissions.filter(p => API_KEY_EXCLUDED_PERMISSIONS.includes(p));
+  if (excluded.length > 0) {
+    return new ErrorResponse(`API keys cannot have: ${excluded.join(', ')}`, 400);
+  }
+
+  const missing = permissions.filter(p => !hasPermission(user, p));
+  if (missing.length > 0) {
+    return new ErrorResponse(`You cannot grant permissions you don't hold: ${missing.join(', ')}`, 403);
+  }
+
+  return null;
+}
+
+// Optional { levels, classes } scope, as for role grants
+async function checkScope(scope = {}) {
+  const levels = scope.levels || [];
+  const classes = scope.classes || [];
+
+  if (!Array.isArray(levels) || !Array.isArray(classes)) {
+    return new ErrorResponse('Scope levels and classes must be arrays', 400);
+  }
+
+  if (classes.length > 0) {
+    const found = classes.every(id => mongoose.isValidObjectId(id))
+      ? await Class.countDocuments({ _id: { $in: classes } })
+      : 0;
+    if (found !== new Set(classes.map(String)).size) {
+      return new ErrorResponse('One or more scope classes were not found', 400);
+    }
+  }
+
+  return { levels, classes };
+}
+
+function expiryFrom(expiresInDays) {
+  const days = expiresInDays === undefined ? config.apiKeys.defaultExpiryDays : Number(expiresInDays);
+
+  if (!Number.isInteger(days) || days < 1 || days > config.apiKeys.maxExpiryDays) {
+    return new ErrorResponse(`expiresInDays must be a whole number from 1 to ${config.apiKeys.maxExpiryDays}`, 400);
+  }
+
+  return new Date(Date.now() + days * DAY);
+}
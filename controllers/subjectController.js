@@ -4,6 +4,7 @@ const User = require("../models/User");
 const AcademicEnrollment = require("../models/AcademicEnrollment");
 const ErrorResponse = require("../utils/errorResponse");
 const asyncHandler = require("../middleware/async");
+const { validatePrerequisites } = require("../services/electiveService");
 
 // @desc    Get all subjects
 // @route   GET /api/subjects
@@ -126,10 +127,9 @@ exports.getSubjects = asyncHandler(async (req, res, next) => {
 // @route   GET /api/subjects/:id
 // @access  Private
 exports.getSubject = asyncHandler(async (req, res, next) => {
-  const subject = await Subject.findById(req.params.id).populate(
-    "teachers",
-    "firstName lastName email avatar"
-  );
+  const subject = await Subject.findById(req.params.id)
+    .populate("teachers", "firstName lastName email avatar")
+    .populate("prerequisites.subject", "name code");
 
   if (!subject) {
     return next(
@@ -194,6 +194,9 @@ exports.createSubject = asyncHandler(async (req, res, next) => {
     );
   }
 
+  // Prerequisites are checked for cycles on their own endpoint
+  delete req.body.prerequisites;
+
   const subject = await Subject.create(req.body);
 
   res.status(201).json({
@@ -228,6 +231,8 @@ exports.updateSubject = asyncHandler(async (req, res, next) => {
     }
   }
 
+  delete req.body.prerequisites;
+
   subject = await Subject.findByIdAndUpdate(req.params.id, req.body, {
     new: true,
     runValidators: true,
@@ -462,3 +467,36 @@ exports.getSubjectStudents = asyncHandler(async (req, res, next) => {
     data: students,
   });
 });
+
+// @desc    Set the prerequisites of a subject
+// @route   PUT /api/subjects/:id/prerequisites
+// @access  Private/Admin
+exports.setPrerequisites = asyncHandler(async (req, res, next) => {
+  const subject = await Subject.findById(req.params.id);
+
+  if (!subject) {
+    return next(
+      new ErrorResponse(`Subject not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  const prerequisites = (req.body.prerequisites || []).map((p) => ({
+    subject: p.subject,
+    minMark: p.minMark,
+  }));
+
+  const error = await validatePrerequisites(subject._id, prerequisites);
+  if (error) {
+    return next(new ErrorResponse(error, 400));
+  }
+
+  subject.prerequisites = prerequisites;
+  subject.updatedAt = Date.now();
+  await subject.save();
+  await subject.populate("prerequisites.subject", "name code");
+
+  res.status(200).json({
+    success: true,
+    data: subject,
+  });
+});
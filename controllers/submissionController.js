@@ -10,6 +10,10 @@ const { calculateGrade } = require("../utils/gradingUtils");
 const { checkPlagiarism } = require("../utils/plagiarismChecker");
 const { sendNotification } = require("../utils/notifications");
 const { getFileInfo } = require("../utils/fileUpload");
+const { isGuardianOf } = require("../utils/guardians");
+const { hasPermission } = require("../utils/permissions");
+const { setAuditAction } = require("../utils/audit");
+const { getCoveredSubjects, isCovering } = require("../utils/substitutes");
 
 const asyncHandler = require("../middleware/async");
 
@@ -23,12 +27,13 @@ exports.gradeSubmission = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse("Submission not found", 404));
   }
 
-  // Check if user is teacher or admin
-  if (!["teacher", "admin"].includes(req.user.role)) {
+  // Check if user may grade submissions
+  if (!hasPermission(req.user, "submissions:grade")) {
     return next(new ErrorResponse("Not authorized to grade submissions", 403));
   }
 
   // Update submission with grade
+  setAuditAction("submission.grade");
   submission.grade = req.body.grade;
   submission.feedback = req.body.feedback;
   submission.gradedBy = req.user.id;
@@ -61,8 +66,8 @@ exports.gradeSubmission = asyncHandler(async (req, res, next) => {
 // @access  Private (Teacher, Admin)
 exports.getSubmissions = async (req, res, next) => {
   try {
-    // Check if user is teacher or admin
-    if (!["teacher", "admin"].includes(req.user.role)) {
+    // Check if user may view submissions
+    if (!hasPermission(req.user, "submissions:read")) {
       return next(
         new ErrorResponse("Not authorized to view all submissions", 403)
       );
@@ -77,10 +82,7 @@ exports.getSubmissions = async (req, res, next) => {
 
     // If teacher, only show submissions for their assignments
     if (req.user.role === "teacher") {
-      const assignments = await Assignment.find({
-        createdBy: req.user.id,
-      }).select("_id");
-      query.assignment = { $in: assignments.map((a) => a._id) };
+      query.assignment = { $in: await teacherAssignmentIds(req.user.id) };
     }
 
     const submissions = await Submission.find(query)
@@ -130,7 +132,7 @@ exports.getSubmission = async (req, res, next) => {
       }
     } else if (req.user.role === "teacher") {
       const assignment = await Assignment.findById(submission.assignment);
-      if (!assignment || assignment.createdBy.toString() !== req.user.id) {
+      if (!assignment || !(await teachesAssignment(req.user.id, assignment))) {
         return next(
           new ErrorResponse(
             "You are not authorized to view this submission",
@@ -415,8 +417,8 @@ exports.requestResubmission = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse("Submission not found", 404));
   }
 
-  // Check if user is teacher or admin
-  if (!["teacher", "admin"].includes(req.user.role)) {
+  // Check if user may grade submissions
+  if (!hasPermission(req.user, "submissions:grade")) {
     return next(
       new ErrorResponse("Not authorized to request resubmission", 403)
     );
@@ -458,18 +460,19 @@ exports.addParentFeedback = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse("Submission not found", 404));
   }
 
-  // Check if user is parent
-  if (req.user.role !== "parent") {
+  // Check if user is a parent linked to this student
+  if (
+    req.user.role !== "parent" ||
+    !(await isGuardianOf(req.user.id, submission.student))
+  ) {
     return next(
       new ErrorResponse("Not authorized to add parent feedback", 403)
     );
   }
 
-  submission.parentFeedback = {
-    feedback: req.body.feedback,
-    parent: req.user.id,
-    date: Date.now(),
-  };
+  submission.parentFeedback = req.body.feedback;
+  submission.parentFeedbackBy = req.user.id;
+  submission.parentFeedbackDate = Date.now();
 
   await submission.save();
 
@@ -489,8 +492,8 @@ exports.checkSubmissionPlagiarism = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse("Submission not found", 404));
   }
 
-  // Check if user is teacher or admin
-  if (!["teacher", "admin"].includes(req.user.role)) {
+  // Check if user may grade submissions
+  if (!hasPermission(req.user, "submissions:grade")) {
     return next(new ErrorResponse("Not authorized to check plagiarism", 403));
   }
 
@@ -515,8 +518,8 @@ exports.checkSubmissionPlagiarism = asyncHandler(async (req, res, next) => {
 // @route   GET /api/submissions/stats
 // @access  Private (Teacher, Admin)
 exports.getSubmissionStats = asyncHandler(async (req, res, next) => {
-  // Check if user is teacher or admin
-  if (!["teacher", "admin"].includes(req.user.role)) {
+  // Check if user may view submissions
+  if (!hasPermission(req.user, "submissions:read")) {
     return next(new ErrorResponse("Not authorized to view statistics", 403));
   }
 
@@ -546,7 +549,11 @@ exports.downloadSubmissionFile = asyncHandler(async (req, res, next) => {
   }
 
   // Check access
-  await checkSubmissionAccess(submission, req.user);
+  if (!(await checkSubmissionAccess(submission, req.user))) {
+    return next(
+      new ErrorResponse("Not authorized to access this submission", 403)
+    );
+  }
 
   const file = submission.files.find(
     (f) => f._id.toString() === req.params.fileId
@@ -561,25 +568,48 @@ exports.downloadSubmissionFile = asyncHandler(async (req, res, next) => {
 
 // Helper function to check submission access
 const checkSubmissionAccess = async (submission, user) => {
-  // Admins have access to everything
-  if (user.role === "admin") return true;
+  // Users who manage all submissions have access to everything
+  if (hasPermission(user, "submissions:manage_all")) return true;
 
   // Student can access their own submission
   if (user.role === "student" && submission.student.toString() === user.id) {
     return true;
   }
 
+  // Parents can access their linked children's submissions
+  if (user.role === "parent") {
+    return isGuardianOf(user.id, submission.student);
+  }
+
   // Teacher can access if they created the assignment
   if (user.role === "teacher") {
     const assignment = await Assignment.findById(submission.assignment);
     if (!assignment) return false;
 
-    return assignment.createdBy.toString() === user.id;
+    return teachesAssignment(user.id, assignment);
   }
 
   return false;
 };
 
+// Teachers see the submissions of their own assignments, and of the
+// assignments of classes they are covering as a substitute
+const teachesAssignment = async (teacherId, assignment) =>
+  assignment.createdBy.toString() === teacherId ||
+  isCovering(teacherId, assignment.class, assignment.subject);
+
+const teacherAssignmentIds = async (teacherId) => {
+  const covered = await getCoveredSubjects(teacherId);
+  const assignments = await Assignment.find({
+    $or: [
+      { createdBy: teacherId },
+      ...covered.map((c) => ({ class: c.class, subject: c.subject })),
+    ],
+  }).select("_id");
+
+  return assignments.map((a) => a._id);
+};
+
 // @desc    Get student's submissions
 // @route   GET /api/submissions/student
 // @access  Private/Student
@@ -619,13 +649,9 @@ exports.getTeacherSubmissions = async (req, res, next) => {
       );
     }
 
-    // Get assignments created by teacher
-    const assignments = await Assignment.find({
-      createdBy: req.user.id,
-    }).select("_id");
-
+    // Get assignments created by teacher or covered as a substitute
     const submissions = await Submission.find({
-      assignment: { $in: assignments.map((a) => a._id) },
+      assignment: { $in: await teacherAssignmentIds(req.user.id) },
     })
       .populate("assignment", "title dueDate totalMarks")
       .populate("student", "firstName lastName")
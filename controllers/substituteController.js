@@ -0,0 +1,278 @@
+const mongoose = require('mongoose');
+const SubstituteAssignment = require('../models/SubstituteAssignment');
+const Class = require('../models/Class');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/async');
+const { hasPermission, classTarget } = require('../utils/permissions');
+const { setAuditAction } = require('../utils/audit');
+const { validateDate } = require('../utils/validators');
+
+const DAY = 24 * 60 * 60 * 1000;
+const STATUSES = ['scheduled', 'active', 'expired', 'cancelled'];
+
+// @desc    Get substitute assignments
+// @route   GET /api/substitutes
+// @access  Private (classes:assign_teachers)
+exports.getSubstitutes = asyncHandler(async (req, res, next) => {
+  const { class: classId, subject, substitute, absentTeacher, status } = req.query;
+  const query = {};
+
+  if (classId) query.class = classId;
+  if (subject) query.subject = subject;
+  if (substitute) query.substitute = substitute;
+  if (absentTeacher) query.absentTeacher = absentTeacher;
+  if (status) {
+    if (!STATUSES.includes(status)) {
+      return next(new ErrorResponse(`Status must be one of: ${STATUSES.join(', ')}`, 400));
+    }
+    Object.assign(query, statusFilter(status));
+  }
+
+  const assignments = await populateAssignment(SubstituteAssignment.find(query)).sort('-startDate');
+
+  res.status(200).json({
+    success: true,
+    count: assignments.length,
+    data: assignments
+  });
+});
+
+// @desc    Get the current user's active and upcoming cover
+// @route   GET /api/substitutes/me
+// @access  Private
+exports.getMySubstitutes = asyncHandler(async (req, res, next) => {
+  const assignments = await populateAssignment(
+    SubstituteAssignment.find({
+      substitute: req.user.id,
+      endDate: { $gt: new Date(Date.now() - DAY) },
+      cancelledAt: { $exists: false }
+    })
+  ).sort('startDate');
+
+  res.status(200).json({
+    success: true,
+    count: assignments.length,
+    data: assignments
+  });
+});
+
+// @desc    Get a substitute assignment
+// @route   GET /api/substitutes/:id
+// @access  Private (classes:assign_teachers, or the substitute)
+exports.getSubstitute = asyncHandler(async (req, res, next) => {
+  const assignment = await populateAssignment(SubstituteAssignment.findById(req.params.id));
+
+  if (!assignment) {
+    return next(new ErrorResponse(`Substitute assignment not found with id of ${req.params.id}`, 404));
+  }
+
+  if (
+    !(assignment.substitute && assignment.substitute._id.equals(req.user._id)) &&
+    !hasPermission(req.user, 'classes:assign_teachers', await classTarget(assignment.class))
+  ) {
+    return next(new ErrorResponse('Not authorized to view this substitute assignment', 403));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: assignment
+  });
+});
+
+// @desc    Assign a substitute teacher to a subject in a class for a date range
+// @route   POST /api/substitutes
+// @access  Private (classes:assign_teachers)
+exports.createSubstitute = asyncHandler(async (req, res, next) => {
+  const { class: classId, subject, substitute, absentTeacher, startDate, endDate, reason } = req.body;
+
+  if (![classId, subject, substitute].every(id => mongoose.isValidObjectId(id))) {
+    return next(new ErrorResponse('Please provide the class, subject and substitute teacher', 400));
+  }
+
+  const classObj = await Class.findById(classId);
+  if (!classObj || !classObj.isActive) {
+    return next(new ErrorResponse(`Class not found with id of ${classId}`, 404));
+  }
+
+  const classSubject = classObj.subjects.find(s => s.subject.equals(subject));
+  if (!classSubject) {
+    return next(new ErrorResponse('This subject is not offered in this class', 400));
+  }
+
+  const teacher = await User.findOne({ _id: substitute, role: 'teacher', isActive: { $ne: false } });
+  if (!teacher) {
+    return next(new ErrorResponse(`Teacher not found with id of ${substitute}`, 404));
+  }
+
+  const approved = classSubject.teachers.filter(t => t.status === 'approved' && t.teacher);
+  if (approved.some(t => t.teacher.equals(teacher._id))) {
+    return next(new ErrorResponse('This teacher already teaches this subject in this class', 400));
+  }
+  if (absentTeacher && !approved.some(t => t.teacher.equals(absentTeacher))) {
+    return next(new ErrorResponse('The absent teacher does not teach this subject in this class', 400));
+  }
+
+  const dates = checkDates(startDate, endDate);
+  if (dates.error) {
+    return next(new ErrorResponse(dates.error, 400));
+  }
+
+  if (await findOverlap({ class: classObj._id, subject, substitute: teacher._id }, dates)) {
+    return next(new ErrorResponse('This teacher already covers this subject in this class during these dates', 400));
+  }
+
+  const assignment = await SubstituteAssignment.create({
+    class: classObj._id,
+    subject,
+    substitute: teacher._id,
+    absentTeacher: absentTeacher || undefined,
+    ...dates,
+    reason,
+    createdBy: req.user.id
+  });
+
+  await Notification.create({
+    recipient: teacher._id,
+    sender: req.user._id,
+    title: 'Substitute teaching',
+    message: `You are covering a subject in ${classObj.name} from ${formatDay(dates.startDate)} to ${formatDay(dates.endDate)}`,
+    relatedEntity: classObj._id,
+    relatedEntityModel: 'Class',
+    notificationType: 'system'
+  });
+
+  res.status(201).json({
+    success: true,
+    data: assignment
+  });
+});
+
+// @desc    Change the dates or reason of a substitute assignment
+// @route   PUT /api/substitutes/:id
+// @access  Private (classes:assign_teachers)
+exports.updateSubstitute = asyncHandler(async (req, res, next) => {
+  const assignment = await SubstituteAssignment.findById(req.params.id);
+
+  if (!assignment) {
+    return next(new ErrorResponse(`Substitute assignment not found with id of ${req.params.id}`, 404));
+  }
+
+  if (['expired', 'cancelled'].includes(assignment.status)) {
+    return next(new ErrorResponse(`This substitute assignment is ${assignment.status} and cannot be changed`, 400));
+  }
+
+  const startDate = req.body.startDate !== undefined ? req.body.startDate : assignment.startDate;
+  const endDate = req.body.endDate !== undefined ? req.body.endDate : assignment.endDate;
+
+  const dates = checkDates(startDate, endDate);
+  if (dates.error) {
+    return next(new ErrorResponse(dates.error, 400));
+  }
+
+  const overlap = await findOverlap(
+    { class: assignment.class, subject: assignment.subject, substitute: assignment.substitute, _id: { $ne: assignment._id } },
+    dates
+  );
+  if (overlap) {
+    return next(new ErrorResponse('This teacher already covers this subject in this class during these dates', 400));
+  }
+
+  assignment.set(dates);
+  if (req.body.reason !== undefined) assignment.reason = req.body.reason;
+  assignment.updatedAt = Date.now();
+  await assignment.save();
+
+  res.status(200).json({
+    success: true,
+    data: assignment
+  });
+});
+
+// @desc    Cancel a substitute assignment, ending the substitute's access
+// @route   PUT /api/substitutes/:id/cancel
+// @access  Private (classes:assign_teachers)
+exports.cancelSubstitute = asyncHandler(async (req, res, next) => {
+  const assignment = await SubstituteAssignment.findById(req.params.id);
+
+  if (!assignment) {
+    return next(new ErrorResponse(`Substitute assignment not found with id of ${req.params.id}`, 404));
+  }
+
+  if (['expired', 'cancelled'].includes(assignment.status)) {
+    return next(new ErrorResponse(`This substitute assignment is already ${assignment.status}`, 400));
+  }
+
+  setAuditAction('substitute.cancel');
+  assignment.cancelledAt = Date.now();
+  assignment.cancelledBy = req.user.id;
+  assignment.updatedAt = Date.now();
+  await assignment.save();
+
+  res.status(200).json({
+    success: true,
+    data: assignment
+  });
+});
+
+// Helper Functions
+
+function populateAssignment(query) {
+  return query
+    .populate('class', 'name code')
+    .populate('subject', 'name code')
+    .populate('substitute', 'firstName lastName email')
+    .populate('absentTeacher', 'firstName lastName email');
+}
+
+// Query filter for a status worked out from the dates
+function statusFilter(status) {
+  const now = new Date();
+  const notCancelled = { cancelledAt: { $exists: false } };
+
+  switch (status) {
+    case 'cancelled':
+      return { cancelledAt: { $exists: true } };
+    case 'scheduled':
+      return { ...notCancelled, startDate: { $gt: now } };
+    case 'expired':
+      return { ...notCancelled, endDate: { $lte: new Date(now.getTime() - DAY) } };
+    default:
+      return SubstituteAssignment.activeOn(now);
+  }
+}
+
+// Check a date range, which must not have ended already. Returns
+// { startDate, endDate } or { error }.
+function checkDates(startDate, endDate) {
+  if (!startDate || !endDate || !validateDate(startDate) || !validateDate(endDate)) {
+    return { error: 'Please provide a valid startDate and endDate' };
+  }
+
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+
+  if (end < start) {
+    return { error: 'endDate cannot be before startDate' };
+  }
+  if (end.getTime() + DAY <= Date.now()) {
+    return { error: 'The cover would already be over' };
+  }
+
+  return { startDate: start, endDate: end };
+}
+
+// Another live assignment of the same cover whose dates overlap
+function findOverlap(filter, { startDate, endDate }) {
+  return SubstituteAssignment.exists({
+    ...filter,
+    cancelledAt: { $exists: false },
+    startDate: { $lte: endDate },
+    endDate: { $gte: startDate }
+  });
+}
+
+function formatDay(date) {
+  return date.toISOString().slice(0, 10);
+}
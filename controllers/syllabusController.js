@@ -0,0 +1,280 @@
+const mongoose = require('mongoose');
+const SyllabusTopic = require('../models/SyllabusTopic');
+const Subject = require('../models/Subject');
+const Class = require('../models/Class');
+const Content = require('../models/Content');
+const Assignment = require('../models/Assignment');
+const LiveSession = require('../models/LiveSession');
+const TermRollover = require('../models/TermRollover');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/async');
+const syllabus = require('../utils/syllabus');
+const { hasPermission, classTarget } = require('../utils/permissions');
+const { setAuditAction } = require('../utils/audit');
+const { getCurrentTerm, findTerm } = require('../utils/academicTerm');
+
+const TOPIC_FIELDS = ['title', 'code', 'description', 'order', 'expectedWeeks'];
+
+// @desc    Get the syllabus of a subject for a level
+// @route   GET /api/syllabus
+// @access  Private
+exports.getSyllabus = asyncHandler(async (req, res, next) => {
+  const { subject, level } = req.query;
+
+  if (!subject || !level) {
+    return next(new ErrorResponse('Please provide a subject and level', 400));
+  }
+
+  const query = { subject, level };
+  if (req.query.includeInactive !== 'true') query.isActive = true;
+
+  const topics = await SyllabusTopic.find(query);
+
+  res.status(200).json({
+    success: true,
+    count: topics.length,
+    data: syllabus.buildTree(topics)
+  });
+});
+
+// @desc    Add a unit, topic or subtopic
+// @route   POST /api/syllabus/topics
+// @access  Private (syllabus:manage)
+exports.createTopic = asyncHandler(async (req, res, next) => {
+  const fields = pickFields(req.body);
+  let { subject, level } = req.body;
+  let kind = 'unit';
+
+  if (req.body.parent) {
+    const parent = await SyllabusTopic.findById(req.body.parent);
+    if (!parent) {
+      return next(new ErrorResponse(`Parent topic not found with id of ${req.body.parent}`, 404));
+    }
+
+    kind = childKind(parent);
+    if (!kind) {
+      return next(new ErrorResponse('Subtopics cannot have topics of their own', 400));
+    }
+
+    // Children are always in their parent's syllabus
+    subject = parent.subject;
+    level = parent.level;
+    fields.parent = parent._id;
+  } else {
+    if (!subject || !level) {
+      return next(new ErrorResponse('Please provide a subject and level', 400));
+    }
+
+    if (!(await Subject.exists({ _id: subject }))) {
+      return next(new ErrorResponse(`Subject not found with id of ${subject}`, 404));
+    }
+  }
+
+  const topic = await SyllabusTopic.create({
+    ...fields,
+    subject,
+    level,
+    kind,
+    createdBy: req.user.id
+  });
+
+  res.status(201).json({
+    success: true,
+    data: topic
+  });
+});
+
+// @desc    Update a topic, or move it under another parent of the same kind
+// @route   PUT /api/syllabus/topics/:id
+// @access  Private (syllabus:manage)
+exports.updateTopic = asyncHandler(async (req, res, next) => {
+  const topic = await SyllabusTopic.findById(req.params.id);
+
+  if (!topic) {
+    return next(new ErrorResponse(`Topic not found with id of ${req.params.id}`, 404));
+  }
+
+  if (req.body.parent !== undefined && String(req.body.parent) !== String(topic.parent)) {
+    if (topic.kind === 'unit') {
+      return next(new ErrorResponse('Units cannot be moved under another topic', 400));
+    }
+
+    const parent = await SyllabusTopic.findById(req.body.parent);
+    const sameSyllabus =
+      parent && parent.subject.equals(topic.subject) && parent.level === topic.level;
+
+    // Only moves that keep the topic's kind, so its subtree stays valid
+    if (!sameSyllabus || childKind(parent) !== topic.kind) {
+      return next(
+        new ErrorResponse(`A ${topic.kind} can only move under another ${parentKind(topic)} of the same syllabus`, 400)
+      );
+    }
+
+    topic.parent = parent._id;
+  }
+
+  if (req.body.isActive !== undefined) topic.isActive = Boolean(req.body.isActive);
+  topic.set(pickFields(req.body));
+  topic.updatedAt = Date.now();
+  await topic.save();
+
+  res.status(200).json({
+    success: true,
+    data: topic
+  });
+});
+
+// @desc    Delete a topic and everything below it
+// @route   DELETE /api/syllabus/topics/:id
+// @access  Private (syllabus:manage)
+exports.deleteTopic = asyncHandler(async (req, res, next) => {
+  const topic = await SyllabusTopic.findById(req.params.id);
+
+  if (!topic) {
+    return next(new ErrorResponse(`Topic not found with id of ${req.params.id}`, 404));
+  }
+
+  const ids = await syllabus.subtreeIds(topic);
+  const tagged = (
+    await Promise.all(
+      [Content, Assignment, LiveSession].map(Model => Model.countDocuments({ topics: { $in: ids } }))
+    )
+  ).reduce((sum, count) => sum + count, 0);
+
+  if (tagged > 0) {
+    // Keep them so past coverage reports still make sense
+    setAuditAction('syllabus_topic.deactivate');
+    await SyllabusTopic.updateMany({ _id: { $in: ids } }, { isActive: false, updatedAt: Date.now() });
+
+    return res.status(200).json({
+      success: true,
+      message: `The topic is tagged on ${tagged} items and was deactivated instead`,
+      data: await SyllabusTopic.findById(topic._id)
+    });
+  }
+
+  setAuditAction('syllabus_topic.delete');
+  await SyllabusTopic.deleteMany({ _id: { $in: ids } });
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+// @desc    Get the syllabus coverage of a class in a subject
+// @route   GET /api/syllabus/coverage
+// @access  Private (subject teachers of the class, class teacher, syllabus:coverage_all)
+exports.getCoverage = asyncHandler(async (req, res, next) => {
+  const { class: classId, subject } = req.query;
+
+  if (!mongoose.Types.ObjectId.isValid(classId) || !mongoose.Types.ObjectId.isValid(subject)) {
+    return next(new ErrorResponse('Please provide a class and subject', 400));
+  }
+
+  const classObj = await Class.findById(classId);
+  if (!classObj) {
+    return next(new ErrorResponse(`Class not found with id of ${classId}`, 404));
+  }
+
+  const classSubject = classObj.subjects.find(s => s.subject.equals(subject));
+  if (!classSubject) {
+    return next(new ErrorResponse('This subject is not offered in this class', 404));
+  }
+
+  const teaches = classSubject.teachers.some(
+    t => t.teacher && t.teacher.equals(req.user.id) && t.status === 'approved'
+  );
+  const isClassTeacher = classObj.classTeacher && classObj.classTeacher.equals(req.user.id);
+  if (
+    !teaches &&
+    !isClassTeacher &&
+    !hasPermission(req.user, 'syllabus:coverage_all', await classTarget(classObj._id))
+  ) {
+    return next(new ErrorResponse('Not authorized to view coverage for this class', 403));
+  }
+
+  const period = await coveragePeriod(req.query);
+  if (period.error) {
+    return next(new ErrorResponse(period.error, 400));
+  }
+
+  const topics = await SyllabusTopic.find({
+    subject,
+    level: classObj.level,
+    isActive: true
+  });
+
+  const coverage = await syllabus.buildCoverage(topics, {
+    class: classObj._id,
+    subject: classSubject.subject,
+    from: period.from,
+    to: period.to
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      class: { _id: classObj._id, name: classObj.name, level: classObj.level },
+      subject: classSubject.subject,
+      academicYear: period.academicYear,
+      term: period.term,
+      from: period.from || null,
+      to: period.to || null,
+      summary: coverage.summary,
+      topics: coverage.tree
+    }
+  });
+});
+
+// Helper Functions
+
+function pickFields(body) {
+  return TOPIC_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+    return fields;
+  }, {});
+}
+
+// Kind of a topic's children, or null if it can't have any
+function childKind(parent) {
+  const kinds = SyllabusTopic.KINDS;
+  return kinds[kinds.indexOf(parent.kind) + 1] || null;
+}
+
+function parentKind(topic) {
+  const kinds = SyllabusTopic.KINDS;
+  return kinds[kinds.indexOf(topic.kind) - 1];
+}
+
+// The period to report on: from/to if given, otherwise the current term,
+// which starts on its academic calendar start date or, for terms not in the
+// calendar, when the rollover into it completed
+async function coveragePeriod(query) {
+  const current = await getCurrentTerm();
+  const period = { ...current };
+
+  for (const bound of ['from', 'to']) {
+    if (query[bound]) {
+      const date = new Date(query[bound]);
+      if (isNaN(date)) return { error: `Invalid ${bound} date` };
+      period[bound] = date;
+    }
+  }
+
+  if (!period.from) {
+    const term = await findTerm(current);
+    if (term) {
+      period.from = term.startDate;
+    } else {
+      const rollover = await TermRollover.findOne({
+        toAcademicYear: current.academicYear,
+        toTerm: current.term,
+        status: 'completed'
+      });
+      if (rollover) period.from = rollover.completedAt;
+    }
+  }
+
+  return period;
+}
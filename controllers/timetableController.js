@@ -0,0 +1,381 @@
+const mongoose = require('mongoose');
+const TimetableEntry = require('../models/TimetableEntry');
+const SubstituteAssignment = require('../models/SubstituteAssignment');
+const Class = require('../models/Class');
+const User = require('../models/User');
+const Venue = require('../models/Venue');
+const Setting = require('../models/Setting');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/async');
+const timetable = require('../utils/timetable');
+const { validateTerm, validateDate } = require('../utils/validators');
+const { setAuditAction } = require('../utils/audit');
+const { getCurrentTerm } = require('../utils/academicTerm');
+
+// @desc    Get the bell schedule
+// @route   GET /api/timetable/bell-schedule
+// @access  Private
+exports.getBellSchedule = asyncHandler(async (req, res, next) => {
+  const schedule = await timetable.getBellSchedule();
+
+  res.status(200).json({
+    success: true,
+    data: schedule
+  });
+});
+
+// @desc    Update the bell schedule
+// @route   PUT /api/timetable/bell-schedule
+// @access  Private/Admin
+exports.updateBellSchedule = asyncHandler(async (req, res, next) => {
+  const current = await timetable.getBellSchedule();
+  const schedule = {
+    days: req.body.days || current.days,
+    periods: (req.body.periods || current.periods).map(p => ({
+      key: p.key,
+      name: p.name,
+      start: p.start,
+      end: p.end,
+      isBreak: Boolean(p.isBreak)
+    }))
+  };
+
+  const error = timetable.validateBellSchedule(schedule);
+  if (error) {
+    return next(new ErrorResponse(error, 400));
+  }
+
+  await Setting.setValue(timetable.BELL_SCHEDULE_KEY, schedule, req.user.id);
+
+  // Entries keep their period; only its times move
+  const orphanedEntries = await timetable.syncEntryTimes(schedule);
+
+  res.status(200).json({
+    success: true,
+    data: schedule,
+    orphanedEntries
+  });
+});
+
+// @desc    Create a timetable entry
+// @route   POST /api/timetable/entries
+// @access  Private/Admin
+exports.createEntry = asyncHandler(async (req, res, next) => {
+  const entry = new TimetableEntry({
+    ...(await resolveEntry(req.body)),
+    createdBy: req.user.id
+  });
+
+  const clashes = await timetable.findClashes(entry);
+  if (clashes.length > 0) {
+    return sendClashes(res, clashes);
+  }
+
+  setAuditAction('timetable.create_entry');
+  await entry.save();
+
+  res.status(201).json({
+    success: true,
+    data: entry
+  });
+});
+
+// @desc    Update a timetable entry
+// @route   PUT /api/timetable/entries/:id
+// @access  Private/Admin
+exports.updateEntry = asyncHandler(async (req, res, next) => {
+  const entry = await TimetableEntry.findById(req.params.id);
+
+  if (!entry) {
+    return next(new ErrorResponse(`Timetable entry not found with id of ${req.params.id}`, 404));
+  }
+
+  entry.set({
+    ...(await resolveEntry(req.body, entry)),
+    updatedAt: Date.now()
+  });
+
+  const clashes = await timetable.findClashes(entry);
+  if (clashes.length > 0) {
+    return sendClashes(res, clashes);
+  }
+
+  setAuditAction('timetable.update_entry');
+  await entry.save();
+
+  res.status(200).json({
+    success: true,
+    data: entry
+  });
+});
+
+// @desc    Delete a timetable entry
+// @route   DELETE /api/timetable/entries/:id
+// @access  Private/Admin
+exports.deleteEntry = asyncHandler(async (req, res, next) => {
+  const entry = await TimetableEntry.findById(req.params.id);
+
+  if (!entry) {
+    return next(new ErrorResponse(`Timetable entry not found with id of ${req.params.id}`, 404));
+  }
+
+  setAuditAction('timetable.delete_entry');
+  await entry.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+// @desc    Check an entry for clashes without saving it
+// @route   POST /api/timetable/entries/check
+// @access  Private/Admin
+exports.checkEntry = asyncHandler(async (req, res, next) => {
+  let existing;
+  if (req.body.entryId) {
+    existing = await TimetableEntry.findById(req.body.entryId);
+    if (!existing) {
+      return next(new ErrorResponse(`Timetable entry not found with id of ${req.body.entryId}`, 404));
+    }
+  }
+
+  const entry = new TimetableEntry({
+    ...(existing ? existing.toObject() : {}),
+    ...(await resolveEntry(req.body, existing))
+  });
+  const clashes = await timetable.findClashes(entry);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      valid: clashes.length === 0,
+      clashes
+    }
+  });
+});
+
+// @desc    Get every clash in a term's timetable
+// @route   GET /api/timetable/clashes
+// @access  Private/Admin
+exports.getClashes = asyncHandler(async (req, res, next) => {
+  const clashes = await timetable.findAllClashes(await termOf(req.query));
+
+  res.status(200).json({
+    success: true,
+    count: clashes.length,
+    data: clashes
+  });
+});
+
+// @desc    Get a class's weekly timetable
+// @route   GET /api/timetable/classes/:classId
+// @access  Private
+exports.getClassTimetable = asyncHandler(async (req, res, next) => {
+  const classDoc = await Class.findById(req.params.classId).select('name code');
+
+  if (!classDoc) {
+    return next(new ErrorResponse(`Class not found with id of ${req.params.classId}`, 404));
+  }
+
+  await sendTimetable(res, { class: classDoc._id }, req.query, { class: classDoc });
+});
+
+// @desc    Get a teacher's weekly timetable
+// @route   GET /api/timetable/teachers/:teacherId
+// @access  Private
+exports.getTeacherTimetable = asyncHandler(async (req, res, next) => {
+  const teacher = await User.findOne({ _id: req.params.teacherId, role: 'teacher' }).select(
+    'firstName lastName'
+  );
+
+  if (!teacher) {
+    return next(new ErrorResponse(`Teacher not found with id of ${req.params.teacherId}`, 404));
+  }
+
+  await sendTimetable(res, { teacher: teacher._id }, req.query, { teacher });
+});
+
+// @desc    Get a venue's weekly timetable
+// @route   GET /api/timetable/venues/:venueId
+// @access  Private
+exports.getVenueTimetable = asyncHandler(async (req, res, next) => {
+  const venue = await Venue.findById(req.params.venueId).select('name code type capacity');
+
+  if (!venue) {
+    return next(new ErrorResponse(`Venue not found with id of ${req.params.venueId}`, 404));
+  }
+
+  await sendTimetable(res, { venue: venue._id }, req.query, { venue });
+});
+
+// @desc    Get the current user's weekly timetable
+// @route   GET /api/timetable/me
+// @access  Private (Student, Teacher)
+exports.getMyTimetable = asyncHandler(async (req, res, next) => {
+  if (req.user.role === 'teacher') {
+    const { _id, firstName, lastName } = req.user;
+    return sendTimetable(res, { teacher: _id }, req.query, { teacher: { _id, firstName, lastName } });
+  }
+
+  const classId = req.user.profile && req.user.profile.currentClass;
+  if (req.user.role !== 'student' || !classId) {
+    return next(new ErrorResponse('Only teachers and students in a class have a timetable', 400));
+  }
+
+  const classDoc = await Class.findById(classId).select('name code');
+  await sendTimetable(res, { class: classId }, req.query, { class: classDoc });
+});
+
+// Helper Functions
+
+// Academic year and term of a request, defaulting to the current term
+async function termOf(source) {
+  const current = await getCurrentTerm();
+  const academicYear = source.academicYear || current.academicYear;
+  const term = source.term || current.term;
+
+  if (!validateTerm(term)) {
+    throw new ErrorResponse('Term must be Term 1, Term 2 or Term 3', 400);
+  }
+
+  return { academicYear: String(academicYear), term };
+}
+
+// Validate an entry's class, subject, teacher, venue and slot, filling in
+// what was left out from the existing entry
+async function resolveEntry(body, existing = {}) {
+  const pick = field => (body[field] !== undefined ? body[field] : existing[field]);
+
+  const classId = pick('class');
+  const subjectId = pick('subject');
+  if (!classId || !subjectId) {
+    throw new ErrorResponse('Class and subject are required', 400);
+  }
+  if (!mongoose.isValidObjectId(classId) || !mongoose.isValidObjectId(subjectId)) {
+    throw new ErrorResponse('Invalid class or subject', 400);
+  }
+
+  const classDoc = await Class.findById(classId);
+  if (!classDoc || !classDoc.isActive) {
+    throw new ErrorResponse(`Class not found with id of ${classId}`, 404);
+  }
+
+  const classSubject = classDoc.subjects.find(s => s.subject.equals(subjectId));
+  if (!classSubject) {
+    throw new ErrorResponse('This subject is not offered in this class', 400);
+  }
+
+  // Only teachers approved for the subject in this class; the lead teacher
+  // by default
+  const approved = classSubject.teachers.filter(t => t.status === 'approved' && t.teacher);
+  let teacher = pick('teacher');
+  if (body.teacher === undefined && existing.teacher === undefined) {
+    const lead = approved.find(t => t.isLeadTeacher) || approved[0];
+    teacher = lead ? lead.teacher : undefined;
+  } else if (teacher && !approved.some(t => t.teacher.equals(teacher))) {
+    throw new ErrorResponse('This teacher is not approved to teach this subject in this class', 400);
+  }
+
+  const venue = pick('venue') || undefined;
+  if (body.venue) {
+    if (!mongoose.isValidObjectId(body.venue)) {
+      throw new ErrorResponse('Invalid venue', 400);
+    }
+    const venueDoc = await Venue.findById(body.venue);
+    if (!venueDoc || !venueDoc.isActive) {
+      throw new ErrorResponse(`Venue not found with id of ${body.venue}`, 404);
+    }
+  }
+
+  const schedule = await timetable.getBellSchedule();
+  const day = pick('day');
+  const periodKey = pick('period');
+  if (!schedule.days.includes(day)) {
+    throw new ErrorResponse(`Day must be one of: ${schedule.days.join(', ')}`, 400);
+  }
+
+  const period = schedule.periods.find(p => p.key === periodKey);
+  if (!period) {
+    throw new ErrorResponse(`Period ${periodKey} is not in the bell schedule`, 400);
+  }
+  if (period.isBreak) {
+    throw new ErrorResponse(`Nothing can be scheduled during ${period.name}`, 400);
+  }
+
+  return {
+    class: classDoc._id,
+    subject: classSubject.subject,
+    teacher: teacher || undefined,
+    venue,
+    day,
+    period: period.key,
+    startTime: period.start,
+    endTime: period.end,
+    ...(await termOf({
+      academicYear: pick('academicYear'),
+      term: pick('term')
+    })),
+    notes: pick('notes')
+  };
+}
+
+function sendClashes(res, clashes) {
+  return res.status(409).json({
+    success: false,
+    error: 'This entry clashes with the existing timetable',
+    clashes
+  });
+}
+
+async function sendTimetable(res, filter, query, owner) {
+  const term = await termOf(query);
+
+  // Substitute cover in force on the given date, today by default
+  if (query.date && !validateDate(query.date)) {
+    throw new ErrorResponse('Please provide a valid date', 400);
+  }
+  const date = query.date ? new Date(query.date) : new Date();
+  const active = SubstituteAssignment.activeOn(date);
+
+  // Teachers also teach the lessons they are covering
+  if (filter.teacher) {
+    const covering = await SubstituteAssignment.find({ ...active, substitute: filter.teacher });
+    filter = {
+      $or: [
+        filter,
+        ...covering.map(a => ({
+          class: a.class,
+          subject: a.subject,
+          ...(a.absentTeacher ? { teacher: a.absentTeacher } : {})
+        }))
+      ]
+    };
+  }
+
+  const [schedule, entries] = await Promise.all([
+    timetable.getBellSchedule(),
+    TimetableEntry.find({ ...filter, ...term })
+      .populate('class', 'name code')
+      .populate('subject', 'name code')
+      .populate('teacher', 'firstName lastName')
+      .populate('venue', 'name code')
+      .sort('day startTime')
+  ]);
+
+  const assignments = await SubstituteAssignment.find({
+    ...active,
+    class: { $in: entries.map(e => e.class).filter(Boolean) }
+  }).populate('substitute', 'firstName lastName');
+
+  res.status(200).json({
+    success: true,
+    count: entries.length,
+    data: {
+      ...owner,
+      ...term,
+      periodsPerWeek: entries.length,
+      days: timetable.buildGrid(timetable.markSubstitutes(entries, assignments), schedule)
+    }
+  });
+}
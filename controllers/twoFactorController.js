@@ -0,0 +1,262 @@
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Setting = require('../models/Setting');
+const ErrorResponse = require('../utils/errorResponse');
+const config = require('../config/config');
+const { generateSecret, verifyToken, buildOtpAuthUrl } = require('../utils/totp');
+const { acrossSchools } = require('../utils/tenancy');
+
+const POLICY_KEY = 'security.twoFactor';
+const POLICY_ROLES = ['admin', 'teacher'];
+
+// @desc    Get my 2FA status
+// @route   GET /api/auth/2fa
+// @access  Private
+exports.getStatus = async (req, res, next) => {
+  try {
+    const user = await findSelf(req, '+twoFactor.recoveryCodes');
+    const policy = await Setting.getValue(POLICY_KEY, config.security.twoFactor);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        enabled: user.twoFactor.enabled,
+        enabledAt: user.twoFactor.enabledAt,
+        required: policy.requiredRoles.includes(user.role),
+        recoveryCodesRemaining: (user.twoFactor.recoveryCodes || []).length
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Start 2FA enrolment
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+exports.setup = async (req, res, next) => {
+  try {
+    const user = await findSelf(req);
+
+    if (user.twoFactor.enabled) {
+      return next(new ErrorResponse('Two-factor authentication is already enabled', 400));
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        secret,
+        otpauthUrl: buildOtpAuthUrl(secret, user.email, config.security.twoFactor.issuer)
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Confirm enrolment with a code from the authenticator app
+// @route   POST /api/auth/2fa/verify
+// @access  Private
+exports.verify = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    const user = await findSelf(req, '+twoFactor.pendingSecret');
+
+    if (user.twoFactor.enabled) {
+      return next(new ErrorResponse('Two-factor authentication is already enabled', 400));
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return next(new ErrorResponse('Please start two-factor setup first', 400));
+    }
+
+    const step = verifyToken(user.twoFactor.pendingSecret, code);
+    if (step === null) {
+      return next(new ErrorResponse('Invalid authentication code', 400));
+    }
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = Date.now();
+    const recoveryCodes = user.generateRecoveryCodes(config.security.twoFactor.recoveryCodeCount);
+    await user.save({ validateBeforeSave: false });
+
+    // The current device has now proven the second factor
+    await Session.updateOne(
+      { _id: req.authSession._id },
+      { twoFactorSetupRequired: false }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe, they will not be shown again.',
+      data: { recoveryCodes }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Disable 2FA
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+exports.disable = async (req, res, next) => {
+  try {
+    const { password, code } = req.body;
+
+    if (!password || !code) {
+      return next(new ErrorResponse('Please provide your password and an authentication code', 400));
+    }
+
+    const user = await findSelf(req, '+password +twoFactor.secret +twoFactor.lastUsedStep');
+
+    if (!user.twoFactor.enabled) {
+      return next(new ErrorResponse('Two-factor authentication is not enabled', 400));
+    }
+
+    const policy = await Setting.getValue(POLICY_KEY, config.security.twoFactor);
+    if (policy.requiredRoles.includes(user.role)) {
+      return next(new ErrorResponse(`Two-factor authentication is required for ${user.role} accounts`, 403));
+    }
+
+    if (!(await user.matchPassword(password))) {
+      return next(new ErrorResponse('Invalid credentials', 401));
+    }
+
+    const step = verifyToken(user.twoFactor.secret, code, {
+      afterStep: user.twoFactor.lastUsedStep
+    });
+    if (step === null) {
+      return next(new ErrorResponse('Invalid authentication code', 401));
+    }
+
+    clearTwoFactor(user);
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Replace recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+exports.regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    const user = await findSelf(req, '+twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes');
+
+    if (!user.twoFactor.enabled) {
+      return next(new ErrorResponse('Two-factor authentication is not enabled', 400));
+    }
+
+    const step = verifyToken(user.twoFactor.secret, code, {
+      afterStep: user.twoFactor.lastUsedStep
+    });
+    if (step === null) {
+      return next(new ErrorResponse('Invalid authentication code', 401));
+    }
+
+    user.twoFactor.lastUsedStep = step;
+    const recoveryCodes = user.generateRecoveryCodes(config.security.twoFactor.recoveryCodeCount);
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      data: { recoveryCodes }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Get 2FA policy
+// @route   GET /api/auth/2fa/policy
+// @access  Private/Admin
+exports.getPolicy = async (req, res, next) => {
+  try {
+    const policy = await Setting.getValue(POLICY_KEY, config.security.twoFactor);
+
+    res.status(200).json({
+      success: true,
+      data: { requiredRoles: policy.requiredRoles }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Update 2FA policy
+// @route   PUT /api/auth/2fa/policy
+// @access  Private/Admin
+exports.updatePolicy = async (req, res, next) => {
+  try {
+    const { requiredRoles } = req.body;
+
+    if (!Array.isArray(requiredRoles) || requiredRoles.some(r => !POLICY_ROLES.includes(r))) {
+      return next(new ErrorResponse(`requiredRoles must be a list of: ${POLICY_ROLES.join(', ')}`, 400));
+    }
+
+    const current = await Setting.getValue(POLICY_KEY, config.security.twoFactor);
+    await Setting.setValue(POLICY_KEY, { ...current, requiredRoles }, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: { requiredRoles }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Reset a user's 2FA (e.g. lost phone and recovery codes)
+// @route   DELETE /api/users/:id/2fa
+// @access  Private/Admin
+exports.resetUserTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return next(new ErrorResponse(`User not found with id of ${req.params.id}`, 404));
+    }
+
+    clearTwoFactor(user);
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Helper Functions
+
+// The signed-in user, wherever they belong: super-admins visiting a school
+// are not one of its users
+function findSelf(req, select = '') {
+  return acrossSchools(() => User.findById(req.user.id).select(select).exec());
+}
+
+function clearTwoFactor(user) {
+  user.twoFactor.enabled = false;
+  user.twoFactor.secret = undefined;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.recoveryCodes = [];
+  user.twoFactor.lastUsedStep = undefined;
+  user.twoFactor.enabledAt = undefined;
+}
@@ -1,9 +1,57 @@
 const User = require("../models/User");
 const Class = require("../models/Class");
+const IdNumber = require('../models/IdNumber');
+const Session = require('../models/Session');
+const AcademicEnrollment = require("../models/AcademicEnrollment");
+const WaitlistEntry = require('../models/WaitlistEntry');
 const ErrorResponse = require("../utils/errorResponse");
 const asyncHandler = require('../middleware/async');
 const sendEmail = require('../utils/emailService');
 const fileUpload = require('../utils/fileUpload');
+const csv = require('../utils/csv');
+const config = require('../config/config');
+const { hasPermission } = require('../utils/permissions');
+const { setAuditAction } = require('../utils/audit');
+const { buildQualification, documentsFromFiles } = require('../utils/qualifications');
+const { ID_FIELDS } = require('../utils/idNumbers');
+const passwords = require('../utils/passwords');
+const { getCurrentTerm, checkOpenTerm } = require('../utils/academicTerm');
+const { deactivateUser, restoreUser } = require('../services/accountDeletionService');
+const { getStore, accountKey } = require('../middleware/rateLimit');
+const { seatsLeft, joinWaitlist, enrollableSubjects } = require('../services/waitlistService');
+const { acrossSchools } = require('../utils/tenancy');
+const {
+  validateEmail,
+  validatePhone,
+  validateDate,
+  validateTerm,
+  validateAcademicYear,
+  validateString
+} = require('../utils/validators');
+
+// Never set through createUser (bar the password) or updateUser, including
+// dotted paths into them
+const PROTECTED_FIELDS = [
+  'password',
+  'passwordHistory',
+  'passwordChangedAt',
+  'mustChangePassword',
+  'twoFactor',
+  'loginSecurity',
+  'roleGrants',
+  'school',
+  'serviceAccount',
+  'oidc',
+  'deletion',
+  'pseudonym',
+  'resetPasswordToken',
+  'resetPasswordExpire',
+  'emailVerificationToken',
+  'emailVerificationExpire'
+];
+
+// What users without users:manage may change on their own record
+const SELF_FIELDS = ['firstName', 'lastName', 'profile'];
 
 // @desc    Get all users
 // @route   GET /api/users
@@ -57,32 +105,49 @@ exports.getUser = asyncHandler(async (req, res, next) => {
 // @route   POST /api/users
 // @access  Private/Admin
 exports.createUser = asyncHandler(async (req, res, next) => {
-  // Check if user exists
-  const existingUser = await User.findOne({ email: req.body.email });
+  // Check if user exists (emails are unique across schools)
+  const existingUser = await acrossSchools(() => User.findOne({ email: req.body.email }).exec());
   if (existingUser) {
     return next(
       new ErrorResponse(`User with email ${req.body.email} already exists`, 400)
     );
   }
 
-  const userData = { ...req.body };
+  if (req.body.role === 'superadmin' && !(req.user && req.user.role === 'superadmin')) {
+    return next(new ErrorResponse('Only super-admins can create super-admins', 403));
+  }
+
+  const unsafeKey = findUnsafeKey(req.body);
+  if (unsafeKey) {
+    return next(new ErrorResponse(`Invalid field name: ${unsafeKey}`, 400));
+  }
+
+  // Role grants, 2FA, SSO links and the like have their own endpoints
+  const userData = withoutProtectedFields(req.body, ['password']);
+
+  // Qualifications are only added below, awaiting review, unless a reviewer
+  // creates the account
+  if (!hasPermission(req.user, 'qualifications:review')) {
+    stripQualifications(userData);
+  }
+
+  const passwordError = passwords.checkPassword(userData.password, await passwords.getPolicy(), userData);
+  if (passwordError) {
+    return next(new ErrorResponse(passwordError, 400));
+  }
+
+  // The admin chose this password, so the user picks their own at first sign-in
+  if (req.user) userData.mustChangePassword = true;
 
   // Handle qualification documents for teachers
   if (userData.role === 'teacher' && req.files && req.files.length > 0 && req.body.newQualification) {
     try {
-      const newQualification = JSON.parse(req.body.newQualification);
-      
-      // Process uploaded files
-      const documentFiles = req.files.map(file => ({
-        name: file.originalname,
-        url: `/uploads/qualifications/${file.filename}`,
-        fileType: file.mimetype,
-        uploadedAt: Date.now(),
-        description: req.body.documentDescription || 'Qualification document'
-      }));
-      
-      // Add documents to the qualification
-      newQualification.documents = documentFiles;
+      // New qualifications always start out awaiting review
+      const newQualification = buildQualification(
+        JSON.parse(req.body.newQualification),
+        req.files,
+        req.body.documentDescription
+      );
       
       // Initialize profile and qualifications if they don't exist
       if (!userData.profile) userData.profile = {};
@@ -139,20 +204,51 @@ exports.updateUser = asyncHandler(async (req, res, next) => {
   }
 
   // Check if user is admin or owner
-  if (req.user.role !== 'admin' && req.user.id !== req.params.id) {
+  if (!hasPermission(req.user, 'users:manage') && req.user.id !== req.params.id) {
     return next(
       new ErrorResponse(`Not authorized to update this user`, 401)
     );
   }
 
   // Prevent role change for non-admins
-  if (req.user.role !== 'admin' && req.body.role) {
+  if (!hasPermission(req.user, 'users:manage') && req.body.role) {
     return next(
       new ErrorResponse(`Only admins can change user roles`, 401)
     );
   }
 
-  const userData = { ...req.body };
+  // Super-admins belong to no school, so users can't be moved in or out of the role
+  if (req.body.role && req.body.role !== user.role && [req.body.role, user.role].includes('superadmin')) {
+    return next(new ErrorResponse('The super-admin role cannot be granted or removed here', 400));
+  }
+
+  // Operators and dotted paths would reach past the field checks below
+  const unsafeKey = findUnsafeKey(req.body);
+  if (unsafeKey) {
+    return next(new ErrorResponse(`Invalid field name: ${unsafeKey}`, 400));
+  }
+
+  // Passwords change through updateProfile or an admin reset, under the policy,
+  // 2FA and lockout state through their own endpoints and role grants through
+  // /api/users/:id/grants
+  const userData = withoutProtectedFields(req.body);
+
+  if (!hasPermission(req.user, 'users:manage')) {
+    Object.keys(userData).forEach(key => {
+      if (!SELF_FIELDS.includes(key)) delete userData[key];
+    });
+
+    // ID numbers are generated; only admins may set one by hand
+    if (userData.profile && typeof userData.profile === 'object') {
+      userData.profile = { ...userData.profile };
+      Object.values(ID_FIELDS).forEach(field => delete userData.profile[field]);
+    }
+  }
+
+  // Qualifications go through the review workflow (/api/qualifications)
+  if (!hasPermission(req.user, 'qualifications:review')) {
+    stripQualifications(userData);
+  }
 
   // Handle qualification documents for teachers
   if (user.role === 'teacher' && req.files && req.files.length > 0) {
@@ -166,13 +262,7 @@ exports.updateUser = asyncHandler(async (req, res, next) => {
       }
       
       // Process uploaded files
-      const documentFiles = req.files.map(file => ({
-        name: file.originalname,
-        url: `/uploads/qualifications/${file.filename}`,
-        fileType: file.mimetype,
-        uploadedAt: Date.now(),
-        description: req.body.documentDescription || 'Qualification document'
-      }));
+      const documentFiles = documentsFromFiles(req.files, req.body.documentDescription);
       
       // Add documents to the specific qualification
       if (!user.profile.qualifications[qualificationIndex].documents) {
@@ -193,19 +283,12 @@ exports.updateUser = asyncHandler(async (req, res, next) => {
     // Handle adding a new qualification with documents
     if (req.body.newQualification) {
       try {
-        const newQualification = JSON.parse(req.body.newQualification);
-        
-        // Process uploaded files for the new qualification
-        const documentFiles = req.files.map(file => ({
-          name: file.originalname,
-          url: `/uploads/qualifications/${file.filename}`,
-          fileType: file.mimetype,
-          uploadedAt: Date.now(),
-          description: req.body.documentDescription || 'Qualification document'
-        }));
-        
-        // Add documents to the new qualification
-        newQualification.documents = documentFiles;
+        // New qualifications always start out awaiting review
+        const newQualification = buildQualification(
+          JSON.parse(req.body.newQualification),
+          req.files,
+          req.body.documentDescription
+        );
         
         // Add the new qualification to the user's profile
         if (!user.profile) user.profile = {};
@@ -226,11 +309,17 @@ exports.updateUser = asyncHandler(async (req, res, next) => {
     }
   }
 
-  // Update user with standard fields
-  user = await User.findByIdAndUpdate(req.params.id, userData, {
-    new: true,
-    runValidators: true
-  }).select('-password');
+  // Update user with standard fields. Saved rather than updated in place so
+  // changed ID numbers go through the registry (syncIdNumbers)
+  const { profile, ...fields } = userData;
+  user.set(fields);
+  if (profile && typeof profile === 'object') {
+    Object.entries(profile).forEach(([key, value]) => user.set(`profile.${key}`, value));
+  }
+  user.updatedAt = Date.now();
+  await user.save();
+
+  user = await User.findById(user._id).select('-password');
 
   res.status(200).json({
     success: true,
@@ -238,7 +327,7 @@ exports.updateUser = asyncHandler(async (req, res, next) => {
   });
 });
 
-// @desc    Delete user
+// @desc    Delete (deactivate) user, optionally scheduling anonymization
 // @route   DELETE /api/users/:id
 // @access  Private/Admin
 exports.deleteUser = asyncHandler(async (req, res, next) => {
@@ -250,11 +339,72 @@ exports.deleteUser = asyncHandler(async (req, res, next) => {
     );
   }
 
-  await user.deleteOne();
+  if (user.id === req.user.id) {
+    return next(new ErrorResponse('You cannot delete your own account', 400));
+  }
+
+  const body = req.body || {};
+  const anonymize = [body.anonymize, req.query.anonymize].some(v => v === true || v === 'true');
+
+  // Deactivate rather than remove, so academic records keep their owner
+  setAuditAction('user.delete');
+  await deactivateUser(user, {
+    deletedBy: req.user._id,
+    reason: body.reason,
+    anonymize
+  });
+
+  res.status(200).json({
+    success: true,
+    data: user
+  });
+});
+
+// @desc    Restore a deleted user before it is anonymized
+// @route   PUT /api/users/:id/restore
+// @access  Private/Admin
+exports.restoreUser = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return next(
+      new ErrorResponse(`User not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  setAuditAction('user.restore');
+  await restoreUser(user);
+
+  res.status(200).json({
+    success: true,
+    data: user
+  });
+});
+
+// @desc    Unlock a user locked out after failed logins
+// @route   PUT /api/users/:id/unlock
+// @access  Private/Admin
+exports.unlockUser = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return next(
+      new ErrorResponse(`User not found with id of ${req.params.id}`, 404)
+    );
+  }
+
+  user.resetLoginFailures();
+  await user.save({ validateBeforeSave: false });
+
+  // Also clear the per-account request limits
+  const store = getStore();
+  const key = accountKey(user.email);
+  await store.reset(`login:account:${key}`);
+  await store.reset(`forgotPassword:account:${key}`);
 
   res.status(200).json({
     success: true,
-    data: {}
+    data: user.loginSecurity
   });
 });
 
@@ -262,7 +412,10 @@ exports.deleteUser = asyncHandler(async (req, res, next) => {
 // @route   PUT /api/users/profile/:id
 // @access  Private/Owner or Admin
 exports.updateProfile = asyncHandler(async (req, res, next) => {
-  let user = await User.findById(req.params.id);
+  const { currentPassword, newPassword } = req.body;
+  const findUser = () => User.findById(req.params.id).select(newPassword ? '+passwordHistory' : '').exec();
+  // Super-admins visiting a school are not one of its users
+  let user = await (req.user.id === req.params.id ? acrossSchools(findUser) : findUser());
 
   if (!user) {
     return next(
@@ -271,12 +424,31 @@ exports.updateProfile = asyncHandler(async (req, res, next) => {
   }
 
   // Check if user is admin or owner
-  if (req.user.role !== 'admin' && req.user.id !== req.params.id) {
+  if (!hasPermission(req.user, 'users:manage') && req.user.id !== req.params.id) {
     return next(
       new ErrorResponse(`Not authorized to update this profile`, 401)
     );
   }
 
+  // Password change: only the owner, who must confirm their current password
+  if (newPassword !== undefined) {
+    if (req.user.id !== req.params.id || req.impersonator || req.apiKey) {
+      return next(new ErrorResponse('Only the account owner can change their password; admins can reset it instead', 403));
+    }
+
+    if (!currentPassword || !(await user.matchPassword(currentPassword))) {
+      return next(new ErrorResponse('Current password is incorrect', 400));
+    }
+
+    const policy = await passwords.getPolicy();
+    const passwordError = await passwords.validateNewPassword(user, newPassword, policy);
+    if (passwordError) {
+      return next(new ErrorResponse(passwordError, 400));
+    }
+
+    passwords.setPassword(user, newPassword, policy);
+  }
+
   // Handle file uploads if present
   if (req.files && req.files.length > 0) {
     try {
@@ -285,19 +457,12 @@ exports.updateProfile = asyncHandler(async (req, res, next) => {
         return next(new ErrorResponse('Qualification data is required when uploading documents', 400));
       }
       
-      const newQualification = JSON.parse(req.body.newQualification);
-      
-      // Process uploaded files for the qualification
-      const documentFiles = req.files.map(file => ({
-        name: file.originalname,
-        url: `/uploads/qualifications/${file.filename}`,
-        fileType: file.mimetype,
-        uploadedAt: Date.now(),
-        description: req.body.documentDescription || 'Qualification document'
-      }));
-      
-      // Add documents to the qualification
-      newQualification.documents = documentFiles;
+      // New qualifications always start out awaiting review
+      const newQualification = buildQualification(
+        JSON.parse(req.body.newQualification),
+        req.files,
+        req.body.documentDescription
+      );
       
       // Add the qualification to the user's profile
       if (!user.profile.qualifications) {
@@ -311,6 +476,7 @@ exports.updateProfile = asyncHandler(async (req, res, next) => {
   } else {
     // Handle profile updates without file uploads
     const profileData = req.body.profile || {};
+    const canSetIdNumber = hasPermission(req.user, 'users:manage');
     
     // Update only the provided profile fields
     if (profileData.bio !== undefined) user.profile.bio = profileData.bio;
@@ -330,7 +496,8 @@ exports.updateProfile = asyncHandler(async (req, res, next) => {
     if (user.role === 'student') {
       if (profileData.currentClass !== undefined) user.profile.currentClass = profileData.currentClass;
       if (profileData.year !== undefined) user.profile.year = profileData.year;
-      if (profileData.studentId !== undefined) user.profile.studentId = profileData.studentId;
+      // ID numbers are generated; only admins may set one by hand
+      if (profileData.studentId !== undefined && canSetIdNumber) user.profile.studentId = profileData.studentId;
       
       // Handle parentGuardian updates
       if (profileData.parentGuardian) {
@@ -343,13 +510,21 @@ exports.updateProfile = asyncHandler(async (req, res, next) => {
     
     // Handle teacher-specific fields
     if (user.role === 'teacher') {
-      if (profileData.teacherId !== undefined) user.profile.teacherId = profileData.teacherId;
+      if (profileData.teacherId !== undefined && canSetIdNumber) user.profile.teacherId = profileData.teacherId;
       if (profileData.department !== undefined) user.profile.department = profileData.department;
     }
   }
   
   await user.save();
 
+  // Sign out other devices that may have been using the old password
+  if (newPassword !== undefined) {
+    await Session.updateMany(
+      { user: user._id, _id: { $ne: req.authSession._id }, revokedAt: { $exists: false } },
+      { revokedAt: Date.now(), revokedReason: 'revoked' }
+    );
+  }
+
   res.status(200).json({
     success: true,
     data: user
@@ -409,33 +584,375 @@ exports.getTeachers = asyncHandler(async (req, res, next) => {
     data: teachers 
   });
 });
-// @desc    Handle class enrollment request
-// @route   PUT /api/users/enrollment/:userId/:requestId
+// @desc    Bulk import students or teachers from CSV
+// @route   POST /api/users/import
 // @access  Private/Admin
-// exports.handleEnrollment = asyncHandler(async (req, res, next) => {
-//   const { userId, requestId } = req.params;
-//   const { status, reason } = req.body;
-
-//   const user = await User.findById(userId);
-//   if (!user) {
-//     return next(new ErrorResponse(`User not found with id of ${userId}`, 404));
-//   }
-
-//   const request = user.classRequests.id(requestId);
-//   if (!request) {
-//     return next(new ErrorResponse(`Enrollment request not found`, 404));
-//   }
-
-//   // Update request
-//   request.status = status;
-//   request.processedAt = Date.now();
-//   request.processedBy = req.user.id;
-//   if (reason) request.reason = reason;
-
-//   await user.save();
-
-//   res.status(200).json({
-//     success: true,
-//     data: user
-//   });
-// });
\ No newline at end of file
+exports.importUsers = asyncHandler(async (req, res, next) => {
+  if (!req.file) {
+    return next(new ErrorResponse('Please upload a CSV file', 400));
+  }
+
+  const dryRun = req.body.dryRun !== 'false';
+  const skipInvalid = req.body.skipInvalid === 'true';
+  const sendWelcomeEmails = req.body.sendWelcomeEmails === 'true';
+  const current = await getCurrentTerm();
+  const defaults = {
+    role: req.body.role || 'student',
+    classCode: req.body.classCode,
+    academicYear: req.body.academicYear || current.academicYear,
+    term: req.body.term || current.term
+  };
+
+  const rows = csv.parse(req.file.buffer.toString('utf8'));
+  if (rows.length === 0) {
+    return next(new ErrorResponse('The CSV file has no data rows', 400));
+  }
+  if (rows.length > IMPORT_MAX_ROWS) {
+    return next(new ErrorResponse(`A single import is limited to ${IMPORT_MAX_ROWS} rows`, 400));
+  }
+
+  const policy = await passwords.getPolicy();
+  const report = await validateImportRows(rows, defaults, policy);
+  const summary = {
+    totalRows: report.length,
+    validRows: report.filter(r => r.errors.length === 0).length,
+    invalidRows: report.filter(r => r.errors.length > 0).length
+  };
+
+  if (dryRun) {
+    return res.status(200).json({
+      success: true,
+      dryRun: true,
+      summary,
+      data: report.map(toReportRow)
+    });
+  }
+
+  if (summary.invalidRows > 0 && !skipInvalid) {
+    return res.status(400).json({
+      success: false,
+      error: 'The import has invalid rows. Fix them or pass skipInvalid=true to import only valid rows.',
+      summary,
+      data: report.map(toReportRow)
+    });
+  }
+
+  const toCreate = report.filter(r => r.errors.length === 0);
+
+  // Admin-created accounts get a random temporary password, and everyone
+  // picks their own password at first sign-in
+  toCreate.forEach(r => {
+    r.temporaryPassword = r.user.password ? undefined : passwords.generateTemporaryPassword(policy);
+    r.user.password = r.user.password || r.temporaryPassword;
+    r.user.mustChangePassword = true;
+    r.user.isVerified = true;
+  });
+
+  // One row at a time, so a failing row takes back only its own account and
+  // can simply be imported again. User.create (not insertMany) so the
+  // password hashing and ID number hooks run.
+  for (const r of toCreate) {
+    try {
+      r.createdUser = await User.create(r.user);
+
+      // Optional class enrollment for students, under the same capacity
+      // rules as a single enrollment: a full class waitlists the student
+      if (r.classObj && r.createdUser.role === 'student') {
+        const waitlistDetails = {
+          academicYear: r.academicYear,
+          term: r.term,
+          requestedBy: req.user.id
+        };
+
+        if ((await seatsLeft(r.classObj)) === 0) {
+          r.waitlistEntry = await joinWaitlist({
+            student: r.createdUser._id,
+            classObj: r.classObj,
+            ...waitlistDetails
+          });
+        } else {
+          r.enrollment = await AcademicEnrollment.create({
+            student: r.createdUser._id,
+            class: r.classObj._id,
+            academicYear: r.academicYear,
+            term: r.term,
+            status: 'active',
+            subjects: await enrollableSubjects(r.classObj, r.createdUser._id, waitlistDetails)
+          });
+        }
+      }
+    } catch (err) {
+      if (r.createdUser) await discardImportedUser(r.createdUser);
+      r.createdUser = undefined;
+      r.errors.push(err.code === 11000 ? 'Duplicate: already registered' : err.message);
+    }
+  }
+
+  const created = toCreate.filter(r => r.createdUser);
+
+  let emailsSent = 0;
+  let emailsFailed = 0;
+  if (sendWelcomeEmails) {
+    for (const r of created) {
+      try {
+        await sendWelcomeEmail(r.createdUser, r.temporaryPassword);
+        r.emailSent = true;
+        emailsSent++;
+      } catch (err) {
+        emailsFailed++;
+      }
+    }
+  }
+
+  res.status(201).json({
+    success: true,
+    dryRun: false,
+    summary: {
+      ...summary,
+      created: created.length,
+      enrolled: created.filter(r => r.enrollment).length,
+      waitlisted: created.filter(r => r.waitlistEntry).length,
+      skipped: summary.invalidRows,
+      failed: toCreate.length - created.length,
+      emailsSent,
+      emailsFailed
+    },
+    data: report.map(r => ({
+      ...toReportRow(r),
+      userId: r.createdUser ? r.createdUser._id : undefined,
+      idNumber: r.createdUser ? idNumberOf(r.createdUser) : undefined,
+      waitlisted: r.waitlistEntry ? true : undefined,
+      // Only hand back passwords that were not delivered by email
+      temporaryPassword: r.createdUser && !r.emailSent ? r.temporaryPassword : undefined
+    }))
+  });
+});
+
+// Helper Functions
+
+const IMPORT_MAX_ROWS = 2000;
+const IMPORT_ROLES = ['student', 'teacher'];
+
+// Validate every CSV row, collecting errors instead of stopping at the first
+async function validateImportRows(rows, defaults, policy) {
+  const emails = rows.map(row => (row.email || '').toLowerCase()).filter(Boolean);
+  const studentIds = rows.map(row => row.studentId).filter(Boolean);
+  const teacherIds = rows.map(row => row.teacherId).filter(Boolean);
+  const classCodes = [...new Set(
+    rows.map(row => (row.classCode || defaults.classCode || '').toUpperCase()).filter(Boolean)
+  )];
+
+  // Look up everything that could clash in one query per collection
+  const [existingUsers, otherSchoolUsers, classes, issuedIds] = await Promise.all([
+    User.find({
+      $or: [
+        { email: { $in: emails } },
+        { 'profile.studentId': { $in: studentIds } },
+        { 'profile.teacherId': { $in: teacherIds } }
+      ]
+    }).select('email profile.studentId profile.teacherId'),
+    // Emails are unique across schools too
+    acrossSchools(() => User.find({ email: { $in: emails } }).select('email').exec()),
+    Class.find({ code: { $in: classCodes } }),
+    IdNumber.find({
+      $or: [
+        { idType: 'studentId', value: { $in: studentIds } },
+        { idType: 'teacherId', value: { $in: teacherIds } }
+      ]
+    }).select('idType value status')
+  ]);
+
+  const takenEmails = new Set([...existingUsers, ...otherSchoolUsers].map(u => u.email.toLowerCase()));
+  const takenStudentIds = new Set(existingUsers.map(u => u.profile && u.profile.studentId).filter(Boolean));
+  const takenTeacherIds = new Set(existingUsers.map(u => u.profile && u.profile.teacherId).filter(Boolean));
+  // ID numbers ever issued, reserved or retired can't be used again
+  const issuedIdStatus = new Map(issuedIds.map(i => [`${i.idType}:${i.value}`, i.status]));
+  const classByCode = new Map(classes.map(c => [c.code, c]));
+  const seenEmails = new Map();
+  const seenIds = new Map();
+
+  // Enrollments can only be made in open terms of the academic calendar
+  const termKey = row => `${row.academicYear || defaults.academicYear}|${row.term || defaults.term}`;
+  const termErrors = new Map(await Promise.all(
+    [...new Set(rows.map(termKey))].map(async key => {
+      const [academicYear, term] = key.split('|');
+      return [key, await checkOpenTerm({ academicYear, term })];
+    })
+  ));
+
+  return rows.map((row, index) => {
+    const line = index + 2; // header is line 1
+    const errors = [];
+    const role = (row.role || defaults.role).toLowerCase();
+    const email = (row.email || '').toLowerCase();
+    const academicYear = row.academicYear || defaults.academicYear;
+    const term = row.term || defaults.term;
+    const classCode = (row.classCode || defaults.classCode || '').toUpperCase();
+
+    if (!IMPORT_ROLES.includes(role)) errors.push(`Role must be one of: ${IMPORT_ROLES.join(', ')}`);
+    if (!validateString(row.firstName, 2)) errors.push('First name is required');
+    if (!validateString(row.lastName, 2)) errors.push('Last name is required');
+
+    if (!validateEmail(email)) {
+      errors.push('Invalid email address');
+    } else if (takenEmails.has(email)) {
+      errors.push('Duplicate: email already registered');
+    } else if (seenEmails.has(email)) {
+      errors.push(`Duplicate: email repeats line ${seenEmails.get(email)}`);
+    } else {
+      seenEmails.set(email, line);
+    }
+
+    if (row.phone && !validatePhone(row.phone)) errors.push('Invalid phone number (expected +256XXXXXXXXX or 0XXXXXXXXX)');
+    if (row.gender && !['male', 'female', 'other'].includes(row.gender.toLowerCase())) errors.push('Gender must be male, female or other');
+    if (row.dateOfBirth && !validateDate(row.dateOfBirth)) errors.push('Invalid date of birth');
+    if (row.password) {
+      const passwordError = passwords.checkPassword(row.password, policy, row);
+      if (passwordError) errors.push(passwordError);
+    }
+
+    const idField = role === 'teacher' ? 'teacherId' : 'studentId';
+    const idValue = row[idField];
+    const takenIds = role === 'teacher' ? takenTeacherIds : takenStudentIds;
+    if (idValue) {
+      const issuedStatus = issuedIdStatus.get(`${idField}:${idValue}`);
+      if (takenIds.has(idValue) || issuedStatus === 'assigned') {
+        errors.push(`Duplicate: ${idField} already in use`);
+      } else if (issuedStatus) {
+        errors.push(`${idField} is ${issuedStatus} and cannot be reused`);
+      } else if (seenIds.has(`${idField}:${idValue}`)) {
+        errors.push(`Duplicate: ${idField} repeats line ${seenIds.get(`${idField}:${idValue}`)}`);
+      } else {
+        seenIds.set(`${idField}:${idValue}`, line);
+      }
+    }
+
+    let classObj;
+    if (classCode && role === 'student') {
+      classObj = classByCode.get(classCode);
+      if (!classObj) errors.push(`Class not found with code ${classCode}`);
+      if (!validateTerm(term)) errors.push('Term must be Term 1, Term 2 or Term 3');
+      if (!validateAcademicYear(academicYear)) errors.push('Invalid academic year');
+      else if (validateTerm(term) && termErrors.get(termKey(row))) errors.push(termErrors.get(termKey(row)));
+    }
+
+    const profile = {};
+    if (row.phone) profile.phone = row.phone;
+    if (row.gender) profile.gender = row.gender.toLowerCase();
+    if (row.dateOfBirth) profile.dateOfBirth = row.dateOfBirth;
+    if (idValue) profile[idField] = idValue;
+    // Set up front so generated student IDs can use the class level
+    if (classObj) profile.currentClass = classObj._id;
+    if (role === 'teacher' && row.department) profile.department = row.department;
+
+    return {
+      line,
+      errors,
+      classObj,
+      academicYear,
+      term,
+      user: {
+        firstName: row.firstName,
+        lastName: row.lastName,
+        email,
+        role,
+        password: row.password || undefined,
+        profile
+      }
+    };
+  });
+}
+
+// Take back an imported account whose row failed. Removed outright rather
+// than deactivated, with its ID number released instead of retired, so the
+// row can be imported again.
+async function discardImportedUser(user) {
+  await AcademicEnrollment.deleteMany({ student: user._id });
+  await WaitlistEntry.deleteMany({ student: user._id });
+  await IdNumber.deleteMany({ user: user._id, status: 'assigned' });
+  await User.deleteOne({ _id: user._id });
+}
+
+// Student or teacher ID number of a user
+function idNumberOf(user) {
+  const field = ID_FIELDS[user.role];
+  return field && user.profile ? user.profile[field] : undefined;
+}
+
+// Shape a validated row for the API response
+function toReportRow(r) {
+  return {
+    line: r.line,
+    email: r.user.email,
+    firstName: r.user.firstName,
+    lastName: r.user.lastName,
+    role: r.user.role,
+    class: r.classObj ? r.classObj.code : undefined,
+    valid: r.errors.length === 0,
+    errors: r.errors
+  };
+}
+
+// Copy of a request body without the protected fields, bar those kept
+function withoutProtectedFields(body, keep = []) {
+  const data = { ...body };
+
+  Object.keys(data).forEach(key => {
+    const field = PROTECTED_FIELDS.find(f => key === f || key.startsWith(`${f}.`));
+    if (field && !keep.includes(key)) delete data[key];
+  });
+  return data;
+}
+
+// Remove qualifications from a create or update body, whichever way it
+// spells the path
+function stripQualifications(data) {
+  Object.keys(data).forEach(key => {
+    if (key === 'profile.qualifications' || key.startsWith('profile.qualifications.')) {
+      delete data[key];
+    }
+  });
+  if (data.profile && typeof data.profile === 'object') {
+    data.profile = { ...data.profile };
+    delete data.profile.qualifications;
+  }
+}
+
+// First key, at any depth, that is a dotted path or a query operator
+function findUnsafeKey(value) {
+  if (!value || typeof value !== 'object') return undefined;
+
+  for (const [key, child] of Object.entries(value)) {
+    if (key.includes('.') || key.startsWith('$')) return key;
+    const nested = findUnsafeKey(child);
+    if (nested) return `${key}.${nested}`;
+  }
+  return undefined;
+}
+
+async function sendWelcomeEmail(user, temporaryPassword) {
+  const loginUrl = `${process.env.FRONTEND_URL}/login`;
+
+  await sendEmail({
+    email: user.email,
+    subject: `Welcome to ${process.env.APP_NAME}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #2d3748;">Welcome, ${user.firstName}!</h2>
+        <p>An account has been created for you on ${process.env.APP_NAME}.</p>
+        <p><strong>Email:</strong> ${user.email}</p>
+        ${temporaryPassword ? `<p><strong>Temporary password:</strong> ${temporaryPassword}</p>
+        <p>You will be asked to choose your own password when you sign in.</p>` : ''}
+        <div style="margin: 25px 0; text-align: center;">
+          <a href="${loginUrl}"
+             style="background-color: #4299e1; color: white;
+                    padding: 12px 24px; text-decoration: none;
+                    border-radius: 4px; font-weight: bold;
+                    display: inline-block;">
+            Sign In
+          </a>
+        </div>
+      </div>
+    `
+  });
+}
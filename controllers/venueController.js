@@ -0,0 +1,118 @@
+const Venue = require('../models/Venue');
+const TimetableEntry = require('../models/TimetableEntry');
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../middleware/async');
+const { setAuditAction } = require('../utils/audit');
+
+const VENUE_FIELDS = ['name', 'code', 'type', 'capacity', 'description', 'isActive'];
+
+// @desc    Get all venues
+// @route   GET /api/venues
+// @access  Private
+exports.getVenues = asyncHandler(async (req, res, next) => {
+  const query = {};
+  if (req.query.type) query.type = req.query.type;
+  // Inactive venues are only listed when asked for
+  if (req.query.includeInactive !== 'true') query.isActive = true;
+
+  const venues = await Venue.find(query).sort('name');
+
+  res.status(200).json({
+    success: true,
+    count: venues.length,
+    data: venues
+  });
+});
+
+// @desc    Create a venue
+// @route   POST /api/venues
+// @access  Private/Admin
+exports.createVenue = asyncHandler(async (req, res, next) => {
+  if (await Venue.exists({ code: String(req.body.code || '').toUpperCase().trim() })) {
+    return next(new ErrorResponse(`A venue with code ${req.body.code} already exists`, 400));
+  }
+
+  setAuditAction('venue.create');
+
+  const venue = await Venue.create({
+    ...pickFields(req.body),
+    createdBy: req.user.id
+  });
+
+  res.status(201).json({
+    success: true,
+    data: venue
+  });
+});
+
+// @desc    Update a venue
+// @route   PUT /api/venues/:id
+// @access  Private/Admin
+exports.updateVenue = asyncHandler(async (req, res, next) => {
+  const venue = await Venue.findById(req.params.id);
+
+  if (!venue) {
+    return next(new ErrorResponse(`Venue not found with id of ${req.params.id}`, 404));
+  }
+
+  const updates = pickFields(req.body);
+  if (
+    updates.code &&
+    (await Venue.exists({ _id: { $ne: venue._id }, code: String(updates.code).toUpperCase().trim() }))
+  ) {
+    return next(new ErrorResponse(`A venue with code ${updates.code} already exists`, 400));
+  }
+
+  setAuditAction('venue.update');
+  venue.set({ ...updates, updatedAt: Date.now() });
+  await venue.save();
+
+  res.status(200).json({
+    success: true,
+    data: venue
+  });
+});
+
+// @desc    Delete a venue (deactivated instead while timetabled)
+// @route   DELETE /api/venues/:id
+// @access  Private/Admin
+exports.deleteVenue = asyncHandler(async (req, res, next) => {
+  const venue = await Venue.findById(req.params.id);
+
+  if (!venue) {
+    return next(new ErrorResponse(`Venue not found with id of ${req.params.id}`, 404));
+  }
+
+  const entries = await TimetableEntry.countDocuments({ venue: venue._id });
+
+  if (entries > 0) {
+    // Keep it so past timetables still show where lessons were
+    setAuditAction('venue.deactivate');
+    venue.isActive = false;
+    venue.updatedAt = Date.now();
+    await venue.save();
+
+    return res.status(200).json({
+      success: true,
+      message: `Venue is used by ${entries} timetable entries and was deactivated instead`,
+      data: venue
+    });
+  }
+
+  setAuditAction('venue.delete');
+  await venue.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    data: {}
+  });
+});
+
+// Helper Functions
+
+function pickFields(body) {
+  return VENUE_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+    return fields;
+  }, {});
+}
@@ -1,6 +1,39 @@
 const jwt = require("jsonwebtoken");
 const ErrorResponse = require("../utils/errorResponse");
 const User = require("../models/User");
+const Session = require("../models/Session");
+const ApiKey = require("../models/ApiKey");
+const { isGuardianOf } = require("../utils/guardians");
+const { resolveGrants, hasPermission } = require("../utils/permissions");
+const { auditImpersonatedRequest } = require("../utils/audit");
+const { acrossSchools, enterUserSchool } = require("../utils/tenancy");
+const config = require("../config/config");
+
+// Routes reachable while a session still has to enrol in 2FA
+const TWO_FACTOR_SETUP_PATHS = [
+  "/api/auth/2fa",
+  "/api/auth/me",
+  "/api/auth/logout",
+];
+
+// Routes reachable while the user has to change their password (plus their
+// own /api/users/profile/:id, where the password is changed). Mandatory 2FA
+// enrolment comes first.
+const PASSWORD_CHANGE_PATHS = [
+  "/api/auth/2fa",
+  "/api/auth/me",
+  "/api/auth/logout",
+  "/api/auth/password-policy",
+];
+
+// The only /api/auth route open to API keys: keys have no session to manage
+const API_KEY_AUTH_PATHS = ["/api/auth/me"];
+
+// Methods an impersonation session may use without allowWrites
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+// Always reachable while impersonating, so the admin can stop
+const IMPERSONATION_EXIT_PATHS = ["/api/auth/impersonate", "/api/auth/logout"];
 
 // Protect routes
 exports.protect = async (req, res, next) => {
@@ -11,20 +44,76 @@ exports.protect = async (req, res, next) => {
     req.headers.authorization.startsWith("Bearer")
   ) {
     token = req.headers.authorization.split(" ")[1];
-  } else if (req.cookies.token) {
+  } else if (req.cookies && req.cookies.token) {
     token = req.cookies.token;
   }
 
+  // Service accounts send an API key instead, as a bearer token or X-API-Key
+  const apiKey =
+    req.headers["x-api-key"] ||
+    (token && token.startsWith(config.apiKeys.prefix) ? token : undefined);
+
   // Make sure token exists
-  if (!token) {
+  if (!token && !apiKey) {
     return next(new ErrorResponse("Not authorized to access this route", 401));
   }
 
   try {
+    if (apiKey) {
+      const error = await authenticateApiKey(req, apiKey);
+      return error ? next(error) : next();
+    }
+
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
-    req.user = await User.findById(decoded.id);
+    // Access tokens must belong to a live session so they can be revoked
+    const session = decoded.sid && (await Session.findById(decoded.sid));
+    if (!session || !session.isActive() || !session.user.equals(decoded.id)) {
+      return next(new ErrorResponse("Session has expired or been revoked", 401));
+    }
+
+    // The user's school is only known once they are loaded
+    req.user = await acrossSchools(() => User.findById(decoded.id).exec());
+    if (!req.user || req.user.isActive === false) {
+      return next(new ErrorResponse("Not authorized to access this route", 401));
+    }
+
+    const schoolError = enterUserSchool(req.user);
+    if (schoolError) return next(schoolError);
+
+    req.authSession = session;
+    req.user.permissionGrants = await resolveGrants(req.user);
+
+    if (session.isImpersonation()) {
+      const error = await checkImpersonation(req, res, decoded);
+      if (error) return next(error);
+    }
+
+    // Until mandatory 2FA is enrolled, only the enrolment endpoints are open
+    if (
+      session.twoFactorSetupRequired &&
+      !TWO_FACTOR_SETUP_PATHS.some((p) => req.originalUrl.startsWith(p))
+    ) {
+      return next(
+        new ErrorResponse(
+          "Two-factor authentication must be set up before continuing",
+          403
+        )
+      );
+    }
+
+    // Temporary, admin-set and expired passwords must be replaced first
+    if (
+      req.user.mustChangePassword &&
+      !req.impersonator &&
+      !PASSWORD_CHANGE_PATHS.some((p) => req.originalUrl.startsWith(p)) &&
+      !req.originalUrl.startsWith(`/api/users/profile/${req.user.id}`)
+    ) {
+      return next(
+        new ErrorResponse("You must change your password before continuing", 403)
+      );
+    }
 
     next();
   } catch (err) {
@@ -32,7 +121,26 @@ exports.protect = async (req, res, next) => {
   }
 };
 
-// Grant access to specific roles
+// Require a permission from config/permissions. Pass options.scope to
+// resolve the class being acted on so class/level-scoped grants can apply.
+exports.permit = (permission, options = {}) => {
+  return async (req, res, next) => {
+    const target = options.scope ? await options.scope(req) : undefined;
+
+    if (!hasPermission(req.user, permission, target)) {
+      return next(
+        new ErrorResponse(
+          `Not authorized to access this route (requires ${permission})`,
+          403
+        )
+      );
+    }
+    next();
+  };
+};
+
+// Grant access to specific roles (for "who you are" routes such as a
+// student's own submissions; use permit for "what you may do" checks)
 exports.role = (...roles) => {
   return (req, res, next) => {
     if (!roles.includes(req.user.role)) {
@@ -47,8 +155,111 @@ exports.role = (...roles) => {
   };
 };
 
+// Parents may only reach the student in :studentId if they are linked to them
+exports.linkedGuardian = async (req, res, next) => {
+  if (hasPermission(req.user, "guardians:manage")) return next();
+
+  if (
+    req.user.role !== "parent" ||
+    !(await isGuardianOf(req.user.id, req.params.studentId))
+  ) {
+    return next(new ErrorResponse("You are not linked to this student", 403));
+  }
+  next();
+};
+
+// Never reachable while impersonating, even with writes allowed: the user's
+// credentials, devices and personal data exports stay theirs. Used on the
+// routes themselves so no spelling of the URL gets around it.
+exports.notWhileImpersonating = (req, res, next) => {
+  if (req.impersonator) {
+    return next(
+      new ErrorResponse("This action is not available while impersonating a user", 403)
+    );
+  }
+  next();
+};
+
 // Alias for role - provides better semantics in some cases
 exports.authorize = exports.role;
 
 // Optionally add a more specific teacher authorization
-exports.teacherOrAdmin = exports.role('teacher', 'admin');
\ No newline at end of file
+exports.teacherOrAdmin = exports.role('teacher', 'admin');
+
+// Helper Functions
+
+// Load the admin behind an impersonation session, log the request and
+// enforce what the session may do. Returns an ErrorResponse to stop it.
+async function checkImpersonation(req, res, decoded) {
+  const { impersonation } = req.authSession;
+
+  if (String(decoded.imp) !== String(impersonation.impersonator)) {
+    return new ErrorResponse("Not authorized to access this route", 401);
+  }
+
+  // Super-admins can impersonate users of any school
+  req.impersonator = await acrossSchools(() => User.findById(impersonation.impersonator).exec());
+  if (!req.impersonator || req.impersonator.isActive === false) {
+    return new ErrorResponse("Not authorized to access this route", 401);
+  }
+  req.impersonator.permissionGrants = await resolveGrants(req.impersonator);
+
+  // Every request is logged, including the ones refused below
+  auditImpersonatedRequest(req, res);
+
+  if (!hasPermission(req.impersonator, "users:impersonate")) {
+    return new ErrorResponse("You are no longer allowed to impersonate users", 403);
+  }
+
+  if (IMPERSONATION_EXIT_PATHS.some((p) => req.originalUrl.startsWith(p))) return null;
+
+  if (
+    !SAFE_METHODS.includes(req.method) &&
+    !(impersonation.allowWrites && hasPermission(req.impersonator, "users:impersonate_write"))
+  ) {
+    return new ErrorResponse(
+      "Impersonation is read-only: changes are not allowed for this session",
+      403
+    );
+  }
+
+  return null;
+}
+
+// Sign a request in as the service account owning an API key, with only the
+// key's permissions. Returns an ErrorResponse to stop it.
+async function authenticateApiKey(req, rawKey) {
+  const apiKey = await acrossSchools(() => ApiKey.findByKey(rawKey));
+  if (!apiKey || !apiKey.isActive()) {
+    return new ErrorResponse("Invalid, expired or revoked API key", 401);
+  }
+
+  const user = await acrossSchools(() => User.findById(apiKey.serviceAccount).exec());
+  if (!user || user.isActive === false || user.role !== "service") {
+    return new ErrorResponse("Invalid, expired or revoked API key", 401);
+  }
+
+  // Keys work in their service account's school only
+  const schoolError = enterUserSchool(user);
+  if (schoolError) return schoolError;
+
+  // Routes match whatever the case of the URL, so compare it lowercased
+  const path = req.originalUrl.toLowerCase();
+  if (path.startsWith("/api/auth") && !API_KEY_AUTH_PATHS.some((p) => path.startsWith(p))) {
+    return new ErrorResponse("This route is not available to API keys", 403);
+  }
+
+  req.user = user;
+  req.apiKey = apiKey;
+  req.user.permissionGrants = apiKey.toGrants();
+
+  // Track usage without writing on every request
+  if (!apiKey.lastUsedAt || apiKey.lastUsedAt < Date.now() - config.apiKeys.lastUsedInterval) {
+    await ApiKey.updateOne(
+      { _id: apiKey._id },
+      { lastUsedAt: Date.now(), lastUsedIp: req.ip }
+    );
+  }
+
+  return null;
+}
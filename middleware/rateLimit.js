@@ -0,0 +1,72 @@
+const ErrorResponse = require("../utils/errorResponse");
+const { MemoryStore } = require("../utils/rateLimitStore");
+
+let store = new MemoryStore();
+
+// Swap the counter store (must implement increment(key, windowMs) and reset(key))
+exports.setStore = (newStore) => {
+  store = newStore;
+};
+
+exports.getStore = () => store;
+
+// Normalised account key so "John@X.com " and "john@x.com" share a counter
+exports.accountKey = (email) => String(email || "").trim().toLowerCase();
+
+/**
+ * Builds a rate limiting middleware
+ * @param {Object} options - Limiter options
+ * @param {string} options.name - Counter namespace (e.g. "login")
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @param {number} options.max - Requests allowed per key per window
+ * @param {Function} [options.key] - Returns the key for a request (defaults to the IP)
+ * @param {string} [options.message] - Error message once the limit is hit
+ * @returns {Function} - Express middleware
+ */
+exports.rateLimit = ({ name, windowMs, max, key, message }) => {
+  const keyFor = key || ((req) => req.ip);
+
+  return async (req, res, next) => {
+    const id = keyFor(req);
+
+    // Nothing to count against (e.g. no email in the body)
+    if (!id) return next();
+
+    const { count, resetAt } = await store.increment(`${name}:${id}`, windowMs);
+    const retryAfter = Math.max(Math.ceil((resetAt - Date.now()) / 1000), 0);
+
+    res.set("RateLimit-Limit", String(max));
+    res.set("RateLimit-Remaining", String(Math.max(max - count, 0)));
+    res.set("RateLimit-Reset", String(retryAfter));
+
+    if (count > max) {
+      res.set("Retry-After", String(retryAfter));
+      return next(
+        new ErrorResponse(
+          message || "Too many requests, please try again later",
+          429
+        )
+      );
+    }
+
+    next();
+  };
+};
+
+// Per-IP and per-account limiters for a credential endpoint configured under
+// config.security.rateLimit[name]
+exports.credentialLimiters = (name, limits) => [
+  exports.rateLimit({
+    name: `${name}:ip`,
+    windowMs: limits.windowMs,
+    max: limits.maxPerIp,
+    message: "Too many attempts from this address, please try again later",
+  }),
+  exports.rateLimit({
+    name: `${name}:account`,
+    windowMs: limits.windowMs,
+    max: limits.maxPerAccount,
+    key: (req) => req.body && exports.accountKey(req.body.email),
+    message: "Too many attempts for this account, please try again later",
+  }),
+];
@@ -50,4 +50,21 @@ const upload = multer({
   }
 });
 
-module.exports = { upload }; 
\ No newline at end of file
+// CSV imports are parsed in memory and never written to disk
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (ext === '.csv') {
+      cb(null, true);
+    } else {
+      cb(new ErrorResponse('Please upload a .csv file', 400), false);
+    }
+  },
+  limits: {
+    fileSize: 2 * 1024 * 1024, // 2MB limit
+    files: 1
+  }
+});
+
+module.exports = { upload, csvUpload }; 
\ No newline at end of file
@@ -1,4 +1,6 @@
 const mongoose = require("mongoose");
+const { auditPlugin } = require("../utils/audit");
+const { tenantPlugin } = require("../utils/tenancy");
 
 /**
  * @swagger
@@ -55,6 +57,10 @@ const mongoose = require("mongoose");
  *               format: date-time
  *             reason:
  *               type: string
+ *         rolledOverFrom:
+ *           type: string
+ *           format: objectId
+ *           description: Previous term's enrollment, when created by the term rollover
  *         subjects:
  *           type: array
  *           items:
@@ -118,6 +124,11 @@ const AcademicEnrollmentSchema = new mongoose.Schema({
     transferDate: { type: Date },
     reason: { type: String },
   },
+  // Enrollment of the previous term this one was rolled over from
+  rolledOverFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "AcademicEnrollment",
+  },
   subjects: [
     {
       subject: {
@@ -153,5 +164,21 @@ const AcademicEnrollmentSchema = new mongoose.Schema({
 AcademicEnrollmentSchema.index({ student: 1, status: 1 });
 AcademicEnrollmentSchema.index({ class: 1, academicYear: 1, term: 1 });
 AcademicEnrollmentSchema.index({ student: 1, academicYear: 1, term: 1 });
+AcademicEnrollmentSchema.index({ rolledOverFrom: 1 });
+
+// Mark the enrollment and all its subjects completed
+AcademicEnrollmentSchema.methods.complete = function () {
+  this.status = "completed";
+  this.completionDate = Date.now();
+
+  this.subjects.forEach((subject) => {
+    subject.status = "completed";
+    subject.completionDate = this.completionDate;
+  });
+};
+
+AcademicEnrollmentSchema.plugin(auditPlugin, { entityType: "AcademicEnrollment" });
+
+AcademicEnrollmentSchema.plugin(tenantPlugin);
 
 module.exports = mongoose.model("AcademicEnrollment", AcademicEnrollmentSchema);
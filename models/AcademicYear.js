@@ -0,0 +1,201 @@
+const mongoose = require("mongoose");
+const { auditPlugin } = require("../utils/audit");
+const { validateAcademicYear } = require("../utils/validators");
+const { tenantPlugin } = require("../utils/tenancy");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AcademicYear:
+ *       type: object
+ *       description: |
+ *         A school year of the academic calendar with its terms, holidays and
+ *         half-term breaks. The active term is resolved from these dates, and
+ *         enrollments, gradebook entries and attendance can only be written in
+ *         open terms.
+ *       required:
+ *         - name
+ *         - startDate
+ *         - endDate
+ *       properties:
+ *         name:
+ *           type: string
+ *           description: The academicYear value used on enrollments and gradebooks
+ *           example: "2025"
+ *         startDate:
+ *           type: string
+ *           format: date
+ *         endDate:
+ *           type: string
+ *           format: date
+ *         terms:
+ *           type: array
+ *           items:
+ *             type: object
+ *             required:
+ *               - name
+ *               - startDate
+ *               - endDate
+ *             properties:
+ *               _id:
+ *                 type: string
+ *                 format: objectId
+ *               name:
+ *                 type: string
+ *                 enum: [Term 1, Term 2, Term 3]
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Last day of the term
+ *               status:
+ *                 type: string
+ *                 enum: [open, closed]
+ *                 default: open
+ *                 description: Closed by the term rollover or an admin
+ *               closedAt:
+ *                 type: string
+ *                 format: date-time
+ *         breaks:
+ *           type: array
+ *           description: Days without school inside the year
+ *           items:
+ *             type: object
+ *             required:
+ *               - name
+ *               - startDate
+ *               - endDate
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Easter holiday
+ *               kind:
+ *                 type: string
+ *                 enum: [holiday, half_term]
+ *                 default: holiday
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Last day of the break
+ */
+
+const TERMS = ["Term 1", "Term 2", "Term 3"];
+const BREAK_KINDS = ["holiday", "half_term"];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const TermSchema = new mongoose.Schema({
+  name: { type: String, enum: TERMS, required: true },
+  startDate: { type: Date, required: true },
+  endDate: { type: Date, required: true },
+  status: {
+    type: String,
+    enum: ["open", "closed"],
+    default: "open",
+  },
+  closedAt: { type: Date },
+  closedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+});
+
+const BreakSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  kind: {
+    type: String,
+    enum: BREAK_KINDS,
+    default: "holiday",
+  },
+  startDate: { type: Date, required: true },
+  endDate: { type: Date, required: true },
+});
+
+const AcademicYearSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    validate: {
+      validator: validateAcademicYear,
+      message: "Academic year must look like 2025 or 2025-2026",
+    },
+  },
+  startDate: { type: Date, required: true },
+  endDate: { type: Date, required: true },
+  terms: [TermSchema],
+  breaks: [BreakSchema],
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+// End dates are the last day of a period, so it runs until the next midnight
+const covers = (period, date) => date >= period.startDate && date < new Date(period.endDate.getTime() + DAY);
+
+AcademicYearSchema.pre("validate", function (next) {
+  if (!this.startDate || !this.endDate) return next();
+
+  if (this.endDate < this.startDate) {
+    this.invalidate("endDate", "endDate cannot be before startDate");
+  }
+
+  const terms = [...this.terms].sort((a, b) => a.startDate - b.startDate);
+  terms.forEach((term, i) => {
+    if (term.endDate < term.startDate) {
+      this.invalidate("terms", `${term.name} ends before it starts`);
+    } else if (!covers(this, term.startDate) || !covers(this, term.endDate)) {
+      this.invalidate("terms", `${term.name} must be within the academic year`);
+    }
+    if (i > 0 && !(term.startDate > terms[i - 1].endDate)) {
+      this.invalidate("terms", `${terms[i - 1].name} and ${term.name} overlap`);
+    }
+    if (i > 0 && TERMS.indexOf(term.name) <= TERMS.indexOf(terms[i - 1].name)) {
+      this.invalidate("terms", "Terms must be listed once each and in date order");
+    }
+  });
+
+  this.breaks.forEach((period) => {
+    if (period.endDate < period.startDate) {
+      this.invalidate("breaks", `${period.name} ends before it starts`);
+    } else if (!covers(this, period.startDate) || !covers(this, period.endDate)) {
+      this.invalidate("breaks", `${period.name} must be within the academic year`);
+    }
+  });
+
+  next();
+});
+
+/**
+ * Finds the term a date falls in
+ * @param {Date} date - Date to look up
+ * @returns {Object|undefined} - Term subdocument
+ */
+AcademicYearSchema.methods.termOn = function (date) {
+  return this.terms.find((term) => covers(term, date));
+};
+
+/**
+ * Finds the holiday or half-term break a date falls in
+ * @param {Date} date - Date to look up
+ * @returns {Object|undefined} - Break subdocument
+ */
+AcademicYearSchema.methods.breakOn = function (date) {
+  return this.breaks.find((period) => covers(period, date));
+};
+
+AcademicYearSchema.index({ startDate: 1 });
+
+AcademicYearSchema.plugin(auditPlugin, { entityType: "AcademicYear" });
+
+AcademicYearSchema.statics.TERMS = TERMS;
+AcademicYearSchema.statics.BREAK_KINDS = BREAK_KINDS;
+
+// Names are unique within a school
+AcademicYearSchema.index({ school: 1, name: 1 }, { unique: true });
+AcademicYearSchema.plugin(tenantPlugin);
+
+module.exports = mongoose.model("AcademicYear", AcademicYearSchema);
@@ -0,0 +1,182 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+const { auditPlugin } = require("../utils/audit");
+const { PERMISSIONS, API_KEY_EXCLUDED_PERMISSIONS } = require("../config/permissions");
+const config = require("../config/config");
+const { tenantPlugin } = require("../utils/tenancy");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ApiKey:
+ *       type: object
+ *       description: |
+ *         An API key of a service account. The key itself is only shown when it
+ *         is created or rotated; it is stored as a hash.
+ *       properties:
+ *         name:
+ *           type: string
+ *           description: What the key is used for (e.g., "SIS nightly sync")
+ *         serviceAccount:
+ *           type: string
+ *           format: objectId
+ *         prefix:
+ *           type: string
+ *           description: Public part of the key, shown to tell keys apart
+ *         permissions:
+ *           type: array
+ *           items:
+ *             type: string
+ *         scope:
+ *           type: object
+ *           description: Limits class-scoped permissions, like a role grant scope
+ *           properties:
+ *             levels:
+ *               type: array
+ *               items:
+ *                 type: string
+ *             classes:
+ *               type: array
+ *               items:
+ *                 type: string
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *         lastUsedIp:
+ *           type: string
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *         revokedReason:
+ *           type: string
+ *           enum: [revoked, rotated, account_deactivated]
+ *         rotatedFrom:
+ *           type: string
+ *           format: objectId
+ *           description: Key this one replaced
+ *         replacedBy:
+ *           type: string
+ *           format: objectId
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const ApiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100,
+  },
+  serviceAccount: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  // Public lookup part of the key; only a hash of the whole key is stored
+  prefix: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    select: false,
+  },
+  permissions: {
+    type: [String],
+    validate: {
+      validator: (perms) =>
+        perms.length > 0 &&
+        perms.every(
+          (p) => Object.hasOwn(PERMISSIONS, p) && !API_KEY_EXCLUDED_PERMISSIONS.includes(p)
+        ),
+      message: "Permissions must be a non-empty list of permission keys allowed for API keys",
+    },
+  },
+  scope: {
+    levels: [{ type: String }],
+    classes: [{ type: mongoose.Schema.Types.ObjectId, ref: "Class" }],
+  },
+  expiresAt: { type: Date, required: true },
+
+  // Usage
+  lastUsedAt: { type: Date },
+  lastUsedIp: { type: String },
+
+  // Lifecycle
+  revokedAt: { type: Date },
+  revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  revokedReason: {
+    type: String,
+    enum: ["revoked", "rotated", "account_deactivated"],
+  },
+  rotatedFrom: { type: mongoose.Schema.Types.ObjectId, ref: "ApiKey" },
+  replacedBy: { type: mongoose.Schema.Types.ObjectId, ref: "ApiKey" },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  createdAt: { type: Date, default: Date.now },
+});
+
+ApiKeySchema.index({ serviceAccount: 1, createdAt: -1 });
+
+// Hash a raw key for storage/lookup
+ApiKeySchema.statics.hashKey = function (key) {
+  return crypto.createHash("sha256").update(String(key)).digest("hex");
+};
+
+// Generate a new raw key ("sk_<prefix>_<secret>") with its prefix and hash
+ApiKeySchema.statics.generate = function () {
+  const prefix = crypto.randomBytes(6).toString("hex");
+  const secret = crypto.randomBytes(32).toString("base64url");
+  const key = `${config.apiKeys.prefix}${prefix}_${secret}`;
+
+  return { key, prefix, keyHash: this.hashKey(key) };
+};
+
+// Find the key document for a raw key, or null if it doesn't match
+ApiKeySchema.statics.findByKey = async function (key) {
+  const raw = String(key);
+  if (!raw.startsWith(config.apiKeys.prefix)) return null;
+
+  const prefix = raw.slice(config.apiKeys.prefix.length).split("_")[0];
+  const apiKey = await this.findOne({ prefix }).select("+keyHash");
+  if (!apiKey) return null;
+
+  const expected = Buffer.from(apiKey.keyHash, "hex");
+  const actual = Buffer.from(this.hashKey(raw), "hex");
+  return crypto.timingSafeEqual(expected, actual) ? apiKey : null;
+};
+
+// Check whether the key can still be used
+ApiKeySchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > Date.now();
+};
+
+// Revoke the key
+ApiKeySchema.methods.revoke = function (reason = "revoked", revokedBy) {
+  this.revokedAt = Date.now();
+  this.revokedReason = reason;
+  if (revokedBy) this.revokedBy = revokedBy;
+};
+
+// Permission grants for requests made with the key
+ApiKeySchema.methods.toGrants = function () {
+  const scope = this.scope && this.scope.toObject ? this.scope.toObject() : this.scope;
+  return this.permissions.map((permission) => ({ permission, scope: scope || null }));
+};
+
+ApiKeySchema.plugin(auditPlugin, {
+  entityType: "ApiKey",
+  ignore: ["lastUsedAt", "lastUsedIp"],
+  redact: ["keyHash"],
+});
+
+ApiKeySchema.plugin(tenantPlugin);
+
+module.exports = mongoose.model("ApiKey", ApiKeySchema);
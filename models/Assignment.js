@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { tenantPlugin } = require("../utils/tenancy");
 
 /**
  * @swagger
@@ -128,6 +129,12 @@ const mongoose = require("mongoose");
  *           items:
  *             type: string
  *           description: List of learning objectives for this assignment
+ *         topics:
+ *           type: array
+ *           items:
+ *             type: string
+ *             format: objectId
+ *           description: Syllabus topics the assignment assesses
  *         rubrics:
  *           type: array
  *           items:
@@ -252,6 +259,7 @@ const AssignmentSchema = new mongoose.Schema({
       type: String,
     },
   ],
+  topics: [{ type: mongoose.Schema.Types.ObjectId, ref: "SyllabusTopic" }],
   rubrics: [
     {
       criteria: { type: String, required: true },
@@ -275,6 +283,7 @@ const AssignmentSchema = new mongoose.Schema({
 // Add indexes for better query performance
 AssignmentSchema.index({ class: 1, subject: 1, status: 1 });
 AssignmentSchema.index({ createdBy: 1, status: 1 });
+AssignmentSchema.index({ topics: 1 });
 
 // Validate attachment fields based on type
 AssignmentSchema.pre("save", function (next) {
@@ -303,4 +312,6 @@ AssignmentSchema.pre("save", function (next) {
   next();
 });
 
+AssignmentSchema.plugin(tenantPlugin);
+
 module.exports = mongoose.model("Assignment", AssignmentSchema);
@@ -1,4 +1,6 @@
 const mongoose = require("mongoose");
+const { auditPlugin } = require("../utils/audit");
+const { tenantPlugin } = require("../utils/tenancy");
 
 /**
  * @swagger
@@ -28,6 +30,13 @@ const mongoose = require("mongoose");
  *           type: string
  *           format: date
  *           description: Date of attendance
+ *         academicYear:
+ *           type: string
+ *           description: Set from the term the date falls in
+ *         term:
+ *           type: string
+ *           enum: [Term 1, Term 2, Term 3]
+ *           description: Set from the term the date falls in
  *         session:
  *           type: string
  *           enum: [morning, afternoon, full-day]
@@ -113,6 +122,11 @@ const AttendanceSchema = new mongoose.Schema({
     type: Date,
     required: true,
   },
+  academicYear: { type: String },
+  term: {
+    type: String,
+    enum: ["Term 1", "Term 2", "Term 3"],
+  },
   session: {
     type: String,
     enum: ["morning", "afternoon", "full-day"],
@@ -148,4 +162,8 @@ const AttendanceSchema = new mongoose.Schema({
   updatedAt: { type: Date, default: Date.now },
 });
 
+AttendanceSchema.plugin(auditPlugin, { entityType: "Attendance" });
+
+AttendanceSchema.plugin(tenantPlugin);
+
 module.exports = mongoose.model("Attendance", AttendanceSchema);
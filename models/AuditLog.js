@@ -0,0 +1,164 @@
+const mongoose = require("mongoose");
+const { tenantPlugin } = require("../utils/tenancy");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditLog:
+ *       type: object
+ *       properties:
+ *         actor:
+ *           type: string
+ *           format: objectId
+ *           description: User who made the change (empty for unauthenticated flows such as password reset)
+ *         actorEmail:
+ *           type: string
+ *         actorRole:
+ *           type: string
+ *         impersonatedUser:
+ *           type: string
+ *           format: objectId
+ *           description: Set when the actor was impersonating this user
+ *         apiKey:
+ *           type: string
+ *           format: objectId
+ *           description: API key used, when the actor is a service account
+ *         action:
+ *           type: string
+ *           description: What happened (e.g., "submission.grade", "User.delete")
+ *         entityType:
+ *           type: string
+ *           description: Model name of the changed record (e.g., "Gradebook")
+ *         entityId:
+ *           type: string
+ *           format: objectId
+ *           description: Empty for bulk updates too large to log record by record (action ending in .update_many)
+ *         changes:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               field:
+ *                 type: string
+ *               before: {}
+ *               after: {}
+ *         ip:
+ *           type: string
+ *         userAgent:
+ *           type: string
+ *         method:
+ *           type: string
+ *         path:
+ *           type: string
+ *         statusCode:
+ *           type: number
+ *           description: Response status, logged for impersonated requests
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const AuditLogSchema = new mongoose.Schema({
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  // Snapshot, so entries stay readable after the actor is deleted
+  actorEmail: { type: String },
+  actorRole: { type: String },
+  // The actor is an admin viewing the app as this user
+  impersonatedUser: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  apiKey: { type: mongoose.Schema.Types.ObjectId, ref: "ApiKey" },
+  action: { type: String, required: true },
+  entityType: { type: String, required: true },
+  // Left out only for updates of more records than are audited one by one
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: function () {
+      return !this.action.endsWith(".update_many");
+    },
+  },
+  changes: [
+    {
+      _id: false,
+      field: { type: String, required: true },
+      before: { type: mongoose.Schema.Types.Mixed },
+      after: { type: mongoose.Schema.Types.Mixed },
+    },
+  ],
+  ip: { type: String },
+  userAgent: { type: String },
+  method: { type: String },
+  path: { type: String },
+  statusCode: { type: Number },
+  createdAt: { type: Date, default: Date.now },
+});
+
+AuditLogSchema.index({ createdAt: -1 });
+AuditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+AuditLogSchema.index({ actor: 1, createdAt: -1 });
+AuditLogSchema.index({ impersonatedUser: 1, createdAt: -1 }, { sparse: true });
+
+// Audit entries are append-only
+AuditLogSchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne"],
+  function () {
+    throw new Error("Audit log entries cannot be modified");
+  }
+);
+
+// Replaces the values of changes with "[redacted]", or only those equal to
+// a given value
+const redactChanges = (value) => ({
+  $map: {
+    input: "$changes",
+    as: "change",
+    in: {
+      field: "$$change.field",
+      ...Object.fromEntries(
+        ["before", "after"].map((side) => {
+          const current = `$$change.${side}`;
+          const matches =
+            value === undefined
+              ? { $ne: [{ $type: current }, "missing"] }
+              : { $eq: [current, value] };
+          return [side, { $cond: [matches, "[redacted]", current] }];
+        })
+      ),
+    },
+  },
+});
+
+/**
+ * Takes the personal data of an anonymized person out of the log, the one
+ * change entries are allowed: every value in the entries about their
+ * account, their email wherever it was recorded, and the email, IP address
+ * and browser of the requests they made. Who did what stays, under the
+ * account ID.
+ * @param {Object} userId - User ID
+ * @param {Object} details - { email: their email before anonymization,
+ * pseudonymEmail: what to record as the actor email instead }
+ * @returns {Promise<void>}
+ */
+AuditLogSchema.statics.redactPerson = async function (userId, { email, pseudonymEmail }) {
+  // Straight to the collection: the model refuses updates to keep the log
+  // append-only
+  await this.collection.updateMany(
+    { entityType: "User", entityId: userId, "changes.0": { $exists: true } },
+    [{ $set: { changes: redactChanges() } }]
+  );
+
+  if (email) {
+    await this.collection.updateMany(
+      { $or: [{ "changes.before": email }, { "changes.after": email }] },
+      [{ $set: { changes: redactChanges(email) } }]
+    );
+  }
+
+  await this.collection.updateMany(
+    { actor: userId },
+    { $set: { actorEmail: pseudonymEmail }, $unset: { ip: "", userAgent: "" } }
+  );
+};
+
+AuditLogSchema.plugin(tenantPlugin, { required: false });
+
+module.exports = mongoose.model("AuditLog", AuditLogSchema);
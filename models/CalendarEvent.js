@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { tenantPlugin } = require("../utils/tenancy");
 
 /**
  * @swagger
@@ -160,4 +161,6 @@ const CalendarEventSchema = new mongoose.Schema({
   updatedAt: { type: Date, default: Date.now },
 });
 
+CalendarEventSchema.plugin(tenantPlugin);
+
 module.exports = mongoose.model("CalendarEvent", CalendarEventSchema);
@@ -1,4 +1,7 @@
 const mongoose = require("mongoose");
+const crypto = require("crypto");
+const { auditPlugin } = require("../utils/audit");
+const { tenantPlugin } = require("../utils/tenancy");
 
 /**
  * @swagger
@@ -27,6 +30,10 @@ const mongoose = require("mongoose");
  *         description:
  *           type: string
  *           maxLength: 500
+ *         capacity:
+ *           type: integer
+ *           minimum: 1
+ *           description: Maximum active enrollments; further students are waitlisted
  *         subjects:
  *           type: array
  *           items:
@@ -35,6 +42,10 @@ const mongoose = require("mongoose");
  *               subject:
  *                 type: string
  *                 format: objectId
+ *               capacity:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Seats in an elective subject; further students are waitlisted
  *               teachers:
  *                 type: array
  *                 items:
@@ -53,6 +64,8 @@ const mongoose = require("mongoose");
  *                       format: objectId
  *               schedule:
  *                 type: object
+ *                 deprecated: true
+ *                 description: Single weekly slot; use the timetable (/api/timetable) instead
  *                 properties:
  *                   day:
  *                     type: string
@@ -66,6 +79,25 @@ const mongoose = require("mongoose");
  *         classTeacher:
  *           type: string
  *           format: objectId
+ *         joinSettings:
+ *           type: object
+ *           description: Whether and how students can join with the class code
+ *           properties:
+ *             enabled:
+ *               type: boolean
+ *               default: true
+ *             autoApprove:
+ *               type: boolean
+ *               default: false
+ *               description: Enroll straight away instead of creating a request to approve
+ *             expiresAt:
+ *               type: string
+ *               format: date-time
+ *             maxJoins:
+ *               type: integer
+ *               description: Joins allowed with the current code
+ *             joinCount:
+ *               type: integer
  *         isActive:
  *           type: boolean
  *           default: true
@@ -97,7 +129,6 @@ const ClassSchema = new mongoose.Schema({
   },
   code: {
     type: String,
-    unique: true,
     required: true,
     uppercase: true,
   },
@@ -115,6 +146,8 @@ const ClassSchema = new mongoose.Schema({
     type: String,
     maxlength: 500,
   },
+  // Seats in the class; unlimited when unset
+  capacity: { type: Number, min: 1 },
   // Subjects offered in this class
   subjects: [
     {
@@ -123,6 +156,8 @@ const ClassSchema = new mongoose.Schema({
         ref: "Subject",
         required: true,
       },
+      // Seats in an elective subject; unlimited when unset
+      capacity: { type: Number, min: 1 },
       // Teachers for this subject in this class
       teachers: [
         {
@@ -143,6 +178,7 @@ const ClassSchema = new mongoose.Schema({
           assignedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
         },
       ],
+      // Superseded by TimetableEntry, which allows several periods a week
       schedule: {
         day: {
           type: String,
@@ -175,21 +211,73 @@ const ClassSchema = new mongoose.Schema({
       assignedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
     },
   ],
+  // Joining with the class code
+  joinSettings: {
+    enabled: { type: Boolean, default: true },
+    autoApprove: { type: Boolean, default: false },
+    expiresAt: { type: Date },
+    maxJoins: { type: Number, min: 1 },
+    // Joins with the current code; reset when the code is regenerated
+    joinCount: { type: Number, default: 0 },
+  },
   // System
   isActive: { type: Boolean, default: true },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now },
 });
 
+// Class codes let students join, so the random part must not be guessable.
+// No 0/O or 1/I, which are easy to mix up when typed in.
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const CODE_RANDOM_LENGTH = 8;
+const CODE_ATTEMPTS = 5;
+
 // Generate class code before saving
 ClassSchema.pre("save", function (next) {
   if (!this.isModified("code") && this.code) return next();
 
-  // Format: LEVEL-STREAM-RANDOM (e.g., S1-A-X5B9)
-  const randomChars = Math.random().toString(36).substring(2, 6).toUpperCase();
+  // Format: LEVEL-STREAM-RANDOM (e.g., S1-A-X5B9K2QH)
+  let randomChars = "";
+  for (let i = 0; i < CODE_RANDOM_LENGTH; i++) {
+    randomChars += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  }
   this.code = `${this.level}-${this.stream}-${randomChars}`;
 
   next();
 });
 
+// Save a class that is getting a new code, drawing another code if it
+// clashes with an existing one
+ClassSchema.methods.saveWithNewCode = async function () {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await this.save();
+    } catch (err) {
+      const codeTaken = err.code === 11000 && err.keyPattern && err.keyPattern.code;
+      if (!codeTaken || attempt >= CODE_ATTEMPTS) throw err;
+
+      // Any change to the code makes the pre-save hook generate a new one
+      this.code = `${this.level}-${this.stream}`;
+    }
+  }
+};
+
+// Why the class code can't be used to join right now, or null if it can
+ClassSchema.methods.joinCodeProblem = function () {
+  const settings = this.joinSettings || {};
+
+  if (!this.isActive || !settings.enabled) return "Joining with this class code is disabled";
+  if (settings.expiresAt && settings.expiresAt <= Date.now()) return "This class code has expired";
+  if (settings.maxJoins && settings.joinCount >= settings.maxJoins) {
+    return "This class code has reached its join limit";
+  }
+  return null;
+};
+
+ClassSchema.plugin(auditPlugin, { entityType: "Class" });
+
+// Codes are unique within a school
+ClassSchema.index({ school: 1, code: 1 }, { unique: true });
+ClassSchema.plugin(tenantPlugin);
+
 module.exports = mongoose.model("Class", ClassSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { tenantPlugin } = require('../utils/tenancy');
 
 /**
  * @swagger
@@ -54,6 +55,12 @@ const mongoose = require('mongoose');
  *           items:
  *             type: string
  *           description: Array of tags for content categorization
+ *         topics:
+ *           type: array
+ *           items:
+ *             type: string
+ *             format: objectId
+ *           description: Syllabus topics the content covers
  *         isPublic:
  *           type: boolean
  *           default: false
@@ -123,6 +130,7 @@ const ContentSchema = new mongoose.Schema({
   
   // Metadata
   tags: [{ type: String }],
+  topics: [{ type: mongoose.Schema.Types.ObjectId, ref: 'SyllabusTopic' }],
   isPublic: { type: Boolean, default: false },
   accessLevel: {
     type: String,
@@ -137,4 +145,6 @@ const ContentSchema = new mongoose.Schema({
   updatedAt: { type: Date, default: Date.now }
 });
 
+ContentSchema.plugin(tenantPlugin);
+
 module.exports = mongoose.model('Content', ContentSchema);
\ No newline at end of file
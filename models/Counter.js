@@ -0,0 +1,33 @@
+const mongoose = require("mongoose");
+const { tenantPlugin } = require("../utils/tenancy");
+
+// Named sequence counters, incremented atomically
+const CounterSchema = new mongoose.Schema({
+  key: { type: String, required: true },
+  seq: { type: Number, default: 0 },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+// Increment a counter and return the new value, creating it at 1
+CounterSchema.statics.next = async function (key) {
+  const update = { $inc: { seq: 1 }, $set: { updatedAt: Date.now() } };
+
+  try {
+    const counter = await this.findOneAndUpdate({ key }, update, {
+      new: true,
+      upsert: true,
+    });
+    return counter.seq;
+  } catch (err) {
+    // Two first increments can race on the upsert; the loser retries
+    if (err.code !== 11000) throw err;
+    const counter = await this.findOneAndUpdate({ key }, update, { new: true });
+    return counter.seq;
+  }
+};
+
+// Keys are unique within a school
+CounterSchema.index({ school: 1, key: 1 }, { unique: true });
+CounterSchema.plugin(tenantPlugin);
+
+module.exports = mongoose.model("Counter", CounterSchema);
@@ -0,0 +1,106 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+const { tenantPlugin } = require("../utils/tenancy");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DataExport:
+ *       type: object
+ *       description: A personal data export. Records are kept after the file expires.
+ *       properties:
+ *         user:
+ *           type: string
+ *           format: objectId
+ *           description: User whose data is exported
+ *         requestedBy:
+ *           type: string
+ *           format: objectId
+ *         status:
+ *           type: string
+ *           enum: [queued, processing, completed, failed, expired]
+ *         fileName:
+ *           type: string
+ *         size:
+ *           type: number
+ *           description: ZIP size in bytes
+ *         counts:
+ *           type: object
+ *           description: Number of records exported per section
+ *         error:
+ *           type: string
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the download link stops working
+ *         downloadCount:
+ *           type: number
+ *         lastDownloadedAt:
+ *           type: string
+ *           format: date-time
+ *         ip:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const DataExportSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ["queued", "processing", "completed", "failed", "expired"],
+    default: "queued",
+  },
+
+  // Stored outside public/, only reachable through the download link
+  fileName: { type: String },
+  filePath: { type: String, select: false },
+  size: { type: Number },
+  counts: { type: mongoose.Schema.Types.Mixed },
+  error: { type: String },
+
+  downloadTokenHash: { type: String, select: false },
+  expiresAt: { type: Date },
+  downloadCount: { type: Number, default: 0 },
+  lastDownloadedAt: { type: Date },
+
+  ip: { type: String },
+  userAgent: { type: String },
+  startedAt: { type: Date },
+  completedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+});
+
+DataExportSchema.index({ user: 1, createdAt: -1 });
+DataExportSchema.index({ downloadTokenHash: 1 }, { sparse: true });
+DataExportSchema.index({ status: 1, expiresAt: 1 });
+
+// Hash a raw download token for storage/lookup
+DataExportSchema.statics.hashToken = function (token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+};
+
+// Generate the download token sent to the requester
+DataExportSchema.methods.getDownloadToken = function () {
+  const token = crypto.randomBytes(32).toString("base64url");
+  this.downloadTokenHash = this.constructor.hashToken(token);
+  return token;
+};
+
+DataExportSchema.plugin(tenantPlugin);
+
+module.exports = mongoose.model("DataExport", DataExportSchema);
@@ -0,0 +1,95 @@
+const mongoose = require("mongoose");
+const { auditPlugin } = require("../utils/audit");
+const { tenantPlugin } = require("../utils/tenancy");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ElectiveChoice:
+ *       type: object
+ *       description: A student's ranked electives in a selection window, and what they were allocated
+ *       properties:
+ *         window:
+ *           type: string
+ *           format: objectId
+ *         student:
+ *           type: string
+ *           format: objectId
+ *         class:
+ *           type: string
+ *           format: objectId
+ *         choices:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               subject:
+ *                 type: string
+ *                 format: objectId
+ *               rank:
+ *                 type: integer
+ *                 description: 1 is the first choice
+ *               outcome:
+ *                 type: string
+ *                 enum: [allocated, full, prerequisites, not_needed, not_offered]
+ *                 description: Set by the allocation run
+ *         allocated:
+ *           type: array
+ *           items:
+ *             type: string
+ *             format: objectId
+ *         note:
+ *           type: string
+ *           description: Why the student could not be allocated at all, if so
+ *         submittedAt:
+ *           type: string
+ *           format: date-time
+ *           description: Earlier submissions are allocated first in each round
+ */
+
+const ElectiveChoiceSchema = new mongoose.Schema({
+  window: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "ElectiveWindow",
+    required: true,
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  class: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Class",
+    required: true,
+  },
+  choices: [
+    {
+      _id: false,
+      subject: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Subject",
+        required: true,
+      },
+      rank: { type: Number, required: true, min: 1 },
+      outcome: {
+        type: String,
+        enum: ["allocated", "full", "prerequisites", "not_needed", "not_offered"],
+      },
+    },
+  ],
+  allocated: [{ type: mongoose.Schema.Types.ObjectId, ref: "Subject" }],
+  note: { type: String },
+  submittedAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+ElectiveChoiceSchema.index({ window: 1, student: 1 }, { unique: true });
+ElectiveChoiceSchema.index({ window: 1, class: 1, submittedAt: 1 });
+
+ElectiveChoiceSchema.plugin(auditPlugin, { entityType: "ElectiveChoice" });
+
+ElectiveChoiceSchema.plugin(tenantPlugin);
+
+module.exports = mongoose.model("ElectiveChoice", ElectiveChoiceSchema);
@@ -0,0 +1,135 @@
+const mongoose = require("mongoose");
+const { auditPlugin } = require("../utils/audit");
+const { tenantPlugin } = require("../utils/tenancy");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ElectiveWindow:
+ *       type: object
+ *       description: |
+ *         A period in which students of the listed classes rank the elective
+ *         subjects of their class. After it closes, an allocation run gives each
+ *         student their electives, respecting capacities and prerequisites.
+ *       required:
+ *         - name
+ *         - academicYear
+ *         - term
+ *         - classes
+ *         - opensAt
+ *         - closesAt
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: S3 electives 2026
+ *         academicYear:
+ *           type: string
+ *         term:
+ *           type: string
+ *           enum: [Term 1, Term 2, Term 3]
+ *         classes:
+ *           type: array
+ *           items:
+ *             type: string
+ *             format: objectId
+ *         opensAt:
+ *           type: string
+ *           format: date-time
+ *         closesAt:
+ *           type: string
+ *           format: date-time
+ *         maxChoices:
+ *           type: integer
+ *           default: 3
+ *           description: Electives a student can rank
+ *         electivesPerStudent:
+ *           type: integer
+ *           default: 1
+ *           description: Electives each student is allocated
+ *         status:
+ *           type: string
+ *           enum: [upcoming, open, closed]
+ *           description: Computed from opensAt and closesAt
+ *         allocation:
+ *           type: object
+ *           properties:
+ *             status:
+ *               type: string
+ *               enum: [pending, completed]
+ *             allocatedAt:
+ *               type: string
+ *               format: date-time
+ *             allocatedBy:
+ *               type: string
+ *               format: objectId
+ *             summary:
+ *               type: object
+ *               properties:
+ *                 students:
+ *                   type: integer
+ *                 fullyAllocated:
+ *                   type: integer
+ *                 partiallyAllocated:
+ *                   type: integer
+ *                 unallocated:
+ *                   type: integer
+ */
+
+const ElectiveWindowSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    academicYear: { type: String, required: true },
+    term: {
+      type: String,
+      enum: ["Term 1", "Term 2", "Term 3"],
+      required: true,
+    },
+    classes: [{ type: mongoose.Schema.Types.ObjectId, ref: "Class" }],
+    opensAt: { type: Date, required: true },
+    closesAt: { type: Date, required: true },
+    maxChoices: { type: Number, min: 1, default: 3 },
+    electivesPerStudent: { type: Number, min: 1, default: 1 },
+    allocation: {
+      status: {
+        type: String,
+        enum: ["pending", "completed"],
+        default: "pending",
+      },
+      allocatedAt: { type: Date },
+      allocatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      summary: { type: mongoose.Schema.Types.Mixed },
+    },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now },
+  },
+  {
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+ElectiveWindowSchema.pre("validate", function (next) {
+  if (!this.classes || this.classes.length === 0) {
+    this.invalidate("classes", "Please add at least one class");
+  }
+  if (this.opensAt && this.closesAt && this.closesAt <= this.opensAt) {
+    this.invalidate("closesAt", "closesAt must be after opensAt");
+  }
+  next();
+});
+
+ElectiveWindowSchema.virtual("status").get(function () {
+  const now = Date.now();
+  if (now < this.opensAt) return "upcoming";
+  return now < this.closesAt ? "open" : "closed";
+});
+
+ElectiveWindowSchema.index({ classes: 1, closesAt: -1 });
+
+ElectiveWindowSchema.plugin(auditPlugin, { entityType: "ElectiveWindow" });
+
+ElectiveWindowSchema.plugin(tenantPlugin);
+
+module.exports = mongoose.model("ElectiveWindow", ElectiveWindowSchema);
@@ -0,0 +1,123 @@
+const mongoose = require("mongoose");
+const { auditPlugin } = require("../utils/audit");
+const { tenantPlugin } = require("../utils/tenancy");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     EnrollmentRequest:
+ *       type: object
+ *       description: |
+ *         A request to join a class or subject, reviewed by the class teacher or
+ *         an administrator. Approving a student's class request enrolls them;
+ *         approving a subject request adds the subject to the student's
+ *         enrollment, or makes the teacher a teacher of the subject in the class.
+ *       required:
+ *         - class
+ *       properties:
+ *         requester:
+ *           type: string
+ *           format: objectId
+ *         requesterRole:
+ *           type: string
+ *           enum: [student, teacher]
+ *         type:
+ *           type: string
+ *           enum: [class, subject]
+ *         class:
+ *           type: string
+ *           format: objectId
+ *         subject:
+ *           type: string
+ *           format: objectId
+ *           description: Required for subject requests
+ *         message:
+ *           type: string
+ *           description: Note from the requester
+ *         source:
+ *           type: string
+ *           enum: [request, join_code]
+ *           description: Whether the request was made with the class code
+ *         status:
+ *           type: string
+ *           enum: [pending, approved, rejected, cancelled]
+ *           default: pending
+ *         reviewedBy:
+ *           type: string
+ *           format: objectId
+ *         reviewedAt:
+ *           type: string
+ *           format: date-time
+ *         reason:
+ *           type: string
+ *           description: Reason for a rejection, or a note on an approval
+ *         enrollment:
+ *           type: string
+ *           format: objectId
+ *           description: Enrollment created or updated on approval (students)
+ *         waitlistEntry:
+ *           type: string
+ *           format: objectId
+ *           description: Waitlist entry created when the class or elective was full on approval
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const EnrollmentRequestSchema = new mongoose.Schema({
+  requester: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  requesterRole: {
+    type: String,
+    enum: ["student", "teacher"],
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: ["class", "subject"],
+    required: true,
+  },
+  class: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Class",
+    required: true,
+  },
+  subject: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Subject",
+  },
+  message: { type: String, maxlength: 500 },
+  source: {
+    type: String,
+    enum: ["request", "join_code"],
+    default: "request",
+  },
+  status: {
+    type: String,
+    enum: ["pending", "approved", "rejected", "cancelled"],
+    default: "pending",
+  },
+
+  // Review
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  reviewedAt: { type: Date },
+  reason: { type: String, maxlength: 500 },
+  enrollment: { type: mongoose.Schema.Types.ObjectId, ref: "AcademicEnrollment" },
+  waitlistEntry: { type: mongoose.Schema.Types.ObjectId, ref: "WaitlistEntry" },
+
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+EnrollmentRequestSchema.index({ class: 1, status: 1, createdAt: -1 });
+EnrollmentRequestSchema.index({ requester: 1, status: 1 });
+
+EnrollmentRequestSchema.plugin(auditPlugin, { entityType: "EnrollmentRequest" });
+
+EnrollmentRequestSchema.plugin(tenantPlugin);
+
+module.exports = mongoose.model("EnrollmentRequest", EnrollmentRequestSchema);
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { tenantPlugin } = require("../utils/tenancy");
 
 /**
  * @swagger
@@ -114,4 +115,6 @@ const FeedbackSchema = new mongoose.Schema({
   updatedAt: { type: Date, default: Date.now },
 });
 
+FeedbackSchema.plugin(tenantPlugin);
+
 module.exports = mongoose.model("Feedback", FeedbackSchema);
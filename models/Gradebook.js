@@ -1,4 +1,6 @@
 const mongoose = require("mongoose");
+const { auditPlugin } = require("../utils/audit");
+const { tenantPlugin } = require("../utils/tenancy");
 
 /**
  * @swagger
@@ -162,4 +164,8 @@ const GradebookSchema = new mongoose.Schema({
   updatedAt: { type: Date, default: Date.now },
 });
 
+GradebookSchema.plugin(auditPlugin, { entityType: "Gradebook" });
+
+GradebookSchema.plugin(tenantPlugin);
+
 module.exports = mongoose.model("Gradebook", GradebookSchema);
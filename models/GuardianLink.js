@@ -0,0 +1,125 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+const { tenantPlugin } = require("../utils/tenancy");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     GuardianLink:
+ *       type: object
+ *       required:
+ *         - student
+ *         - method
+ *       properties:
+ *         parent:
+ *           type: string
+ *           format: objectId
+ *           description: Parent/guardian user (empty until the link is claimed)
+ *         student:
+ *           type: string
+ *           format: objectId
+ *           description: Linked student
+ *         relationship:
+ *           type: string
+ *           description: e.g. "mother", "father", "guardian"
+ *         method:
+ *           type: string
+ *           enum: [invitation, code]
+ *           description: How the link was established
+ *         status:
+ *           type: string
+ *           enum: [pending, active, revoked]
+ *           default: pending
+ *         inviteEmail:
+ *           type: string
+ *           format: email
+ *           description: Email the invitation was sent to
+ *         createdBy:
+ *           type: string
+ *           format: objectId
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         verifiedAt:
+ *           type: string
+ *           format: date-time
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const GuardianLinkSchema = new mongoose.Schema({
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  relationship: { type: String, trim: true },
+  method: {
+    type: String,
+    enum: ["invitation", "code"],
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ["pending", "active", "revoked"],
+    default: "pending",
+  },
+
+  // Verification secrets (hashed)
+  inviteEmail: { type: String, lowercase: true, trim: true },
+  tokenHash: { type: String, select: false },
+  expiresAt: { type: Date },
+
+  // Audit
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  verifiedAt: { type: Date },
+  revokedAt: { type: Date },
+  revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+GuardianLinkSchema.index({ parent: 1, status: 1 });
+GuardianLinkSchema.index({ student: 1, status: 1 });
+GuardianLinkSchema.index({ tokenHash: 1 });
+
+// Hash an invitation token or link code for lookup
+GuardianLinkSchema.statics.hashToken = function (token) {
+  return crypto
+    .createHash("sha256")
+    .update(String(token).trim().toUpperCase())
+    .digest("hex");
+};
+
+// Generate an emailed invitation token (valid 7 days)
+GuardianLinkSchema.methods.getInvitationToken = function () {
+  const token = crypto.randomBytes(20).toString("hex");
+
+  this.tokenHash = this.constructor.hashToken(token);
+  this.expiresAt = Date.now() + 7 * 24 * 60 * 60 * 1000;
+
+  return token;
+};
+
+// Generate a short code a student can hand to a parent (valid 48 hours)
+GuardianLinkSchema.methods.getLinkCode = function () {
+  // No 0/O/1/I so codes can be read out over the phone
+  const alphabet = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+  const bytes = crypto.randomBytes(8);
+  const code = Array.from(bytes, (b) => alphabet[b % alphabet.length]).join("");
+
+  this.tokenHash = this.constructor.hashToken(code);
+  this.expiresAt = Date.now() + 48 * 60 * 60 * 1000;
+
+  return code;
+};
+
+GuardianLinkSchema.plugin(tenantPlugin);
+
+module.exports = mongoose.model("GuardianLink", GuardianLinkSchema);
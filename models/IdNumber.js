@@ -0,0 +1,64 @@
+const mongoose = require("mongoose");
+const { tenantPlugin } = require("../utils/tenancy");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     IdNumber:
+ *       type: object
+ *       description: Every student/teacher ID number ever issued or reserved. Entries are never deleted, so a number can never be handed out twice.
+ *       properties:
+ *         idType:
+ *           type: string
+ *           enum: [studentId, teacherId]
+ *         value:
+ *           type: string
+ *           description: The ID number (e.g., "2025/S1/0042")
+ *         status:
+ *           type: string
+ *           enum: [assigned, reserved, retired]
+ *         user:
+ *           type: string
+ *           format: objectId
+ *           description: User the number is (or was) assigned to
+ *         reason:
+ *           type: string
+ *           description: Why the number was reserved or retired
+ *         createdBy:
+ *           type: string
+ *           format: objectId
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const IdNumberSchema = new mongoose.Schema({
+  idType: {
+    type: String,
+    enum: ["studentId", "teacherId"],
+    required: true,
+  },
+  value: { type: String, required: true, trim: true },
+  status: {
+    type: String,
+    enum: ["assigned", "reserved", "retired"],
+    default: "assigned",
+  },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  reason: { type: String, trim: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+IdNumberSchema.index({ school: 1, idType: 1, value: 1 }, { unique: true });
+IdNumberSchema.index({ user: 1 });
+IdNumberSchema.index({ status: 1, idType: 1 });
+
+IdNumberSchema.plugin(tenantPlugin);
+
+module.exports = mongoose.model("IdNumber", IdNumberSchema);
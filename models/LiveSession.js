@@ -1,5 +1,6 @@
 const mongoose = require("mongoose");
 const crypto = require("crypto");
+const { tenantPlugin } = require("../utils/tenancy");
 
 const LiveSessionSchema = new mongoose.Schema(
   {
@@ -29,6 +30,8 @@ const LiveSessionSchema = new mongoose.Schema(
       ref: "Subject",
       required: true,
     },
+    // Syllabus topics covered in the session
+    topics: [{ type: mongoose.Schema.ObjectId, ref: "SyllabusTopic" }],
     startTime: {
       type: Date,
       required: [true, "Please add a start time"],
@@ -160,5 +163,8 @@ LiveSessionSchema.methods.addChatMessage = function (userId, message) {
 LiveSessionSchema.index({ startTime: 1, status: 1 });
 LiveSessionSchema.index({ teacher: 1, status: 1 });
 LiveSessionSchema.index({ class: 1, subject: 1 });
+LiveSessionSchema.index({ topics: 1 });
+
+LiveSessionSchema.plugin(tenantPlugin);
 
 module.exports = mongoose.model("LiveSession", LiveSessionSchema);
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { tenantPlugin } = require("../utils/tenancy");
 
 /**
  * @swagger
@@ -108,4 +109,6 @@ const MessageSchema = new mongoose.Schema({
   updatedAt: { type: Date, default: Date.now },
 });
 
+MessageSchema.plugin(tenantPlugin);
+
 module.exports = mongoose.model("Message", MessageSchema);
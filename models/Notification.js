@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { tenantPlugin } = require('../utils/tenancy');
 
 /**
  * @swagger
@@ -109,4 +110,6 @@ const NotificationSchema = new mongoose.Schema({
   createdAt: { type: Date, default: Date.now }
 });
 
+NotificationSchema.plugin(tenantPlugin);
+
 module.exports = mongoose.model('Notification', NotificationSchema);
\ No newline at end of file
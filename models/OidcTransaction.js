@@ -0,0 +1,49 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+const { tenantPlugin } = require("../utils/tenancy");
+
+// One single sign-on attempt, from the redirect to the identity provider
+// until the frontend swaps the one-time login code for tokens
+const OidcTransactionSchema = new mongoose.Schema({
+  // Only hashes of the state, browser binding and login code are stored
+  stateHash: { type: String, required: true, unique: true },
+  bindingHash: { type: String, required: true },
+  nonce: { type: String, required: true },
+  codeVerifier: { type: String, required: true, select: false },
+
+  remember: { type: Boolean, default: false },
+  deviceName: { type: String, trim: true },
+
+  // Set once the identity provider has returned
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  loginCodeHash: { type: String },
+  completedAt: { type: Date },
+  consumedAt: { type: Date },
+
+  expiresAt: { type: Date, required: true },
+  createdAt: { type: Date, default: Date.now },
+});
+
+OidcTransactionSchema.index({ loginCodeHash: 1 }, { sparse: true });
+OidcTransactionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Hash a raw state/binding/login code for storage/lookup
+OidcTransactionSchema.statics.hashValue = function (value) {
+  return crypto.createHash("sha256").update(String(value)).digest("hex");
+};
+
+// Generate the one-time code the frontend exchanges for tokens
+OidcTransactionSchema.methods.getLoginCode = function () {
+  const loginCode = crypto.randomBytes(32).toString("base64url");
+
+  this.loginCodeHash = this.constructor.hashValue(loginCode);
+  this.completedAt = Date.now();
+  // The frontend redeems it straight away
+  this.expiresAt = Date.now() + 2 * 60 * 1000;
+
+  return loginCode;
+};
+
+OidcTransactionSchema.plugin(tenantPlugin, { required: false });
+
+module.exports = mongoose.model("OidcTransaction", OidcTransactionSchema);
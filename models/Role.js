@@ -0,0 +1,89 @@
+const mongoose = require("mongoose");
+const { PERMISSIONS } = require("../config/permissions");
+const { tenantPlugin } = require("../utils/tenancy");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Role:
+ *       type: object
+ *       required:
+ *         - name
+ *         - permissions
+ *       properties:
+ *         name:
+ *           type: string
+ *           description: Unique role name (e.g., "Deputy Head")
+ *         description:
+ *           type: string
+ *           maxLength: 500
+ *         permissions:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Permission keys from GET /api/roles/permissions
+ *         isActive:
+ *           type: boolean
+ *           default: true
+ *     RoleGrant:
+ *       type: object
+ *       required:
+ *         - role
+ *       properties:
+ *         role:
+ *           type: string
+ *           format: objectId
+ *           description: Reference to Role
+ *         scope:
+ *           type: object
+ *           description: Leave empty for a school-wide grant
+ *           properties:
+ *             levels:
+ *               type: array
+ *               items:
+ *                 type: string
+ *               description: Class levels the grant applies to (e.g., ["S1", "S2", "S3", "S4"])
+ *             classes:
+ *               type: array
+ *               items:
+ *                 type: string
+ *                 format: objectId
+ *               description: Specific classes the grant applies to
+ *         grantedBy:
+ *           type: string
+ *           format: objectId
+ *         grantedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const RoleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  description: {
+    type: String,
+    maxlength: 500,
+  },
+  permissions: {
+    type: [String],
+    validate: {
+      validator: (perms) =>
+        perms.length > 0 && perms.every((p) => Object.hasOwn(PERMISSIONS, p)),
+      message: "Permissions must be a non-empty list of known permission keys",
+    },
+  },
+  isActive: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+// Names are unique within a school
+RoleSchema.index({ school: 1, name: 1 }, { unique: true });
+RoleSchema.plugin(tenantPlugin);
+
+module.exports = mongoose.model("Role", RoleSchema);
@@ -0,0 +1,82 @@
+const mongoose = require("mongoose");
+const { auditPlugin } = require("../utils/audit");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     School:
+ *       type: object
+ *       description: |
+ *         A school (tenant). Every record belongs to one school, and requests
+ *         are resolved to a school from the X-School header (its slug) or a
+ *         subdomain. A school's other settings (grading scale, ID number
+ *         formats, policies) are kept per school in its own settings.
+ *       required:
+ *         - name
+ *         - slug
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: Greenhill Secondary School
+ *         slug:
+ *           type: string
+ *           description: Subdomain and X-School value (lowercase letters, digits and dashes)
+ *           example: greenhill
+ *         isActive:
+ *           type: boolean
+ *           default: true
+ *           description: Inactive schools cannot be reached
+ *         branding:
+ *           type: object
+ *           description: Used in emails sent for the school
+ *           properties:
+ *             displayName:
+ *               type: string
+ *             logoUrl:
+ *               type: string
+ *             primaryColor:
+ *               type: string
+ *               example: "#1d4ed8"
+ *             emailFromName:
+ *               type: string
+ *             emailFrom:
+ *               type: string
+ *               format: email
+ *             emailFooter:
+ *               type: string
+ */
+
+const SchoolSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, maxlength: 200 },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?$/, "Slug may only use lowercase letters, digits and dashes"],
+  },
+  isActive: { type: Boolean, default: true },
+  branding: {
+    displayName: { type: String, trim: true },
+    logoUrl: { type: String, trim: true },
+    primaryColor: {
+      type: String,
+      match: [/^#[0-9a-fA-F]{6}$/, "primaryColor must be a hex color such as #1d4ed8"],
+    },
+    emailFromName: { type: String, trim: true },
+    emailFrom: {
+      type: String,
+      match: [/^\S+@\S+\.\S+$/, "emailFrom must be an email address"],
+    },
+    emailFooter: { type: String, maxlength: 1000 },
+  },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+SchoolSchema.plugin(auditPlugin, { entityType: "School" });
+
+module.exports = mongoose.model("School", SchoolSchema);
@@ -0,0 +1,177 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Session:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Session ID (embedded in access tokens as "sid")
+ *         user:
+ *           type: string
+ *           format: objectId
+ *           description: Owner of the session
+ *         deviceName:
+ *           type: string
+ *           description: Friendly device label supplied at login
+ *         userAgent:
+ *           type: string
+ *         ip:
+ *           type: string
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *         revokedReason:
+ *           type: string
+ *           enum: [logout, revoked, reuse_detected, impersonation_ended]
+ *         impersonation:
+ *           type: object
+ *           description: Set when an admin is viewing the app as the session's user
+ *           properties:
+ *             impersonator:
+ *               type: string
+ *               format: objectId
+ *             reason:
+ *               type: string
+ *             allowWrites:
+ *               type: boolean
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+// Rotated-out refresh tokens remembered per session. A refresh every access
+// token lifetime keeps a replayed token detectable for days.
+const MAX_ROTATED_HASHES = 100;
+
+const SessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  // Only hashes of refresh tokens are stored. Impersonation sessions have
+  // none: they end when their access token expires.
+  refreshTokenHash: {
+    type: String,
+    required: function () {
+      return !this.isImpersonation();
+    },
+    select: false,
+  },
+  // Hashes of the latest refresh tokens rotated out, kept for reuse detection
+  rotatedTokenHashes: {
+    type: [String],
+    select: false,
+  },
+
+  // Device details
+  deviceName: { type: String, trim: true },
+  userAgent: { type: String },
+  ip: { type: String },
+  remember: { type: Boolean, default: false },
+  // Set when 2FA is mandatory for the role but not yet enrolled
+  twoFactorSetupRequired: { type: Boolean, default: false },
+
+  // Admin viewing the app as this user
+  impersonation: {
+    impersonator: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    reason: { type: String, trim: true },
+    allowWrites: { type: Boolean },
+  },
+
+  // Lifecycle
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date },
+  revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  revokedReason: {
+    type: String,
+    enum: ["logout", "revoked", "reuse_detected", "impersonation_ended"],
+  },
+  createdAt: { type: Date, default: Date.now },
+});
+
+SessionSchema.index({ user: 1, revokedAt: 1 });
+SessionSchema.index({ refreshTokenHash: 1 });
+SessionSchema.index({ rotatedTokenHashes: 1 });
+// Let MongoDB clean up sessions once they can no longer be refreshed
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Hash a raw refresh token for storage/lookup
+SessionSchema.statics.hashToken = function (token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+// Generate a new refresh token, keeping the old one for reuse detection
+SessionSchema.methods.rotateRefreshToken = function () {
+  const refreshToken = crypto.randomBytes(40).toString("hex");
+
+  if (this.refreshTokenHash) {
+    this.rotatedTokenHashes = [
+      ...(this.rotatedTokenHashes || []),
+      this.refreshTokenHash,
+    ].slice(-MAX_ROTATED_HASHES);
+  }
+  this.refreshTokenHash = this.constructor.hashToken(refreshToken);
+  this.lastUsedAt = Date.now();
+
+  return refreshToken;
+};
+
+// Rotate the refresh token of a live session in one write, only if the
+// token presented is still the current one. Of two requests racing with the
+// same token only one wins; null for the other.
+SessionSchema.statics.rotateCurrentToken = async function (tokenHash, changes = {}) {
+  const refreshToken = crypto.randomBytes(40).toString("hex");
+
+  const session = await this.findOneAndUpdate(
+    {
+      refreshTokenHash: tokenHash,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() },
+    },
+    {
+      $set: {
+        ...changes,
+        refreshTokenHash: this.hashToken(refreshToken),
+        lastUsedAt: Date.now(),
+      },
+      $push: {
+        rotatedTokenHashes: { $each: [tokenHash], $slice: -MAX_ROTATED_HASHES },
+      },
+    },
+    { new: true }
+  );
+
+  return session ? { session, refreshToken } : null;
+};
+
+// Check whether the session can still be used
+SessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > Date.now();
+};
+
+// Check whether an admin is impersonating the user through this session
+SessionSchema.methods.isImpersonation = function () {
+  return !!(this.impersonation && this.impersonation.impersonator);
+};
+
+// Revoke the session
+SessionSchema.methods.revoke = function (reason = "revoked", revokedBy) {
+  this.revokedAt = Date.now();
+  this.revokedReason = reason;
+  if (revokedBy) this.revokedBy = revokedBy;
+};
+
+module.exports = mongoose.model("Session", SessionSchema);
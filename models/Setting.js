@@ -0,0 +1,71 @@
+const mongoose = require("mongoose");
+const { tenantPlugin } = require("../utils/tenancy");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Setting:
+ *       type: object
+ *       required:
+ *         - key
+ *       properties:
+ *         key:
+ *           type: string
+ *           description: Unique setting key (e.g., "security.twoFactor")
+ *         value:
+ *           type: object
+ *           description: Setting value
+ *         updatedBy:
+ *           type: string
+ *           format: objectId
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const SettingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+// Read a setting, falling back to a default when it has never been saved
+SettingSchema.statics.getValue = async function (key, defaultValue) {
+  const setting = await this.findOne({ key });
+  if (!setting || setting.value === undefined) return defaultValue;
+
+  // Merge object settings over defaults so new options get sensible values
+  if (
+    defaultValue &&
+    typeof defaultValue === "object" &&
+    !Array.isArray(defaultValue)
+  ) {
+    return { ...defaultValue, ...setting.value };
+  }
+
+  return setting.value;
+};
+
+// Create or replace a setting
+SettingSchema.statics.setValue = function (key, value, updatedBy) {
+  return this.findOneAndUpdate(
+    { key },
+    { value, updatedBy, updatedAt: Date.now() },
+    { new: true, upsert: true, runValidators: true }
+  );
+};
+
+// Keys are unique within a school
+SettingSchema.index({ school: 1, key: 1 }, { unique: true });
+SettingSchema.plugin(tenantPlugin);
+
+module.exports = mongoose.model("Setting", SettingSchema);
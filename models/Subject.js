@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { tenantPlugin } = require('../utils/tenancy');
 
 /**
  * @swagger
@@ -17,8 +18,7 @@ const mongoose = require('mongoose');
  *           description: Subject name
  *         code:
  *           type: string
- *           description: Unique subject code
- *           unique: true
+ *           description: Subject code, unique within the school
  *         category:
  *           type: string
  *           enum: [compulsory, elective]
@@ -33,7 +33,19 @@ const mongoose = require('mongoose');
  *           description: Detailed description of the subject
  *         syllabus:
  *           type: string
- *           description: URL to the syllabus document
+ *           description: URL to the syllabus document; the structured syllabus is at /api/syllabus
+ *         prerequisites:
+ *           type: array
+ *           description: Subjects a student must have completed before taking this one
+ *           items:
+ *             type: object
+ *             properties:
+ *               subject:
+ *                 type: string
+ *                 format: objectId
+ *               minMark:
+ *                 type: number
+ *                 description: Lowest average published mark accepted in the prerequisite
  *         isActive:
  *           type: boolean
  *           default: true
@@ -58,7 +70,6 @@ const SubjectSchema = new mongoose.Schema({
   code: {
     type: String,
     required: true,
-    unique: true,
     uppercase: true
   },
   category: {
@@ -86,6 +97,18 @@ const SubjectSchema = new mongoose.Schema({
   syllabus: {
     type: String // URL to syllabus document
   },
+  // Completed subjects required before this one (set via the prerequisites endpoint)
+  prerequisites: [
+    {
+      _id: false,
+      subject: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Subject',
+        required: true
+      },
+      minMark: { type: Number, min: 0, max: 100 }
+    }
+  ],
   // Add more fields as needed
   classes:  [
     {
@@ -113,4 +136,8 @@ const SubjectSchema = new mongoose.Schema({
   }
 });
 
+// Codes are unique within a school
+SubjectSchema.index({ school: 1, code: 1 }, { unique: true });
+SubjectSchema.plugin(tenantPlugin);
+
 module.exports = mongoose.model('Subject', SubjectSchema);
\ No newline at end of file
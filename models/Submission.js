@@ -1,4 +1,6 @@
 const mongoose = require("mongoose");
+const { auditPlugin } = require("../utils/audit");
+const { tenantPlugin } = require("../utils/tenancy");
 
 /**
  * @swagger
@@ -170,6 +172,7 @@ const SubmissionSchema = new mongoose.Schema({
   studentComments: { type: String },
   teacherComments: { type: String },
   parentFeedback: { type: String },
+  parentFeedbackBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
   parentFeedbackDate: { type: Date },
 
   // Status
@@ -242,4 +245,8 @@ SubmissionSchema.methods.getClassAndSubject = async function () {
   };
 };
 
+SubmissionSchema.plugin(auditPlugin, { entityType: "Submission" });
+
+SubmissionSchema.plugin(tenantPlugin);
+
 module.exports = mongoose.model("Submission", SubmissionSchema);
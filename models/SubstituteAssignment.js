@@ -0,0 +1,129 @@
+const mongoose = require("mongoose");
+const { auditPlugin } = require("../utils/audit");
+const { tenantPlugin } = require("../utils/tenancy");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SubstituteAssignment:
+ *       type: object
+ *       description: |
+ *         A teacher covering a subject in a class for a date range, e.g. while
+ *         its teacher is on leave. During the range the substitute has a
+ *         subject teacher's access to the class's attendance, content and
+ *         submissions, and the lessons show up on their timetable. Access ends
+ *         by itself after the last day.
+ *       required:
+ *         - class
+ *         - subject
+ *         - substitute
+ *         - startDate
+ *         - endDate
+ *       properties:
+ *         class:
+ *           type: string
+ *           format: objectId
+ *         subject:
+ *           type: string
+ *           format: objectId
+ *         substitute:
+ *           type: string
+ *           format: objectId
+ *           description: Teacher covering the lessons
+ *         absentTeacher:
+ *           type: string
+ *           format: objectId
+ *           description: Teacher being covered; when left out, all of the subject's lessons in the class are covered
+ *         startDate:
+ *           type: string
+ *           format: date
+ *         endDate:
+ *           type: string
+ *           format: date
+ *           description: Last day of cover
+ *         reason:
+ *           type: string
+ *           example: Maternity leave
+ *         status:
+ *           type: string
+ *           enum: [scheduled, active, expired, cancelled]
+ *           readOnly: true
+ *           description: Worked out from the dates
+ *         cancelledAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const SubstituteAssignmentSchema = new mongoose.Schema(
+  {
+    class: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Class",
+      required: true,
+    },
+    subject: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Subject",
+      required: true,
+    },
+    substitute: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    absentTeacher: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    startDate: { type: Date, required: true },
+    endDate: { type: Date, required: true },
+    reason: { type: String, trim: true, maxlength: 500 },
+    cancelledAt: { type: Date },
+    cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now },
+  },
+  { toJSON: { virtuals: true }, toObject: { virtuals: true } }
+);
+
+SubstituteAssignmentSchema.pre("validate", function (next) {
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    this.invalidate("endDate", "endDate cannot be before startDate");
+  }
+  if (this.absentTeacher && this.absentTeacher.equals(this.substitute)) {
+    this.invalidate("substitute", "A teacher cannot cover for themselves");
+  }
+  next();
+});
+
+/**
+ * Query filter for assignments in force on a date. The end date is the last
+ * day of cover, so it runs until the next midnight.
+ * @param {Date} [date] - Date to check (defaults to now)
+ * @returns {Object} - Mongo filter
+ */
+SubstituteAssignmentSchema.statics.activeOn = function (date = new Date()) {
+  return {
+    startDate: { $lte: date },
+    endDate: { $gt: new Date(date.getTime() - DAY) },
+    cancelledAt: { $exists: false },
+  };
+};
+
+SubstituteAssignmentSchema.virtual("status").get(function () {
+  const now = Date.now();
+  if (this.cancelledAt) return "cancelled";
+  if (this.startDate > now) return "scheduled";
+  if (this.endDate.getTime() + DAY <= now) return "expired";
+  return "active";
+});
+
+SubstituteAssignmentSchema.index({ substitute: 1, endDate: 1 });
+SubstituteAssignmentSchema.index({ class: 1, subject: 1, endDate: 1 });
+
+SubstituteAssignmentSchema.plugin(auditPlugin, { entityType: "SubstituteAssignment" });
+
+SubstituteAssignmentSchema.plugin(tenantPlugin);
+
+module.exports = mongoose.model("SubstituteAssignment", SubstituteAssignmentSchema);
@@ -0,0 +1,94 @@
+const mongoose = require("mongoose");
+const { auditPlugin } = require("../utils/audit");
+const { tenantPlugin } = require("../utils/tenancy");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SyllabusTopic:
+ *       type: object
+ *       description: |
+ *         A node of a subject's syllabus for one level: a unit, a topic within a
+ *         unit, or a subtopic within a topic. Content, assignments and live
+ *         sessions are tagged with topics to track coverage.
+ *       required:
+ *         - subject
+ *         - level
+ *         - title
+ *       properties:
+ *         subject:
+ *           type: string
+ *           format: objectId
+ *         level:
+ *           type: string
+ *           example: S1
+ *         parent:
+ *           type: string
+ *           format: objectId
+ *           description: Unit of a topic, or topic of a subtopic; empty for units
+ *         kind:
+ *           type: string
+ *           enum: [unit, topic, subtopic]
+ *           description: Set from the parent
+ *         title:
+ *           type: string
+ *         code:
+ *           type: string
+ *           example: "2.3"
+ *         description:
+ *           type: string
+ *         order:
+ *           type: integer
+ *           description: Position among its siblings
+ *         expectedWeeks:
+ *           type: number
+ *           description: Teaching weeks planned for the topic
+ *         isActive:
+ *           type: boolean
+ *           default: true
+ *         children:
+ *           type: array
+ *           description: Subtree (in syllabus responses only)
+ *           items:
+ *             $ref: '#/components/schemas/SyllabusTopic'
+ */
+
+const KINDS = ["unit", "topic", "subtopic"];
+
+const SyllabusTopicSchema = new mongoose.Schema({
+  subject: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Subject",
+    required: true,
+  },
+  level: { type: String, required: true, trim: true },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "SyllabusTopic",
+  },
+  kind: {
+    type: String,
+    enum: KINDS,
+    default: "unit",
+  },
+  title: { type: String, required: true, trim: true, maxlength: 200 },
+  code: { type: String, trim: true },
+  description: { type: String, maxlength: 1000 },
+  order: { type: Number, default: 0 },
+  expectedWeeks: { type: Number, min: 0 },
+  isActive: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+SyllabusTopicSchema.index({ subject: 1, level: 1, parent: 1, order: 1 });
+
+SyllabusTopicSchema.plugin(auditPlugin, { entityType: "SyllabusTopic" });
+
+SyllabusTopicSchema.statics.KINDS = KINDS;
+
+SyllabusTopicSchema.plugin(tenantPlugin);
+
+module.exports = mongoose.model("SyllabusTopic", SyllabusTopicSchema);
@@ -0,0 +1,128 @@
+const mongoose = require("mongoose");
+const { tenantPlugin } = require("../utils/tenancy");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TermRollover:
+ *       type: object
+ *       description: |
+ *         A run of the end-of-term rollover. There is at most one per term: running
+ *         the rollover again for the same term returns this run, or resumes it if
+ *         it failed.
+ *       properties:
+ *         academicYear:
+ *           type: string
+ *           description: Year of the term being closed
+ *         term:
+ *           type: string
+ *           enum: [Term 1, Term 2, Term 3]
+ *         toAcademicYear:
+ *           type: string
+ *         toTerm:
+ *           type: string
+ *           enum: [Term 1, Term 2, Term 3]
+ *         yearEnd:
+ *           type: boolean
+ *           description: Whether students are promoted (closing Term 3)
+ *         status:
+ *           type: string
+ *           enum: [queued, processing, completed, failed]
+ *         rules:
+ *           type: object
+ *           description: Promotion rules the run used
+ *         overrides:
+ *           type: object
+ *           description: Decisions set by hand, by student ID
+ *         summary:
+ *           type: object
+ *           description: Number of students per decision
+ *         results:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               student:
+ *                 type: string
+ *                 format: objectId
+ *               decision:
+ *                 type: string
+ *                 enum: [continue, promote, repeat, graduate, withdraw]
+ *               fromClass:
+ *                 type: string
+ *                 format: objectId
+ *               toClass:
+ *                 type: string
+ *                 format: objectId
+ *               enrollment:
+ *                 type: string
+ *                 format: objectId
+ *                 description: Next-term enrollment
+ *               reason:
+ *                 type: string
+ *         error:
+ *           type: string
+ *         queuedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the run was last queued, by starting or resuming it
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const TermRolloverSchema = new mongoose.Schema({
+  // Term being closed
+  academicYear: { type: String, required: true },
+  term: {
+    type: String,
+    enum: ["Term 1", "Term 2", "Term 3"],
+    required: true,
+  },
+  // Term being opened
+  toAcademicYear: { type: String, required: true },
+  toTerm: {
+    type: String,
+    enum: ["Term 1", "Term 2", "Term 3"],
+    required: true,
+  },
+  yearEnd: { type: Boolean, default: false },
+  status: {
+    type: String,
+    enum: ["queued", "processing", "completed", "failed"],
+    default: "queued",
+  },
+  rules: { type: mongoose.Schema.Types.Mixed },
+  overrides: { type: mongoose.Schema.Types.Mixed },
+  summary: { type: mongoose.Schema.Types.Mixed },
+  results: [
+    {
+      _id: false,
+      student: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      decision: {
+        type: String,
+        enum: ["continue", "promote", "repeat", "graduate", "withdraw"],
+      },
+      fromClass: { type: mongoose.Schema.Types.ObjectId, ref: "Class" },
+      toClass: { type: mongoose.Schema.Types.ObjectId, ref: "Class" },
+      enrollment: { type: mongoose.Schema.Types.ObjectId, ref: "AcademicEnrollment" },
+      reason: { type: String },
+    },
+  ],
+  error: { type: String },
+  startedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  queuedAt: { type: Date },
+  startedAt: { type: Date },
+  completedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+});
+
+TermRolloverSchema.index({ school: 1, academicYear: 1, term: 1 }, { unique: true });
+
+TermRolloverSchema.plugin(tenantPlugin);
+
+module.exports = mongoose.model("TermRollover", TermRolloverSchema);
@@ -0,0 +1,104 @@
+const mongoose = require("mongoose");
+const { auditPlugin } = require("../utils/audit");
+const { tenantPlugin } = require("../utils/tenancy");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TimetableEntry:
+ *       type: object
+ *       description: One period of a class's weekly timetable
+ *       required:
+ *         - class
+ *         - subject
+ *         - day
+ *         - period
+ *       properties:
+ *         class:
+ *           type: string
+ *           format: objectId
+ *         subject:
+ *           type: string
+ *           format: objectId
+ *         teacher:
+ *           type: string
+ *           format: objectId
+ *         venue:
+ *           type: string
+ *           format: objectId
+ *         day:
+ *           type: string
+ *           enum: [Monday, Tuesday, Wednesday, Thursday, Friday, Saturday, Sunday]
+ *         period:
+ *           type: string
+ *           description: Bell schedule period key (e.g., "P1")
+ *         startTime:
+ *           type: string
+ *           description: From the bell schedule (e.g., "08:00")
+ *         endTime:
+ *           type: string
+ *         academicYear:
+ *           type: string
+ *         term:
+ *           type: string
+ *           enum: [Term 1, Term 2, Term 3]
+ *         notes:
+ *           type: string
+ */
+
+const TimetableEntrySchema = new mongoose.Schema({
+  class: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Class",
+    required: true,
+  },
+  subject: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Subject",
+    required: true,
+  },
+  teacher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  venue: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Venue",
+  },
+  day: {
+    type: String,
+    enum: ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday"],
+    required: true,
+  },
+  period: {
+    type: String,
+    required: true,
+  },
+  // Copied from the bell schedule so clashes can be checked by time
+  startTime: { type: String, required: true },
+  endTime: { type: String, required: true },
+  academicYear: {
+    type: String,
+    required: true,
+  },
+  term: {
+    type: String,
+    enum: ["Term 1", "Term 2", "Term 3"],
+    required: true,
+  },
+  notes: { type: String, maxlength: 200 },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+TimetableEntrySchema.index({ academicYear: 1, term: 1, class: 1, day: 1 });
+TimetableEntrySchema.index({ academicYear: 1, term: 1, teacher: 1, day: 1 });
+TimetableEntrySchema.index({ academicYear: 1, term: 1, venue: 1, day: 1 });
+
+TimetableEntrySchema.plugin(auditPlugin, { entityType: "TimetableEntry" });
+
+TimetableEntrySchema.plugin(tenantPlugin);
+
+module.exports = mongoose.model("TimetableEntry", TimetableEntrySchema);
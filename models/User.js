@@ -1,7 +1,11 @@
 const mongoose = require("mongoose");
+const { auditPlugin } = require("../utils/audit");
+const { ID_FIELDS, syncIdNumbers, retireIdNumber } = require("../utils/idNumbers");
 const bcrypt = require("bcryptjs");
 const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
+const config = require("../config/config");
+const { tenantPlugin } = require("../utils/tenancy");
 
 /**
  * @swagger
@@ -31,22 +35,109 @@ const jwt = require("jsonwebtoken");
  *           type: string
  *           format: email
  *           unique: true
+ *           description: Unique across all schools
  *         role:
  *           type: string
- *           enum: [admin, teacher, student]
+ *           enum: [admin, teacher, student, parent, service, superadmin]
  *           default: student
+ *           description: |
+ *             Service accounts are used by integrations through API keys and cannot sign in.
+ *             Super-admins belong to no school and work across all schools.
+ *         school:
+ *           type: string
+ *           format: objectId
+ *           description: School the user belongs to (none for super-admins)
+ *         serviceAccount:
+ *           type: object
+ *           description: Set for service accounts
+ *           properties:
+ *             description:
+ *               type: string
+ *             createdBy:
+ *               type: string
+ *               format: objectId
  *         profile:
  *           $ref: '#/components/schemas/UserProfile'
  *         classRequests:
  *           type: array
+ *           deprecated: true
+ *           description: Legacy; requests to join classes are EnrollmentRequest documents
  *           items:
  *             $ref: '#/components/schemas/ClassRequest'
  *         isVerified:
  *           type: boolean
  *           default: false
+ *         mustChangePassword:
+ *           type: boolean
+ *           description: Set for admin-created accounts, temporary passwords and expired passwords; the user must change it before doing anything else
+ *         passwordChangedAt:
+ *           type: string
+ *           format: date-time
  *         isActive:
  *           type: boolean
  *           default: true
+ *         deletion:
+ *           type: object
+ *           description: Set when the account has been deleted (deactivated)
+ *           properties:
+ *             deletedAt:
+ *               type: string
+ *               format: date-time
+ *             deletedBy:
+ *               type: string
+ *               format: objectId
+ *             reason:
+ *               type: string
+ *             anonymizeAt:
+ *               type: string
+ *               format: date-time
+ *               description: When personal data will be scrubbed; the account can be restored until then
+ *             anonymizedAt:
+ *               type: string
+ *               format: date-time
+ *         pseudonym:
+ *           type: string
+ *           description: Pseudonymous ID (e.g., "ANON-3F9A0C12B7") that replaces personal details once anonymized
+ *         roleGrants:
+ *           type: array
+ *           description: Custom roles granted on top of the built-in role
+ *           items:
+ *             $ref: '#/components/schemas/RoleGrant'
+ *         twoFactor:
+ *           type: object
+ *           properties:
+ *             enabled:
+ *               type: boolean
+ *               default: false
+ *             enabledAt:
+ *               type: string
+ *               format: date-time
+ *         oidc:
+ *           type: object
+ *           description: Linked single sign-on identity
+ *           properties:
+ *             issuer:
+ *               type: string
+ *             subject:
+ *               type: string
+ *             linkedAt:
+ *               type: string
+ *               format: date-time
+ *         loginSecurity:
+ *           type: object
+ *           properties:
+ *             failedAttempts:
+ *               type: number
+ *             lastFailedAt:
+ *               type: string
+ *               format: date-time
+ *             lockUntil:
+ *               type: string
+ *               format: date-time
+ *               description: Sign-in is refused until this time
+ *             lockoutCount:
+ *               type: number
+ *               description: Consecutive lockouts; each one lasts longer than the last
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -91,6 +182,7 @@ const jwt = require("jsonwebtoken");
  *           description: Unique student identifier
  *         parentGuardian:
  *           type: object
+ *           description: Free-text contact details; verified guardian accounts are linked via GuardianLink
  *           properties:
  *             name:
  *               type: string
@@ -151,6 +243,34 @@ const jwt = require("jsonwebtoken");
  *           type: string
  *         yearObtained:
  *           type: number
+ *         documents:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               url:
+ *                 type: string
+ *               fileType:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *         status:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *           default: pending
+ *         isVerified:
+ *           type: boolean
+ *         rejectionReason:
+ *           type: string
+ *           description: Why the qualification was rejected
+ *         submittedAt:
+ *           type: string
+ *           format: date-time
+ *         reviewedAt:
+ *           type: string
+ *           format: date-time
  */
 
 const UserSchema = new mongoose.Schema({
@@ -170,10 +290,15 @@ const UserSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ["admin", "teacher", "student"],
+    enum: ["admin", "teacher", "student", "parent", "service", "superadmin"],
     default: "student",
     required: true,
   },
+  // Integrations (role "service") authenticate with API keys only
+  serviceAccount: {
+    description: { type: String, maxlength: 500 },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
 
   profile: {
     bio: { type: String, maxlength: 500 },
@@ -190,7 +315,7 @@ const UserSchema = new mongoose.Schema({
     // Student-specific
     currentClass: { type: mongoose.Schema.Types.ObjectId, ref: "Class" },
     year: { type: String },
-    studentId: { type: String, unique: true, sparse: true },
+    studentId: { type: String },
     parentGuardian: {
       name: { type: String },
       contact: { type: String },
@@ -217,12 +342,25 @@ const UserSchema = new mongoose.Schema({
         isVerified: { type: Boolean, default: false },
         verifiedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
         verifiedAt: { type: Date },
+        // Review workflow, isVerified stays the source of truth for access
+        status: {
+          type: String,
+          enum: ["pending", "approved", "rejected"],
+          // Qualifications verified before the workflow existed
+          default: function () {
+            return this.isVerified ? "approved" : "pending";
+          },
+        },
+        submittedAt: { type: Date, default: Date.now },
+        reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        reviewedAt: { type: Date },
+        rejectionReason: { type: String, maxlength: 500 },
       },
     ],
-    teacherId: { type: String, unique: true, sparse: true },
+    teacherId: { type: String },
     department: { type: String },
   },
-  // Track all class enrollment requests (for both teachers and students)
+  // Legacy class requests; new requests are EnrollmentRequest documents
   classRequests: [
     {
       class: {
@@ -256,6 +394,13 @@ const UserSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  // Hashes of previous passwords, newest first, so they can't be reused
+  passwordHistory: {
+    type: [String],
+    select: false,
+  },
+  passwordChangedAt: { type: Date },
+  mustChangePassword: { type: Boolean, default: false },
   resetPasswordToken: String,
   resetPasswordExpire: Date,
   emailVerificationToken: String,
@@ -268,8 +413,54 @@ const UserSchema = new mongoose.Schema({
     type: Boolean,
     default: false,
   },
+  // Custom roles on top of the built-in role, optionally scoped
+  roleGrants: [
+    {
+      role: { type: mongoose.Schema.Types.ObjectId, ref: "Role", required: true },
+      scope: {
+        levels: [{ type: String }],
+        classes: [{ type: mongoose.Schema.Types.ObjectId, ref: "Class" }],
+      },
+      grantedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      grantedAt: { type: Date, default: Date.now },
+    },
+  ],
   isActive: { type: Boolean, default: true },
+  // Deleted accounts are deactivated rather than removed so their academic
+  // records keep a valid owner; see services/accountDeletionService
+  deletion: {
+    deletedAt: { type: Date },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    reason: { type: String, maxlength: 500 },
+    // End of the restore window, when personal data will be scrubbed
+    anonymizeAt: { type: Date },
+    anonymizedAt: { type: Date },
+  },
+  // Stands in for the person once the account is anonymized
+  pseudonym: { type: String, unique: true, sparse: true },
   lastLogin: { type: Date },
+  // TOTP two-factor authentication
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, select: false },
+    pendingSecret: { type: String, select: false },
+    recoveryCodes: { type: [String], select: false }, // sha256 hashes
+    lastUsedStep: { type: Number, select: false }, // prevents code replay
+    enabledAt: { type: Date },
+  },
+  // Identity at the single sign-on provider, once linked
+  oidc: {
+    issuer: { type: String },
+    subject: { type: String },
+    linkedAt: { type: Date },
+  },
+  // Brute-force protection (see config.security.rateLimit.lockout)
+  loginSecurity: {
+    failedAttempts: { type: Number, default: 0 },
+    lastFailedAt: { type: Date },
+    lockUntil: { type: Date },
+    lockoutCount: { type: Number, default: 0 }, // consecutive lockouts, drives the backoff
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -277,13 +468,58 @@ const UserSchema = new mongoose.Schema({
   updatedAt: { type: Date, default: Date.now },
 });
 
+UserSchema.index({ "deletion.anonymizeAt": 1 }, { sparse: true });
+// ID numbers are unique within a school
+UserSchema.index(
+  { school: 1, "profile.studentId": 1 },
+  { unique: true, partialFilterExpression: { "profile.studentId": { $exists: true } } }
+);
+UserSchema.index(
+  { school: 1, "profile.teacherId": 1 },
+  { unique: true, partialFilterExpression: { "profile.teacherId": { $exists: true } } }
+);
+UserSchema.index(
+  { "oidc.issuer": 1, "oidc.subject": 1 },
+  { unique: true, partialFilterExpression: { "oidc.subject": { $exists: true } } }
+);
+
 // Hash password before saving
 UserSchema.pre("save", async function (next) {
   if (!this.isModified("password")) return next();
   this.password = await bcrypt.hash(this.password, 12);
+  this.passwordChangedAt = Date.now();
   next();
 });
 
+// Password history is never sent to clients, even when selected
+UserSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret.passwordHistory;
+    return ret;
+  },
+});
+
+// Remember loaded ID numbers so replaced ones can be retired
+UserSchema.post("init", function () {
+  this.$locals.idNumbers = {
+    studentId: this.profile && this.profile.studentId,
+    teacherId: this.profile && this.profile.teacherId,
+  };
+});
+
+// Assign, check and register student/teacher ID numbers
+UserSchema.pre("save", async function () {
+  await syncIdNumbers(this);
+});
+
+// ID numbers of deleted accounts are never handed out again
+UserSchema.post("deleteOne", { document: true, query: false }, async function () {
+  const field = ID_FIELDS[this.role];
+  if (field && this.profile && this.profile[field]) {
+    await retireIdNumber(field, this.profile[field], "account deleted", this);
+  }
+});
+
 // Generate email verification token
 UserSchema.methods.getVerificationToken = function () {
   const verificationToken = crypto.randomBytes(20).toString("hex");
@@ -321,11 +557,109 @@ UserSchema.methods.getResetPasswordToken = function () {
   return resetToken;
 };
 
-// Generate JWT token
-UserSchema.methods.getSignedJwtToken = function () {
-  return jwt.sign({ id: this._id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE,
+// Generate one-time 2FA recovery codes (only hashes are stored)
+UserSchema.methods.generateRecoveryCodes = function (count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  this.twoFactor.recoveryCodes = codes.map((code) =>
+    crypto.createHash("sha256").update(code).digest("hex")
+  );
+
+  return codes;
+};
+
+// Consume a 2FA recovery code, returns true if it was valid
+UserSchema.methods.useRecoveryCode = function (code) {
+  const hash = crypto
+    .createHash("sha256")
+    .update(String(code).trim().toLowerCase())
+    .digest("hex");
+  const codes = this.twoFactor.recoveryCodes || [];
+
+  if (!codes.includes(hash)) return false;
+
+  this.twoFactor.recoveryCodes = codes.filter((c) => c !== hash);
+  return true;
+};
+
+// Whether sign-in is currently locked after repeated failures
+UserSchema.methods.isLocked = function () {
+  return !!(
+    this.loginSecurity &&
+    this.loginSecurity.lockUntil &&
+    this.loginSecurity.lockUntil > Date.now()
+  );
+};
+
+// Whether the teacher holds a verified qualification in a subject
+UserSchema.methods.hasVerifiedQualification = function (subjectId) {
+  const qualifications = (this.profile && this.profile.qualifications) || [];
+
+  return qualifications.some(
+    (q) => q.isVerified && q.subject && q.subject.toString() === subjectId.toString()
+  );
+};
+
+// Record a failed sign-in, returns true if it locked the account
+UserSchema.methods.registerFailedLogin = function (policy) {
+  const security = this.loginSecurity;
+
+  security.failedAttempts = (security.failedAttempts || 0) + 1;
+  security.lastFailedAt = Date.now();
+
+  if (security.failedAttempts < policy.threshold) return false;
+
+  // Each consecutive lockout lasts longer, up to the maximum
+  const duration = Math.min(
+    policy.duration * Math.pow(policy.multiplier, security.lockoutCount || 0),
+    policy.maxDuration
+  );
+
+  security.lockUntil = Date.now() + duration;
+  security.lockoutCount = (security.lockoutCount || 0) + 1;
+  security.failedAttempts = 0;
+  return true;
+};
+
+// Clear failed sign-ins and any lockout
+UserSchema.methods.resetLoginFailures = function () {
+  this.loginSecurity.failedAttempts = 0;
+  this.loginSecurity.lockoutCount = 0;
+  this.loginSecurity.lockUntil = undefined;
+};
+
+// Generate short-lived access token bound to a session
+// Pass options.impersonator to mark the token as an admin viewing the app as
+// this user ("imp" claim), with options.expiresIn matching its session
+UserSchema.methods.getSignedJwtToken = function (sessionId, options = {}) {
+  const payload = { id: this._id };
+  if (sessionId) payload.sid = sessionId;
+  if (options.impersonator) payload.imp = options.impersonator;
+
+  return jwt.sign(payload, process.env.JWT_SECRET, {
+    expiresIn:
+      options.expiresIn || process.env.JWT_ACCESS_EXPIRE || config.jwtAccessExpire,
   });
 };
 
+UserSchema.plugin(auditPlugin, {
+  entityType: "User",
+  // Sign-in bookkeeping is not an account change
+  ignore: ["lastLogin", "loginSecurity"],
+  redact: [
+    "password",
+    "passwordHistory",
+    "resetPasswordToken",
+    "resetPasswordExpire",
+    "emailVerificationToken",
+    "emailVerificationExpire",
+    "twoFactor",
+  ],
+});
+
+UserSchema.plugin(tenantPlugin, { platform: (user) => user.role === "superadmin" });
+
 module.exports = mongoose.model("User", UserSchema);
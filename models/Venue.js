@@ -0,0 +1,62 @@
+const mongoose = require("mongoose");
+const { auditPlugin } = require("../utils/audit");
+const { tenantPlugin } = require("../utils/tenancy");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Venue:
+ *       type: object
+ *       required:
+ *         - name
+ *         - code
+ *       properties:
+ *         name:
+ *           type: string
+ *           description: Room name (e.g., "Chemistry Lab")
+ *         code:
+ *           type: string
+ *           description: Short unique code (e.g., "LAB1")
+ *         type:
+ *           type: string
+ *           enum: [classroom, laboratory, hall, library, computer_lab, field, other]
+ *         capacity:
+ *           type: number
+ *         isActive:
+ *           type: boolean
+ *           default: true
+ */
+
+const VenueSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  code: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true,
+  },
+  type: {
+    type: String,
+    enum: ["classroom", "laboratory", "hall", "library", "computer_lab", "field", "other"],
+    default: "classroom",
+  },
+  capacity: { type: Number, min: 1 },
+  description: { type: String, maxlength: 500 },
+  isActive: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+VenueSchema.plugin(auditPlugin, { entityType: "Venue" });
+
+// Codes are unique within a school
+VenueSchema.index({ school: 1, code: 1 }, { unique: true });
+VenueSchema.plugin(tenantPlugin);
+
+module.exports = mongoose.model("Venue", VenueSchema);
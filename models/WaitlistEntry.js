@@ -0,0 +1,107 @@
+const mongoose = require("mongoose");
+const { auditPlugin } = require("../utils/audit");
+const { tenantPlugin } = require("../utils/tenancy");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WaitlistEntry:
+ *       type: object
+ *       description: |
+ *         A student waiting for a seat in a full class, or in a full elective
+ *         subject of their class. Entries are promoted oldest first as seats
+ *         free up.
+ *       properties:
+ *         student:
+ *           type: string
+ *           format: objectId
+ *         class:
+ *           type: string
+ *           format: objectId
+ *         subject:
+ *           type: string
+ *           format: objectId
+ *           description: Set when waiting for an elective subject rather than the class
+ *         academicYear:
+ *           type: string
+ *         term:
+ *           type: string
+ *           enum: [Term 1, Term 2, Term 3]
+ *         fromEnrollment:
+ *           type: string
+ *           format: objectId
+ *           description: Enrollment to transfer from once a seat is free
+ *         reason:
+ *           type: string
+ *           description: Transfer reason
+ *         status:
+ *           type: string
+ *           enum: [waiting, promoted, cancelled]
+ *         position:
+ *           type: integer
+ *           description: Place in the queue while waiting (computed)
+ *         enrollment:
+ *           type: string
+ *           format: objectId
+ *           description: Enrollment the student got when promoted
+ *         promotedAt:
+ *           type: string
+ *           format: date-time
+ *         cancelReason:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const WaitlistEntrySchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  class: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Class",
+    required: true,
+  },
+  subject: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Subject",
+  },
+  academicYear: { type: String },
+  term: {
+    type: String,
+    enum: ["Term 1", "Term 2", "Term 3"],
+  },
+  fromEnrollment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "AcademicEnrollment",
+  },
+  reason: { type: String },
+  status: {
+    type: String,
+    enum: ["waiting", "promoted", "cancelled"],
+    default: "waiting",
+  },
+  enrollment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "AcademicEnrollment",
+  },
+  promotedAt: { type: Date },
+  cancelledAt: { type: Date },
+  cancelReason: { type: String },
+  requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  createdAt: { type: Date, default: Date.now },
+});
+
+// The queue for a class or subject, oldest first
+WaitlistEntrySchema.index({ class: 1, subject: 1, status: 1, createdAt: 1 });
+WaitlistEntrySchema.index({ student: 1, status: 1 });
+
+WaitlistEntrySchema.plugin(auditPlugin, { entityType: "WaitlistEntry" });
+
+WaitlistEntrySchema.plugin(tenantPlugin);
+
+module.exports = mongoose.model("WaitlistEntry", WaitlistEntrySchema);
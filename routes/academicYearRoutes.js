@@ -0,0 +1,227 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getAcademicYears,
+  getActive,
+  getAcademicYear,
+  createAcademicYear,
+  updateAcademicYear,
+  deleteAcademicYear,
+  setTermStatus,
+} = require("../controllers/academicYearController");
+const { protect, permit } = require("../middleware/auth");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Academic Calendar
+ *   description: |
+ *     Academic years with their terms, holidays and half-term breaks. The
+ *     active term defaults the academic year and term of enrollments and
+ *     gradebook entries, and writes are only accepted in open terms. Until a
+ *     calendar is set up, the current term is the one the rollover last moved
+ *     to.
+ */
+
+/**
+ * @swagger
+ * /api/academic-years:
+ *   get:
+ *     summary: Get the academic years of the calendar
+ *     tags: [Academic Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Academic years, latest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/AcademicYear'
+ *   post:
+ *     summary: Add an academic year (academic_calendar:manage)
+ *     description: |
+ *       Terms must fall within the year, not overlap and be in order; breaks
+ *       must fall within the year. New terms are open.
+ *     tags: [Academic Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AcademicYear'
+ *     responses:
+ *       201:
+ *         description: Academic year created
+ *       400:
+ *         description: Invalid dates or duplicate name
+ */
+
+/**
+ * @swagger
+ * /api/academic-years/active:
+ *   get:
+ *     summary: Get the active term
+ *     description: |
+ *       The open term today falls in; between terms, the last open term that
+ *       has started, or else the next one to start. Without a calendar, the
+ *       current term set by the rollover (source "setting").
+ *     tags: [Academic Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active term
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 academicYear:
+ *                   type: string
+ *                 term:
+ *                   type: string
+ *                 startDate:
+ *                   type: string
+ *                   format: date
+ *                 endDate:
+ *                   type: string
+ *                   format: date
+ *                 status:
+ *                   type: string
+ *                 breaks:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 source:
+ *                   type: string
+ *                   enum: [calendar, setting]
+ */
+
+/**
+ * @swagger
+ * /api/academic-years/{id}:
+ *   get:
+ *     summary: Get an academic year
+ *     tags: [Academic Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Academic year
+ *       404:
+ *         description: Academic year not found
+ *   put:
+ *     summary: Update an academic year (academic_calendar:manage)
+ *     description: |
+ *       terms and breaks replace the existing lists; terms keep whether they
+ *       were closed. A year with records cannot be renamed.
+ *     tags: [Academic Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AcademicYear'
+ *     responses:
+ *       200:
+ *         description: Academic year updated
+ *       400:
+ *         description: Invalid dates, or renaming a year in use
+ *       404:
+ *         description: Academic year not found
+ *   delete:
+ *     summary: Delete an academic year (academic_calendar:manage)
+ *     tags: [Academic Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Academic year deleted
+ *       400:
+ *         description: Enrollments, gradebook entries or attendance use the year
+ *       404:
+ *         description: Academic year not found
+ */
+
+/**
+ * @swagger
+ * /api/academic-years/{id}/terms/{termId}/status:
+ *   put:
+ *     summary: Close or reopen a term (academic_calendar:manage)
+ *     description: The term rollover closes the term it rolls over.
+ *     tags: [Academic Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: termId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [open, closed]
+ *     responses:
+ *       200:
+ *         description: Term updated
+ *       404:
+ *         description: Term not found
+ */
+
+router.use(protect);
+
+router
+  .route("/")
+  .get(getAcademicYears)
+  .post(permit("academic_calendar:manage"), createAcademicYear);
+
+router.get("/active", getActive);
+
+router
+  .route("/:id")
+  .get(getAcademicYear)
+  .put(permit("academic_calendar:manage"), updateAcademicYear)
+  .delete(permit("academic_calendar:manage"), deleteAcademicYear);
+
+router.put("/:id/terms/:termId/status", permit("academic_calendar:manage"), setTermStatus);
+
+module.exports = router;
@@ -10,7 +10,7 @@ const {
   getStudentAssignments,
   getTeacherAssignments,
 } = require("../controllers/assignmentController");
-const { protect, role } = require("../middleware/auth");
+const { protect, permit } = require("../middleware/auth");
 
 /**
  * @swagger
@@ -319,7 +319,7 @@ router.use(protect);
 router
   .route("/")
   .get(getAssignments) // All roles can view (filtered in controller)
-  .post(role("teacher", "admin"), createAssignment); // Teachers and admins can create
+  .post(permit("assignments:write"), createAssignment); // Teachers and admins can create
 
 router.get("/student", getStudentAssignments);
 router.get("/teacher", getTeacherAssignments);
@@ -328,8 +328,8 @@ router.get("/teacher", getTeacherAssignments);
 router
   .route("/:id")
   .get(getAssignment) // All roles can view if they have access
-  .put(role("teacher", "admin"), updateAssignment) // Teachers and admins
-  .delete(role("teacher", "admin"), deleteAssignment); // Teachers and admins
+  .put(permit("assignments:write"), updateAssignment) // Teachers and admins
+  .delete(permit("assignments:write"), deleteAssignment); // Teachers and admins
 
 // Special actions
 // router.put("/publish/:id", role("teacher"), publishAssignment); // Only teachers
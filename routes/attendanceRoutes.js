@@ -9,7 +9,8 @@ const {
   verifyAttendance,
   deleteAttendance,
 } = require("../controllers/attendanceController");
-const { protect, role } = require("../middleware/auth");
+const { protect, permit } = require("../middleware/auth");
+const { scopes } = require("../utils/permissions");
 
 /**
  * @swagger
@@ -51,6 +52,15 @@ const { protect, role } = require("../middleware/auth");
  *           type: string
  *           format: date
  *         description: End date for date range filter
+ *       - in: query
+ *         name: academicYear
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: term
+ *         schema:
+ *           type: string
+ *           enum: [Term 1, Term 2, Term 3]
  *     responses:
  *       200:
  *         description: Success
@@ -70,7 +80,10 @@ const { protect, role } = require("../middleware/auth");
  *   
  *   post:
  *     summary: Create attendance record
- *     description: Create a new attendance record (Teachers only)
+ *     description: |
+ *       Create a new attendance record (Teachers only). The date must be a
+ *       school day of an open term of the academic calendar; the record's
+ *       academicYear and term are set from it.
  *     tags: [Attendance]
  *     security:
  *       - bearerAuth: []
@@ -84,7 +97,7 @@ const { protect, role } = require("../middleware/auth");
  *       201:
  *         description: Attendance record created
  *       400:
- *         description: Invalid input or duplicate record
+ *         description: Invalid input, duplicate record, or not a school day of an open term
  *       403:
  *         description: Not authorized or not assigned to class
  */
@@ -142,6 +155,8 @@ const { protect, role } = require("../middleware/auth");
  *     responses:
  *       200:
  *         description: Record updated successfully
+ *       400:
+ *         description: The date is not a school day of an open term
  *       403:
  *         description: Not authorized to update this record
  *       404:
@@ -218,7 +233,10 @@ const { protect, role } = require("../middleware/auth");
 
 router.use(protect);
 
-router.route("/").get(getAttendance).post(createAttendance);
+router
+  .route("/")
+  .get(getAttendance)
+  .post(permit("attendance:record", { scope: scopes.classBody() }), createAttendance);
 
 router
   .route("/:id")
@@ -227,7 +245,11 @@ router
   .delete(deleteAttendance);
 
 router.put("/:id/submit", submitAttendance);
-router.put("/:id/verify", role("admin"), verifyAttendance);
+router.put(
+  "/:id/verify",
+  permit("attendance:verify", { scope: scopes.attendance }),
+  verifyAttendance
+);
 
 module.exports = router;
 
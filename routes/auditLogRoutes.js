@@ -0,0 +1,151 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getAuditLogs,
+  getAuditLog,
+  exportAuditLogs,
+} = require("../controllers/auditLogController");
+const { protect, permit } = require("../middleware/auth");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Audit Logs
+ *   description: Who changed what, and when, for sensitive records
+ */
+
+/**
+ * @swagger
+ * /api/audit-logs:
+ *   get:
+ *     summary: Query the audit log (Admin only)
+ *     tags: [Audit Logs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: actor
+ *         schema:
+ *           type: string
+ *         description: User ID of whoever made the change
+ *       - in: query
+ *         name: impersonatedUser
+ *         schema:
+ *           type: string
+ *         description: User ID an admin was impersonating
+ *       - in: query
+ *         name: impersonated
+ *         schema:
+ *           type: boolean
+ *         description: Only entries made while impersonating a user
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         description: e.g. submission.grade, gradebook.update, user.delete
+ *       - in: query
+ *         name: entityType
+ *         schema:
+ *           type: string
+ *         description: e.g. Submission, Gradebook, User
+ *       - in: query
+ *         name: entityId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: ip
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Success
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: number
+ *                 total:
+ *                   type: number
+ *                 totalPages:
+ *                   type: number
+ *                 currentPage:
+ *                   type: number
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditLog'
+ */
+
+/**
+ * @swagger
+ * /api/audit-logs/export:
+ *   get:
+ *     summary: Export the audit log as CSV (Admin only)
+ *     description: Takes the same filters as GET /api/audit-logs. Each changed field is a separate row.
+ *     tags: [Audit Logs]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: CSV file
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid filters or too many matching entries
+ */
+
+/**
+ * @swagger
+ * /api/audit-logs/{id}:
+ *   get:
+ *     summary: Get a single audit log entry (Admin only)
+ *     tags: [Audit Logs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Success
+ *       404:
+ *         description: Entry not found
+ */
+
+router.use(protect);
+router.use(permit("audit:read"));
+
+router.get("/", getAuditLogs);
+router.get("/export", exportAuditLogs);
+router.get("/:id", getAuditLog);
+
+module.exports = router;
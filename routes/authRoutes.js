@@ -6,9 +6,41 @@ const {
   login,
   getMe,
   forgotPassword,
-  resetPassword
+  resetPassword,
+  refresh,
+  logout,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
+  endImpersonation,
+  loginTwoFactor,
+  getOidcConfig,
+  oidcLogin,
+  oidcCallback,
+  oidcExchange
 } = require("../controllers/authController");
-const { protect } = require("../middleware/auth");
+const {
+  getStatus,
+  setup,
+  verify,
+  disable,
+  regenerateRecoveryCodes,
+  getPolicy,
+  updatePolicy
+} = require("../controllers/twoFactorController");
+const {
+  getPasswordPolicy,
+  updatePasswordPolicy
+} = require("../controllers/passwordController");
+const { protect, permit, notWhileImpersonating } = require("../middleware/auth");
+const { credentialLimiters } = require("../middleware/rateLimit");
+const config = require("../config/config");
+
+const loginLimiters = credentialLimiters("login", config.security.rateLimit.login);
+const forgotPasswordLimiters = credentialLimiters(
+  "forgotPassword",
+  config.security.rateLimit.forgotPassword
+);
 
 /**
  * @swagger
@@ -48,7 +80,7 @@ const { protect } = require("../middleware/auth");
  *                 format: password
  *               role:
  *                 type: string
- *                 enum: [admin, teacher, student]
+ *                 enum: [admin, teacher, student, parent]
  *                 default: student
  *               isVerified:
  *                  type: boolean
@@ -107,9 +139,15 @@ router.get("/verify-email/:token", verifyEmail);
  *               password:
  *                 type: string
  *                 format: password
+ *               remember:
+ *                 type: boolean
+ *                 description: Keep the device session alive for longer
+ *               deviceName:
+ *                 type: string
+ *                 description: Friendly name shown in the session list
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Login successful. If the account has 2FA enabled, the response instead carries twoFactorRequired and a challengeToken for POST /api/auth/2fa/login.
  *         content:
  *           application/json:
  *             schema:
@@ -119,28 +157,539 @@ router.get("/verify-email/:token", verifyEmail);
  *                   type: boolean
  *                 token:
  *                   type: string
+ *                   description: Short-lived access token
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Single-use token for POST /api/auth/refresh
+ *                 sessionId:
+ *                   type: string
  *       401:
  *         description: Invalid credentials
+ *       423:
+ *         description: Account locked after repeated failed logins
+ *       429:
+ *         description: Too many attempts from this address or for this account
+ */
+router.post("/login", loginLimiters, login);
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Refresh access token
+ *     description: Exchanges a refresh token for a new access token and a new refresh token. Reusing an old refresh token revokes the whole session.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New token pair issued
+ *       401:
+ *         description: Invalid, expired or revoked refresh token
+ */
+router.post("/refresh", refresh);
+
+/**
+ * @swagger
+ * /api/auth/2fa/login:
+ *   post:
+ *     summary: Complete two-factor login
+ *     description: Exchanges the challenge token from /login plus a TOTP or recovery code for access and refresh tokens
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: 6-digit code from the authenticator app
+ *               recoveryCode:
+ *                 type: string
+ *                 description: One-time recovery code, used instead of code
+ *               deviceName:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *       401:
+ *         description: Invalid code or expired challenge
+ *       423:
+ *         description: Account locked after repeated failed logins
+ *       429:
+ *         description: Too many attempts from this address
+ */
+router.post("/2fa/login", loginLimiters, loginTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/oidc:
+ *   get:
+ *     summary: Check whether single sign-on is available
+ *     tags: [Authentication]
+ *     responses:
+ *       200:
+ *         description: Success
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     enabled:
+ *                       type: boolean
+ *                     providerName:
+ *                       type: string
+ */
+router.get("/oidc", getOidcConfig);
+
+/**
+ * @swagger
+ * /api/auth/oidc/login:
+ *   get:
+ *     summary: Start single sign-on
+ *     description: Open in the browser (not via XHR). Redirects to the identity provider using the authorization code flow with PKCE.
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: query
+ *         name: remember
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: deviceName
+ *         schema:
+ *           type: string
+ *     responses:
+ *       302:
+ *         description: Redirect to the identity provider
+ *       404:
+ *         description: Single sign-on is not enabled
+ *       502:
+ *         description: Identity provider unavailable
+ */
+router.get("/oidc/login", oidcLogin);
+
+/**
+ * @swagger
+ * /api/auth/oidc/callback:
+ *   get:
+ *     summary: Identity provider callback
+ *     description: >
+ *       Validates the response, links or provisions the user and redirects to
+ *       the frontend SSO page with either a one-time `code` or an `error` message.
+ *       Service accounts can't sign in this way, and role sync leaves
+ *       super-admins' roles alone.
+ *     tags: [Authentication]
+ *     responses:
+ *       302:
+ *         description: Redirect to the frontend
+ */
+router.get("/oidc/callback", loginLimiters, oidcCallback);
+
+/**
+ * @swagger
+ * /api/auth/oidc/exchange:
+ *   post:
+ *     summary: Exchange the one-time SSO login code for tokens
+ *     description: Responds like /login, including the 2FA challenge for accounts with 2FA enabled
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *               deviceName:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *       400:
+ *         description: Invalid or expired login code
  */
-router.post("/login", login);
+router.post("/oidc/exchange", loginLimiters, oidcExchange);
+
+/**
+ * @swagger
+ * /api/auth/2fa:
+ *   get:
+ *     summary: Get my two-factor status
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Success
+ */
+router.get("/2fa", protect, notWhileImpersonating, getStatus);
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrolment
+ *     description: Generates a TOTP secret and otpauth URL to show as a QR code. 2FA is not active until verified.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret generated
+ *       400:
+ *         description: Already enabled
+ */
+router.post("/2fa/setup", protect, notWhileImpersonating, setup);
+
+/**
+ * @swagger
+ * /api/auth/2fa/verify:
+ *   post:
+ *     summary: Confirm two-factor enrolment
+ *     description: Enables 2FA and returns one-time recovery codes
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 2FA enabled
+ *       400:
+ *         description: Invalid code
+ */
+router.post("/2fa/verify", protect, notWhileImpersonating, verify);
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     description: Not allowed for roles where an admin has made 2FA mandatory
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *               - code
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 format: password
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 2FA disabled
+ *       403:
+ *         description: 2FA is required for this role
+ */
+router.post("/2fa/disable", protect, notWhileImpersonating, disable);
+
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Regenerate recovery codes
+ *     description: Invalidates all previous recovery codes
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recovery codes
+ */
+router.post("/2fa/recovery-codes", protect, notWhileImpersonating, regenerateRecoveryCodes);
+
+/**
+ * @swagger
+ * /api/auth/2fa/policy:
+ *   get:
+ *     summary: Get two-factor policy (Admin only)
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Success
+ *   put:
+ *     summary: Update two-factor policy (Admin only)
+ *     description: Roles listed here must enrol in 2FA at their next login and cannot disable it
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - requiredRoles
+ *             properties:
+ *               requiredRoles:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [admin, teacher]
+ *     responses:
+ *       200:
+ *         description: Policy updated
+ */
+router
+  .route("/2fa/policy")
+  .get(protect, notWhileImpersonating, permit("security:manage"), getPolicy)
+  .put(protect, notWhileImpersonating, permit("security:manage"), updatePolicy);
+
+/**
+ * @swagger
+ * /api/auth/password-policy:
+ *   get:
+ *     summary: Get the password policy
+ *     description: Public, so sign-up and password forms can show the rules
+ *     tags: [Authentication]
+ *     responses:
+ *       200:
+ *         description: Success
+ *   put:
+ *     summary: Update the password policy (Admin only)
+ *     description: Applies whenever a password is next set; existing passwords are not rechecked
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               minLength:
+ *                 type: number
+ *                 minimum: 6
+ *                 maximum: 128
+ *               requireUppercase:
+ *                 type: boolean
+ *               requireLowercase:
+ *                 type: boolean
+ *               requireNumber:
+ *                 type: boolean
+ *               requireSymbol:
+ *                 type: boolean
+ *               checkBreached:
+ *                 type: boolean
+ *                 description: Reject passwords found in the bundled breached password list
+ *               historySize:
+ *                 type: number
+ *                 description: How many previous passwords cannot be reused (0 to allow reuse)
+ *               maxAgeDays:
+ *                 type: number
+ *                 description: Days before a password must be changed (0 for never)
+ *     responses:
+ *       200:
+ *         description: Policy updated
+ */
+router
+  .route("/password-policy")
+  .get(getPasswordPolicy)
+  .put(protect, permit("security:manage"), updatePasswordPolicy);
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Logout
+ *     description: Revokes the session of the current device
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out
+ *       401:
+ *         description: Not authorized
+ */
+router.post("/logout", protect, logout);
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List my active sessions
+ *     description: Returns one entry per signed-in device, flagging the current one
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Success
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: number
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Session'
+ *   delete:
+ *     summary: Revoke all my sessions
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: keepCurrent
+ *         schema:
+ *           type: boolean
+ *         description: Keep the session making this request signed in
+ *     responses:
+ *       200:
+ *         description: Sessions revoked
+ */
+router
+  .route("/sessions")
+  .get(protect, notWhileImpersonating, getSessions)
+  .delete(protect, notWhileImpersonating, revokeAllSessions);
+
+/**
+ * @swagger
+ * /api/auth/sessions/{sessionId}:
+ *   delete:
+ *     summary: Revoke a session
+ *     description: Signs out a single device. Admins can revoke any user's session.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Session not found
+ */
+router.delete("/sessions/:sessionId", protect, notWhileImpersonating, revokeSession);
 
 /**
  * @swagger
  * /api/auth/me:
  *   get:
  *     summary: Get current user
- *     description: Returns currently logged in user's data
+ *     description: |
+ *       Returns currently logged in user's data. `impersonation.active` is true
+ *       when an admin is viewing the app as this user; clients should show a banner.
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
  *     responses:
  *       200:
  *         description: User data retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 impersonation:
+ *                   type: object
+ *                   properties:
+ *                     active:
+ *                       type: boolean
+ *                     impersonator:
+ *                       type: object
+ *                       description: Admin viewing as this user
+ *                     reason:
+ *                       type: string
+ *                     allowWrites:
+ *                       type: boolean
+ *                     expiresAt:
+ *                       type: string
+ *                       format: date-time
+ *                 data:
+ *                   $ref: '#/components/schemas/User'
  *       401:
  *         description: Not authorized
  */
 router.get("/me", protect, getMe);
 
+/**
+ * @swagger
+ * /api/auth/impersonate:
+ *   delete:
+ *     summary: Stop impersonating a user
+ *     description: Call with the impersonation token; ends its session so the token stops working
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Impersonation ended
+ *       400:
+ *         description: Not an impersonation token
+ */
+router.delete("/impersonate", protect, endImpersonation);
+
 /**
  * @swagger
  * /api/auth/forgotpassword:
@@ -165,8 +714,10 @@ router.get("/me", protect, getMe);
  *         description: Reset email sent
  *       404:
  *         description: No user with that email
+ *       429:
+ *         description: Too many reset requests from this address or for this account
  */
-router.post("/forgotpassword", forgotPassword);
+router.post("/forgotpassword", forgotPasswordLimiters, forgotPassword);
 
 /**
  * @swagger
@@ -8,13 +8,18 @@ const {
   deleteClass,
   addSubjectToClass,
   removeSubjectFromClass,
+  updateClassSubject,
   assignTeacherToSubject,
   removeTeacherFromSubject,
   assignPrefect,
   removePrefect,
   getMyClasses,
+  getJoinCode,
+  updateJoinCode,
+  regenerateJoinCode,
 } = require("../controllers/classController");
-const { protect, role } = require("../middleware/auth");
+const { protect, permit } = require("../middleware/auth");
+const { scopes } = require("../utils/permissions");
 
 /**
  * @swagger
@@ -64,7 +69,10 @@ const { protect, role } = require("../middleware/auth");
  *
  *   post:
  *     summary: Create new class
- *     description: Create a new class (Admin only)
+ *     description: |
+ *       Create a new class (Admin only). Teachers in subjects are ignored:
+ *       assign them with /api/classes/{id}/subjects/{subjectId}/teachers,
+ *       which checks their qualifications.
  *     tags: [Classes]
  *     security:
  *       - bearerAuth: []
@@ -107,6 +115,11 @@ const { protect, role } = require("../middleware/auth");
  *
  *   put:
  *     summary: Update class
+ *     description: |
+ *       Subjects keep their current teachers; teachers sent in subjects are
+ *       ignored. Assign them with /api/classes/{id}/subjects/{subjectId}/teachers.
+ *       The code and join settings are ignored too; replace the code with
+ *       /api/classes/{id}/join-code/regenerate.
  *     tags: [Classes]
  *     security:
  *       - bearerAuth: []
@@ -125,6 +138,8 @@ const { protect, role } = require("../middleware/auth");
  *     responses:
  *       200:
  *         description: Success
+ *       400:
+ *         description: Invalid field name, or invalid subject capacities
  *
  *   delete:
  *     summary: Delete class
@@ -176,6 +191,44 @@ const { protect, role } = require("../middleware/auth");
 /**
  * @swagger
  * /api/classes/{id}/subjects/{subjectId}:
+ *   put:
+ *     summary: Set the capacity of an elective subject in a class
+ *     description: |
+ *       Students beyond the capacity are waitlisted for the subject. Raising
+ *       the capacity moves waitlisted students in.
+ *     tags: [Classes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: subjectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               capacity:
+ *                 type: integer
+ *                 minimum: 1
+ *                 nullable: true
+ *                 description: null removes the limit
+ *     responses:
+ *       200:
+ *         description: Capacity updated
+ *       400:
+ *         description: Subject is not an elective
+ *       404:
+ *         description: Class or subject not found
  *   delete:
  *     summary: Remove subject from class
  *     description: Remove a subject from a class (Admin only)
@@ -251,6 +304,10 @@ const { protect, role } = require("../middleware/auth");
  *                 type: boolean
  *                 default: false
  *                 description: Whether this teacher is the lead for the subject
+ *               override:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Assign even though the teacher has no verified qualification for the subject (requires qualifications:override)
  *     responses:
  *       200:
  *         description: Teacher assigned successfully
@@ -266,7 +323,9 @@ const { protect, role } = require("../middleware/auth");
  *       404:
  *         description: Class, subject or teacher not found
  *       400:
- *         description: Teacher already assigned or invalid request
+ *         description: Teacher already assigned, not qualified for the subject, or invalid request
+ *       403:
+ *         description: Not authorized to override the qualification check
  */
 
 /**
@@ -340,37 +399,144 @@ const { protect, role } = require("../middleware/auth");
  *                     $ref: '#/components/schemas/Class'
  */
 
+/**
+ * @swagger
+ * /api/classes/{id}/join-code:
+ *   get:
+ *     summary: Get the class code and its join settings
+ *     tags: [Classes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Class code, join settings and number of joins
+ *       404:
+ *         description: Class not found
+ *   put:
+ *     summary: Update the join settings of the class code
+ *     tags: [Classes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               enabled:
+ *                 type: boolean
+ *               autoApprove:
+ *                 type: boolean
+ *                 description: Enroll students straight away instead of asking for approval
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *               maxJoins:
+ *                 type: integer
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Join settings updated
+ *       400:
+ *         description: Invalid settings
+ *       404:
+ *         description: Class not found
+ */
+
+/**
+ * @swagger
+ * /api/classes/{id}/join-code/regenerate:
+ *   post:
+ *     summary: Replace the class code (the old code stops working and the join count restarts)
+ *     tags: [Classes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: New class code
+ *       404:
+ *         description: Class not found
+ */
+
 // Protect all routes
 router.use(protect);
 
 router.get("/my-classes", getMyClasses);
 
-router.route("/").get(getClasses).post(role("admin"), createClass);
+router.route("/").get(getClasses).post(permit("classes:manage"), createClass);
 
 router
   .route("/:id")
   .get(getClass)
-  .put(role("admin", "teacher"), updateClass)
-  .delete(role("admin"), deleteClass);
+  .put(permit("classes:update", { scope: scopes.classParam() }), updateClass)
+  .delete(permit("classes:manage", { scope: scopes.classParam() }), deleteClass);
 
-router.route("/:id/subjects").post(role("admin"), addSubjectToClass);
+router
+  .route("/:id/subjects")
+  .post(permit("classes:manage", { scope: scopes.classParam() }), addSubjectToClass);
 
 router
   .route("/:id/subjects/:subjectId")
-  .delete(role("admin"), removeSubjectFromClass);
+  .put(permit("classes:manage", { scope: scopes.classParam() }), updateClassSubject)
+  .delete(
+    permit("classes:manage", { scope: scopes.classParam() }),
+    removeSubjectFromClass
+  );
 
 router
   .route("/:id/subjects/:subjectId/teachers")
-  .post(role("admin"), assignTeacherToSubject);
+  .post(
+    permit("classes:assign_teachers", { scope: scopes.classParam() }),
+    assignTeacherToSubject
+  );
 
 router
   .route("/:id/subjects/:subjectId/teachers/:teacherId")
-  .delete(role("admin"), removeTeacherFromSubject);
+  .delete(
+    permit("classes:assign_teachers", { scope: scopes.classParam() }),
+    removeTeacherFromSubject
+  );
 
-router.route("/:id/prefects").post(role("admin", "teacher"), assignPrefect);
+router
+  .route("/:id/prefects")
+  .post(permit("classes:manage_prefects", { scope: scopes.classParam() }), assignPrefect);
 
 router
   .route("/:id/prefects/:prefectId")
-  .delete(role("admin", "teacher"), removePrefect);
+  .delete(
+    permit("classes:manage_prefects", { scope: scopes.classParam() }),
+    removePrefect
+  );
+
+router
+  .route("/:id/join-code")
+  .get(permit("classes:update", { scope: scopes.classParam() }), getJoinCode)
+  .put(permit("classes:update", { scope: scopes.classParam() }), updateJoinCode);
+
+router.post(
+  "/:id/join-code/regenerate",
+  permit("classes:update", { scope: scopes.classParam() }),
+  regenerateJoinCode
+);
 
 module.exports = router;
@@ -9,7 +9,7 @@ const {
   downloadContent,
   getMyContent
 } = require('../controllers/contentController');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, permit } = require('../middleware/auth');
 const fileUpload = require('../utils/fileUpload');
 
 /**
@@ -278,7 +278,7 @@ router.use(protect);
 
 router.route('/')
   .get(getContent)
-  .post(authorize('teacher', 'admin'), fileUpload.upload.single('file'), createContent);
+  .post(permit('content:write'), fileUpload.upload.single('file'), createContent);
 
   /**
  * @swagger
@@ -334,8 +334,8 @@ router.get('/my-content', getMyContent);
 
 router.route('/:id')
   .get(getSingleContent)
-  .put(authorize('teacher', 'admin'), fileUpload.upload.single('file'), updateContent)
-  .delete(authorize('teacher', 'admin'), deleteContent);
+  .put(permit('content:write'), fileUpload.upload.single('file'), updateContent)
+  .delete(permit('content:write'), deleteContent);
 
 router.get('/:id/download', downloadContent);
 
@@ -0,0 +1,106 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getExport,
+  downloadExport,
+  downloadExportByToken,
+} = require("../controllers/dataExportController");
+const { protect, notWhileImpersonating } = require("../middleware/auth");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Data Exports
+ *   description: Personal data export status and downloads (start one with GET /api/users/{id}/export)
+ */
+
+/**
+ * @swagger
+ * /api/exports/download/{token}:
+ *   get:
+ *     summary: Download an export with the emailed link
+ *     description: Works without a school header or subdomain; the token identifies the school.
+ *     tags: [Data Exports]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: ZIP file
+ *         content:
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Invalid or expired link
+ *       410:
+ *         description: Export has expired
+ */
+
+/**
+ * @swagger
+ * /api/exports/{id}:
+ *   get:
+ *     summary: Get the status of a data export
+ *     tags: [Data Exports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Success
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/DataExport'
+ *       404:
+ *         description: Export not found
+ */
+
+/**
+ * @swagger
+ * /api/exports/{id}/download:
+ *   get:
+ *     summary: Download a completed data export
+ *     tags: [Data Exports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: ZIP file
+ *       400:
+ *         description: Export is not completed
+ *       410:
+ *         description: Export has expired
+ */
+
+// The emailed link carries its own token
+router.get("/download/:token", downloadExportByToken);
+
+router.use(protect);
+router.use(notWhileImpersonating);
+
+router.get("/:id", getExport);
+router.get("/:id/download", downloadExport);
+
+module.exports = router;
@@ -0,0 +1,311 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getWindows,
+  getWindow,
+  createWindow,
+  updateWindow,
+  deleteWindow,
+  getOptions,
+  submitChoices,
+  withdrawChoices,
+  getMyChoices,
+  getChoices,
+  allocateWindow,
+} = require("../controllers/electiveController");
+const { protect, permit } = require("../middleware/auth");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Electives
+ *   description: |
+ *     Elective selection. Administrators open a window for some classes;
+ *     students rank the electives of their class while it is open. Once it
+ *     closes, an allocation run gives each student their electives, taking
+ *     subject capacities and prerequisites into account, and writes them into
+ *     their enrollments.
+ */
+
+/**
+ * @swagger
+ * /api/electives/windows:
+ *   get:
+ *     summary: Get selection windows
+ *     description: Students only see the windows for their class.
+ *     tags: [Electives]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: class
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Windows, most recent first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ElectiveWindow'
+ *   post:
+ *     summary: Open a selection window (electives:manage)
+ *     tags: [Electives]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ElectiveWindow'
+ *     responses:
+ *       201:
+ *         description: Window created
+ *       400:
+ *         description: Invalid term, dates or classes
+ */
+
+/**
+ * @swagger
+ * /api/electives/windows/{id}:
+ *   get:
+ *     summary: Get a selection window
+ *     tags: [Electives]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Window
+ *       404:
+ *         description: Window not found
+ *   put:
+ *     summary: Update a selection window (electives:manage)
+ *     tags: [Electives]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ElectiveWindow'
+ *     responses:
+ *       200:
+ *         description: Window updated
+ *       400:
+ *         description: Invalid fields, or electives already allocated
+ *   delete:
+ *     summary: Delete a selection window and its choices (electives:manage)
+ *     tags: [Electives]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Window deleted
+ *       400:
+ *         description: Electives already allocated
+ */
+
+/**
+ * @swagger
+ * /api/electives/windows/{id}/options:
+ *   get:
+ *     summary: Get the electives you can choose (students)
+ *     description: |
+ *       Electives of your class with their capacity, free seats and whether
+ *       you meet their prerequisites, along with your current choices.
+ *     tags: [Electives]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Options
+ *       403:
+ *         description: The window is not for your class
+ */
+
+/**
+ * @swagger
+ * /api/electives/windows/{id}/choices:
+ *   get:
+ *     summary: Get all choices in a window (electives:manage)
+ *     tags: [Electives]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: class
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Choices in submission order, with outcomes once allocated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ElectiveChoice'
+ *   put:
+ *     summary: Submit or change your ranked choices (students)
+ *     description: |
+ *       Only while the window is open. Changing your choices keeps your
+ *       original submission time, which decides your turn in the allocation.
+ *     tags: [Electives]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - choices
+ *             properties:
+ *               choices:
+ *                 type: array
+ *                 description: Subject IDs, first choice first
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Choices saved
+ *       400:
+ *         description: |
+ *           Window not open, too many or repeated choices, a subject that is not
+ *           an elective of your class, or unmet prerequisites
+ *       403:
+ *         description: The window is not for your class
+ *   delete:
+ *     summary: Withdraw your choices (students)
+ *     tags: [Electives]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Choices withdrawn
+ *       400:
+ *         description: Window not open
+ */
+
+/**
+ * @swagger
+ * /api/electives/windows/{id}/choices/me:
+ *   get:
+ *     summary: Get your choices and allocation (students)
+ *     tags: [Electives]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Your choices
+ *       404:
+ *         description: No choices made
+ */
+
+/**
+ * @swagger
+ * /api/electives/windows/{id}/allocate:
+ *   post:
+ *     summary: Allocate the electives of a closed window (electives:manage)
+ *     description: |
+ *       In each round, every student (earliest submission first) gets their
+ *       best-ranked elective that still has a seat and whose prerequisites they
+ *       meet, until they have the window's electivesPerStudent. Each student's
+ *       enrollment then has the allocated electives enrolled and the class's
+ *       other electives dropped. Students who made no choices, or whose
+ *       enrollment is in a closed term, keep their electives. Running it again
+ *       redoes the allocation.
+ *     tags: [Electives]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Electives allocated; the window has the summary
+ *       400:
+ *         description: Window has not closed yet
+ */
+
+router.use(protect);
+
+router
+  .route("/windows")
+  .get(getWindows)
+  .post(permit("electives:manage"), createWindow);
+
+router
+  .route("/windows/:id")
+  .get(getWindow)
+  .put(permit("electives:manage"), updateWindow)
+  .delete(permit("electives:manage"), deleteWindow);
+
+router.get("/windows/:id/options", getOptions);
+
+router
+  .route("/windows/:id/choices")
+  .get(permit("electives:manage"), getChoices)
+  .put(submitChoices)
+  .delete(withdrawChoices);
+
+router.get("/windows/:id/choices/me", getMyChoices);
+
+router.post("/windows/:id/allocate", permit("electives:manage"), allocateWindow);
+
+module.exports = router;
@@ -0,0 +1,288 @@
+const express = require("express");
+const router = express.Router();
+const {
+  createRequest,
+  joinByCode,
+  getMyRequests,
+  getInbox,
+  getRequest,
+  approveRequest,
+  rejectRequest,
+  cancelRequest,
+} = require("../controllers/enrollmentRequestController");
+const { protect } = require("../middleware/auth");
+const { rateLimit } = require("../middleware/rateLimit");
+const config = require("../config/config");
+
+const joinLimiter = rateLimit({
+  name: "classJoin",
+  windowMs: config.classJoin.rateLimit.windowMs,
+  max: config.classJoin.rateLimit.max,
+  key: (req) => req.user.id,
+  message: "Too many class code attempts, please try again later",
+});
+
+/**
+ * @swagger
+ * tags:
+ *   name: Enrollment Requests
+ *   description: |
+ *     Requests from students and teachers to join a class or subject. The class
+ *     teacher, or anyone holding enrollments:review_requests for the class,
+ *     approves or rejects them.
+ */
+
+/**
+ * @swagger
+ * /api/enrollment-requests:
+ *   post:
+ *     summary: Request to join a class or subject
+ *     description: |
+ *       Students request a class to be enrolled in it, or a subject of the class
+ *       they are enrolled in. Teachers request a subject to teach in a class.
+ *     tags: [Enrollment Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - class
+ *             properties:
+ *               class:
+ *                 type: string
+ *               subject:
+ *                 type: string
+ *                 description: Required for teachers
+ *               message:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Request created and reviewers notified
+ *       400:
+ *         description: Already enrolled/assigned, or a request is already pending
+ */
+
+/**
+ * @swagger
+ * /api/enrollment-requests/join:
+ *   post:
+ *     summary: Join a class with its class code (students)
+ *     description: |
+ *       Enrolls the student straight away if the class approves joins
+ *       automatically; otherwise creates a pending request for the class teacher.
+ *     tags: [Enrollment Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: S1-A-X5B9K2QH
+ *     responses:
+ *       201:
+ *         description: Request created (pending) or student enrolled (approved)
+ *       400:
+ *         description: Code disabled, expired or full, already enrolled, or the term is closed
+ *       404:
+ *         description: No class with this code
+ *       429:
+ *         description: Too many attempts
+ */
+
+/**
+ * @swagger
+ * /api/enrollment-requests/mine:
+ *   get:
+ *     summary: Get your requests
+ *     tags: [Enrollment Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected, cancelled]
+ *     responses:
+ *       200:
+ *         description: Your requests, newest first
+ */
+
+/**
+ * @swagger
+ * /api/enrollment-requests/inbox:
+ *   get:
+ *     summary: Get the requests you can review
+ *     tags: [Enrollment Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           default: pending
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [class, subject]
+ *       - in: query
+ *         name: requesterRole
+ *         schema:
+ *           type: string
+ *           enum: [student, teacher]
+ *       - in: query
+ *         name: class
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Requests for the classes you review, oldest first
+ */
+
+/**
+ * @swagger
+ * /api/enrollment-requests/{id}:
+ *   get:
+ *     summary: Get a request (requester or reviewers)
+ *     tags: [Enrollment Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Request
+ *       403:
+ *         description: Not the requester or a reviewer
+ *       404:
+ *         description: Request not found
+ *   delete:
+ *     summary: Cancel your pending request
+ *     tags: [Enrollment Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Request cancelled
+ *       404:
+ *         description: Request not found
+ */
+
+/**
+ * @swagger
+ * /api/enrollment-requests/{id}/approve:
+ *   put:
+ *     summary: Approve a request (reviewers)
+ *     description: |
+ *       Enrolls the student in the class or subject, or approves the teacher for
+ *       the subject (a verified qualification is required unless overridden).
+ *       A student approved for a full class or elective is put on its waitlist.
+ *     tags: [Enrollment Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *               isLeadTeacher:
+ *                 type: boolean
+ *               override:
+ *                 type: boolean
+ *                 description: Approve a teacher without a verified qualification (qualifications:override)
+ *     responses:
+ *       200:
+ *         description: Request approved and requester notified
+ *       400:
+ *         description: Request no longer pending or can no longer be granted, or the term is closed
+ *       403:
+ *         description: Not a reviewer of this class
+ */
+
+/**
+ * @swagger
+ * /api/enrollment-requests/{id}/reject:
+ *   put:
+ *     summary: Reject a request (reviewers)
+ *     tags: [Enrollment Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Request rejected and requester notified
+ *       400:
+ *         description: Missing reason or request no longer pending
+ *       403:
+ *         description: Not a reviewer of this class
+ */
+
+router.use(protect);
+
+router.post("/", createRequest);
+router.post("/join", joinLimiter, joinByCode);
+router.get("/mine", getMyRequests);
+router.get("/inbox", getInbox);
+
+router.route("/:id").get(getRequest).delete(cancelRequest);
+
+router.put("/:id/approve", approveRequest);
+router.put("/:id/reject", rejectRequest);
+
+module.exports = router;
@@ -11,8 +11,12 @@ const {
   transferEnrollment,
   completeEnrollment,
   getEnrollmentStats,
+  getWaitlist,
+  getMyWaitlist,
+  leaveWaitlist,
 } = require("../controllers/enrollmentController");
-const { protect, role } = require("../middleware/auth");
+const { protect, permit } = require("../middleware/auth");
+const { scopes } = require("../utils/permissions");
 
 /**
  * @swagger
@@ -72,7 +76,10 @@ const { protect, role } = require("../middleware/auth");
  *
  *   post:
  *     summary: Create new enrollment
- *     description: Create a new academic enrollment (Admin only)
+ *     description: |
+ *       Create a new academic enrollment (Admin only). academicYear and term
+ *       default to the active term and must be an open term of the academic
+ *       calendar.
  *     tags: [Enrollments]
  *     security:
  *       - bearerAuth: []
@@ -84,11 +91,19 @@ const { protect, role } = require("../middleware/auth");
  *             $ref: '#/components/schemas/AcademicEnrollment'
  *     responses:
  *       201:
- *         description: Created
+ *         description: Created (electives that are full are waitlisted)
+ *       400:
+ *         description: The term is closed or not in the academic calendar
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/AcademicEnrollment'
+ *       202:
+ *         description: Class is full; the student was put on its waitlist
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WaitlistEntry'
  */
 
 /**
@@ -115,6 +130,9 @@ const { protect, role } = require("../middleware/auth");
  *
  *   put:
  *     summary: Update enrollment
+ *     description: >
+ *       The class can't be changed here; use the transfer endpoint. Setting the
+ *       status back to active, or enrolling in an elective, needs a free seat.
  *     tags: [Enrollments]
  *     security:
  *       - bearerAuth: []
@@ -133,6 +151,8 @@ const { protect, role } = require("../middleware/auth");
  *     responses:
  *       200:
  *         description: Success
+ *       400:
+ *         description: Class change, closed term, or no free seat
  *
  *   delete:
  *     summary: Delete enrollment
@@ -242,6 +262,10 @@ const { protect, role } = require("../middleware/auth");
  *     responses:
  *       200:
  *         description: Success
+ *       202:
+ *         description: |
+ *           Target class is full; the student is waitlisted and transferred when
+ *           a seat frees up
  */
 
 /**
@@ -294,29 +318,111 @@ const { protect, role } = require("../middleware/auth");
  *                       type: number
  */
 
+/**
+ * @swagger
+ * /api/enrollments/waitlist:
+ *   get:
+ *     summary: Get the waitlist of a class or elective subject
+ *     tags: [Enrollments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: class
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: subject
+ *         description: Elective subject; omit for the class waitlist
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [waiting, promoted, cancelled]
+ *           default: waiting
+ *     responses:
+ *       200:
+ *         description: Entries in queue order, with positions while waiting
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/WaitlistEntry'
+ *
+ * /api/enrollments/waitlist/mine:
+ *   get:
+ *     summary: Get your waitlist entries and positions
+ *     tags: [Enrollments]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Success
+ *
+ * /api/enrollments/waitlist/{entryId}:
+ *   delete:
+ *     summary: Leave a waitlist, or remove a student from one
+ *     tags: [Enrollments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: entryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Entry cancelled
+ *       400:
+ *         description: Entry is no longer waiting
+ *       403:
+ *         description: Not the student or an enrollment manager of the class
+ */
+
 // Protect all routes
 router.use(protect);
 
 // Admin only routes
 router
   .route("/")
-  .get(role("admin", "teacher"), getEnrollments)
-  .post(role("admin"), createEnrollment);
+  .get(permit("enrollments:read"), getEnrollments)
+  .post(permit("enrollments:manage", { scope: scopes.classBody() }), createEnrollment);
+
+router.get("/stats", permit("enrollments:manage"), getEnrollmentStats);
 
-router.get("/stats", role("admin"), getEnrollmentStats);
+router.get(
+  "/waitlist",
+  permit("enrollments:read", { scope: scopes.classQuery() }),
+  getWaitlist
+);
+router.get("/waitlist/mine", getMyWaitlist);
+router.delete("/waitlist/:entryId", leaveWaitlist);
 
 router
   .route("/:id")
   .get(getEnrollment)
-  .put(role("admin"), updateEnrollment)
-  .delete(role("admin"), deleteEnrollment);
+  .put(permit("enrollments:manage", { scope: scopes.enrollment }), updateEnrollment)
+  .delete(permit("enrollments:manage", { scope: scopes.enrollment }), deleteEnrollment);
 
 // Student and teacher routes
 router.get("/student/:studentId", getStudentEnrollments);
 router.get("/class/:classId", getClassEnrollments);
 
 // Admin only management routes
-router.post("/:id/transfer", role("admin"), transferEnrollment);
-router.post("/:id/complete", role("admin"), completeEnrollment);
+router.post(
+  "/:id/transfer",
+  permit("enrollments:manage", { scope: scopes.enrollment }),
+  transferEnrollment
+);
+router.post(
+  "/:id/complete",
+  permit("enrollments:manage", { scope: scopes.enrollment }),
+  completeEnrollment
+);
 
 module.exports = router;
@@ -8,7 +8,8 @@ const {
   publishGradebook,
   deleteGradebook
 } = require('../controllers/gradebookController');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, permit } = require('../middleware/auth');
+const { scopes } = require('../utils/permissions');
 
 /**
  * @swagger
@@ -188,7 +189,10 @@ const { protect, authorize } = require('../middleware/auth');
  *   
  *   post:
  *     summary: Create gradebook entry
- *     description: Create a new gradebook entry (Teachers and Admins only)
+ *     description: |
+ *       Create a new gradebook entry (Teachers and Admins only). academicYear
+ *       and term default to the active term, which must be open in the
+ *       academic calendar; test and exam dates must fall within it.
  *     tags: [Gradebook]
  *     security:
  *       - bearerAuth: []
@@ -239,6 +243,7 @@ const { protect, authorize } = require('../middleware/auth');
  *   
  *   put:
  *     summary: Update gradebook entry
+ *     description: Entries of closed terms can no longer be edited.
  *     tags: [Gradebook]
  *     security:
  *       - bearerAuth: []
@@ -261,6 +266,8 @@ const { protect, authorize } = require('../middleware/auth');
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Gradebook'
+ *       400:
+ *         description: The entry's term is closed
  *   
  *   delete:
  *     summary: Delete gradebook entry
@@ -306,13 +313,13 @@ router.use(protect);
 
 router.route('/')
   .get(getGradebooks)
-  .post(authorize('teacher', 'admin'), createGradebook);
+  .post(permit('gradebook:write', { scope: scopes.classBody() }), createGradebook);
 
 router.route('/:id')
   .get(getGradebook)
-  .put(authorize('teacher', 'admin'), updateGradebook)
-  .delete(authorize('teacher', 'admin'), deleteGradebook);
+  .put(permit('gradebook:write', { scope: scopes.gradebook }), updateGradebook)
+  .delete(permit('gradebook:write', { scope: scopes.gradebook }), deleteGradebook);
 
-router.put('/:id/publish', authorize('teacher', 'admin'), publishGradebook);
+router.put('/:id/publish', permit('gradebook:publish', { scope: scopes.gradebook }), publishGradebook);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,265 @@
+const express = require("express");
+const router = express.Router();
+const {
+  createInvitation,
+  acceptInvitation,
+  createLinkCode,
+  redeemLinkCode,
+  getLinks,
+  revokeLink,
+  getChildren,
+  getChildSubmissions,
+  getChildGradebooks,
+  getChildAttendance,
+  getChildNotifications,
+} = require("../controllers/guardianController");
+const { protect, role, permit, linkedGuardian } = require("../middleware/auth");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Guardians
+ *   description: Parent/guardian accounts and their links to students
+ */
+
+/**
+ * @swagger
+ * /api/guardians/invitations:
+ *   post:
+ *     summary: Invite a parent/guardian by email
+ *     description: Students invite their own guardians; admins pass the student ID
+ *     tags: [Guardians]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               relationship:
+ *                 type: string
+ *               student:
+ *                 type: string
+ *                 format: objectId
+ *                 description: Required for admins
+ *     responses:
+ *       201:
+ *         description: Invitation sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/GuardianLink'
+ *       404:
+ *         description: Student not found
+ */
+
+/**
+ * @swagger
+ * /api/guardians/invitations/accept:
+ *   post:
+ *     summary: Accept a guardian invitation
+ *     description: The parent account's verified email must match the invited address
+ *     tags: [Guardians]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *               relationship:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Link active
+ *       400:
+ *         description: Invalid or expired invitation
+ *       403:
+ *         description: Email does not match
+ */
+
+/**
+ * @swagger
+ * /api/guardians/link-code:
+ *   post:
+ *     summary: Generate a link code (Student)
+ *     description: Returns a one-time 8 character code valid for 48 hours
+ *     tags: [Guardians]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               relationship:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Code generated
+ */
+
+/**
+ * @swagger
+ * /api/guardians/link:
+ *   post:
+ *     summary: Link to a student with their code (Parent)
+ *     tags: [Guardians]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *               relationship:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Link active
+ *       400:
+ *         description: Invalid or expired code
+ */
+
+/**
+ * @swagger
+ * /api/guardians/links:
+ *   get:
+ *     summary: Get guardian links
+ *     description: Parents and students see their own links; admins can filter by parent or student
+ *     tags: [Guardians]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: parent
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: student
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, active, revoked]
+ *     responses:
+ *       200:
+ *         description: Success
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: number
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/GuardianLink'
+ */
+
+/**
+ * @swagger
+ * /api/guardians/links/{id}:
+ *   delete:
+ *     summary: Revoke a guardian link
+ *     tags: [Guardians]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Link revoked
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Link not found
+ */
+
+/**
+ * @swagger
+ * /api/guardians/children:
+ *   get:
+ *     summary: Get my linked children (Parent)
+ *     tags: [Guardians]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Success
+ */
+
+/**
+ * @swagger
+ * /api/guardians/children/{studentId}/{resource}:
+ *   get:
+ *     summary: Read a linked child's records (Parent)
+ *     description: Read-only access to a linked child's submissions, published gradebooks, own attendance records and notifications
+ *     tags: [Guardians]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: resource
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [submissions, gradebooks, attendance, notifications]
+ *     responses:
+ *       200:
+ *         description: Success
+ *       403:
+ *         description: Not linked to this student
+ */
+
+router.use(protect);
+
+router.post("/invitations", permit("guardians:invite"), createInvitation);
+router.post("/invitations/accept", permit("guardians:link"), acceptInvitation);
+router.post("/link-code", permit("guardians:invite"), createLinkCode);
+router.post("/link", permit("guardians:link"), redeemLinkCode);
+
+router.get("/links", getLinks);
+router.delete("/links/:id", revokeLink);
+
+router.get("/children", role("parent"), getChildren);
+router.get("/children/:studentId/submissions", linkedGuardian, getChildSubmissions);
+router.get("/children/:studentId/gradebooks", linkedGuardian, getChildGradebooks);
+router.get("/children/:studentId/attendance", linkedGuardian, getChildAttendance);
+router.get("/children/:studentId/notifications", linkedGuardian, getChildNotifications);
+
+module.exports = router;
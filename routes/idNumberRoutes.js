@@ -0,0 +1,199 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getIdFormats,
+  updateIdFormats,
+  getIdNumbers,
+  reserveIdNumber,
+  regenerateIdNumbers,
+} = require("../controllers/idNumberController");
+const { protect, permit } = require("../middleware/auth");
+
+/**
+ * @swagger
+ * tags:
+ *   name: ID Numbers
+ *   description: Student and teacher ID number formats, reservations and regeneration
+ */
+
+/**
+ * @swagger
+ * /api/id-numbers/formats:
+ *   get:
+ *     summary: Get the student and teacher ID number formats (Admin only)
+ *     tags: [ID Numbers]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Templates with an example of each
+ *   put:
+ *     summary: Update the ID number formats (Admin only)
+ *     description: |
+ *       Templates combine literal text (letters, digits, / _ . -) with tokens:
+ *       {YEAR}, {YY}, {LEVEL} (student class level, students only) and {SEQ:n}
+ *       (sequence number padded to n digits, required exactly once).
+ *       Each distinct prefix (e.g. each year and level) has its own counter.
+ *       Numbers already issued are not changed.
+ *     tags: [ID Numbers]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               student:
+ *                 type: string
+ *                 example: "{YEAR}/{LEVEL}/{SEQ:4}"
+ *               teacher:
+ *                 type: string
+ *                 example: "TCH/{YEAR}/{SEQ:3}"
+ *     responses:
+ *       200:
+ *         description: Formats updated
+ *       400:
+ *         description: Invalid template
+ */
+
+/**
+ * @swagger
+ * /api/id-numbers:
+ *   get:
+ *     summary: Get issued, reserved and retired ID numbers (Admin only)
+ *     tags: [ID Numbers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: idType
+ *         schema:
+ *           type: string
+ *           enum: [studentId, teacherId]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [assigned, reserved, retired]
+ *       - in: query
+ *         name: value
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: user
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Success
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: number
+ *                 total:
+ *                   type: number
+ *                 totalPages:
+ *                   type: number
+ *                 currentPage:
+ *                   type: number
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/IdNumber'
+ */
+
+/**
+ * @swagger
+ * /api/id-numbers/reservations:
+ *   post:
+ *     summary: Reserve an ID number so it is never generated or assigned (Admin only)
+ *     tags: [ID Numbers]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - idType
+ *               - value
+ *             properties:
+ *               idType:
+ *                 type: string
+ *                 enum: [studentId, teacherId]
+ *               value:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: ID number reserved
+ *       400:
+ *         description: ID number already in use, reserved or retired
+ */
+
+/**
+ * @swagger
+ * /api/id-numbers/regenerate:
+ *   post:
+ *     summary: Generate ID numbers for existing accounts (Admin only)
+ *     description: |
+ *       By default only accounts without an ID number get one. With missingOnly=false
+ *       the listed users get a new number and their old one is retired.
+ *       Up to 500 accounts are processed per call; call again while summary.remaining > 0.
+ *     tags: [ID Numbers]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [student, teacher]
+ *               users:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Limit to these accounts (required when missingOnly is false)
+ *               missingOnly:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       200:
+ *         description: Previous and new ID number of each processed account
+ */
+
+router.use(protect);
+router.use(permit("id_numbers:manage"));
+
+router.route("/").get(getIdNumbers);
+router.route("/formats").get(getIdFormats).put(updateIdFormats);
+router.post("/reservations", reserveIdNumber);
+router.post("/regenerate", regenerateIdNumbers);
+
+module.exports = router;
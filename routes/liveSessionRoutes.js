@@ -14,7 +14,7 @@ const {
 
 const router = express.Router();
 
-const { protect, authorize } = require("../middleware/auth");
+const { protect, permit } = require("../middleware/auth");
 
 /**
  * @swagger
@@ -44,6 +44,11 @@ const { protect, authorize } = require("../middleware/auth");
  *         subject:
  *           type: string
  *           description: ID of the subject
+ *         topics:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Syllabus topics covered; can still be set after the session has started
  *         startTime:
  *           type: string
  *           format: date-time
@@ -150,7 +155,7 @@ const { protect, authorize } = require("../middleware/auth");
  *       403:
  *         description: Forbidden - Only teachers can create sessions
  */
-router.post("/", protect, authorize("teacher"), createLiveSession);
+router.post("/", protect, permit("live_sessions:host"), createLiveSession);
 
 /**
  * @swagger
@@ -279,7 +284,7 @@ router.get("/:id", protect, getLiveSession);
  *       404:
  *         description: Session not found
  */
-router.put("/:id", protect, authorize("teacher"), updateLiveSession);
+router.put("/:id", protect, permit("live_sessions:host"), updateLiveSession);
 
 /**
  * @swagger
@@ -305,7 +310,7 @@ router.put("/:id", protect, authorize("teacher"), updateLiveSession);
  *       404:
  *         description: Session not found
  */
-router.delete("/:id", protect, authorize("teacher"), deleteLiveSession);
+router.delete("/:id", protect, permit("live_sessions:host"), deleteLiveSession);
 
 /**
  * @swagger
@@ -383,7 +388,7 @@ router.post("/:id/leave", protect, leaveLiveSession);
  *       404:
  *         description: Session not found
  */
-router.post("/:id/start", protect, authorize("teacher"), startLiveSession);
+router.post("/:id/start", protect, permit("live_sessions:host"), startLiveSession);
 
 /**
  * @swagger
@@ -411,7 +416,7 @@ router.post("/:id/start", protect, authorize("teacher"), startLiveSession);
  *       404:
  *         description: Session not found
  */
-router.post("/:id/end", protect, authorize("teacher"), endLiveSession);
+router.post("/:id/end", protect, permit("live_sessions:host"), endLiveSession);
 
 /**
  * @swagger
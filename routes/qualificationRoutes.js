@@ -0,0 +1,240 @@
+const express = require("express");
+const router = express.Router();
+const {
+  submitQualification,
+  getMyQualifications,
+  resubmitQualification,
+  getQualifications,
+  reviewQualification,
+} = require("../controllers/qualificationController");
+const { protect, permit } = require("../middleware/auth");
+const { upload } = require("../middleware/upload");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Qualifications
+ *   description: Teacher qualification submission and verification
+ */
+
+/**
+ * @swagger
+ * /api/qualifications:
+ *   post:
+ *     summary: Submit a qualification for review (Teacher only)
+ *     tags: [Qualifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - subject
+ *               - documents
+ *             properties:
+ *               subject:
+ *                 type: string
+ *                 description: Subject the qualification covers
+ *               qualificationLevel:
+ *                 type: string
+ *               institution:
+ *                 type: string
+ *               yearObtained:
+ *                 type: number
+ *               yearsOfExperience:
+ *                 type: number
+ *               documentDescription:
+ *                 type: string
+ *               documents:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Qualification submitted and awaiting review
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Qualification'
+ *       400:
+ *         description: Missing documents or a qualification for the subject is already pending
+ *       404:
+ *         description: Subject not found
+ *   get:
+ *     summary: Get qualifications for review (Admin only)
+ *     tags: [Qualifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected, all]
+ *           default: pending
+ *       - in: query
+ *         name: subject
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: teacher
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Qualifications, oldest submission first, each with its teacher
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: number
+ *                 total:
+ *                   type: number
+ *                 totalPages:
+ *                   type: number
+ *                 currentPage:
+ *                   type: number
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Qualification'
+ */
+
+/**
+ * @swagger
+ * /api/qualifications/me:
+ *   get:
+ *     summary: Get my qualifications and their review status (Teacher only)
+ *     tags: [Qualifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Success
+ */
+
+/**
+ * @swagger
+ * /api/qualifications/{id}:
+ *   put:
+ *     summary: Update a pending or rejected qualification and resubmit it (Teacher only)
+ *     description: Fields that are sent replace the current values, uploaded documents are added to the existing ones.
+ *     tags: [Qualifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               subject:
+ *                 type: string
+ *               qualificationLevel:
+ *                 type: string
+ *               institution:
+ *                 type: string
+ *               yearObtained:
+ *                 type: number
+ *               yearsOfExperience:
+ *                 type: number
+ *               documents:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       200:
+ *         description: Qualification resubmitted for review
+ *       400:
+ *         description: Qualification is already approved
+ *       404:
+ *         description: Qualification not found
+ */
+
+/**
+ * @swagger
+ * /api/qualifications/{id}/review:
+ *   put:
+ *     summary: Approve or reject a qualification (Admin only)
+ *     description: The teacher is notified of every decision. Rejecting an approved qualification withdraws its verification.
+ *     tags: [Qualifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [approved, rejected]
+ *               reason:
+ *                 type: string
+ *                 description: Required when rejecting
+ *     responses:
+ *       200:
+ *         description: Decision recorded
+ *       400:
+ *         description: Invalid status or missing rejection reason
+ *       404:
+ *         description: Qualification not found
+ */
+
+router.use(protect);
+
+router
+  .route("/")
+  .get(permit("qualifications:review"), getQualifications)
+  .post(permit("qualifications:submit"), upload.array("documents", 5), submitQualification);
+
+router.get("/me", permit("qualifications:submit"), getMyQualifications);
+
+router.put(
+  "/:id",
+  permit("qualifications:submit"),
+  upload.array("documents", 5),
+  resubmitQualification
+);
+router.put("/:id/review", permit("qualifications:review"), reviewQualification);
+
+module.exports = router;
@@ -0,0 +1,176 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getPromotionRules,
+  updatePromotionRules,
+  previewRollover,
+  startRollover,
+  getRollovers,
+  getRollover,
+} = require("../controllers/rolloverController");
+const { protect, permit } = require("../middleware/auth");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Rollover
+ *   description: |
+ *     End-of-term rollover. Completes the current term's active enrollments and
+ *     enrolls the students for the next term, then makes the next term current.
+ *     At the end of Term 3 students are promoted to the next level, repeat it
+ *     (per the promotion rules and the year's published gradebooks) or graduate.
+ */
+
+/**
+ * @swagger
+ * /api/rollover/rules:
+ *   get:
+ *     summary: Get the promotion rules (Admin only)
+ *     tags: [Rollover]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Promotion rules
+ *   put:
+ *     summary: Update the promotion rules (Admin only)
+ *     tags: [Rollover]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               levels:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [S1, S2, S3, S4, S5, S6]
+ *               keepStream:
+ *                 type: boolean
+ *               repeatOnFailure:
+ *                 type: boolean
+ *               passMark:
+ *                 type: number
+ *               minAverage:
+ *                 type: number
+ *               maxFailedSubjects:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Promotion rules updated
+ *       400:
+ *         description: Invalid rules
+ */
+
+/**
+ * @swagger
+ * /api/rollover/preview:
+ *   post:
+ *     summary: Preview the rollover of the current term (Admin only)
+ *     description: Shows what would happen to each student without changing anything.
+ *     tags: [Rollover]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               overrides:
+ *                 type: object
+ *                 description: |
+ *                   Decisions by student ID, either a decision ("promote", "repeat",
+ *                   "graduate", "continue", "withdraw") or { decision, class }
+ *     responses:
+ *       200:
+ *         description: Planned decision for every student; entries with a problem block the rollover
+ */
+
+/**
+ * @swagger
+ * /api/rollover:
+ *   get:
+ *     summary: List rollover runs (Admin only)
+ *     tags: [Rollover]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Rollover runs
+ *   post:
+ *     summary: Roll the current term over (Admin only)
+ *     description: |
+ *       Runs in the background. Repeating the request for a term that was
+ *       already rolled over returns the completed run; a failed run is resumed,
+ *       and so is a run left queued or processing for longer than the stale
+ *       limit (30 minutes), as its server stopped.
+ *     tags: [Rollover]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - academicYear
+ *               - term
+ *             properties:
+ *               academicYear:
+ *                 type: string
+ *                 description: Year of the term being closed
+ *               term:
+ *                 type: string
+ *                 enum: [Term 1, Term 2, Term 3]
+ *               overrides:
+ *                 type: object
+ *     responses:
+ *       200:
+ *         description: The term was already rolled over
+ *       202:
+ *         description: Rollover started
+ *       400:
+ *         description: Not the current term, or students could not be placed
+ *       409:
+ *         description: The rollover is already queued or running
+ */
+
+/**
+ * @swagger
+ * /api/rollover/{id}:
+ *   get:
+ *     summary: Get a rollover run with the decision for each student (Admin only)
+ *     tags: [Rollover]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Rollover run
+ *       404:
+ *         description: Rollover not found
+ */
+
+router.use(protect);
+router.use(permit("enrollments:rollover"));
+
+router.route("/rules").get(getPromotionRules).put(updatePromotionRules);
+
+router.post("/preview", previewRollover);
+
+router.route("/").get(getRollovers).post(startRollover);
+
+router.get("/:id", getRollover);
+
+module.exports = router;
@@ -0,0 +1,263 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getCurrentSchool,
+  updateCurrentSchool,
+  getGradingScale,
+  updateGradingScale,
+  getSchools,
+  getSchool,
+  createSchool,
+  updateSchool,
+  adoptRecords,
+} = require("../controllers/schoolController");
+const { protect, permit } = require("../middleware/auth");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Schools
+ *   description: |
+ *     Schools (tenants) sharing this deployment. Each request runs for one
+ *     school, named by the X-School header (its slug) or a subdomain, or else
+ *     the user's own school once signed in. Users only reach their own school;
+ *     super-admins work across schools and manage them here. Settings such as
+ *     the grading scale, ID number formats and policies are kept per school.
+ */
+
+/**
+ * @swagger
+ * /api/schools/current:
+ *   get:
+ *     summary: Get the name and branding of the school the request is for
+ *     description: For login pages, before signing in.
+ *     tags: [Schools]
+ *     parameters:
+ *       - in: header
+ *         name: X-School
+ *         schema:
+ *           type: string
+ *         description: School slug (or use the school's subdomain)
+ *     responses:
+ *       200:
+ *         description: School name, slug and branding
+ *       404:
+ *         description: No school selected, or unknown school
+ *   put:
+ *     summary: Update the branding of your school (school:manage)
+ *     tags: [Schools]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               branding:
+ *                 type: object
+ *                 description: Fields to change (see School)
+ *     responses:
+ *       200:
+ *         description: School updated
+ *       400:
+ *         description: Invalid branding, or no school selected
+ */
+
+/**
+ * @swagger
+ * /api/schools/current/grading-scale:
+ *   get:
+ *     summary: Get the grading scale of your school
+ *     tags: [Schools]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Grades with their minimum percentage and points, highest first
+ *   put:
+ *     summary: Replace the grading scale of your school (school:manage)
+ *     description: |
+ *       Used for gradebook final grades from then on; grades already given are
+ *       not changed. The lowest grade must start at 0%.
+ *     tags: [Schools]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - scale
+ *             properties:
+ *               scale:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - grade
+ *                     - min
+ *                     - points
+ *                   properties:
+ *                     grade:
+ *                       type: string
+ *                       example: A
+ *                     min:
+ *                       type: number
+ *                       description: Minimum percentage
+ *                       example: 80
+ *                     points:
+ *                       type: number
+ *                       example: 5
+ *     responses:
+ *       200:
+ *         description: Grading scale updated
+ *       400:
+ *         description: Invalid scale
+ */
+
+/**
+ * @swagger
+ * /api/schools:
+ *   get:
+ *     summary: Get all schools (super-admins only)
+ *     tags: [Schools]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of schools
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/School'
+ *   post:
+ *     summary: Create a school (super-admins only)
+ *     description: Optionally creates the school's first admin, who must change their password at first sign-in.
+ *     tags: [Schools]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/School'
+ *               - type: object
+ *                 properties:
+ *                   admin:
+ *                     type: object
+ *                     properties:
+ *                       firstName:
+ *                         type: string
+ *                       lastName:
+ *                         type: string
+ *                       email:
+ *                         type: string
+ *                       password:
+ *                         type: string
+ *     responses:
+ *       201:
+ *         description: School created
+ *       400:
+ *         description: Invalid data, slug taken or admin email in use
+ */
+
+/**
+ * @swagger
+ * /api/schools/{id}:
+ *   get:
+ *     summary: Get a school (super-admins only)
+ *     tags: [Schools]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: School
+ *       404:
+ *         description: School not found
+ *   put:
+ *     summary: Update a school (super-admins only)
+ *     description: Deactivating a school makes it unreachable for its users.
+ *     tags: [Schools]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/School'
+ *     responses:
+ *       200:
+ *         description: School updated
+ *       404:
+ *         description: School not found
+ */
+
+/**
+ * @swagger
+ * /api/schools/{id}/adopt-records:
+ *   post:
+ *     summary: Move records from before schools into a school (super-admins only)
+ *     description: |
+ *       For moving a single-school deployment onto schools: every record that
+ *       belongs to no school (except super-admins) is given this school, and
+ *       unique indexes are rebuilt per school.
+ *     tags: [Schools]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Number of records moved, by model
+ *       404:
+ *         description: School not found
+ */
+
+router.get("/current", getCurrentSchool);
+
+router.use(protect);
+
+router.put("/current", permit("school:manage"), updateCurrentSchool);
+router
+  .route("/current/grading-scale")
+  .get(getGradingScale)
+  .put(permit("school:manage"), updateGradingScale);
+
+router
+  .route("/")
+  .get(permit("schools:manage"), getSchools)
+  .post(permit("schools:manage"), createSchool);
+
+router
+  .route("/:id")
+  .get(permit("schools:manage"), getSchool)
+  .put(permit("schools:manage"), updateSchool);
+
+router.post("/:id/adopt-records", permit("schools:manage"), adoptRecords);
+
+module.exports = router;
@@ -0,0 +1,272 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getServiceAccounts,
+  createServiceAccount,
+  updateServiceAccount,
+  deleteServiceAccount,
+  getApiKeys,
+  createApiKey,
+  rotateApiKey,
+  revokeApiKey,
+} = require("../controllers/serviceAccountController");
+const { protect, permit } = require("../middleware/auth");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Service Accounts
+ *   description: |
+ *     Accounts for integrations (e.g. SIS sync) and their API keys. Send a key
+ *     as "Authorization: Bearer sk_..." or in the X-API-Key header; requests
+ *     then act as the service account with only the key's permissions.
+ */
+
+/**
+ * @swagger
+ * /api/service-accounts:
+ *   get:
+ *     summary: List service accounts (Admin only)
+ *     tags: [Service Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Service accounts with their number of active keys
+ *   post:
+ *     summary: Create a service account (Admin only)
+ *     tags: [Service Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: SIS sync
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Service account created
+ */
+
+/**
+ * @swagger
+ * /api/service-accounts/{id}:
+ *   put:
+ *     summary: Rename or describe a service account (Admin only)
+ *     tags: [Service Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Updated
+ *       404:
+ *         description: Service account not found
+ *   delete:
+ *     summary: Deactivate a service account (Admin only)
+ *     description: Revokes every key of the account. The account is kept for the audit trail.
+ *     tags: [Service Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Deactivated
+ *       404:
+ *         description: Service account not found
+ */
+
+/**
+ * @swagger
+ * /api/service-accounts/{id}/keys:
+ *   get:
+ *     summary: List the API keys of a service account (Admin only)
+ *     tags: [Service Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Keys, newest first, with last-used details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: number
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ApiKey'
+ *   post:
+ *     summary: Create an API key (Admin only)
+ *     description: The key is returned once, in this response; only its hash is stored.
+ *     tags: [Service Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - permissions
+ *             properties:
+ *               name:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Permission keys (see /api/roles/permissions); you must hold each one
+ *               scope:
+ *                 type: object
+ *                 properties:
+ *                   levels:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                   classes:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *               expiresInDays:
+ *                 type: number
+ *                 default: 90
+ *                 maximum: 365
+ *     responses:
+ *       201:
+ *         description: Key created
+ *       400:
+ *         description: Invalid permissions, scope or expiry
+ *       403:
+ *         description: Permission you don't hold
+ */
+
+/**
+ * @swagger
+ * /api/service-accounts/{id}/keys/{keyId}/rotate:
+ *   post:
+ *     summary: Rotate an API key (Admin only)
+ *     description: |
+ *       Issues a replacement with the same name, permissions and scope. The old
+ *       key keeps working for the grace period (default 24 hours, 0 to revoke it now).
+ *     tags: [Service Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: keyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               gracePeriodHours:
+ *                 type: number
+ *               expiresInDays:
+ *                 type: number
+ *                 description: Defaults to the old key's lifetime
+ *     responses:
+ *       201:
+ *         description: Replacement key created
+ *       400:
+ *         description: Key is not active
+ *       404:
+ *         description: Key not found
+ */
+
+/**
+ * @swagger
+ * /api/service-accounts/{id}/keys/{keyId}:
+ *   delete:
+ *     summary: Revoke an API key (Admin only)
+ *     tags: [Service Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: keyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Key revoked
+ *       404:
+ *         description: Key not found
+ */
+
+router.use(protect);
+router.use(permit("api_keys:manage"));
+
+router.route("/").get(getServiceAccounts).post(createServiceAccount);
+
+router.route("/:id").put(updateServiceAccount).delete(deleteServiceAccount);
+
+router.route("/:id/keys").get(getApiKeys).post(createApiKey);
+
+router.post("/:id/keys/:keyId/rotate", rotateApiKey);
+
+router.delete("/:id/keys/:keyId", revokeApiKey);
+
+module.exports = router;
@@ -9,8 +9,9 @@ const {
   getSubjectClasses,
   getSubjectTeachers,
   getSubjectStudents,
+  setPrerequisites,
 } = require("../controllers/subjectController");
-const { protect, role } = require("../middleware/auth");
+const { protect, permit } = require("../middleware/auth");
 
 /**
  * @swagger
@@ -401,20 +402,66 @@ const { protect, role } = require("../middleware/auth");
  *         description: Subject not found
  */
 
+/**
+ * @swagger
+ * /api/subjects/{id}/prerequisites:
+ *   put:
+ *     summary: Set the prerequisites of a subject
+ *     description: |
+ *       Replaces the subject's prerequisites. Students must have completed each
+ *       prerequisite (with at least minMark on average in its published
+ *       gradebooks, if set) to choose or be allocated the subject.
+ *     tags: [Subjects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               prerequisites:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - subject
+ *                   properties:
+ *                     subject:
+ *                       type: string
+ *                     minMark:
+ *                       type: number
+ *     responses:
+ *       200:
+ *         description: Prerequisites updated
+ *       400:
+ *         description: Unknown subject, duplicate, or the prerequisites would make a cycle
+ *       404:
+ *         description: Subject not found
+ */
+
 // Apply authentication middleware
 router.use(protect);
 
 // Routes
-router.route("/").get(getSubjects).post(role("admin"), createSubject);
+router.route("/").get(getSubjects).post(permit("subjects:manage"), createSubject);
 
 router
   .route("/:id")
   .get(getSubject)
-  .put(role("admin"), updateSubject)
-  .delete(role("admin"), deleteSubject);
+  .put(permit("subjects:manage"), updateSubject)
+  .delete(permit("subjects:manage"), deleteSubject);
 
 router.get("/:id/classes", getSubjectClasses);
 router.get("/:id/teachers", getSubjectTeachers);
 router.get("/:id/students", getSubjectStudents);
+router.put("/:id/prerequisites", permit("subjects:manage"), setPrerequisites);
 
 module.exports = router;
@@ -15,7 +15,7 @@ const {
   getStudentSubmissions,
   getTeacherSubmissions,
 } = require("../controllers/submissionController");
-const { protect, authorize, role } = require("../middleware/auth");
+const { protect, permit, role } = require("../middleware/auth");
 const { upload } = require("../utils/fileUpload");
 
 /**
@@ -254,8 +254,8 @@ router.use(protect);
 // Base routes
 router
   .route("/")
-  .get(role("admin", "teacher"), getSubmissions)
-  .post(role("student"), upload.array("files", 5), createSubmission);
+  .get(permit("submissions:read"), getSubmissions)
+  .post(permit("submissions:create"), upload.array("files", 5), createSubmission);
 
 router.get("/student", role("student"), getStudentSubmissions);
 router.get("/teacher", role("teacher"), getTeacherSubmissions);
@@ -292,7 +292,7 @@ router.get("/teacher", role("teacher"), getTeacherSubmissions);
  *       403:
  *         description: Forbidden - Insufficient permissions
  */
-router.get("/stats", authorize("teacher", "admin"), getSubmissionStats);
+router.get("/stats", permit("submissions:read"), getSubmissionStats);
 
 /**
  * @swagger
@@ -332,7 +332,7 @@ router.get("/stats", authorize("teacher", "admin"), getSubmissionStats);
  */
 router.get(
   "/assignment/:assignmentId",
-  authorize("teacher", "admin"),
+  permit("submissions:read"),
   getSubmissionsByAssignment
 );
 
@@ -417,7 +417,7 @@ router.get(
 router
   .route("/:id")
   .get(getSubmission)
-  .put(role("student"), upload.array("files", 5), updateSubmission);
+  .put(permit("submissions:create"), upload.array("files", 5), updateSubmission);
 
 /**
  * @swagger
@@ -466,7 +466,7 @@ router
  *       404:
  *         description: Submission not found
  */
-router.route("/:id/grade").put(authorize("teacher", "admin"), gradeSubmission);
+router.route("/:id/grade").put(permit("submissions:grade"), gradeSubmission);
 
 /**
  * @swagger
@@ -519,7 +519,7 @@ router.route("/:id/grade").put(authorize("teacher", "admin"), gradeSubmission);
  */
 router
   .route("/:id/request-resubmission")
-  .put(authorize("teacher", "admin"), requestResubmission);
+  .put(permit("submissions:grade"), requestResubmission);
 
 /**
  * @swagger
@@ -568,7 +568,7 @@ router
  */
 router
   .route("/:id/parent-feedback")
-  .put(authorize("parent"), addParentFeedback);
+  .put(permit("submissions:parent_feedback"), addParentFeedback);
 
 /**
  * @swagger
@@ -0,0 +1,195 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getSubstitutes,
+  getMySubstitutes,
+  getSubstitute,
+  createSubstitute,
+  updateSubstitute,
+  cancelSubstitute
+} = require('../controllers/substituteController');
+const { protect, permit } = require('../middleware/auth');
+const { scopes } = require('../utils/permissions');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Substitutes
+ *   description: |
+ *     Substitute teachers covering a subject in a class for a date range.
+ *     While the cover runs the substitute can take attendance, post content
+ *     and mark submissions for that class and subject, and the lessons show
+ *     up on timetables with the substitute's name. Access ends by itself
+ *     after the last day, or when the cover is cancelled.
+ */
+
+/**
+ * @swagger
+ * /api/substitutes:
+ *   get:
+ *     summary: Get substitute assignments (classes:assign_teachers)
+ *     tags: [Substitutes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: class
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: subject
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: substitute
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: absentTeacher
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [scheduled, active, expired, cancelled]
+ *     responses:
+ *       200:
+ *         description: List of substitute assignments, latest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/SubstituteAssignment'
+ *   post:
+ *     summary: Assign a substitute teacher (classes:assign_teachers)
+ *     description: |
+ *       The substitute must be an active teacher who does not already teach
+ *       the subject in the class. They are notified of the cover.
+ *     tags: [Substitutes]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SubstituteAssignment'
+ *     responses:
+ *       201:
+ *         description: Substitute assigned
+ *       400:
+ *         description: Invalid dates, subject not in the class, or overlapping cover
+ *       404:
+ *         description: Class or teacher not found
+ */
+
+/**
+ * @swagger
+ * /api/substitutes/me:
+ *   get:
+ *     summary: Get your active and upcoming cover
+ *     tags: [Substitutes]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Your substitute assignments that have not ended, soonest first
+ */
+
+/**
+ * @swagger
+ * /api/substitutes/{id}:
+ *   get:
+ *     summary: Get a substitute assignment
+ *     description: For the substitute, or users with classes:assign_teachers.
+ *     tags: [Substitutes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Substitute assignment
+ *       404:
+ *         description: Substitute assignment not found
+ *   put:
+ *     summary: Change the dates or reason of a substitute assignment (classes:assign_teachers)
+ *     description: Expired and cancelled cover cannot be changed.
+ *     tags: [Substitutes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Substitute assignment updated
+ *       400:
+ *         description: Invalid dates, overlapping cover, or the cover is over
+ *       404:
+ *         description: Substitute assignment not found
+ */
+
+/**
+ * @swagger
+ * /api/substitutes/{id}/cancel:
+ *   put:
+ *     summary: Cancel a substitute assignment (classes:assign_teachers)
+ *     description: The substitute loses access to the class straight away.
+ *     tags: [Substitutes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Substitute assignment cancelled
+ *       400:
+ *         description: Already expired or cancelled
+ *       404:
+ *         description: Substitute assignment not found
+ */
+
+router.use(protect);
+
+router.route('/')
+  .get(permit('classes:assign_teachers', { scope: scopes.classQuery() }), getSubstitutes)
+  .post(permit('classes:assign_teachers', { scope: scopes.classBody() }), createSubstitute);
+
+router.get('/me', getMySubstitutes);
+
+router.route('/:id')
+  .get(getSubstitute)
+  .put(permit('classes:assign_teachers', { scope: scopes.substituteAssignment }), updateSubstitute);
+
+router.put('/:id/cancel', permit('classes:assign_teachers', { scope: scopes.substituteAssignment }), cancelSubstitute);
+
+module.exports = router;
@@ -0,0 +1,227 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getSyllabus,
+  createTopic,
+  updateTopic,
+  deleteTopic,
+  getCoverage,
+} = require("../controllers/syllabusController");
+const { protect, permit } = require("../middleware/auth");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Syllabus
+ *   description: |
+ *     Structured syllabuses: a tree of units, topics and subtopics per subject
+ *     and level. Content, assignments and live sessions are tagged with topics,
+ *     which the coverage report uses to show what a class has been taught and
+ *     assessed.
+ */
+
+/**
+ * @swagger
+ * /api/syllabus:
+ *   get:
+ *     summary: Get the syllabus of a subject for a level
+ *     tags: [Syllabus]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: subject
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: level
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: includeInactive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Units with their topics and subtopics, in order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/SyllabusTopic'
+ */
+
+/**
+ * @swagger
+ * /api/syllabus/topics:
+ *   post:
+ *     summary: Add a unit, topic or subtopic (syllabus:manage)
+ *     description: |
+ *       Without a parent this adds a unit to the syllabus of the subject and
+ *       level. With a parent it adds a topic to a unit, or a subtopic to a topic.
+ *     tags: [Syllabus]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *             properties:
+ *               subject:
+ *                 type: string
+ *                 description: Required for units
+ *               level:
+ *                 type: string
+ *                 description: Required for units
+ *               parent:
+ *                 type: string
+ *               title:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               order:
+ *                 type: integer
+ *               expectedWeeks:
+ *                 type: number
+ *     responses:
+ *       201:
+ *         description: Topic created
+ *       400:
+ *         description: Missing subject/level, or the parent is a subtopic
+ *       404:
+ *         description: Subject or parent not found
+ */
+
+/**
+ * @swagger
+ * /api/syllabus/topics/{id}:
+ *   put:
+ *     summary: Update a topic (syllabus:manage)
+ *     description: |
+ *       A topic can move to another unit and a subtopic to another topic of the
+ *       same syllabus.
+ *     tags: [Syllabus]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               parent:
+ *                 type: string
+ *               title:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               order:
+ *                 type: integer
+ *               expectedWeeks:
+ *                 type: number
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Topic updated
+ *       400:
+ *         description: Invalid move
+ *       404:
+ *         description: Topic not found
+ *   delete:
+ *     summary: Delete a topic and its subtree (syllabus:manage)
+ *     description: Topics already tagged on content, assignments or live sessions are deactivated instead.
+ *     tags: [Syllabus]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Topic deleted or deactivated
+ *       404:
+ *         description: Topic not found
+ */
+
+/**
+ * @swagger
+ * /api/syllabus/coverage:
+ *   get:
+ *     summary: Get a class's syllabus coverage in a subject
+ *     description: |
+ *       For each topic of the syllabus for the class's level: the content and
+ *       held live sessions tagged with it (taught) and the published
+ *       assignments tagged with it (assessed). A unit or topic counts as taught
+ *       or assessed when it is tagged itself or all its children are; the
+ *       summary counts the leaf topics. Defaults to the current term, from
+ *       its start date in the academic calendar (or, for terms not in the
+ *       calendar, from when the rollover into it completed).
+ *       Available to the subject's teachers in the class, the class teacher and
+ *       holders of syllabus:coverage_all.
+ *     tags: [Syllabus]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: class
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: subject
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Coverage tree and summary
+ *       403:
+ *         description: Not a teacher of the class
+ *       404:
+ *         description: Class not found or subject not offered in it
+ */
+
+router.use(protect);
+
+router.get("/", getSyllabus);
+router.get("/coverage", getCoverage);
+
+router.post("/topics", permit("syllabus:manage"), createTopic);
+router
+  .route("/topics/:id")
+  .put(permit("syllabus:manage"), updateTopic)
+  .delete(permit("syllabus:manage"), deleteTopic);
+
+module.exports = router;
@@ -0,0 +1,351 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getBellSchedule,
+  updateBellSchedule,
+  createEntry,
+  updateEntry,
+  deleteEntry,
+  checkEntry,
+  getClashes,
+  getClassTimetable,
+  getTeacherTimetable,
+  getVenueTimetable,
+  getMyTimetable,
+} = require("../controllers/timetableController");
+const { protect, permit } = require("../middleware/auth");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Timetable
+ *   description: |
+ *     Weekly class timetables built on a school-wide bell schedule. A class,
+ *     teacher or venue can only be in one place at a time: entries that would
+ *     double-book any of them are rejected with 409 and the clashing entries.
+ *     Lessons covered by a substitute teacher on the requested date (today by
+ *     default) carry a substitute field, and appear on the substitute's own
+ *     timetable.
+ */
+
+/**
+ * @swagger
+ * /api/timetable/bell-schedule:
+ *   get:
+ *     summary: Get the bell schedule (teaching days and periods)
+ *     tags: [Timetable]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Bell schedule
+ *   put:
+ *     summary: Update the bell schedule (Admin only)
+ *     description: |
+ *       Existing entries keep their period and take its new times. Entries on
+ *       periods or days that were removed are counted in orphanedEntries.
+ *     tags: [Timetable]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               days:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [Monday, Tuesday, Wednesday, Thursday, Friday]
+ *               periods:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     key:
+ *                       type: string
+ *                       example: P1
+ *                     name:
+ *                       type: string
+ *                       example: Period 1
+ *                     start:
+ *                       type: string
+ *                       example: "08:00"
+ *                     end:
+ *                       type: string
+ *                       example: "08:40"
+ *                     isBreak:
+ *                       type: boolean
+ *     responses:
+ *       200:
+ *         description: Bell schedule updated
+ *       400:
+ *         description: Invalid or overlapping periods
+ */
+
+/**
+ * @swagger
+ * /api/timetable/entries:
+ *   post:
+ *     summary: Add a period to a class's timetable (Admin only)
+ *     tags: [Timetable]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - class
+ *               - subject
+ *               - day
+ *               - period
+ *             properties:
+ *               class:
+ *                 type: string
+ *               subject:
+ *                 type: string
+ *               teacher:
+ *                 type: string
+ *                 description: Defaults to the subject's lead teacher in the class
+ *               venue:
+ *                 type: string
+ *               day:
+ *                 type: string
+ *               period:
+ *                 type: string
+ *                 example: P1
+ *               academicYear:
+ *                 type: string
+ *               term:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Entry created
+ *       400:
+ *         description: Invalid subject, teacher, day or period
+ *       409:
+ *         description: The class, teacher or venue is already booked
+ */
+
+/**
+ * @swagger
+ * /api/timetable/entries/check:
+ *   post:
+ *     summary: Check an entry for clashes without saving it (Admin only)
+ *     tags: [Timetable]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               entryId:
+ *                 type: string
+ *                 description: Existing entry being moved (ignored in the check)
+ *     responses:
+ *       200:
+ *         description: Whether the entry is valid, with any clashes
+ */
+
+/**
+ * @swagger
+ * /api/timetable/entries/{id}:
+ *   put:
+ *     summary: Update a timetable entry (Admin only)
+ *     tags: [Timetable]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Entry updated
+ *       404:
+ *         description: Entry not found
+ *       409:
+ *         description: The class, teacher or venue is already booked
+ *   delete:
+ *     summary: Delete a timetable entry (Admin only)
+ *     tags: [Timetable]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Entry deleted
+ *       404:
+ *         description: Entry not found
+ */
+
+/**
+ * @swagger
+ * /api/timetable/clashes:
+ *   get:
+ *     summary: List every clash in a term's timetable (Admin only)
+ *     tags: [Timetable]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: academicYear
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: term
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Pairs of entries booking the same class, teacher or venue
+ */
+
+/**
+ * @swagger
+ * /api/timetable/me:
+ *   get:
+ *     summary: Get your own weekly timetable (teachers and students)
+ *     tags: [Timetable]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Date to show substitute cover for (defaults to today)
+ *     responses:
+ *       200:
+ *         description: Weekly grid following the bell schedule
+ */
+
+/**
+ * @swagger
+ * /api/timetable/classes/{classId}:
+ *   get:
+ *     summary: Get a class's weekly timetable
+ *     tags: [Timetable]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: classId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: academicYear
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: term
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Date to show substitute cover for (defaults to today)
+ *     responses:
+ *       200:
+ *         description: Weekly grid following the bell schedule
+ *       404:
+ *         description: Class not found
+ */
+
+/**
+ * @swagger
+ * /api/timetable/teachers/{teacherId}:
+ *   get:
+ *     summary: Get a teacher's weekly timetable
+ *     tags: [Timetable]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: teacherId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Date to show substitute cover for (defaults to today)
+ *     responses:
+ *       200:
+ *         description: Weekly grid following the bell schedule
+ *       404:
+ *         description: Teacher not found
+ */
+
+/**
+ * @swagger
+ * /api/timetable/venues/{venueId}:
+ *   get:
+ *     summary: Get a room's weekly timetable
+ *     tags: [Timetable]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: venueId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Date to show substitute cover for (defaults to today)
+ *     responses:
+ *       200:
+ *         description: Weekly grid following the bell schedule
+ *       404:
+ *         description: Venue not found
+ */
+
+router.use(protect);
+
+router
+  .route("/bell-schedule")
+  .get(getBellSchedule)
+  .put(permit("timetable:manage"), updateBellSchedule);
+
+router.post("/entries", permit("timetable:manage"), createEntry);
+router.post("/entries/check", permit("timetable:manage"), checkEntry);
+router
+  .route("/entries/:id")
+  .put(permit("timetable:manage"), updateEntry)
+  .delete(permit("timetable:manage"), deleteEntry);
+
+router.get("/clashes", permit("timetable:manage"), getClashes);
+
+router.get("/me", getMyTimetable);
+router.get("/classes/:classId", getClassTimetable);
+router.get("/teachers/:teacherId", getTeacherTimetable);
+router.get("/venues/:venueId", getVenueTimetable);
+
+module.exports = router;
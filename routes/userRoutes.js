@@ -9,9 +9,31 @@ const {
   updateProfile,
   getStudents,
   getTeachers,
+  importUsers,
+  unlockUser,
+  restoreUser,
 } = require("../controllers/userController");
-const { protect, authorize } = require("../middleware/auth");
-const { upload } = require('../middleware/upload');
+const {
+  getSessions,
+  revokeAllSessions,
+  startImpersonation
+} = require("../controllers/authController");
+const { resetUserTwoFactor } = require("../controllers/twoFactorController");
+const { resetUserPassword } = require('../controllers/passwordController');
+const { getUserGrants, grantRole, revokeGrant } = require("../controllers/roleController");
+const { requestExport, getUserExports } = require('../controllers/dataExportController');
+const { protect, permit, notWhileImpersonating } = require("../middleware/auth");
+const { upload, csvUpload } = require('../middleware/upload');
+const { rateLimit } = require('../middleware/rateLimit');
+const config = require('../config/config');
+
+const exportLimiter = rateLimit({
+  name: 'dataExport',
+  windowMs: config.dataExport.requestLimit.windowMs,
+  max: config.dataExport.requestLimit.max,
+  key: (req) => req.user.id,
+  message: 'Too many data export requests, please try again later'
+});
 /**
  * @swagger
  * tags:
@@ -98,6 +120,72 @@ router.use(protect);
 router.get('/students', getStudents);
 router.get('/teachers', getTeachers);
 
+/**
+ * @swagger
+ * /api/users/import:
+ *   post:
+ *     summary: Bulk import students or teachers from CSV (Admin only)
+ *     description: |
+ *       Runs as a dry run by default and returns a per-row report of validation
+ *       errors and duplicates. Send dryRun=false to create the accounts.
+ *       CSV columns: firstName, lastName, email, role, phone, gender, dateOfBirth,
+ *       studentId, teacherId, department, classCode, academicYear, term, password.
+ *       Only firstName, lastName and email are required. Rows are created one
+ *       at a time; a row that fails is rolled back and reported with its
+ *       errors, so it can be imported again once fixed. Students imported into
+ *       a full class are put on its waitlist, and full electives are waitlisted
+ *       as for a single enrollment.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               dryRun:
+ *                 type: boolean
+ *                 default: true
+ *               skipInvalid:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Import valid rows even if some rows fail validation
+ *               role:
+ *                 type: string
+ *                 enum: [student, teacher]
+ *                 default: student
+ *                 description: Default for rows without a role column
+ *               classCode:
+ *                 type: string
+ *                 description: Enroll students without a classCode column into this class
+ *               academicYear:
+ *                 type: string
+ *               term:
+ *                 type: string
+ *                 enum: [Term 1, Term 2, Term 3]
+ *               sendWelcomeEmails:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: Dry-run report
+ *       201:
+ *         description: Users created
+ *       400:
+ *         description: Invalid file or invalid rows
+ *       403:
+ *         description: Admin access required
+ */
+
+router.post('/import', permit('users:import'), csvUpload.single('file'), importUsers);
+
 /**
  * @swagger
  * /api/users:
@@ -111,7 +199,7 @@ router.get('/teachers', getTeachers);
  *         name: role
  *         schema:
  *           type: string
- *           enum: [admin, teacher, student]
+ *           enum: [admin, teacher, student, parent]
  *       - in: query
  *         name: isActive
  *         schema:
@@ -143,6 +231,13 @@ router.get('/teachers', getTeachers);
  *   
  *   post:
  *     summary: Create user (Admin only)
+ *     description: |
+ *       Role grants, 2FA, SSO links, lockout and deletion state, the school
+ *       and service account details are ignored; they are set through their
+ *       own endpoints. Dotted field names and operators are rejected.
+ *       Qualifications in profile are ignored unless the caller has
+ *       qualifications:review; send newQualification and documents to add
+ *       one awaiting review.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -165,7 +260,7 @@ router.get('/teachers', getTeachers);
  *                 format: password
  *               role:
  *                 type: string
- *                 enum: [admin, teacher, student]
+ *                 enum: [admin, teacher, student, parent]
  *               documents:
  *                 type: array
  *                 items:
@@ -187,14 +282,14 @@ router.get('/teachers', getTeachers);
  *                 data:
  *                   $ref: '#/components/schemas/User'
  *       400:
- *         description: Bad request
+ *         description: Bad request, or an invalid field name
  *       401:
  *         description: Not authorized
  */
 
 router.route('/')
-  .get(authorize('admin'), getUsers)
-  .post(authorize('admin'), upload.array('documents', 5), createUser);
+  .get(permit('users:read'), getUsers)
+  .post(permit('users:manage'), upload.array('documents', 5), createUser);
 
 /**
  * @swagger
@@ -224,6 +319,10 @@ router.route('/')
  *   
  *   put:
  *     summary: Update user
+ *     description: |
+ *       Users without users:manage may only change their own name and profile.
+ *       Passwords, 2FA, lockout state and role grants have their own endpoints
+ *       and are ignored here. Dotted field names and operators are rejected.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -249,7 +348,7 @@ router.route('/')
  *                 format: email
  *               role:
  *                 type: string
- *                 enum: [admin, teacher, student]
+ *                 enum: [admin, teacher, student, parent]
  *               documents:
  *                 type: array
  *                 items:
@@ -265,11 +364,22 @@ router.route('/')
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Invalid field name
  *       401:
  *         description: Not authorized
  *   
  *   delete:
  *     summary: Delete user (Admin only)
+ *     description: |
+ *       Deactivates the account and signs it out everywhere. Submissions, gradebooks,
+ *       attendance and messages are kept. With anonymize=true the account's personal
+ *       data is scrubbed once the restore window (30 days by default) has passed;
+ *       its records then stay linked to a pseudonymous ID. Its uploaded avatar and
+ *       qualification documents are deleted, and guardian links and invitations
+ *       involving it are revoked and forget the invited email. Audit log entries are
+ *       kept but redacted: values about the account, its email, and the IP address
+ *       and browser of its requests.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -279,17 +389,35 @@ router.route('/')
  *         required: true
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: anonymize
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *               anonymize:
+ *                 type: boolean
+ *                 default: false
  *     responses:
  *       200:
- *         description: Deleted
+ *         description: Deactivated
+ *       400:
+ *         description: Own account, or already anonymized
  *       401:
  *         description: Not authorized
  */
 
 router.route('/:id')
-  .get(authorize('admin'), getUser)
+  .get(permit('users:read'), getUser)
   .put(upload.array('documents', 5), updateUser)
-  .delete(authorize('admin'), deleteUser);
+  .delete(permit('users:manage'), deleteUser);
 
 /**
  * @swagger
@@ -337,6 +465,12 @@ router.route('/:id')
  *               newQualification:
  *                 type: string
  *                 description: JSON string of qualification data
+ *               currentPassword:
+ *                 type: string
+ *                 description: Required with newPassword
+ *               newPassword:
+ *                 type: string
+ *                 description: Own account only; must meet the password policy and not repeat a recent password
  *     responses:
  *       200:
  *         description: Updated
@@ -344,11 +478,372 @@ router.route('/:id')
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Wrong current password or new password rejected by the policy
  *       401:
  *         description: Not authorized
  */
 
 router.put('/profile/:id', upload.array('documents', 5), updateProfile);
 
+/**
+ * @swagger
+ * /api/users/{id}/sessions:
+ *   get:
+ *     summary: List a user's active sessions (Admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Success
+ *       403:
+ *         description: Admin access required
+ *   delete:
+ *     summary: Revoke all of a user's sessions (Admin only)
+ *     description: Signs the user out on every device, e.g. after a lost laptop
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Sessions revoked
+ *       403:
+ *         description: Admin access required
+ */
+
+router.route('/:id/sessions')
+  .all(notWhileImpersonating)
+  .get(permit('users:sessions'), getSessions)
+  .delete(permit('users:sessions'), revokeAllSessions);
+
+/**
+ * @swagger
+ * /api/users/{id}/2fa:
+ *   delete:
+ *     summary: Reset a user's two-factor authentication (Admin only)
+ *     description: For users who lost both their authenticator and recovery codes
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 2FA reset
+ *       404:
+ *         description: User not found
+ */
+
+router.delete('/:id/2fa', permit('security:manage'), resetUserTwoFactor);
+
+/**
+ * @swagger
+ * /api/users/{id}/unlock:
+ *   put:
+ *     summary: Unlock a user locked out after failed logins (Admin only)
+ *     description: Clears the lockout, the failed attempt count and the per-account login rate limits
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User unlocked
+ *       404:
+ *         description: User not found
+ */
+
+router.put('/:id/unlock', permit('security:manage'), unlockUser);
+
+/**
+ * @swagger
+ * /api/users/{id}/reset-password:
+ *   post:
+ *     summary: Reset a user's password (Admin only)
+ *     description: |
+ *       Signs the user out everywhere and makes them choose a new password.
+ *       "link" emails a reset link; "temporary" sets a random password, emailed
+ *       to the user or returned here when sendEmail is false.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               method:
+ *                 type: string
+ *                 enum: [link, temporary]
+ *                 default: link
+ *               sendEmail:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       200:
+ *         description: Password reset
+ *       400:
+ *         description: Invalid method, own or deactivated account
+ *       404:
+ *         description: User not found
+ */
+
+router.post('/:id/reset-password', permit('security:manage'), resetUserPassword);
+
+/**
+ * @swagger
+ * /api/users/{id}/restore:
+ *   put:
+ *     summary: Restore a deleted user (Admin only)
+ *     description: Reactivates the account and cancels any scheduled anonymization. Not possible once the account is anonymized.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Restored
+ *       400:
+ *         description: Account not deleted or already anonymized
+ *       404:
+ *         description: User not found
+ */
+
+router.put('/:id/restore', permit('users:manage'), restoreUser);
+
+/**
+ * @swagger
+ * /api/users/{id}/impersonate:
+ *   post:
+ *     summary: View the app as a user (Admin only)
+ *     description: |
+ *       Issues a short-lived access token for the user, marked with the admin's ID.
+ *       The session is read-only unless allowWrites is set (requires users:impersonate_write),
+ *       cannot be refreshed and never reaches the user's 2FA, sessions or data exports.
+ *       Every request made with it is written to the audit log.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Why support needs to see the app as this user (audited)
+ *               allowWrites:
+ *                 type: boolean
+ *                 default: false
+ *               duration:
+ *                 type: number
+ *                 description: Minutes until the token expires (default 30, max 120)
+ *     responses:
+ *       200:
+ *         description: Impersonation token issued
+ *       400:
+ *         description: Missing reason, own account or deactivated user
+ *       403:
+ *         description: The user can impersonate others themselves
+ *       404:
+ *         description: User not found
+ */
+
+router.post('/:id/impersonate', permit('users:impersonate'), startImpersonation);
+
+/**
+ * @swagger
+ * /api/users/{id}/grants:
+ *   get:
+ *     summary: List the custom roles granted to a user (Admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Success
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: number
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/RoleGrant'
+ *   post:
+ *     summary: Grant a custom role to a user (Admin only)
+ *     description: Leave scope empty for a school-wide grant, or limit it to class levels and/or specific classes
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RoleGrant'
+ *     responses:
+ *       201:
+ *         description: Role granted
+ *       404:
+ *         description: User or role not found
+ */
+
+router.route('/:id/grants')
+  .get(permit('roles:manage'), getUserGrants)
+  .post(permit('roles:manage'), grantRole);
+
+/**
+ * @swagger
+ * /api/users/{id}/grants/{grantId}:
+ *   delete:
+ *     summary: Revoke a custom role grant (Admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: grantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Grant revoked
+ *       404:
+ *         description: User or grant not found
+ */
+
+router.delete('/:id/grants/:grantId', permit('roles:manage'), revokeGrant);
+
+/**
+ * @swagger
+ * /api/users/{id}/export:
+ *   get:
+ *     summary: Start a personal data export for a user
+ *     description: |
+ *       Builds a ZIP with the user's profile, enrollments, submissions (with uploaded files),
+ *       gradebooks, attendance, messages and notifications as JSON and CSV. The export runs in
+ *       the background; poll statusUrl, and the requester is emailed a download link when it is
+ *       ready. Available to the user themselves, their linked parents and admins.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       202:
+ *         description: Export queued (or the export already in progress)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 statusUrl:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/DataExport'
+ *       403:
+ *         description: Not authorized to export this user's data
+ *       404:
+ *         description: User not found
+ *       429:
+ *         description: Too many export requests
+ */
+
+router.get('/:id/export', notWhileImpersonating, exportLimiter, requestExport);
+
+/**
+ * @swagger
+ * /api/users/{id}/exports:
+ *   get:
+ *     summary: Get the data export history of a user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Every export requested for the user, newest first
+ */
+
+router.get('/:id/exports', notWhileImpersonating, getUserExports);
 
 module.exports = router;
@@ -0,0 +1,112 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getVenues,
+  createVenue,
+  updateVenue,
+  deleteVenue,
+} = require("../controllers/venueController");
+const { protect, permit } = require("../middleware/auth");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Venues
+ *   description: Rooms and other places lessons are timetabled in
+ */
+
+/**
+ * @swagger
+ * /api/venues:
+ *   get:
+ *     summary: List venues
+ *     tags: [Venues]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: includeInactive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: List of venues
+ *   post:
+ *     summary: Create a venue (Admin only)
+ *     tags: [Venues]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Venue'
+ *     responses:
+ *       201:
+ *         description: Venue created
+ *       400:
+ *         description: Invalid data or duplicate code
+ */
+
+/**
+ * @swagger
+ * /api/venues/{id}:
+ *   put:
+ *     summary: Update a venue (Admin only)
+ *     tags: [Venues]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Venue'
+ *     responses:
+ *       200:
+ *         description: Venue updated
+ *       404:
+ *         description: Venue not found
+ *   delete:
+ *     summary: Delete a venue (Admin only)
+ *     description: Venues used in any timetable are deactivated instead of deleted.
+ *     tags: [Venues]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Venue deleted or deactivated
+ *       404:
+ *         description: Venue not found
+ */
+
+router.use(protect);
+
+router
+  .route("/")
+  .get(getVenues)
+  .post(permit("timetable:manage"), createVenue);
+
+router
+  .route("/:id")
+  .put(permit("timetable:manage"), updateVenue)
+  .delete(permit("timetable:manage"), deleteVenue);
+
+module.exports = router;
@@ -6,19 +6,31 @@ const morgan = require("morgan");
 const path = require("path");
 const http = require("http"); // Added for Socket.IO
 const { ErrorResponse, errorHandler } = require("./middleware/error");
-const config = require("./config/config");
-const setupWebSocket = require("./config/websocket");
 
-// Load env vars
+// Load env vars (before config, which reads them)
 dotenv.config();
 
+const config = require("./config/config");
+const setupWebSocket = require("./config/websocket");
+const { rateLimit } = require("./middleware/rateLimit");
+const { auditContext } = require("./utils/audit");
+const { tenantContext } = require("./utils/tenancy");
+const dataExports = require("./services/dataExportService");
+const accountDeletion = require("./services/accountDeletionService");
+
 // Create Express app
 const app = express();
 
 // Connect to DB
 mongoose
   .connect(process.env.MONGO_URI)
-  .then(() => console.log("MongoDB Connected"))
+  .then(() => {
+    console.log("MongoDB Connected");
+    // Remove expired data export files, fail interrupted exports
+    dataExports.startCleanup();
+    // Anonymize deleted accounts whose restore window has ended
+    accountDeletion.startScheduler();
+  })
   .catch((err) => console.log(err));
 
 // Initialize HTTP server
@@ -65,6 +77,28 @@ app.use(
 
 app.use(express.json());
 
+// Behind a load balancer/proxy, req.ip must come from X-Forwarded-For
+if (config.security.trustProxy) {
+  app.set("trust proxy", config.security.trustProxy);
+}
+
+// Resolves the school each request is for (before auditContext, which keeps
+// it for the rest of the request)
+app.use(tenantContext);
+
+// Lets audit hooks see who is making each change
+app.use(auditContext);
+
+// Per-IP limit on the whole API (stricter limits apply to login routes)
+app.use(
+  "/api",
+  rateLimit({
+    name: "api",
+    windowMs: config.security.rateLimit.windowMs,
+    max: config.security.rateLimit.max,
+  })
+);
+
 if (process.env.NODE_ENV === "development") {
   app.use(morgan("dev"));
 }
@@ -92,6 +126,22 @@ app.use("/api/gradebook", require("./routes/gradebookRoutes"));
 app.use("/api/attendance", require("./routes/attendanceRoutes"));
 app.use("/api/live-sessions", require("./routes/liveSessionRoutes"));
 app.use("/api/enrollments", require("./routes/enrollmentRoutes"));
+app.use("/api/guardians", require("./routes/guardianRoutes"));
+app.use("/api/roles", require("./routes/roleRoutes"));
+app.use("/api/audit-logs", require("./routes/auditLogRoutes"));
+app.use("/api/qualifications", require("./routes/qualificationRoutes"));
+app.use("/api/id-numbers", require("./routes/idNumberRoutes"));
+app.use("/api/exports", require("./routes/dataExportRoutes"));
+app.use("/api/service-accounts", require("./routes/serviceAccountRoutes"));
+app.use("/api/timetable", require("./routes/timetableRoutes"));
+app.use("/api/venues", require("./routes/venueRoutes"));
+app.use("/api/rollover", require("./routes/rolloverRoutes"));
+app.use("/api/enrollment-requests", require("./routes/enrollmentRequestRoutes"));
+app.use("/api/electives", require("./routes/electiveRoutes"));
+app.use("/api/syllabus", require("./routes/syllabusRoutes"));
+app.use("/api/academic-years", require("./routes/academicYearRoutes"));
+app.use("/api/schools", require("./routes/schoolRoutes"));
+app.use("/api/substitutes", require("./routes/substituteRoutes"));
 // Error handling middleware
 app.use(errorHandler);
 
@@ -0,0 +1,243 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const User = require("../models/User");
+const Session = require("../models/Session");
+const GuardianLink = require("../models/GuardianLink");
+const Notification = require("../models/Notification");
+const DataExport = require("../models/DataExport");
+const EnrollmentRequest = require("../models/EnrollmentRequest");
+const WaitlistEntry = require("../models/WaitlistEntry");
+const OidcTransaction = require("../models/OidcTransaction");
+const AuditLog = require("../models/AuditLog");
+const ErrorResponse = require("../utils/errorResponse");
+const { recordAudit } = require("../utils/audit");
+const { runAsSchool } = require("../utils/tenancy");
+const config = require("../config/config");
+
+// Profile files are served from public/uploads under /uploads/ URLs
+const PUBLIC_DIR = path.join(__dirname, "../public");
+const UPLOADS_DIR = path.join(PUBLIC_DIR, "uploads");
+
+// Top-level fields scrubbed on anonymization. Academic records (enrollments,
+// submissions, gradebooks, attendance) keep pointing at the same account.
+const SCRUBBED_FIELDS = [
+  "firstName",
+  "lastName",
+  "email",
+  "password",
+  "passwordHistory",
+  "profile",
+  "oidc",
+  "twoFactor",
+  "roleGrants",
+  "classRequests",
+  "resetPasswordToken",
+  "resetPasswordExpire",
+  "emailVerificationToken",
+  "emailVerificationExpire",
+  "loginSecurity",
+];
+
+/**
+ * Deactivates an account, keeping every record that refers to it
+ * @param {Object} user - User document
+ * @param {Object} options - { deletedBy, reason, anonymize }
+ * @returns {Promise<Object>} - Updated user
+ */
+const deactivateUser = async (user, { deletedBy, reason, anonymize }) => {
+  if (user.deletion && user.deletion.anonymizedAt) {
+    throw new ErrorResponse("This account has already been anonymized", 400);
+  }
+
+  user.isActive = false;
+  user.deletion = {
+    deletedAt: (user.deletion && user.deletion.deletedAt) || Date.now(),
+    deletedBy,
+    reason,
+    anonymizeAt: anonymize ? Date.now() + config.accountDeletion.restoreWindow : undefined,
+  };
+  await user.save({ validateBeforeSave: false });
+
+  await Session.updateMany(
+    { user: user._id, revokedAt: { $exists: false } },
+    { revokedAt: Date.now(), revokedReason: "revoked", revokedBy: deletedBy }
+  );
+
+  await EnrollmentRequest.updateMany(
+    { requester: user._id, status: "pending" },
+    { status: "cancelled", updatedAt: Date.now() }
+  );
+
+  await WaitlistEntry.updateMany(
+    { student: user._id, status: "waiting" },
+    {
+      status: "cancelled",
+      cancelledAt: Date.now(),
+      cancelReason: "Student account was deactivated",
+    }
+  );
+
+  return user;
+};
+
+/**
+ * Reactivates a deleted account that has not been anonymized yet
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} - Updated user
+ */
+const restoreUser = async (user) => {
+  if (!user.deletion || !user.deletion.deletedAt) {
+    throw new ErrorResponse("This account has not been deleted", 400);
+  }
+
+  if (user.deletion.anonymizedAt) {
+    throw new ErrorResponse("This account has been anonymized and can no longer be restored", 400);
+  }
+
+  user.isActive = true;
+  user.deletion = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  return user;
+};
+
+/**
+ * Permanently scrubs an account's personal data. Its ID stays the same so
+ * grades and other academic records remain linked, under a pseudonym.
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} - Anonymized user
+ */
+const anonymizeUser = async (user) => {
+  const pseudonym = `ANON-${crypto.randomBytes(5).toString("hex").toUpperCase()}`;
+  const profile = user.profile || {};
+  const { email } = user;
+  const files = uploadedFiles(profile);
+
+  user.set({
+    firstName: "Deleted",
+    lastName: "User",
+    email: `${pseudonym.toLowerCase()}@anonymized.invalid`,
+    // Random and never disclosed: nobody can sign in again
+    password: crypto.randomBytes(32).toString("base64url"),
+    passwordHistory: [],
+    mustChangePassword: false,
+    pseudonym,
+    isActive: false,
+    isVerified: false,
+    // Keep only what places the student academically, nothing personal
+    profile: {
+      currentClass: profile.currentClass,
+      year: profile.year,
+    },
+    oidc: undefined,
+    twoFactor: { enabled: false },
+    roleGrants: [],
+    classRequests: [],
+    resetPasswordToken: undefined,
+    resetPasswordExpire: undefined,
+    emailVerificationToken: undefined,
+    emailVerificationExpire: undefined,
+    loginSecurity: undefined,
+  });
+  user.deletion.anonymizeAt = undefined;
+  user.deletion.anonymizedAt = Date.now();
+  user.deletion.reason = undefined;
+  // Student/teacher ID numbers are personal too; they are retired, not reused
+  user.$locals.idNumberRetireReason = "account anonymized";
+  await user.save({ validateBeforeSave: false });
+
+  const dataExports = await DataExport.find({ user: user._id, status: "completed" }).select("+filePath");
+  for (const dataExport of dataExports) {
+    await fs.promises.rm(dataExport.filePath, { force: true });
+  }
+  for (const file of files) {
+    await fs.promises.rm(file, { force: true });
+  }
+
+  await Promise.all([
+    Session.deleteMany({ user: user._id }),
+    OidcTransaction.deleteMany({ user: user._id }),
+    Notification.deleteMany({ recipient: user._id }),
+    // Invitations name the invitee's email, whichever side was deleted
+    GuardianLink.updateMany(
+      { $or: [{ student: user._id }, { parent: user._id }, { inviteEmail: email.toLowerCase() }] },
+      { status: "revoked", $unset: { inviteEmail: 1, tokenHash: 1 } }
+    ),
+    DataExport.updateMany(
+      { user: user._id, status: "completed" },
+      { status: "expired", $unset: { filePath: 1, downloadTokenHash: 1 } }
+    ),
+  ]);
+
+  // Earlier audit entries hold the personal data too
+  await AuditLog.redactPerson(user._id, { email, pseudonymEmail: user.email });
+
+  // Written by hand: the automatic diff would copy the personal data into the log
+  await recordAudit({
+    action: "user.anonymize",
+    entityType: "User",
+    entityId: user._id,
+    changes: SCRUBBED_FIELDS.map((field) => ({
+      field,
+      before: "[redacted]",
+      after: "[redacted]",
+    })),
+  });
+
+  return user;
+};
+
+/**
+ * Anonymizes accounts whose restore window has ended
+ * @returns {Promise<number>} - Accounts anonymized
+ */
+const anonymizeDueAccounts = async () => {
+  const due = await User.find({
+    isActive: false,
+    "deletion.anonymizeAt": { $lte: Date.now() },
+    "deletion.anonymizedAt": { $exists: false },
+  });
+
+  // Each account is anonymized in its own school, for its audit entries
+  for (const user of due) {
+    await runAsSchool(user.school, () => anonymizeUser(user));
+  }
+
+  return due.length;
+};
+
+/**
+ * Runs scheduled anonymizations periodically
+ */
+const startScheduler = () => {
+  const run = () =>
+    anonymizeDueAccounts().catch((err) => console.error("Account anonymization error:", err));
+
+  run();
+  const timer = setInterval(run, config.accountDeletion.checkInterval);
+  // Don't keep the process alive just for the scheduler
+  timer.unref();
+};
+
+// Local files of the avatar and qualification documents; links elsewhere
+// and paths outside the uploads folder are left alone
+function uploadedFiles(profile) {
+  const urls = [
+    profile.avatar,
+    ...(profile.qualifications || []).flatMap((q) => (q.documents || []).map((d) => d.url)),
+  ];
+
+  return urls
+    .filter((url) => typeof url === "string" && url.startsWith("/uploads/"))
+    .map((url) => path.join(PUBLIC_DIR, url))
+    .filter((file) => file.startsWith(UPLOADS_DIR + path.sep));
+}
+
+module.exports = {
+  deactivateUser,
+  restoreUser,
+  anonymizeUser,
+  anonymizeDueAccounts,
+  startScheduler,
+};
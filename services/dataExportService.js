@@ -0,0 +1,356 @@
+const fs = require("fs");
+const path = require("path");
+const { once } = require("events");
+const archiver = require("archiver");
+const DataExport = require("../models/DataExport");
+const User = require("../models/User");
+const AcademicEnrollment = require("../models/AcademicEnrollment");
+const Submission = require("../models/Submission");
+const Gradebook = require("../models/Gradebook");
+const Attendance = require("../models/Attendance");
+const Message = require("../models/Message");
+const Notification = require("../models/Notification");
+const csv = require("../utils/csv");
+const sendEmail = require("../utils/emailService");
+const config = require("../config/config");
+
+// Account fields that are secrets or internal bookkeeping, never exported
+const PROFILE_OMIT = [
+  "password",
+  "resetPasswordToken",
+  "resetPasswordExpire",
+  "emailVerificationToken",
+  "emailVerificationExpire",
+  "loginSecurity",
+  "__v",
+];
+
+/**
+ * Queues an export to be built in the background
+ * @param {Object} dataExport - DataExport document (status "queued")
+ * @param {string} downloadBaseUrl - Base URL for the emailed download link
+ */
+const queueExport = (dataExport, downloadBaseUrl) => {
+  setImmediate(() => {
+    runExport(dataExport._id, downloadBaseUrl).catch((err) =>
+      console.error("Data export error:", err)
+    );
+  });
+};
+
+/**
+ * Builds the ZIP for an export and emails the requester a download link
+ * @param {string} exportId - DataExport ID
+ * @param {string} downloadBaseUrl - Base URL for the emailed download link
+ * @returns {Promise<void>}
+ */
+const runExport = async (exportId, downloadBaseUrl) => {
+  const dataExport = await DataExport.findOneAndUpdate(
+    { _id: exportId, status: "queued" },
+    { status: "processing", startedAt: Date.now() },
+    { new: true }
+  );
+  if (!dataExport) return;
+
+  const fileName = `data-export-${dataExport.user}-${Date.now()}.zip`;
+  const filePath = path.join(config.dataExport.dir, fileName);
+
+  try {
+    await fs.promises.mkdir(config.dataExport.dir, { recursive: true });
+    const counts = await writeArchive(dataExport.user, filePath);
+    const { size } = await fs.promises.stat(filePath);
+
+    const token = dataExport.getDownloadToken();
+    dataExport.set({
+      status: "completed",
+      fileName,
+      filePath,
+      size,
+      counts,
+      expiresAt: Date.now() + config.dataExport.linkExpire,
+      completedAt: Date.now(),
+    });
+    await dataExport.save();
+
+    await sendReadyEmail(dataExport, `${downloadBaseUrl}/${token}`);
+  } catch (err) {
+    await fs.promises.rm(filePath, { force: true });
+    dataExport.set({ status: "failed", error: err.message });
+    await dataExport.save();
+    throw err;
+  }
+};
+
+/**
+ * Deletes the files of expired exports and fails interrupted ones.
+ * Export records themselves are kept.
+ * @returns {Promise<void>}
+ */
+const cleanupExports = async () => {
+  const expired = await DataExport.find({
+    status: "completed",
+    expiresAt: { $lte: Date.now() },
+  }).select("+filePath");
+
+  for (const dataExport of expired) {
+    await fs.promises.rm(dataExport.filePath, { force: true });
+    dataExport.set({ status: "expired", filePath: undefined, downloadTokenHash: undefined });
+    await dataExport.save();
+  }
+
+  await DataExport.updateMany(
+    {
+      status: { $in: ["queued", "processing"] },
+      createdAt: { $lte: Date.now() - config.dataExport.staleAfter },
+    },
+    { status: "failed", error: "Export was interrupted, please request a new one" }
+  );
+};
+
+/**
+ * Runs the export cleanup periodically
+ */
+const startCleanup = () => {
+  const run = () =>
+    cleanupExports().catch((err) => console.error("Data export cleanup error:", err));
+
+  run();
+  const timer = setInterval(run, config.dataExport.cleanupInterval);
+  // Don't keep the process alive just for cleanup
+  timer.unref();
+};
+
+// Collect a user's records and write them to a ZIP, returns counts per section
+async function writeArchive(userId, filePath) {
+  const sections = await collectData(userId);
+  const counts = {};
+
+  const output = fs.createWriteStream(filePath);
+  const archive = archiver("zip", { zlib: { level: 9 } });
+  const closed = once(output, "close");
+  const failed = new Promise((resolve, reject) => archive.on("error", reject));
+
+  archive.pipe(output);
+
+  archive.append(JSON.stringify(sections.profile, null, 2), { name: "profile.json" });
+
+  for (const [name, { records, rows, columns }] of Object.entries(sections.tables)) {
+    counts[name] = records.length;
+    archive.append(JSON.stringify(records, null, 2), { name: `${name}.json` });
+    archive.append(csv.stringify(rows, columns), { name: `${name}.csv` });
+  }
+
+  // Uploaded submission files, skipping any that no longer exist on disk
+  counts.submissionFiles = 0;
+  for (const file of sections.files) {
+    if (!file.path || !fs.existsSync(file.path)) continue;
+    archive.file(file.path, { name: file.name });
+    counts.submissionFiles++;
+  }
+
+  archive.append(readme(sections.profile, counts), { name: "README.txt" });
+
+  await Promise.race([archive.finalize().then(() => closed), failed]);
+  return counts;
+}
+
+// Everything held about a user, as JSON records and flat CSV rows
+async function collectData(userId) {
+  const [user, enrollments, submissions, gradebooks, attendance, messages, notifications] =
+    await Promise.all([
+      User.findById(userId).lean(),
+      AcademicEnrollment.find({ student: userId })
+        .populate("class", "name level stream")
+        .populate("subjects.subject", "name code")
+        .sort("-enrollmentDate")
+        .lean(),
+      Submission.find({ student: userId })
+        .populate("assignment", "title dueDate totalMarks")
+        .sort("-submitDate")
+        .lean(),
+      Gradebook.find({ student: userId })
+        .populate("class", "name level stream")
+        .populate("subject", "name code")
+        .sort("-createdAt")
+        .lean(),
+      Attendance.find({ "records.student": userId })
+        .populate("class", "name level stream")
+        .populate("subject", "name code")
+        .sort("-date")
+        .lean(),
+      Message.find({ $or: [{ sender: userId }, { recipient: userId }] })
+        .populate("sender", "firstName lastName")
+        .populate("recipient", "firstName lastName")
+        .sort("-createdAt")
+        .lean(),
+      Notification.find({ recipient: userId }).sort("-createdAt").lean(),
+    ]);
+
+  if (!user) throw new Error("User no longer exists");
+
+  const profile = { ...user };
+  PROFILE_OMIT.forEach((field) => delete profile[field]);
+  if (profile.twoFactor) profile.twoFactor = { enabled: !!profile.twoFactor.enabled };
+
+  // Only this user's own line of each attendance register
+  const attendanceRecords = attendance.map((entry) => {
+    const record = entry.records.find((r) => r.student.toString() === userId.toString());
+    return {
+      _id: entry._id,
+      date: entry.date,
+      session: entry.session,
+      class: entry.class,
+      subject: entry.subject,
+      status: record.status,
+      remark: record.remark,
+      timeIn: record.timeIn,
+      timeOut: record.timeOut,
+    };
+  });
+
+  // Uploaded files go into the ZIP; their server paths stay out of it
+  const files = [];
+  const submissionRecords = submissions.map((submission) => ({
+    ...submission,
+    files: (submission.files || []).map((file) => {
+      const name = path.basename(file.originalname || file.filename || "file");
+      const archivePath = `submissions/${submission._id}/${file._id}-${name}`;
+      files.push({ path: file.path, name: archivePath });
+
+      return {
+        _id: file._id,
+        originalname: file.originalname,
+        mimetype: file.mimetype,
+        size: file.size,
+        archivePath,
+      };
+    }),
+  }));
+
+  return {
+    profile,
+    files,
+    tables: {
+      enrollments: {
+        records: enrollments,
+        columns: ["class", "academicYear", "term", "status", "enrollmentDate", "completionDate", "subjects"],
+        rows: enrollments.map((e) => ({
+          ...e,
+          class: nameOf(e.class),
+          subjects: (e.subjects || []).map((s) => nameOf(s.subject)).join("; "),
+        })),
+      },
+      submissions: {
+        records: submissionRecords,
+        columns: ["assignment", "submitDate", "status", "isLate", "marksAwarded", "grade", "feedback", "files"],
+        rows: submissions.map((s) => ({
+          ...s,
+          assignment: s.assignment && s.assignment.title,
+          files: (s.files || []).map((f) => f.originalname || f.filename).join("; "),
+        })),
+      },
+      gradebooks: {
+        records: gradebooks,
+        columns: ["academicYear", "term", "class", "subject", "totalMarks", "finalGrade", "positionInClass", "remarks", "isPublished"],
+        rows: gradebooks.map((g) => ({ ...g, class: nameOf(g.class), subject: nameOf(g.subject) })),
+      },
+      attendance: {
+        records: attendanceRecords,
+        columns: ["date", "session", "class", "subject", "status", "remark", "timeIn", "timeOut"],
+        rows: attendanceRecords.map((a) => ({ ...a, class: nameOf(a.class), subject: nameOf(a.subject) })),
+      },
+      messages: {
+        records: messages,
+        columns: ["createdAt", "sender", "recipient", "content", "isRead", "attachments"],
+        rows: messages.map((m) => ({
+          ...m,
+          sender: personName(m.sender),
+          recipient: personName(m.recipient),
+          attachments: (m.attachments || []).map((a) => a.url).join("; "),
+        })),
+      },
+      notifications: {
+        records: notifications,
+        columns: ["createdAt", "title", "message", "notificationType", "isRead", "readAt"],
+        rows: notifications,
+      },
+    },
+  };
+}
+
+function nameOf(doc) {
+  return doc ? doc.name : undefined;
+}
+
+function personName(user) {
+  return user ? `${user.firstName} ${user.lastName}` : undefined;
+}
+
+function readme(profile, counts) {
+  const lines = [
+    `${process.env.APP_NAME} personal data export`,
+    `Account: ${profile.firstName} ${profile.lastName} <${profile.email}>`,
+    `Generated: ${new Date().toISOString()}`,
+    "",
+    "Each section is included as JSON (complete records) and CSV (summary):",
+    ...Object.entries(counts).map(([name, count]) => `  ${name}: ${count}`),
+    "",
+    "Uploaded submission files are in submissions/<submission id>/.",
+  ];
+
+  return lines.join("\r\n") + "\r\n";
+}
+
+async function sendReadyEmail(dataExport, downloadUrl) {
+  const [requester, subject] = await Promise.all([
+    User.findById(dataExport.requestedBy).select("firstName email"),
+    User.findById(dataExport.user).select("firstName lastName"),
+  ]);
+  if (!requester) return;
+
+  const forWhom = dataExport.requestedBy.equals(dataExport.user)
+    ? "your account"
+    : `${subject.firstName} ${subject.lastName}`;
+  const hours = Math.round(config.dataExport.linkExpire / (60 * 60 * 1000));
+
+  try {
+    await sendEmail({
+      email: requester.email,
+      subject: "Your data export is ready",
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #2d3748;">Your data export is ready</h2>
+          <p>Hello ${requester.firstName},</p>
+          <p>The copy of the data we hold for ${forWhom} on ${process.env.APP_NAME} is ready to download.</p>
+
+          <div style="margin: 25px 0; text-align: center;">
+            <a href="${downloadUrl}"
+               style="background-color: #4299e1; color: white;
+                      padding: 12px 24px; text-decoration: none;
+                      border-radius: 4px; font-weight: bold;
+                      display: inline-block;">
+              Download Export
+            </a>
+          </div>
+
+          <p>The link works for ${hours} hours. Keep the file somewhere safe, it contains personal information.</p>
+
+          <hr style="border: 0; border-top: 1px solid #e2e8f0; margin: 20px 0;">
+
+          <p style="font-size: 0.8em; color: #718096;">
+            © ${new Date().getFullYear()} ${process.env.APP_NAME}
+          </p>
+        </div>
+      `,
+    });
+  } catch (err) {
+    console.error("Data export email error:", err);
+  }
+}
+
+module.exports = {
+  queueExport,
+  runExport,
+  cleanupExports,
+  startCleanup,
+};
@@ -0,0 +1,347 @@
+const mongoose = require("mongoose");
+const Subject = require("../models/Subject");
+const Class = require("../models/Class");
+const AcademicEnrollment = require("../models/AcademicEnrollment");
+const ElectiveChoice = require("../models/ElectiveChoice");
+const Gradebook = require("../models/Gradebook");
+const WaitlistEntry = require("../models/WaitlistEntry");
+const { promoteWaitlist } = require("./waitlistService");
+const { checkOpenTerm } = require("../utils/academicTerm");
+
+/**
+ * Checks prerequisites for a subject: they must exist, be listed once and not
+ * lead back to the subject
+ * @param {string} subjectId - Subject being updated
+ * @param {Object[]} prerequisites - [{ subject, minMark }]
+ * @returns {Promise<string|null>} - Error message, or null if valid
+ */
+const validatePrerequisites = async (subjectId, prerequisites) => {
+  const ids = prerequisites.map((p) => String(p.subject));
+
+  if (ids.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+    return "Invalid prerequisite subject";
+  }
+  if (new Set(ids).size !== ids.length) {
+    return "A prerequisite is listed more than once";
+  }
+  if (ids.includes(String(subjectId))) {
+    return "A subject cannot be its own prerequisite";
+  }
+
+  for (const p of prerequisites) {
+    if (p.minMark != null && (typeof p.minMark !== "number" || p.minMark < 0 || p.minMark > 100)) {
+      return "minMark must be a number between 0 and 100";
+    }
+  }
+
+  const found = await Subject.countDocuments({ _id: { $in: ids } });
+  if (found !== ids.length) return "One or more prerequisite subjects not found";
+
+  // Walk the prerequisites of the prerequisites looking for the subject
+  const seen = new Set();
+  let frontier = ids;
+  while (frontier.length > 0) {
+    const subjects = await Subject.find({ _id: { $in: frontier } }).select("prerequisites");
+    frontier = [];
+
+    for (const subject of subjects) {
+      for (const p of subject.prerequisites) {
+        const id = p.subject.toString();
+        if (id === String(subjectId)) {
+          return "These prerequisites would make a cycle";
+        }
+        if (!seen.has(id)) {
+          seen.add(id);
+          frontier.push(id);
+        }
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Loads what prerequisite checks need about students: the subjects they have
+ * completed and their average published mark in each subject
+ * @param {string[]} studentIds - Student IDs
+ * @returns {Promise<Map>} - student ID => { completed: Set, marks: Map }
+ */
+const studentRecords = async (studentIds) => {
+  const ids = studentIds.map((id) => new mongoose.Types.ObjectId(String(id)));
+  const records = new Map(
+    ids.map((id) => [id.toString(), { completed: new Set(), marks: new Map() }])
+  );
+
+  const enrollments = await AcademicEnrollment.find({
+    student: { $in: ids },
+    "subjects.status": "completed",
+  }).select("student subjects");
+
+  enrollments.forEach((enrollment) => {
+    const record = records.get(enrollment.student.toString());
+    enrollment.subjects
+      .filter((s) => s.status === "completed")
+      .forEach((s) => record.completed.add(s.subject.toString()));
+  });
+
+  const marks = await Gradebook.aggregate([
+    {
+      $match: {
+        student: { $in: ids },
+        isPublished: true,
+        totalMarks: { $type: "number" },
+      },
+    },
+    {
+      $group: {
+        _id: { student: "$student", subject: "$subject" },
+        average: { $avg: "$totalMarks" },
+      },
+    },
+  ]);
+
+  marks.forEach((row) => {
+    records
+      .get(row._id.student.toString())
+      .marks.set(row._id.subject.toString(), row.average);
+  });
+
+  return records;
+};
+
+/**
+ * Lists the prerequisites of a subject a student hasn't met
+ * @param {Object} subject - Subject with prerequisites.subject populated (name)
+ * @param {Object} record - Student record from studentRecords
+ * @returns {string[]} - One reason per unmet prerequisite
+ */
+const unmetPrerequisites = (subject, record) => {
+  const unmet = [];
+
+  for (const p of subject.prerequisites || []) {
+    const id = (p.subject._id || p.subject).toString();
+    const name = p.subject.name || "a prerequisite";
+
+    if (!record.completed.has(id)) {
+      unmet.push(`Requires ${name}`);
+    } else if (p.minMark != null && !(record.marks.get(id) >= p.minMark)) {
+      unmet.push(`Requires at least ${p.minMark} in ${name}`);
+    }
+  }
+
+  return unmet;
+};
+
+/**
+ * Lists the electives a class offers, with their prerequisites populated
+ * @param {Object} classObj - Class document
+ * @returns {Promise<Object[]>} - [{ subject, capacity }]
+ */
+const classElectives = async (classObj) => {
+  const subjects = await Subject.find({
+    _id: { $in: classObj.subjects.map((s) => s.subject) },
+    category: "elective",
+    isActive: true,
+  }).populate("prerequisites.subject", "name code");
+
+  return subjects.map((subject) => ({
+    subject,
+    capacity: classObj.subjects.find((s) => s.subject.equals(subject._id)).capacity,
+  }));
+};
+
+/**
+ * Allocates the electives of a selection window. Each round gives every
+ * student (earliest submission first) their best-ranked elective that has a
+ * seat and whose prerequisites they meet, until they have the window's
+ * electivesPerStudent. The results replace the window's electives in the
+ * students' enrollments.
+ * @param {Object} window - ElectiveWindow document
+ * @returns {Promise<Object>} - Summary counts
+ */
+const allocateWindow = async (window) => {
+  const summary = { students: 0, fullyAllocated: 0, partiallyAllocated: 0, unallocated: 0 };
+
+  for (const classId of window.classes) {
+    const classObj = await Class.findById(classId);
+    if (!classObj) continue;
+
+    const choices = await ElectiveChoice.find({ window: window._id, class: classObj._id }).sort(
+      "submittedAt"
+    );
+    if (choices.length === 0) continue;
+
+    await allocateClass(window, classObj, choices);
+
+    for (const choice of choices) {
+      summary.students += 1;
+      if (choice.allocated.length >= window.electivesPerStudent) summary.fullyAllocated += 1;
+      else if (choice.allocated.length > 0) summary.partiallyAllocated += 1;
+      else summary.unallocated += 1;
+    }
+
+    // Seats given up by students who didn't get an elective go to its waitlist
+    await promoteWaitlist(classObj._id);
+  }
+
+  return summary;
+};
+
+// Allocate and write the electives of one class
+async function allocateClass(window, classObj, choices) {
+  const electives = await classElectives(classObj);
+  const electiveIds = electives.map((e) => e.subject._id);
+  const participants = choices.map((c) => c.student);
+
+  // Students who didn't take part keep their electives and their seats
+  const seats = new Map();
+  for (const { subject, capacity } of electives) {
+    let left = Infinity;
+    if (capacity) {
+      const taken = await AcademicEnrollment.countDocuments({
+        class: classObj._id,
+        status: "active",
+        student: { $nin: participants },
+        subjects: { $elemMatch: { subject: subject._id, status: "enrolled" } },
+      });
+      left = Math.max(capacity - taken, 0);
+    }
+    seats.set(subject._id.toString(), left);
+  }
+
+  const records = await studentRecords(participants);
+  const enrollments = new Map();
+  const termProblems = new Map();
+  const closed = new Set();
+  for (const choice of choices) {
+    let enrollment = await AcademicEnrollment.findOne({
+      student: choice.student,
+      class: classObj._id,
+      status: "active",
+    });
+
+    choice.allocated = [];
+    choice.note = enrollment ? undefined : "No longer enrolled in the class";
+
+    // Enrollments of a closed term keep their electives, and those seats
+    const notOpen = enrollment && (await termProblem(enrollment, termProblems));
+    if (notOpen) {
+      choice.note = notOpen;
+      closed.add(choice.student.toString());
+      enrollment.subjects
+        .filter((s) => s.status === "enrolled" && seats.has(s.subject.toString()))
+        .forEach((s) => {
+          const subjectId = s.subject.toString();
+          seats.set(subjectId, Math.max(seats.get(subjectId) - 1, 0));
+        });
+      enrollment = null;
+    }
+    choice.choices.forEach((c) => {
+      const elective = electives.find((e) => e.subject._id.equals(c.subject));
+      if (!enrollment) c.outcome = undefined;
+      else if (!elective) c.outcome = "not_offered";
+      else if (unmetPrerequisites(elective.subject, records.get(choice.student.toString())).length > 0) {
+        c.outcome = "prerequisites";
+      } else {
+        c.outcome = "full";
+      }
+    });
+    if (enrollment) enrollments.set(choice._id.toString(), enrollment);
+  }
+
+  // Choices skipped because they had no seat left at the student's turn
+  const skipped = new Set();
+
+  for (let round = 0; round < window.electivesPerStudent; round++) {
+    for (const choice of choices) {
+      if (!enrollments.has(choice._id.toString())) continue;
+
+      const candidates = [...choice.choices]
+        .sort((a, b) => a.rank - b.rank)
+        .filter((c) => c.outcome === "full");
+
+      for (const candidate of candidates) {
+        const subjectId = candidate.subject.toString();
+        if (seats.get(subjectId) > 0) {
+          candidate.outcome = "allocated";
+          seats.set(subjectId, seats.get(subjectId) - 1);
+          choice.allocated.push(candidate.subject);
+          break;
+        }
+        skipped.add(candidate);
+      }
+    }
+  }
+
+  for (const choice of choices) {
+    const enrollment = enrollments.get(choice._id.toString());
+
+    if (enrollment) {
+      // Choices never reached because the student already has enough electives
+      choice.choices
+        .filter((c) => c.outcome === "full" && !skipped.has(c))
+        .forEach((c) => {
+          c.outcome = "not_needed";
+        });
+
+      writeElectives(enrollment, electiveIds, choice.allocated);
+      await enrollment.save();
+    }
+
+    choice.updatedAt = Date.now();
+    await choice.save();
+  }
+
+  // The allocation replaces any place in the queue for these electives
+  // (closed terms keep theirs, to be cancelled when promoted)
+  await WaitlistEntry.updateMany(
+    {
+      class: classObj._id,
+      student: { $in: participants.filter((id) => !closed.has(id.toString())) },
+      subject: { $in: electiveIds },
+      status: "waiting",
+    },
+    {
+      status: "cancelled",
+      cancelledAt: Date.now(),
+      cancelReason: "Replaced by the elective allocation",
+    }
+  );
+}
+
+// Why electives can't be written to the enrollment's term, checked once per term
+async function termProblem(enrollment, checked) {
+  const key = `${enrollment.academicYear}|${enrollment.term}`;
+  if (!checked.has(key)) checked.set(key, await checkOpenTerm(enrollment));
+  return checked.get(key);
+}
+
+// Enroll the allocated electives and drop the class's other electives
+function writeElectives(enrollment, electiveIds, allocated) {
+  const now = Date.now();
+
+  for (const subjectId of electiveIds) {
+    const current = enrollment.subjects.find((s) => s.subject.equals(subjectId));
+    const wanted = allocated.some((id) => id.equals(subjectId));
+
+    if (wanted && !current) {
+      enrollment.subjects.push({ subject: subjectId, status: "enrolled", enrollmentDate: now });
+    } else if (wanted && current.status !== "enrolled") {
+      current.status = "enrolled";
+      current.enrollmentDate = now;
+    } else if (!wanted && current && current.status === "enrolled") {
+      current.status = "dropped";
+    }
+  }
+
+  enrollment.updatedAt = now;
+}
+
+module.exports = {
+  validatePrerequisites,
+  studentRecords,
+  unmetPrerequisites,
+  classElectives,
+  allocateWindow,
+};
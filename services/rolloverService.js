@@ -0,0 +1,466 @@
+const mongoose = require("mongoose");
+const TermRollover = require("../models/TermRollover");
+const AcademicEnrollment = require("../models/AcademicEnrollment");
+const Class = require("../models/Class");
+const Gradebook = require("../models/Gradebook");
+const Notification = require("../models/Notification");
+const Setting = require("../models/Setting");
+const User = require("../models/User");
+const Subject = require("../models/Subject");
+const ElectiveChoice = require("../models/ElectiveChoice");
+const ErrorResponse = require("../utils/errorResponse");
+const { followingTerm, setCurrentTerm, closeTerm } = require("../utils/academicTerm");
+const { recordAudit } = require("../utils/audit");
+const { enrollableSubjects } = require("./waitlistService");
+const { studentRecords, unmetPrerequisites, classElectives } = require("./electiveService");
+const config = require("../config/config");
+
+// Setting holding the admin-configured promotion rules
+const RULES_KEY = "rollover.promotionRules";
+
+const DECISIONS = ["continue", "promote", "repeat", "graduate", "withdraw"];
+
+// Decisions that give the student an enrollment in the next term
+const CONTINUING = ["continue", "promote", "repeat"];
+
+/**
+ * Gets the current promotion rules
+ * @returns {Promise<Object>} - Promotion rules
+ */
+const getPromotionRules = () => Setting.getValue(RULES_KEY, config.rollover.promotion);
+
+/**
+ * Checks promotion rules
+ * @param {Object} rules - Promotion rules
+ * @returns {string|null} - Error message, or null if the rules are valid
+ */
+const validatePromotionRules = (rules) => {
+  const { levels } = rules;
+
+  if (!Array.isArray(levels) || levels.length === 0) return "levels must be a non-empty list";
+  if (levels.some((level) => typeof level !== "string" || !level.trim())) {
+    return "Each level must be a class level such as S1";
+  }
+  if (new Set(levels).size !== levels.length) return "Each level can only be listed once";
+
+  for (const option of ["keepStream", "repeatOnFailure"]) {
+    if (typeof rules[option] !== "boolean") return `${option} must be true or false`;
+  }
+
+  for (const option of ["passMark", "minAverage"]) {
+    if (typeof rules[option] !== "number" || rules[option] < 0 || rules[option] > 100) {
+      return `${option} must be a number from 0 to 100`;
+    }
+  }
+
+  if (!Number.isInteger(rules.maxFailedSubjects) || rules.maxFailedSubjects < 0) {
+    return "maxFailedSubjects must be a whole number of 0 or more";
+  }
+
+  return null;
+};
+
+/**
+ * Checks decisions set by hand
+ * @param {Object} overrides - By student ID: a decision, or { decision, class }
+ * @returns {Object} - By student ID: { decision, class }
+ */
+const normalizeOverrides = (overrides = {}) => {
+  if (typeof overrides !== "object" || Array.isArray(overrides)) {
+    throw new ErrorResponse("overrides must map student IDs to decisions", 400);
+  }
+
+  return Object.entries(overrides).reduce((normalized, [studentId, value]) => {
+    const override = typeof value === "string" ? { decision: value } : value || {};
+
+    if (!mongoose.isValidObjectId(studentId)) {
+      throw new ErrorResponse(`Invalid student ID in overrides: ${studentId}`, 400);
+    }
+    if (override.decision && !DECISIONS.includes(override.decision)) {
+      throw new ErrorResponse(`Override decisions must be one of: ${DECISIONS.join(", ")}`, 400);
+    }
+    if (override.class && !mongoose.isValidObjectId(override.class)) {
+      throw new ErrorResponse(`Invalid class in the override for ${studentId}`, 400);
+    }
+
+    normalized[studentId] = { decision: override.decision, class: override.class };
+    return normalized;
+  }, {});
+};
+
+/**
+ * Works out what happens to every student actively enrolled in a term:
+ * within a year they continue in their class; at year end they are promoted,
+ * repeat or graduate. Changes nothing.
+ * @param {Object} from - { academicYear, term } being closed
+ * @param {Object} options - { rules, overrides }
+ * @returns {Promise<Object>} - Plan with one entry per enrollment; entries
+ * with a `problem` block the rollover
+ */
+const planRollover = async (from, { rules, overrides = {} }) => {
+  const to = await followingTerm(from);
+  const yearEnd = to.academicYear !== String(from.academicYear);
+
+  const enrollments = await AcademicEnrollment.find({
+    academicYear: from.academicYear,
+    term: from.term,
+    status: "active",
+  })
+    .populate("student", "firstName lastName isActive")
+    .populate("class", "name level stream isActive");
+
+  // Next-term enrollments already created by an earlier, interrupted run
+  const created = await AcademicEnrollment.find({
+    rolledOverFrom: { $in: enrollments.map((e) => e._id) },
+  }).select("rolledOverFrom class");
+  const createdFor = new Map(created.map((e) => [e.rolledOverFrom.toString(), e]));
+
+  const classes = await Class.find({ isActive: true })
+    .select("name level stream subjects.subject")
+    .sort("level stream");
+
+  const grades = yearEnd
+    ? await yearResults(
+        enrollments.map((e) => e.student && e.student._id).filter(Boolean),
+        from.academicYear,
+        rules.passMark
+      )
+    : new Map();
+
+  const students = enrollments.map((enrollment) => {
+    const studentId = enrollment.student ? enrollment.student._id.toString() : null;
+    const item = decide(enrollment, {
+      yearEnd,
+      rules,
+      classes,
+      override: (studentId && overrides[studentId]) || {},
+      result: studentId && grades.get(studentId),
+    });
+
+    const next = createdFor.get(enrollment._id.toString());
+    if (next) {
+      item.nextEnrollment = next._id;
+      item.toClass = classes.find((c) => c._id.equals(next.class)) || item.toClass;
+    }
+
+    return item;
+  });
+
+  const summary = DECISIONS.reduce((counts, decision) => {
+    counts[decision] = students.filter((s) => !s.problem && s.decision === decision).length;
+    return counts;
+  }, {});
+  summary.unplaced = students.filter((s) => s.problem).length;
+
+  return {
+    academicYear: from.academicYear,
+    term: from.term,
+    toAcademicYear: to.academicYear,
+    toTerm: to.term,
+    yearEnd,
+    rules,
+    summary,
+    students,
+  };
+};
+
+/**
+ * Queues a rollover run to be processed in the background
+ * @param {Object} run - TermRollover document (status "queued")
+ */
+const queueRollover = (run) => {
+  setImmediate(() => {
+    runRollover(run._id).catch((err) => console.error("Term rollover error:", err));
+  });
+};
+
+/**
+ * Processes a rollover run: creates next-term enrollments, completes the
+ * closed term's enrollments, moves the current term on and closes the term in
+ * the academic calendar. Students already handled by an earlier attempt are
+ * not rolled over twice.
+ * @param {string} runId - TermRollover ID
+ * @returns {Promise<void>}
+ */
+const runRollover = async (runId) => {
+  const run = await TermRollover.findOneAndUpdate(
+    { _id: runId, status: "queued" },
+    { status: "processing", startedAt: Date.now(), $unset: { error: 1 } },
+    { new: true }
+  );
+  if (!run) return;
+
+  try {
+    const plan = await planRollover(run, { rules: run.rules, overrides: run.overrides || {} });
+
+    const unplaced = plan.students.filter((s) => s.problem);
+    if (unplaced.length > 0) {
+      throw new Error(`${unplaced.length} students could not be placed; preview the rollover for details`);
+    }
+
+    // Saved as we go: students finished by an earlier attempt are no longer
+    // in the plan, only in the results
+    for (const item of plan.students) {
+      run.results.push(await rollOverStudent(item, plan));
+      await run.save();
+    }
+
+    await setCurrentTerm({ academicYear: run.toAcademicYear, term: run.toTerm }, run.startedBy);
+    await closeTerm(run, run.startedBy);
+
+    run.summary = DECISIONS.reduce((counts, decision) => {
+      counts[decision] = run.results.filter((r) => r.decision === decision).length;
+      return counts;
+    }, {});
+    run.status = "completed";
+    run.completedAt = Date.now();
+    await run.save();
+
+    await recordAudit({
+      action: "rollover.complete",
+      entityType: "TermRollover",
+      entityId: run._id,
+      changes: [
+        {
+          field: "currentTerm",
+          before: `${run.term} ${run.academicYear}`,
+          after: `${run.toTerm} ${run.toAcademicYear}`,
+        },
+      ],
+    });
+  } catch (err) {
+    console.error("Term rollover error:", err);
+    run.status = "failed";
+    run.error = err.message;
+    await run.save();
+  }
+};
+
+// Decide what happens to one student and where they go next
+function decide(enrollment, { yearEnd, rules, classes, override, result }) {
+  const { student } = enrollment;
+  const fromClass = enrollment.class;
+  const item = {
+    enrollment: enrollment._id,
+    student,
+    fromClass,
+  };
+
+  if (result) {
+    item.average = result.average;
+    item.failedSubjects = result.failedSubjects;
+  }
+
+  const level = fromClass && fromClass.level;
+  const levelIndex = rules.levels.indexOf(level);
+
+  if (override.decision) {
+    item.decision = override.decision;
+    item.reason = "Set by hand";
+  } else if (!student || !student.isActive) {
+    item.decision = "withdraw";
+    item.reason = "Student account is deactivated";
+  } else if (!yearEnd) {
+    item.decision = "continue";
+  } else if (
+    rules.repeatOnFailure &&
+    result &&
+    (result.average < rules.minAverage || result.failedSubjects > rules.maxFailedSubjects)
+  ) {
+    item.decision = "repeat";
+    item.reason =
+      result.average < rules.minAverage
+        ? `Average ${result.average} is below ${rules.minAverage}`
+        : `${result.failedSubjects} subjects below the pass mark of ${rules.passMark}`;
+  } else if (levelIndex === -1) {
+    item.problem = `Level ${level} is not in the promotion levels`;
+    return item;
+  } else if (levelIndex === rules.levels.length - 1) {
+    item.decision = "graduate";
+    item.reason = `Completed ${level}`;
+  } else {
+    item.decision = "promote";
+    item.reason = result ? undefined : "No published grades for the year";
+  }
+
+  if (!CONTINUING.includes(item.decision)) return item;
+
+  if (override.class) {
+    item.toClass = classes.find((c) => c._id.equals(override.class));
+    if (!item.toClass) item.problem = `Class ${override.class} is not an active class`;
+  } else if (item.decision === "promote") {
+    if (levelIndex === -1 || levelIndex === rules.levels.length - 1) {
+      item.problem = `There is no level after ${level} to promote into`;
+      return item;
+    }
+    const nextLevel = rules.levels[levelIndex + 1];
+    const candidates = classes.filter((c) => c.level === nextLevel);
+    item.toClass =
+      (rules.keepStream && candidates.find((c) => c.stream === fromClass.stream)) || candidates[0];
+    if (!item.toClass) item.problem = `There is no active ${nextLevel} class to promote into`;
+  } else {
+    item.toClass = classes.find((c) => fromClass && c._id.equals(fromClass._id));
+    if (!item.toClass) item.problem = `Class ${fromClass ? fromClass.name : ""} is no longer active`;
+  }
+
+  return item;
+}
+
+// Average of each student's published subject results for a year
+async function yearResults(studentIds, academicYear, passMark) {
+  const rows = await Gradebook.aggregate([
+    {
+      $match: {
+        student: { $in: studentIds },
+        academicYear,
+        isPublished: true,
+        totalMarks: { $type: "number" },
+      },
+    },
+    {
+      $group: {
+        _id: { student: "$student", subject: "$subject" },
+        average: { $avg: "$totalMarks" },
+      },
+    },
+  ]);
+
+  const bySubject = new Map();
+  rows.forEach((row) => {
+    const key = row._id.student.toString();
+    if (!bySubject.has(key)) bySubject.set(key, []);
+    bySubject.get(key).push(row.average);
+  });
+
+  const results = new Map();
+  bySubject.forEach((averages, student) => {
+    const total = averages.reduce((sum, average) => sum + average, 0);
+    results.set(student, {
+      average: Math.round((total / averages.length) * 10) / 10,
+      failedSubjects: averages.filter((average) => average < passMark).length,
+    });
+  });
+
+  return results;
+}
+
+// Apply a planned decision to one student
+async function rollOverStudent(item, plan) {
+  const enrollment = await AcademicEnrollment.findById(item.enrollment);
+  let nextEnrollmentId = item.nextEnrollment;
+
+  // The new enrollment is created before the old one is closed so an
+  // interrupted run finds the student again and only finishes the job
+  if (CONTINUING.includes(item.decision) && !nextEnrollmentId) {
+    const subjects =
+      item.decision === "continue"
+        ? enrollment.subjects
+            .filter((s) => s.status === "enrolled")
+            .map((s) => ({ subject: s.subject, status: "enrolled" }))
+        : await newClassSubjects(enrollment, item.toClass, plan);
+
+    const next = await AcademicEnrollment.create({
+      student: enrollment.student,
+      class: item.toClass._id,
+      academicYear: plan.toAcademicYear,
+      term: plan.toTerm,
+      status: "active",
+      subjects,
+      rolledOverFrom: enrollment._id,
+    });
+    nextEnrollmentId = next._id;
+  }
+
+  enrollment.complete();
+  await enrollment.save();
+
+  if (item.student) {
+    if (CONTINUING.includes(item.decision)) {
+      await User.updateOne({ _id: item.student._id }, { "profile.currentClass": item.toClass._id });
+    } else {
+      await User.updateOne({ _id: item.student._id }, { $unset: { "profile.currentClass": 1 } });
+    }
+
+    if (plan.yearEnd && item.decision !== "withdraw") {
+      await Notification.create({
+        recipient: item.student._id,
+        title: "End of year results",
+        message: yearEndMessage(item, plan),
+        notificationType: "enrollment",
+      });
+    }
+  }
+
+  return {
+    student: item.student && item.student._id,
+    decision: item.decision,
+    fromClass: item.fromClass && item.fromClass._id,
+    toClass: item.toClass && item.toClass._id,
+    enrollment: nextEnrollmentId,
+    reason: item.reason,
+  };
+}
+
+// Subjects of a student moving into a class: its core subjects, plus the
+// electives they were allocated for it (or, without an allocation, already
+// take) whose prerequisites they meet. Full ones are waitlisted.
+async function newClassSubjects(enrollment, toClass, plan) {
+  const electives = await classElectives(toClass);
+  // Inactive electives too, so they aren't taken for core subjects
+  const electiveIds = await Subject.distinct("_id", {
+    _id: { $in: toClass.subjects.map((s) => s.subject) },
+    category: "elective",
+  });
+  const taking = enrollment.subjects.filter((s) => s.status === "enrolled").map((s) => s.subject);
+
+  const choice = await ElectiveChoice.findOne({
+    student: enrollment.student,
+    class: toClass._id,
+  }).sort("-updatedAt");
+  const wanted = choice && choice.allocated.length > 0 ? choice.allocated : taking;
+
+  // This year's subjects are about to be completed and count towards
+  // next year's prerequisites
+  const record = (await studentRecords([enrollment.student])).get(enrollment.student.toString());
+  taking.forEach((id) => record.completed.add(id.toString()));
+
+  const allowedElectives = electives
+    .filter((e) => wanted.some((id) => e.subject._id.equals(id)))
+    .filter((e) => unmetPrerequisites(e.subject, record).length === 0)
+    .map((e) => e.subject._id);
+
+  const core = toClass.subjects
+    .map((s) => s.subject)
+    .filter((id) => !electiveIds.some((electiveId) => electiveId.equals(id)));
+
+  return enrollableSubjects(
+    toClass,
+    enrollment.student,
+    { academicYear: plan.toAcademicYear, term: plan.toTerm },
+    [...core, ...allowedElectives]
+  );
+}
+
+function yearEndMessage(item, plan) {
+  switch (item.decision) {
+    case "promote":
+      return `Congratulations! You have been promoted to ${item.toClass.name} for ${plan.toAcademicYear}`;
+    case "repeat":
+      return `You will repeat ${item.fromClass.level} in ${item.toClass.name} for ${plan.toAcademicYear}`;
+    case "graduate":
+      return `Congratulations on completing ${item.fromClass.level}!`;
+    default:
+      return `You will continue in ${item.toClass.name} for ${plan.toAcademicYear}`;
+  }
+}
+
+module.exports = {
+  RULES_KEY,
+  DECISIONS,
+  getPromotionRules,
+  validatePromotionRules,
+  normalizeOverrides,
+  planRollover,
+  queueRollover,
+  runRollover,
+};
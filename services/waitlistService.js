@@ -0,0 +1,349 @@
+const WaitlistEntry = require("../models/WaitlistEntry");
+const AcademicEnrollment = require("../models/AcademicEnrollment");
+const Class = require("../models/Class");
+const Subject = require("../models/Subject");
+const User = require("../models/User");
+const Notification = require("../models/Notification");
+const { getCurrentTerm, checkOpenTerm } = require("../utils/academicTerm");
+
+// Returned by enrollFromWaitlist and addSubject when another promotion won the seat
+const SEAT_TAKEN = Symbol("seat taken");
+
+/**
+ * Counts the free seats in a class, or in one of its subjects
+ * @param {Object} classObj - Class document
+ * @param {string} [subjectId] - Subject of the class
+ * @returns {Promise<number>} - Free seats (Infinity without a capacity)
+ */
+const seatsLeft = async (classObj, subjectId) => {
+  if (!subjectId) {
+    if (!classObj.capacity) return Infinity;
+
+    const taken = await AcademicEnrollment.countDocuments({
+      class: classObj._id,
+      status: "active",
+    });
+    return Math.max(classObj.capacity - taken, 0);
+  }
+
+  const classSubject = classObj.subjects.find((s) => s.subject.equals(subjectId));
+  if (!classSubject || !classSubject.capacity) return Infinity;
+
+  const taken = await AcademicEnrollment.countDocuments({
+    class: classObj._id,
+    status: "active",
+    subjects: { $elemMatch: { subject: classSubject.subject, status: "enrolled" } },
+  });
+  return Math.max(classSubject.capacity - taken, 0);
+};
+
+/**
+ * Puts a student on the waitlist of a class or subject. A student already
+ * waiting keeps their place.
+ * @param {Object} options - { student, classObj, subject, academicYear, term,
+ * fromEnrollment, reason, requestedBy }
+ * @returns {Promise<Object>} - Waitlist entry
+ */
+const joinWaitlist = async ({ student, classObj, subject, ...details }) => {
+  const existing = await WaitlistEntry.findOne({
+    student,
+    class: classObj._id,
+    subject: subject || null,
+    status: "waiting",
+  });
+  if (existing) return existing;
+
+  return WaitlistEntry.create({
+    student,
+    class: classObj._id,
+    subject,
+    ...details,
+  });
+};
+
+/**
+ * Gets the place of a waiting entry in its queue
+ * @param {Object} entry - Waitlist entry
+ * @returns {Promise<number|null>} - 1-based position, or null if not waiting
+ */
+const waitlistPosition = async (entry) => {
+  if (entry.status !== "waiting") return null;
+
+  const ahead = await WaitlistEntry.countDocuments({
+    class: entry.class,
+    subject: entry.subject || null,
+    status: "waiting",
+    createdAt: { $lt: entry.createdAt },
+  });
+  return ahead + 1;
+};
+
+/**
+ * Builds the subjects of a new enrollment in a class. Full electives are left
+ * out and the student is put on their waitlist instead.
+ * @param {Object} classObj - Class document
+ * @param {string} student - Student ID
+ * @param {Object} [details] - Extra waitlist entry fields ({ academicYear, term, requestedBy })
+ * @param {string[]} [only] - Limit to these subjects of the class
+ * @returns {Promise<Object[]>} - Enrollment subjects
+ */
+const enrollableSubjects = async (classObj, student, details = {}, only) => {
+  const subjects = [];
+
+  for (const classSubject of classObj.subjects) {
+    if (only && !only.some((id) => classSubject.subject.equals(id))) continue;
+
+    if (classSubject.capacity && (await seatsLeft(classObj, classSubject.subject)) === 0) {
+      await joinWaitlist({ student, classObj, subject: classSubject.subject, ...details });
+      continue;
+    }
+
+    subjects.push({ subject: classSubject.subject, status: "enrolled" });
+  }
+
+  return subjects;
+};
+
+/**
+ * Fills the free seats of a class and its subjects from their waitlists,
+ * oldest entry first, and tells each promoted student
+ * @param {string} classId - Class ID
+ * @returns {Promise<Object[]>} - Promoted entries
+ */
+const promoteWaitlist = async (classId) => {
+  const classObj = await Class.findById(classId);
+  if (!classObj || !classObj.isActive) return [];
+
+  // Electives first, so students already in the class get a freed elective
+  // seat before students joining it
+  const promoted = [];
+  const subjectIds = await WaitlistEntry.distinct("subject", {
+    class: classObj._id,
+    status: "waiting",
+    subject: { $ne: null },
+  });
+  for (const subjectId of subjectIds) {
+    promoted.push(...(await promoteQueue(classObj, subjectId)));
+  }
+
+  promoted.push(...(await promoteQueue(classObj, null)));
+
+  return promoted;
+};
+
+// Promote entries of one queue while there are seats
+async function promoteQueue(classObj, subjectId) {
+  const promoted = [];
+
+  while ((await seatsLeft(classObj, subjectId)) > 0) {
+    // Claimed atomically so two requests freeing seats can't promote the
+    // same student twice
+    const entry = await WaitlistEntry.findOneAndUpdate(
+      { class: classObj._id, subject: subjectId || null, status: "waiting" },
+      { status: "promoted", promotedAt: Date.now() },
+      { sort: { createdAt: 1 }, new: true }
+    );
+    if (!entry) break;
+
+    let problem;
+    try {
+      problem = subjectId
+        ? await addSubject(entry, classObj)
+        : await enrollFromWaitlist(entry, classObj);
+    } catch (err) {
+      // Leave the student in the queue for the next free seat
+      await requeue(entry);
+      throw err;
+    }
+
+    // Another promotion took the last seat first
+    if (problem === SEAT_TAKEN) {
+      await requeue(entry);
+      break;
+    }
+
+    if (problem) {
+      entry.status = "cancelled";
+      entry.cancelledAt = Date.now();
+      entry.cancelReason = problem;
+      await entry.save();
+      continue;
+    }
+
+    await entry.save();
+    await notifyPromoted(entry, classObj, subjectId);
+    promoted.push(entry);
+  }
+
+  return promoted;
+}
+
+// Enroll (or transfer) a waiting student into the class; returns why it
+// can't be done, if it can't
+async function enrollFromWaitlist(entry, classObj) {
+  const student = await User.findById(entry.student);
+  if (!student || !student.isActive) return "Student account is deactivated";
+
+  const current = await AcademicEnrollment.findOne({ student: student._id, status: "active" });
+  let term;
+
+  if (entry.fromEnrollment) {
+    if (!current || !current._id.equals(entry.fromEnrollment)) {
+      return "The enrollment to transfer from is no longer active";
+    }
+    term = { academicYear: current.academicYear, term: current.term };
+  } else {
+    if (current) return "Already enrolled in a class";
+    // The term the student asked to join, not necessarily the current one
+    term = entry.academicYear && entry.term
+      ? { academicYear: entry.academicYear, term: entry.term }
+      : await getCurrentTerm();
+  }
+
+  const notOpen = await checkOpenTerm(term);
+  if (notOpen) return notOpen;
+
+  const enrollment = await AcademicEnrollment.create({
+    student: student._id,
+    class: classObj._id,
+    academicYear: term.academicYear,
+    term: term.term,
+    status: "active",
+  });
+
+  if (!(await holdsSeat(enrollment, classObj))) {
+    await enrollment.deleteOne();
+    return SEAT_TAKEN;
+  }
+
+  if (entry.fromEnrollment) {
+    current.status = "transferred";
+    current.transferDetails = {
+      fromClass: current.class,
+      toClass: classObj._id,
+      transferDate: Date.now(),
+      reason: entry.reason,
+    };
+    await current.save();
+  }
+
+  enrollment.subjects = await enrollableSubjects(classObj, student._id, term);
+  await enrollment.save();
+  entry.enrollment = enrollment._id;
+
+  student.set("profile.currentClass", classObj._id);
+  await student.save({ validateBeforeSave: false });
+
+  // The transfer freed a seat in the old class
+  if (entry.fromEnrollment) await promoteWaitlist(current.class);
+
+  return null;
+}
+
+// Seat checks and enrolling are separate queries, so two promotions can both
+// see the last free seat. Both enroll, then the later enrollment gives the
+// seat back; ObjectIds order them the same way for every process.
+async function holdsSeat(enrollment, classObj) {
+  if (!classObj.capacity) return true;
+
+  const taken = await AcademicEnrollment.countDocuments({
+    class: classObj._id,
+    status: "active",
+    _id: { $lte: enrollment._id },
+  });
+  return taken <= classObj.capacity;
+}
+
+async function requeue(entry) {
+  entry.status = "waiting";
+  entry.promotedAt = undefined;
+  await entry.save();
+}
+
+// Add a waiting elective to the student's enrollment in the class
+async function addSubject(entry, classObj) {
+  const enrollment = await AcademicEnrollment.findOne({
+    student: entry.student,
+    class: classObj._id,
+    status: "active",
+  });
+  if (!enrollment) return "No longer enrolled in the class";
+
+  const notOpen = await checkOpenTerm(enrollment);
+  if (notOpen) return notOpen;
+
+  const existing = enrollment.subjects.find((s) => s.subject.equals(entry.subject));
+  if (existing && existing.status === "enrolled") return "Already taking the subject";
+
+  const previous = existing && { status: existing.status, enrollmentDate: existing.enrollmentDate };
+  if (existing) {
+    existing.status = "enrolled";
+    existing.enrollmentDate = Date.now();
+  } else {
+    enrollment.subjects.push({ subject: entry.subject, status: "enrolled" });
+  }
+
+  enrollment.updatedAt = Date.now();
+  await enrollment.save();
+
+  if (!(await holdsSubjectSeat(enrollment, classObj, entry.subject))) {
+    if (existing) {
+      existing.set(previous);
+    } else {
+      enrollment.subjects = enrollment.subjects.filter((s) => !s.subject.equals(entry.subject));
+    }
+    await enrollment.save();
+    return SEAT_TAKEN;
+  }
+
+  entry.enrollment = enrollment._id;
+
+  return null;
+}
+
+// holdsSeat for an elective. Students who took the subject earlier keep
+// their seats; enrollment ObjectIds break ties.
+async function holdsSubjectSeat(enrollment, classObj, subjectId) {
+  const classSubject = classObj.subjects.find((s) => s.subject.equals(subjectId));
+  if (!classSubject || !classSubject.capacity) return true;
+
+  const { enrollmentDate } = enrollment.subjects.find((s) => s.subject.equals(subjectId));
+  const enrolled = (date) => ({
+    $elemMatch: { subject: classSubject.subject, status: "enrolled", enrollmentDate: date },
+  });
+
+  const taken = await AcademicEnrollment.countDocuments({
+    class: classObj._id,
+    status: "active",
+    $or: [
+      { subjects: enrolled({ $lt: enrollmentDate }) },
+      { subjects: enrolled(enrollmentDate), _id: { $lte: enrollment._id } },
+    ],
+  });
+  return taken <= classSubject.capacity;
+}
+
+async function notifyPromoted(entry, classObj, subjectId) {
+  let place = classObj.name;
+  if (subjectId) {
+    const subject = await Subject.findById(subjectId).select("name");
+    place = `${subject ? subject.name : "your elective"} in ${classObj.name}`;
+  }
+
+  await Notification.create({
+    recipient: entry.student,
+    title: "You have a place",
+    message: `A seat came free and you have been moved off the waitlist into ${place}`,
+    relatedEntity: classObj._id,
+    relatedEntityModel: "Class",
+    notificationType: "enrollment",
+  });
+}
+
+module.exports = {
+  seatsLeft,
+  joinWaitlist,
+  waitlistPosition,
+  enrollableSubjects,
+  promoteWaitlist,
+};
@@ -0,0 +1,104 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const AuditLog = require("../models/AuditLog");
+const DataExport = require("../models/DataExport");
+const GuardianLink = require("../models/GuardianLink");
+const Notification = require("../models/Notification");
+const OidcTransaction = require("../models/OidcTransaction");
+const Session = require("../models/Session");
+const User = require("../models/User");
+const { anonymizeUser } = require("../services/accountDeletionService");
+
+const UPLOADS_DIR = path.join(__dirname, "../public/uploads");
+
+afterEach(() => mock.restoreAll());
+
+// Anonymizes the user and returns the files removed and the guardian link update
+const anonymize = async (user) => {
+  mock.method(User.prototype, "save", async function () {
+    return this;
+  });
+  mock.method(DataExport, "find", () => ({ select: async () => [] }));
+  mock.method(DataExport, "updateMany", async () => ({}));
+  mock.method(Session, "deleteMany", async () => ({}));
+  mock.method(OidcTransaction, "deleteMany", async () => ({}));
+  mock.method(Notification, "deleteMany", async () => ({}));
+  mock.method(AuditLog, "redactPerson", async () => {});
+  mock.method(AuditLog, "create", async (data) => data);
+  const guardianUpdate = mock.method(GuardianLink, "updateMany", async () => ({}));
+  const rm = mock.method(fs.promises, "rm", async () => {});
+
+  await anonymizeUser(user);
+
+  return {
+    removed: rm.mock.calls.map((call) => call.arguments[0]),
+    guardianLinks: guardianUpdate.mock.calls[0].arguments,
+  };
+};
+
+const deletedTeacher = (profile) =>
+  new User({
+    firstName: "Tina",
+    lastName: "Teacher",
+    email: "Tina.Teacher@example.com",
+    role: "teacher",
+    profile,
+    deletion: { deletedAt: new Date() },
+  });
+
+describe("Anonymizing an account", () => {
+  it("deletes the uploaded avatar and qualification documents", async () => {
+    const user = deletedTeacher({
+      avatar: "/uploads/avatars/tina.png",
+      qualifications: [
+        {
+          institution: "Makerere",
+          documents: [
+            { name: "degree.pdf", url: "/uploads/qualifications/degree.pdf" },
+            { name: "transcript.pdf", url: "/uploads/qualifications/transcript.pdf" },
+          ],
+        },
+      ],
+    });
+
+    const { removed } = await anonymize(user);
+
+    assert.deepEqual(removed, [
+      path.join(UPLOADS_DIR, "avatars/tina.png"),
+      path.join(UPLOADS_DIR, "qualifications/degree.pdf"),
+      path.join(UPLOADS_DIR, "qualifications/transcript.pdf"),
+    ]);
+    assert.equal(user.profile.avatar, undefined);
+    assert.equal(user.profile.qualifications.length, 0);
+  });
+
+  it("leaves links elsewhere and paths outside the uploads folder alone", async () => {
+    const user = deletedTeacher({
+      avatar: "https://cdn.example.com/tina.png",
+      qualifications: [
+        { documents: [{ name: "server.js", url: "/uploads/../../server.js" }] },
+      ],
+    });
+
+    const { removed } = await anonymize(user);
+
+    assert.deepEqual(removed, []);
+  });
+
+  it("revokes guardian links and forgets the invited email", async () => {
+    const user = deletedTeacher({});
+
+    const { guardianLinks } = await anonymize(user);
+
+    const [filter, update] = guardianLinks;
+    assert.deepEqual(filter.$or, [
+      { student: user._id },
+      { parent: user._id },
+      { inviteEmail: "tina.teacher@example.com" },
+    ]);
+    assert.equal(update.status, "revoked");
+    assert.deepEqual(update.$unset, { inviteEmail: 1, tokenHash: 1 });
+  });
+});
@@ -0,0 +1,61 @@
+const { describe, it, before, after, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { query, serve } = require("./helpers");
+const ApiKey = require("../models/ApiKey");
+const User = require("../models/User");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const service = new User({ firstName: "Sync", lastName: "Bot", email: "sync@example.com", role: "service" });
+
+let server;
+
+before(async () => {
+  server = await serve({ "/api/auth": require("../routes/authRoutes") });
+});
+
+after(() => server.close());
+
+afterEach(() => mock.restoreAll());
+
+const withKey = () => {
+  const apiKey = new ApiKey({
+    name: "Sync",
+    serviceAccount: service._id,
+    prefix: "abc123",
+    keyHash: "hash",
+    permissions: ["users:read"],
+    expiresAt: new Date(Date.now() + DAY),
+    lastUsedAt: new Date(),
+  });
+  mock.method(ApiKey, "findByKey", async () => apiKey);
+  mock.method(User, "findById", () => query(service));
+  return "sk_abc123_secret";
+};
+
+const send = async (method, path, key) => {
+  const res = await fetch(`${server.url}${path}`, { method, headers: { "x-api-key": key } });
+  return { status: res.status, body: await res.json() };
+};
+
+describe("API keys on /api/auth", () => {
+  for (const [method, path] of [
+    ["GET", "/api/auth/sessions"],
+    ["GET", "/API/AUTH/sessions"],
+    ["DELETE", "/Api/Auth/Sessions"],
+    ["POST", "/api/AUTH/2fa/setup"],
+  ]) {
+    it(`refuses ${method} ${path}`, async () => {
+      const res = await send(method, path, withKey());
+
+      assert.equal(res.status, 403);
+      assert.match(res.body.error, /not available to API keys/);
+    });
+  }
+
+  it("allows /api/auth/me", async () => {
+    const res = await send("GET", "/API/Auth/me", withKey());
+
+    assert.equal(res.status, 200);
+  });
+});
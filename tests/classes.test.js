@@ -0,0 +1,112 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { mockRequest, run } = require("./helpers");
+const Class = require("../models/Class");
+const Subject = require("../models/Subject");
+const { createClass, updateClass } = require("../controllers/classController");
+
+const subjectId = new mongoose.Types.ObjectId();
+const teacherId = new mongoose.Types.ObjectId();
+const unverifiedTeacher = new mongoose.Types.ObjectId();
+
+afterEach(() => mock.restoreAll());
+
+const existingClass = () =>
+  new Class({
+    name: "Senior 1 A",
+    level: "S1",
+    stream: "A",
+    code: "S1-A-X5B9K2QH",
+    isActive: false,
+    subjects: [
+      { subject: subjectId, teachers: [{ teacher: teacherId, status: "approved" }] },
+    ],
+  });
+
+describe("Class subject teachers", () => {
+  it("ignores teachers sent when creating a class", async () => {
+    mock.method(Subject, "find", async () => [{ _id: subjectId, category: "core" }]);
+    let saved;
+    mock.method(Class.prototype, "saveWithNewCode", async function () {
+      saved = this;
+      return this;
+    });
+
+    const result = await run(
+      createClass,
+      mockRequest({
+        body: {
+          name: "Senior 1 A",
+          level: "S1",
+          stream: "A",
+          subjects: [
+            { subject: subjectId, teachers: [{ teacher: unverifiedTeacher, status: "approved" }] },
+          ],
+        },
+      })
+    );
+
+    assert.equal(result.statusCode, 201);
+    assert.equal(saved.subjects[0].teachers.length, 0);
+  });
+
+  it("keeps the current teachers when subjects are updated", async () => {
+    const classObj = existingClass();
+    mock.method(Class, "findById", async () => classObj);
+    mock.method(Subject, "find", async () => [{ _id: subjectId, category: "core" }]);
+    const findByIdAndUpdate = mock.method(Class, "findByIdAndUpdate", async () => classObj);
+
+    const result = await run(
+      updateClass,
+      mockRequest({
+        params: { id: classObj.id },
+        body: {
+          subjects: [
+            { subject: subjectId, teachers: [{ teacher: unverifiedTeacher, status: "approved" }] },
+          ],
+        },
+      })
+    );
+
+    assert.equal(result.statusCode, 200);
+    const [, update] = findByIdAndUpdate.mock.calls[0].arguments;
+    const teachers = update.subjects[0].teachers.map((t) => t.teacher.toString());
+    assert.deepEqual(teachers, [teacherId.toString()]);
+  });
+
+  it("rejects single subject fields and update operators", async () => {
+    const classObj = existingClass();
+    mock.method(Class, "findById", async () => classObj);
+    const findByIdAndUpdate = mock.method(Class, "findByIdAndUpdate", async () => classObj);
+
+    for (const body of [
+      { "subjects.0.teachers": [{ teacher: unverifiedTeacher, status: "approved" }] },
+      { $push: { "subjects.0.teachers": { teacher: unverifiedTeacher } } },
+    ]) {
+      const result = await run(updateClass, mockRequest({ params: { id: classObj.id }, body }));
+      assert.equal(result.error.statusCode, 400);
+    }
+    assert.equal(findByIdAndUpdate.mock.calls.length, 0);
+  });
+});
+
+describe("Class codes", () => {
+  it("leaves the code and join settings out of class updates", async () => {
+    const classObj = existingClass();
+    mock.method(Class, "findById", async () => classObj);
+    const findByIdAndUpdate = mock.method(Class, "findByIdAndUpdate", async () => classObj);
+
+    const result = await run(
+      updateClass,
+      mockRequest({
+        params: { id: classObj.id },
+        body: { description: "Morning stream", code: "EASY", joinSettings: { enabled: true } },
+      })
+    );
+
+    assert.equal(result.statusCode, 200);
+    const [, update] = findByIdAndUpdate.mock.calls[0].arguments;
+    assert.deepEqual(update, { description: "Morning stream" });
+  });
+});
@@ -0,0 +1,109 @@
+const { describe, it, before, after, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const mongoose = require("mongoose");
+const { serve } = require("./helpers");
+const DataExport = require("../models/DataExport");
+const School = require("../models/School");
+const { tenantContext, forgetSchool } = require("../utils/tenancy");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const hillside = { _id: new mongoose.Types.ObjectId(), slug: "hillside", isActive: true };
+const riverside = { _id: new mongoose.Types.ObjectId(), slug: "riverside", isActive: true };
+
+let server;
+let dir;
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "exports-"));
+  server = await serve({
+    "/api": tenantContext,
+    "/api/exports": require("../routes/dataExportRoutes"),
+  });
+});
+
+after(async () => {
+  await server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  forgetSchool(hillside.slug);
+  forgetSchool(riverside.slug);
+});
+
+// Stores one completed export of a hillside user, answering at the driver
+// level so the tenant filter of the real queries applies
+const storeExport = (token) => {
+  const filePath = path.join(dir, "export.zip");
+  fs.writeFileSync(filePath, "zip");
+  const stored = {
+    _id: new mongoose.Types.ObjectId(),
+    school: hillside._id,
+    user: new mongoose.Types.ObjectId(),
+    status: "completed",
+    fileName: "export.zip",
+    filePath,
+    downloadTokenHash: DataExport.hashToken(token),
+    expiresAt: new Date(Date.now() + DAY),
+  };
+
+  const matches = (filter) =>
+    Object.entries(filter).every(([key, value]) =>
+      key === "school" ? value !== null && stored.school.equals(value) : String(stored[key]) === String(value)
+    );
+
+  mock.method(School, "findOne", async ({ slug }) => [hillside, riverside].find((s) => s.slug === slug) || null);
+  mock.method(DataExport.collection, "findOne", async (filter) => (matches(filter) ? { ...stored } : null));
+  const updateOne = mock.method(DataExport.collection, "updateOne", async () => ({
+    acknowledged: true,
+    matchedCount: 1,
+    modifiedCount: 1,
+  }));
+  return { updateOne };
+};
+
+describe("GET /api/exports/download/:token", () => {
+  it("serves the emailed link, which names no school", async () => {
+    const { updateOne } = storeExport("link-token");
+
+    const res = await fetch(`${server.url}/api/exports/download/link-token`);
+
+    assert.equal(res.status, 200);
+    assert.equal(await res.text(), "zip");
+    const [filter] = updateOne.mock.calls[0].arguments;
+    assert.ok(filter.school.equals(hillside._id));
+  });
+
+  it("serves the link at its own school's address", async () => {
+    storeExport("link-token");
+
+    const res = await fetch(`${server.url}/api/exports/download/link-token`, {
+      headers: { "x-school": "hillside" },
+    });
+
+    assert.equal(res.status, 200);
+  });
+
+  it("finds nothing at another school's address", async () => {
+    storeExport("link-token");
+
+    const res = await fetch(`${server.url}/api/exports/download/link-token`, {
+      headers: { "x-school": "riverside" },
+    });
+
+    assert.equal(res.status, 404);
+  });
+
+  it("rejects unknown tokens", async () => {
+    storeExport("link-token");
+
+    const res = await fetch(`${server.url}/api/exports/download/other-token`);
+
+    assert.equal(res.status, 404);
+  });
+});
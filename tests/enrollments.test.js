@@ -0,0 +1,310 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { mockRequest, run, query } = require("./helpers");
+const AcademicEnrollment = require("../models/AcademicEnrollment");
+const AcademicYear = require("../models/AcademicYear");
+const Class = require("../models/Class");
+const ElectiveChoice = require("../models/ElectiveChoice");
+const EnrollmentRequest = require("../models/EnrollmentRequest");
+const Gradebook = require("../models/Gradebook");
+const Notification = require("../models/Notification");
+const Setting = require("../models/Setting");
+const Subject = require("../models/Subject");
+const User = require("../models/User");
+const WaitlistEntry = require("../models/WaitlistEntry");
+const { updateEnrollment } = require("../controllers/enrollmentController");
+const { approveRequest } = require("../controllers/enrollmentRequestController");
+const { allocateWindow } = require("../services/electiveService");
+const { promoteWaitlist } = require("../services/waitlistService");
+
+const electiveId = new mongoose.Types.ObjectId();
+
+afterEach(() => mock.restoreAll());
+
+const fullClass = (fields = {}) =>
+  new Class({
+    name: "Senior 1 A",
+    level: "S1",
+    stream: "A",
+    code: "S1-A-X5B9K2QH",
+    capacity: 1,
+    subjects: [{ subject: electiveId, capacity: 1 }],
+    ...fields,
+  });
+
+const enrollmentIn = (classObj, fields = {}) =>
+  new AcademicEnrollment({
+    student: new mongoose.Types.ObjectId(),
+    class: classObj._id,
+    academicYear: "2026",
+    term: "Term 1",
+    ...fields,
+  });
+
+describe("PUT /api/enrollments/:id", () => {
+  // Updates the enrollment in a class whose seats are all taken
+  const update = async (enrollment, classObj, body) => {
+    mock.method(AcademicYear, "exists", async () => null);
+    mock.method(AcademicEnrollment, "findById", async () => enrollment);
+    mock.method(Class, "findById", async () => classObj);
+    mock.method(AcademicEnrollment, "countDocuments", async () => 1);
+    const findByIdAndUpdate = mock.method(AcademicEnrollment, "findByIdAndUpdate", async () => enrollment);
+
+    const result = await run(updateEnrollment, mockRequest({ params: { id: String(enrollment._id) }, body }));
+    return { result, updated: findByIdAndUpdate.mock.callCount() > 0 };
+  };
+
+  it("leaves class changes to the transfer endpoint", async () => {
+    const classObj = fullClass();
+
+    const { result, updated } = await update(enrollmentIn(classObj), classObj, {
+      class: String(new mongoose.Types.ObjectId()),
+    });
+
+    assert.equal(result.error.statusCode, 400);
+    assert.match(result.error.message, /transfer endpoint/);
+    assert.equal(updated, false);
+  });
+
+  it("won't reactivate an enrollment in a full class", async () => {
+    const classObj = fullClass({ isActive: false });
+
+    const { result, updated } = await update(
+      enrollmentIn(classObj, { status: "transferred" }),
+      classObj,
+      { status: "active" }
+    );
+
+    assert.equal(result.error.statusCode, 400);
+    assert.match(result.error.message, /is full/);
+    assert.equal(updated, false);
+  });
+
+  it("won't enroll in a full elective", async () => {
+    const classObj = fullClass({ isActive: false });
+
+    const { result, updated } = await update(enrollmentIn(classObj), classObj, {
+      subjects: [{ subject: String(electiveId), status: "enrolled" }],
+    });
+
+    assert.equal(result.error.statusCode, 400);
+    assert.match(result.error.message, /elective .* is full/);
+    assert.equal(updated, false);
+  });
+
+  it("keeps seats the enrollment already holds", async () => {
+    const classObj = fullClass({ isActive: false });
+    const enrollment = enrollmentIn(classObj, { subjects: [{ subject: electiveId }] });
+
+    const { result, updated } = await update(enrollment, classObj, {
+      class: String(classObj._id),
+      subjects: [{ subject: String(electiveId), status: "enrolled" }],
+    });
+
+    assert.equal(result.statusCode, 200);
+    assert.equal(updated, true);
+  });
+});
+
+describe("Elective waitlist promotion", () => {
+  // Promotes a student waiting for the elective, who dropped it earlier.
+  // `taken` is what the recheck after enrolling counts.
+  const promote = async (taken) => {
+    const classObj = fullClass({ capacity: undefined });
+    const enrollment = enrollmentIn(classObj, {
+      subjects: [{ subject: electiveId, status: "dropped" }],
+    });
+    const entry = new WaitlistEntry({
+      student: enrollment.student,
+      class: classObj._id,
+      subject: electiveId,
+      status: "promoted",
+    });
+
+    mock.method(AcademicYear, "exists", async () => null);
+    mock.method(Class, "findById", async () => classObj);
+    mock.method(WaitlistEntry, "distinct", async () => [electiveId]);
+    mock.method(WaitlistEntry, "findOneAndUpdate", async (filter) =>
+      filter.subject && entry.status === "promoted" && !entry.enrollment ? entry : null
+    );
+    mock.method(WaitlistEntry.prototype, "save", async function () {
+      return this;
+    });
+    mock.method(AcademicEnrollment, "findOne", async () => enrollment);
+    mock.method(AcademicEnrollment.prototype, "save", async function () {
+      return this;
+    });
+    mock.method(AcademicEnrollment, "countDocuments", async (filter) => (filter.$or ? taken : 0));
+    mock.method(Subject, "findById", () => query({ name: "French" }));
+    mock.method(Notification, "create", async (data) => data);
+
+    const promoted = await promoteWaitlist(classObj._id);
+    return { promoted, entry, subject: enrollment.subjects[0] };
+  };
+
+  it("enrolls the student when the seat is still free", async () => {
+    const { promoted, entry, subject } = await promote(1);
+
+    assert.equal(promoted.length, 1);
+    assert.equal(entry.status, "promoted");
+    assert.equal(subject.status, "enrolled");
+  });
+
+  it("gives the seat back when another promotion took it first", async () => {
+    const { promoted, entry, subject } = await promote(2);
+
+    assert.equal(promoted.length, 0);
+    assert.equal(entry.status, "waiting");
+    assert.equal(entry.enrollment, undefined);
+    assert.equal(subject.status, "dropped");
+  });
+});
+
+describe("Enrolling in a closed term", () => {
+  // A calendar whose current term, Term 1, has been closed
+  const closeTerm1 = () => {
+    mock.method(AcademicYear, "exists", async () => true);
+    mock.method(AcademicYear, "find", () => ({ sort: async () => [] }));
+    mock.method(AcademicYear, "findOne", async () =>
+      new AcademicYear({
+        name: "2026",
+        startDate: new Date("2026-01-01"),
+        endDate: new Date("2026-12-31"),
+        terms: [
+          { name: "Term 1", startDate: new Date("2026-01-01"), endDate: new Date("2026-04-30"), status: "closed" },
+          { name: "Term 2", startDate: new Date("2026-05-01"), endDate: new Date("2026-08-31") },
+        ],
+      })
+    );
+    mock.method(Setting, "getValue", async () => ({ academicYear: "2026", term: "Term 1" }));
+  };
+
+  const teacher = { _id: new mongoose.Types.ObjectId() };
+  teacher.id = String(teacher._id);
+
+  // Approves a student's request as the class teacher
+  const approve = async (request, classObj, enrollment) => {
+    mock.method(EnrollmentRequest, "findById", async () => request);
+    mock.method(Class, "findById", async () => classObj);
+    mock.method(User, "findById", async () => new User({ firstName: "Sam", lastName: "Student", role: "student" }));
+    mock.method(AcademicEnrollment, "findOne", async () => enrollment);
+    const create = mock.method(AcademicEnrollment, "create", async (data) => data);
+    const save = mock.method(AcademicEnrollment.prototype, "save", async function () {
+      return this;
+    });
+
+    const result = await run(approveRequest, mockRequest({ user: teacher, params: { id: String(request._id) } }));
+    return { result, written: create.mock.callCount() + save.mock.callCount() > 0 };
+  };
+
+  it("won't approve joining a class", async () => {
+    closeTerm1();
+    const classObj = fullClass({ capacity: undefined, classTeacher: teacher._id });
+    const request = new EnrollmentRequest({
+      requester: new mongoose.Types.ObjectId(),
+      requesterRole: "student",
+      type: "class",
+      class: classObj._id,
+    });
+
+    const { result, written } = await approve(request, classObj, null);
+
+    assert.equal(result.error.statusCode, 400);
+    assert.match(result.error.message, /Term 1 2026 is closed/);
+    assert.equal(written, false);
+  });
+
+  it("won't approve joining a subject", async () => {
+    closeTerm1();
+    const classObj = fullClass({ classTeacher: teacher._id });
+    const request = new EnrollmentRequest({
+      requester: new mongoose.Types.ObjectId(),
+      requesterRole: "student",
+      type: "subject",
+      class: classObj._id,
+      subject: electiveId,
+    });
+
+    mock.method(Subject, "findById", () => query({ _id: electiveId, prerequisites: [] }));
+    mock.method(AcademicEnrollment, "find", () => ({ select: async () => [] }));
+    mock.method(Gradebook, "aggregate", async () => []);
+
+    const { result, written } = await approve(request, classObj, enrollmentIn(classObj));
+
+    assert.equal(result.error.statusCode, 400);
+    assert.match(result.error.message, /Term 1 2026 is closed/);
+    assert.equal(written, false);
+  });
+
+  it("cancels a waiting student's place instead of enrolling them", async () => {
+    closeTerm1();
+    const classObj = fullClass({ capacity: undefined });
+    const entry = new WaitlistEntry({
+      student: new mongoose.Types.ObjectId(),
+      class: classObj._id,
+      status: "promoted",
+    });
+    mock.method(Class, "findById", async () => classObj);
+    mock.method(WaitlistEntry, "distinct", async () => []);
+    mock.method(WaitlistEntry, "findOneAndUpdate", async () => (entry.status === "promoted" ? entry : null));
+    mock.method(WaitlistEntry.prototype, "save", async function () {
+      return this;
+    });
+    mock.method(User, "findById", async () => new User({ firstName: "Sam", lastName: "Student", role: "student" }));
+    mock.method(AcademicEnrollment, "findOne", async () => null);
+    const create = mock.method(AcademicEnrollment, "create", async (data) => data);
+
+    await promoteWaitlist(classObj._id);
+
+    assert.equal(entry.status, "cancelled");
+    assert.match(entry.cancelReason, /Term 1 2026 is closed/);
+    assert.equal(create.mock.callCount(), 0);
+  });
+
+  it("leaves the electives of closed-term enrollments, and their seats, alone", async () => {
+    closeTerm1();
+    const classObj = fullClass({ isActive: false });
+    const closed = enrollmentIn(classObj, { subjects: [{ subject: electiveId }] });
+    const open = enrollmentIn(classObj, { term: "Term 2" });
+    const window = { _id: new mongoose.Types.ObjectId(), classes: [classObj._id], electivesPerStudent: 1 };
+    const choices = [closed, open].map(
+      (enrollment) =>
+        new ElectiveChoice({
+          window: window._id,
+          student: enrollment.student,
+          class: classObj._id,
+          choices: [{ subject: electiveId, rank: 1 }],
+        })
+    );
+
+    mock.method(Class, "findById", async () => classObj);
+    mock.method(ElectiveChoice, "find", () => ({ sort: async () => choices }));
+    mock.method(ElectiveChoice.prototype, "save", async function () {
+      return this;
+    });
+    mock.method(Subject, "find", () => query([{ _id: electiveId, prerequisites: [] }]));
+    mock.method(AcademicEnrollment, "countDocuments", async () => 0);
+    mock.method(AcademicEnrollment, "find", () => ({ select: async () => [] }));
+    mock.method(Gradebook, "aggregate", async () => []);
+    mock.method(AcademicEnrollment, "findOne", async ({ student }) =>
+      [closed, open].find((e) => e.student.equals(student))
+    );
+    const saved = [];
+    mock.method(AcademicEnrollment.prototype, "save", async function () {
+      saved.push(this);
+      return this;
+    });
+    const cancel = mock.method(WaitlistEntry, "updateMany", async () => ({}));
+
+    await allocateWindow(window);
+
+    assert.deepEqual(saved, [open]);
+    assert.match(choices[0].note, /Term 1 2026 is closed/);
+    assert.equal(closed.subjects[0].status, "enrolled");
+    assert.equal(choices[1].choices[0].outcome, "full");
+    assert.deepEqual(choices[1].allocated, []);
+    const [filter] = cancel.mock.calls[0].arguments;
+    assert.deepEqual(filter.student.$in, [open.student]);
+  });
+});
@@ -0,0 +1,116 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const { errorHandler } = require("../middleware/error");
+
+// No database in unit tests: a query nobody stubbed fails straight away
+// instead of waiting for a connection
+mongoose.set("bufferCommands", false);
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+
+/**
+ * Builds a minimal Express request
+ * @param {Object} [fields] - Request fields to set (body, headers, originalUrl...)
+ * @returns {Object} - Request
+ */
+const mockRequest = (fields = {}) => ({
+  body: {},
+  params: {},
+  query: {},
+  headers: {},
+  cookies: {},
+  ip: "127.0.0.1",
+  method: "GET",
+  originalUrl: "/",
+  get(name) {
+    return this.headers[name.toLowerCase()];
+  },
+  ...fields,
+});
+
+/**
+ * Runs a route handler or middleware to its end
+ * @param {Function} handler - (req, res, next) handler
+ * @param {Object} req - Request
+ * @returns {Promise<{statusCode: number, body: Object, error: Object, nextCalled: boolean}>}
+ */
+const run = (handler, req) =>
+  new Promise((resolve, reject) => {
+    const result = { statusCode: 200, body: undefined, error: undefined, nextCalled: false };
+    const res = {
+      status(code) {
+        result.statusCode = code;
+        return this;
+      },
+      json(body) {
+        result.body = body;
+        resolve(result);
+        return this;
+      },
+    };
+    const next = (err) => {
+      result.nextCalled = true;
+      result.error = err;
+      resolve(result);
+    };
+
+    Promise.resolve(handler(req, res, next)).catch(reject);
+  });
+
+/**
+ * A query stand-in that resolves to a value however it is chained
+ * (.select(), .exec() or awaited directly)
+ * @param {*} value - Query result
+ * @returns {Object} - Thenable query
+ */
+const query = (value) => {
+  const chain = {
+    select: () => chain,
+    populate: () => chain,
+    lean: () => chain,
+    exec: async () => value,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+  };
+  return chain;
+};
+
+/**
+ * Runs a query's middleware up to the database, which isn't there
+ * @param {Object} mongooseQuery - Query to run
+ * @returns {Promise<{filter: Object, update: Object}>} - What would have been sent
+ */
+const runHooks = async (mongooseQuery) => {
+  await mongooseQuery.exec().catch((err) => {
+    if (!/before initial connection/.test(err.message)) throw err;
+  });
+  return { filter: mongooseQuery.getFilter(), update: mongooseQuery.getUpdate() };
+};
+
+/**
+ * Serves routers on a local port, as server.js mounts them
+ * @param {Object} routers - Routers by mount path (e.g. { "/api/auth": router })
+ * @returns {Promise<{url: string, close: Function}>} - Base URL and a stop function
+ */
+const serve = (routers) => {
+  const app = express();
+  app.use(express.json());
+  Object.entries(routers).forEach(([path, router]) => app.use(path, router));
+  app.use(errorHandler);
+
+  return new Promise((resolve) => {
+    const server = app.listen(0, "127.0.0.1", () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+};
+
+module.exports = {
+  mockRequest,
+  run,
+  query,
+  runHooks,
+  serve,
+};
@@ -0,0 +1,84 @@
+const { describe, it, before, after, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const jwt = require("jsonwebtoken");
+const { query, serve } = require("./helpers");
+const AuditLog = require("../models/AuditLog");
+const Session = require("../models/Session");
+const User = require("../models/User");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const admin = new User({ firstName: "Ada", lastName: "Admin", email: "admin@example.com", role: "admin" });
+const student = new User({ firstName: "Sam", lastName: "Student", email: "sam@example.com", role: "student" });
+
+let server;
+
+before(async () => {
+  server = await serve({
+    "/api/auth": require("../routes/authRoutes"),
+    "/api/users": require("../routes/userRoutes"),
+    "/api/exports": require("../routes/dataExportRoutes"),
+  });
+});
+
+after(() => server.close());
+
+afterEach(() => mock.restoreAll());
+
+// Signs in as the student through an admin's impersonation session
+const impersonate = ({ allowWrites }) => {
+  const session = new Session({
+    user: student._id,
+    expiresAt: new Date(Date.now() + DAY),
+    impersonation: { impersonator: admin._id, reason: "Support ticket", allowWrites },
+  });
+  mock.method(Session, "findById", async () => session);
+  mock.method(User, "findById", (id) => query(admin._id.equals(id) ? admin : student));
+  mock.method(AuditLog, "create", async () => ({}));
+
+  return jwt.sign({ id: student._id, sid: session._id, imp: admin._id }, process.env.JWT_SECRET);
+};
+
+const send = async (method, path, token) => {
+  const res = await fetch(`${server.url}${path}`, {
+    method,
+    headers: { authorization: `Bearer ${token}`, "content-type": "application/json" },
+    body: method === "GET" ? undefined : "{}",
+  });
+  return { status: res.status, body: await res.json() };
+};
+
+describe("Impersonation", () => {
+  const blocked = [
+    ["GET", "/api/auth/2fa"],
+    ["POST", "/api/Auth/2fa/setup"],
+    ["POST", "/API/AUTH/2FA/VERIFY"],
+    ["GET", "/API/Auth/SESSIONS"],
+    ["DELETE", "/api/AUTH/sessions"],
+    ["DELETE", `/api/auth/Sessions/${student._id}`],
+    ["GET", `/api/Users/${student._id}/Export`],
+    ["GET", `/api/users/${student._id}/EXPORTS`],
+    ["DELETE", `/api/USERS/${student._id}/sessions`],
+    ["GET", `/api/Exports/${student._id}`],
+  ];
+
+  for (const [method, path] of blocked) {
+    it(`keeps ${method} ${path} out of reach, even with writes allowed`, async () => {
+      const token = impersonate({ allowWrites: true });
+
+      const res = await send(method, path, token);
+
+      assert.equal(res.status, 403);
+      assert.match(res.body.error, /not available while impersonating/);
+    });
+  }
+
+  it("still lets the admin view the user's account", async () => {
+    const token = impersonate({ allowWrites: false });
+
+    const res = await send("GET", "/api/Auth/me", token);
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.impersonation.active, true);
+  });
+});
@@ -0,0 +1,127 @@
+const http = require("http");
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+
+const KEY_ID = "mock-idp-key";
+
+// Read a form-encoded request body
+const readForm = (req) =>
+  new Promise((resolve) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => resolve(new URLSearchParams(body)));
+  });
+
+const send = (res, status, body) => {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+};
+
+/**
+ * Starts a local OpenID provider with discovery, token and JWKS endpoints.
+ * There is no login page: tests call authorize() with the URL the app
+ * redirected the browser to and the claims of the person signing in.
+ * @param {Object} options - { clientId }
+ * @returns {Promise<Object>} - { issuer, authorize, close }
+ */
+const startMockIdp = ({ clientId }) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+  const codes = new Map();
+  let issuer;
+
+  const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, issuer);
+
+    if (req.method === "GET" && pathname === "/.well-known/openid-configuration") {
+      return send(res, 200, {
+        issuer,
+        authorization_endpoint: `${issuer}/authorize`,
+        token_endpoint: `${issuer}/token`,
+        jwks_uri: `${issuer}/jwks`,
+        response_types_supported: ["code"],
+        code_challenge_methods_supported: ["S256"],
+      });
+    }
+
+    if (req.method === "GET" && pathname === "/jwks") {
+      return send(res, 200, {
+        keys: [{ ...publicKey.export({ format: "jwk" }), kid: KEY_ID, use: "sig", alg: "RS256" }],
+      });
+    }
+
+    if (req.method === "POST" && pathname === "/token") {
+      const form = await readForm(req);
+      const grant = codes.get(form.get("code"));
+      // Codes are single use
+      codes.delete(form.get("code"));
+
+      if (
+        form.get("grant_type") !== "authorization_code" ||
+        !grant ||
+        form.get("client_id") !== grant.clientId ||
+        form.get("redirect_uri") !== grant.redirectUri
+      ) {
+        return send(res, 400, { error: "invalid_grant" });
+      }
+
+      const challenge = crypto
+        .createHash("sha256")
+        .update(form.get("code_verifier") || "")
+        .digest("base64url");
+      if (challenge !== grant.codeChallenge) {
+        return send(res, 400, { error: "invalid_grant", error_description: "PKCE verification failed" });
+      }
+
+      const idToken = jwt.sign({ ...grant.claims, nonce: grant.nonce }, privateKey, {
+        algorithm: "RS256",
+        keyid: KEY_ID,
+        issuer,
+        audience: clientId,
+        expiresIn: 300,
+      });
+      return send(res, 200, { access_token: "mock-access-token", token_type: "Bearer", id_token: idToken });
+    }
+
+    send(res, 404, { error: "not_found" });
+  });
+
+  /**
+   * Approves an authorization request, as the provider's login page would
+   * @param {string} authorizationUrl - Where the app redirected the browser
+   * @param {Object} claims - ID token claims (sub, email, roles...)
+   * @param {Object} [overrides] - { nonce, codeChallenge } to tamper with
+   * @returns {{code: string, state: string}} - Callback parameters
+   */
+  const authorize = (authorizationUrl, claims, overrides = {}) => {
+    const params = new URL(authorizationUrl).searchParams;
+    if (params.get("response_type") !== "code" || params.get("code_challenge_method") !== "S256") {
+      throw new Error("Expected an authorization code request with S256 PKCE");
+    }
+
+    const code = crypto.randomBytes(16).toString("hex");
+    codes.set(code, {
+      clientId: params.get("client_id"),
+      redirectUri: params.get("redirect_uri"),
+      codeChallenge: overrides.codeChallenge || params.get("code_challenge"),
+      nonce: overrides.nonce || params.get("nonce"),
+      claims,
+    });
+
+    return { code, state: params.get("state") };
+  };
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      issuer = `http://127.0.0.1:${server.address().port}`;
+      resolve({
+        issuer,
+        authorize,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+};
+
+module.exports = { startMockIdp };
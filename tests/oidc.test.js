@@ -0,0 +1,361 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { query, serve } = require("./helpers");
+const { startMockIdp } = require("./mockIdp");
+const config = require("../config/config");
+const OidcTransaction = require("../models/OidcTransaction");
+const School = require("../models/School");
+const User = require("../models/User");
+const oidc = require("../utils/oidc");
+const { tenantContext, forgetSchool } = require("../utils/tenancy");
+
+const CLIENT_ID = "learning-platform";
+const school = { _id: new mongoose.Types.ObjectId(), slug: "hillside", isActive: true };
+
+let idp;
+let server;
+let users;
+
+before(async () => {
+  idp = await startMockIdp({ clientId: CLIENT_ID });
+  Object.assign(config.oidc, {
+    enabled: true,
+    issuer: idp.issuer,
+    clientId: CLIENT_ID,
+    clientSecret: undefined,
+    redirectUri: "http://localhost:5000/api/auth/oidc/callback",
+    frontendCallbackUrl: "http://frontend.test/sso/callback",
+    roleClaim: "roles",
+    roleMapping: { staff: "teacher", "it-admins": "admin", pupils: "student" },
+    defaultRole: null,
+    provisionUsers: true,
+    syncRoles: false,
+  });
+  // Every test signs in from the same address
+  config.security.rateLimit.login.maxPerIp = 1000;
+  oidc.resetCache();
+
+  server = await serve({
+    "/api": tenantContext,
+    "/api/auth": require("../routes/authRoutes"),
+  });
+});
+
+after(async () => {
+  await server.close();
+  await idp.close();
+});
+
+// Users and sign-in attempts live in memory instead of the database
+beforeEach(() => {
+  users = [];
+  const transactions = [];
+
+  mock.method(School, "findOne", async () => school);
+  mock.method(User, "findOne", (filter) =>
+    query(
+      users.find((user) =>
+        filter.email
+          ? filter.email.test(user.email)
+          : user.oidc &&
+            user.oidc.issuer === filter["oidc.issuer"] &&
+            user.oidc.subject === filter["oidc.subject"]
+      ) || null
+    )
+  );
+  mock.method(User, "create", async (data) => {
+    const user = new User(data);
+    await user.validate();
+    users.push(user);
+    return user;
+  });
+  mock.method(User.prototype, "save", async function () {
+    return this;
+  });
+
+  mock.method(OidcTransaction, "create", async (data) => {
+    const transaction = new OidcTransaction(data);
+    await transaction.validate();
+    transactions.push(transaction);
+    return transaction;
+  });
+  mock.method(OidcTransaction, "findOne", (filter) =>
+    query(
+      transactions.find(
+        (t) => t.stateHash === filter.stateHash && !t.completedAt && t.expiresAt > Date.now()
+      ) || null
+    )
+  );
+  mock.method(OidcTransaction.prototype, "save", async function () {
+    return this;
+  });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  forgetSchool(school.slug);
+  config.oidc.defaultRole = null;
+  config.oidc.syncRoles = false;
+});
+
+const addUser = (fields) => {
+  const user = new User({
+    firstName: "Existing",
+    lastName: "User",
+    role: "teacher",
+    school: school._id,
+    isVerified: false,
+    ...fields,
+  });
+  users.push(user);
+  return user;
+};
+
+/**
+ * Signs in through the mock provider as a browser would
+ * @param {Object} claims - ID token claims
+ * @param {Object} [options] - { idp: overrides for the provider, state, cookie: false }
+ * @returns {Promise<URLSearchParams>} - Parameters the frontend receives
+ */
+const signIn = async (claims, options = {}) => {
+  const login = await fetch(`${server.url}/api/auth/oidc/login`, {
+    redirect: "manual",
+    headers: { "x-school": school.slug },
+  });
+  assert.equal(login.status, 302);
+  const cookie = login.headers.get("set-cookie").split(";")[0];
+
+  const { code, state } = idp.authorize(login.headers.get("location"), claims, options.idp);
+
+  const callback = await fetch(
+    `${server.url}/api/auth/oidc/callback?${new URLSearchParams({ code, state: options.state || state })}`,
+    { redirect: "manual", headers: options.cookie === false ? {} : { cookie } }
+  );
+  assert.equal(callback.status, 302);
+
+  const landing = new URL(callback.headers.get("location"));
+  assert.equal(`${landing.origin}${landing.pathname}`, config.oidc.frontendCallbackUrl);
+  return landing.searchParams;
+};
+
+const claimsFor = (fields = {}) => ({
+  sub: `sub-${Math.random().toString(36).slice(2)}`,
+  email: "new.teacher@hillside.test",
+  email_verified: true,
+  given_name: "New",
+  family_name: "Teacher",
+  roles: ["staff"],
+  ...fields,
+});
+
+describe("OIDC callback validation", () => {
+  it("redirects to the provider with PKCE, state and nonce", async () => {
+    const login = await fetch(`${server.url}/api/auth/oidc/login`, {
+      redirect: "manual",
+      headers: { "x-school": school.slug },
+    });
+    const params = new URL(login.headers.get("location")).searchParams;
+
+    assert.equal(params.get("client_id"), CLIENT_ID);
+    assert.equal(params.get("code_challenge_method"), "S256");
+    assert.ok(params.get("code_challenge"));
+    assert.ok(params.get("state"));
+    assert.ok(params.get("nonce"));
+    assert.match(login.headers.get("set-cookie"), /oidc_binding=.*HttpOnly/i);
+  });
+
+  it("signs in when PKCE, state and nonce all check out", async () => {
+    const params = await signIn(claimsFor());
+
+    assert.ok(params.get("code"));
+    assert.equal(params.get("error"), null);
+  });
+
+  it("fails when the code verifier doesn't match the challenge", async () => {
+    const params = await signIn(claimsFor(), { idp: { codeChallenge: "not-the-challenge" } });
+
+    assert.equal(params.get("code"), null);
+    assert.equal(params.get("error"), "Single sign-on failed, please try again");
+    assert.equal(users.length, 0);
+  });
+
+  it("rejects an unknown state", async () => {
+    const params = await signIn(claimsFor(), { state: "forged-state" });
+
+    assert.match(params.get("error"), /sign-in attempt has expired/);
+  });
+
+  it("rejects a callback from another browser", async () => {
+    const params = await signIn(claimsFor(), { cookie: false });
+
+    assert.match(params.get("error"), /browser you started in/);
+  });
+
+  it("rejects an ID token for another sign-in attempt", async () => {
+    const params = await signIn(claimsFor(), { idp: { nonce: "other-nonce" } });
+
+    assert.equal(params.get("error"), "Single sign-on failed, please try again");
+  });
+});
+
+describe("OIDC just-in-time provisioning", () => {
+  it("creates the account in the school the sign-in started from", async () => {
+    const claims = claimsFor();
+
+    const params = await signIn(claims);
+
+    assert.ok(params.get("code"));
+    assert.equal(users.length, 1);
+    const [user] = users;
+    assert.equal(user.email, "new.teacher@hillside.test");
+    assert.equal(user.firstName, "New");
+    assert.equal(user.role, "teacher");
+    assert.equal(user.isVerified, true);
+    assert.ok(user.school.equals(school._id));
+    assert.equal(user.oidc.issuer, idp.issuer);
+    assert.equal(user.oidc.subject, claims.sub);
+  });
+
+  it("signs the same identity in again without a second account", async () => {
+    const claims = claimsFor();
+
+    await signIn(claims);
+    const params = await signIn(claims);
+
+    assert.ok(params.get("code"));
+    assert.equal(users.length, 1);
+  });
+
+  it("needs a verified email address", async () => {
+    const params = await signIn(claimsFor({ email_verified: false }));
+
+    assert.match(params.get("error"), /not verified your email/);
+    assert.equal(users.length, 0);
+  });
+
+  it("can be turned off", async (t) => {
+    t.after(() => {
+      config.oidc.provisionUsers = true;
+    });
+    config.oidc.provisionUsers = false;
+
+    const params = await signIn(claimsFor());
+
+    assert.match(params.get("error"), /No account exists for you yet/);
+    assert.equal(users.length, 0);
+  });
+});
+
+describe("OIDC role mapping", () => {
+  it("takes the most privileged mapped role", async () => {
+    await signIn(claimsFor({ roles: ["pupils", "it-admins", "staff"] }));
+
+    assert.equal(users[0].role, "admin");
+  });
+
+  it("refuses people whose roles map to nothing without a default role", async () => {
+    const params = await signIn(claimsFor({ roles: ["visitors"] }));
+
+    assert.match(params.get("error"), /not permitted to sign in here/);
+    assert.equal(users.length, 0);
+  });
+
+  it("falls back to the default role", async () => {
+    config.oidc.defaultRole = "student";
+
+    await signIn(claimsFor({ roles: ["visitors"] }));
+
+    assert.equal(users[0].role, "student");
+  });
+
+  it("syncs the role of existing accounts when enabled", async () => {
+    config.oidc.syncRoles = true;
+    const user = addUser({ email: "teacher@hillside.test", role: "teacher" });
+
+    await signIn(claimsFor({ email: "teacher@hillside.test", roles: ["it-admins"] }));
+
+    assert.equal(user.role, "admin");
+  });
+
+  it("never syncs a super-admin into a school role", async () => {
+    config.oidc.syncRoles = true;
+    const user = addUser({ email: "root@platform.test", role: "superadmin", school: undefined });
+
+    const params = await signIn(claimsFor({ email: "root@platform.test", roles: ["staff"] }));
+
+    assert.ok(params.get("code"));
+    assert.equal(user.role, "superadmin");
+  });
+
+  it("leaves roles alone when sync is off", async () => {
+    const user = addUser({ email: "teacher@hillside.test", role: "teacher" });
+
+    await signIn(claimsFor({ email: "teacher@hillside.test", roles: ["it-admins"] }));
+
+    assert.equal(user.role, "teacher");
+  });
+});
+
+describe("OIDC linking by verified email", () => {
+  it("links an existing account, whatever the case of the email", async () => {
+    const user = addUser({ email: "jane.doe@hillside.test" });
+    const claims = claimsFor({ email: "Jane.Doe@Hillside.test" });
+
+    const params = await signIn(claims);
+
+    assert.ok(params.get("code"));
+    assert.equal(users.length, 1);
+    assert.equal(user.oidc.subject, claims.sub);
+    assert.equal(user.isVerified, true);
+  });
+
+  it("doesn't link on an unverified email", async () => {
+    const user = addUser({ email: "jane.doe@hillside.test" });
+
+    const params = await signIn(claimsFor({ email: "jane.doe@hillside.test", email_verified: "false" }));
+
+    assert.match(params.get("error"), /not verified your email/);
+    assert.equal(user.get("oidc.subject"), undefined);
+  });
+
+  it("doesn't take over an account linked to another identity", async () => {
+    const user = addUser({
+      email: "jane.doe@hillside.test",
+      oidc: { issuer: "https://other-idp.test", subject: "someone-else" },
+    });
+
+    const params = await signIn(claimsFor({ email: "jane.doe@hillside.test" }));
+
+    assert.match(params.get("error"), /already linked to another single sign-on identity/);
+    assert.equal(user.oidc.subject, "someone-else");
+  });
+
+  it("refuses service accounts", async () => {
+    config.oidc.syncRoles = true;
+    const user = addUser({ email: "sync-bot@hillside.test", role: "service" });
+
+    const params = await signIn(claimsFor({ email: "sync-bot@hillside.test", roles: ["it-admins"] }));
+
+    assert.match(params.get("error"), /Service accounts sign in with API keys/);
+    assert.equal(user.get("oidc.subject"), undefined);
+    assert.equal(user.role, "service");
+  });
+
+  it("refuses service accounts already linked to an identity", async () => {
+    const claims = claimsFor();
+    addUser({ email: "sync-bot@hillside.test", role: "service", oidc: { issuer: idp.issuer, subject: claims.sub } });
+
+    const params = await signIn(claims);
+
+    assert.match(params.get("error"), /Service accounts sign in with API keys/);
+  });
+
+  it("refuses deactivated accounts", async () => {
+    addUser({ email: "jane.doe@hillside.test", isActive: false });
+
+    const params = await signIn(claimsFor({ email: "jane.doe@hillside.test" }));
+
+    assert.match(params.get("error"), /deactivated/);
+  });
+});
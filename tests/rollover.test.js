@@ -0,0 +1,81 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { mockRequest, run } = require("./helpers");
+const AcademicYear = require("../models/AcademicYear");
+const Setting = require("../models/Setting");
+const TermRollover = require("../models/TermRollover");
+const rollover = require("../services/rolloverService");
+const { startRollover } = require("../controllers/rolloverController");
+
+const HOUR = 60 * 60 * 1000;
+
+const admin = { _id: new mongoose.Types.ObjectId() };
+admin.id = String(admin._id);
+
+afterEach(() => mock.restoreAll());
+
+// Starts the rollover of Term 1 2026, which already has the given run
+const start = async (existing) => {
+  mock.method(TermRollover, "findOne", async () => existing);
+  mock.method(TermRollover.prototype, "save", async function () {
+    return this;
+  });
+  mock.method(AcademicYear, "find", () => ({ sort: async () => [] }));
+  mock.method(AcademicYear, "exists", async () => null);
+  mock.method(Setting, "getValue", async () => ({ academicYear: "2026", term: "Term 1" }));
+  mock.method(rollover, "getPromotionRules", async () => ({}));
+  mock.method(rollover, "planRollover", async () => ({ students: [], toAcademicYear: "2026", toTerm: "Term 2" }));
+  const queue = mock.method(rollover, "queueRollover", () => {});
+
+  const result = await run(
+    startRollover,
+    mockRequest({ user: admin, body: { academicYear: "2026", term: "Term 1" } })
+  );
+  return { result, queued: queue.mock.callCount() > 0 };
+};
+
+const runOf = (fields) =>
+  new TermRollover({
+    academicYear: "2026",
+    term: "Term 1",
+    toAcademicYear: "2026",
+    toTerm: "Term 2",
+    startedBy: admin._id,
+    ...fields,
+  });
+
+describe("POST /api/rollover", () => {
+  it("refuses while a run is queued", async () => {
+    const { result, queued } = await start(runOf({ status: "queued", queuedAt: Date.now() }));
+
+    assert.equal(result.error.statusCode, 409);
+    assert.equal(queued, false);
+  });
+
+  it("resumes a run left queued by a server that stopped", async () => {
+    const existing = runOf({ status: "queued", queuedAt: Date.now() - HOUR });
+
+    const { result, queued } = await start(existing);
+
+    assert.equal(result.statusCode, 202);
+    assert.equal(queued, true);
+    assert.ok(Date.now() - existing.queuedAt < HOUR / 2);
+  });
+
+  it("counts runs queued before queuedAt was recorded from their creation", async () => {
+    const { result, queued } = await start(runOf({ status: "queued", createdAt: Date.now() - HOUR }));
+
+    assert.equal(result.statusCode, 202);
+    assert.equal(queued, true);
+  });
+
+  it("resumes a run left processing by a server that stopped", async () => {
+    const { result, queued } = await start(
+      runOf({ status: "processing", queuedAt: Date.now() - 2 * HOUR, startedAt: Date.now() - HOUR })
+    );
+
+    assert.equal(result.statusCode, 202);
+    assert.equal(queued, true);
+  });
+});
@@ -0,0 +1,118 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { mockRequest, run, query } = require("./helpers");
+const Session = require("../models/Session");
+const User = require("../models/User");
+const { refresh } = require("../controllers/authController");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const newSession = (fields = {}) =>
+  new Session({
+    user: new mongoose.Types.ObjectId(),
+    refreshTokenHash: Session.hashToken("current"),
+    expiresAt: new Date(Date.now() + DAY),
+    ...fields,
+  });
+
+afterEach(() => mock.restoreAll());
+
+describe("Session refresh token rotation", () => {
+  it("replaces the token and remembers the old hash", () => {
+    const session = newSession();
+    const oldHash = session.refreshTokenHash;
+
+    const token = session.rotateRefreshToken();
+
+    assert.equal(session.refreshTokenHash, Session.hashToken(token));
+    assert.deepEqual([...session.rotatedTokenHashes], [oldHash]);
+  });
+
+  it("keeps only the latest 100 rotated hashes", () => {
+    const session = newSession();
+
+    let last;
+    for (let i = 0; i < 150; i++) {
+      last = session.refreshTokenHash;
+      session.rotateRefreshToken();
+    }
+
+    assert.equal(session.rotatedTokenHashes.length, 100);
+    assert.equal(session.rotatedTokenHashes[99], last);
+  });
+
+  it("rotates only a current, live token, in one capped write", async () => {
+    const stored = newSession();
+    const findOneAndUpdate = mock.method(Session, "findOneAndUpdate", async () => stored);
+    const tokenHash = Session.hashToken("current");
+
+    const rotated = await Session.rotateCurrentToken(tokenHash, { ip: "10.0.0.1" });
+
+    const [filter, update] = findOneAndUpdate.mock.calls[0].arguments;
+    assert.equal(filter.refreshTokenHash, tokenHash);
+    assert.deepEqual(filter.revokedAt, { $exists: false });
+    assert.ok(filter.expiresAt.$gt instanceof Date);
+    assert.equal(update.$set.ip, "10.0.0.1");
+    assert.equal(update.$set.refreshTokenHash, Session.hashToken(rotated.refreshToken));
+    assert.deepEqual(update.$push.rotatedTokenHashes, { $each: [tokenHash], $slice: -100 });
+    assert.equal(rotated.session, stored);
+  });
+
+  it("returns null when another request rotated the token first", async () => {
+    mock.method(Session, "findOneAndUpdate", async () => null);
+
+    assert.equal(await Session.rotateCurrentToken(Session.hashToken("current")), null);
+  });
+
+  it("tells active, revoked and expired sessions apart", () => {
+    assert.equal(newSession().isActive(), true);
+    assert.equal(newSession({ revokedAt: new Date() }).isActive(), false);
+    assert.equal(newSession({ expiresAt: new Date(Date.now() - 1000) }).isActive(), false);
+  });
+});
+
+describe("POST /api/auth/refresh", () => {
+  const user = new User({ firstName: "Ada", lastName: "Lovelace", email: "ada@example.com", role: "student" });
+
+  it("issues a new token pair for the current token", async () => {
+    const session = newSession({ user: user._id });
+    mock.method(Session, "findOne", () => query(session));
+    mock.method(User, "findById", () => query(user));
+    const rotate = mock.method(Session, "rotateCurrentToken", async () => ({
+      session,
+      refreshToken: "next",
+    }));
+
+    const result = await run(refresh, mockRequest({ body: { refreshToken: "current" } }));
+
+    assert.equal(result.statusCode, 200);
+    assert.equal(result.body.refreshToken, "next");
+    assert.ok(result.body.token);
+    assert.equal(rotate.mock.calls[0].arguments[0], Session.hashToken("current"));
+  });
+
+  it("revokes the session when a rotated-out token comes back", async () => {
+    mock.method(Session, "findOne", () => query(null));
+    const updateOne = mock.method(Session, "updateOne", async () => ({ modifiedCount: 1 }));
+
+    const result = await run(refresh, mockRequest({ body: { refreshToken: "old" } }));
+
+    assert.equal(result.error.statusCode, 401);
+    const [filter, update] = updateOne.mock.calls[0].arguments;
+    assert.equal(filter.rotatedTokenHashes, Session.hashToken("old"));
+    assert.equal(update.revokedReason, "reuse_detected");
+  });
+
+  it("revokes the session when two requests race with the same token", async () => {
+    mock.method(Session, "findOne", () => query(newSession({ user: user._id })));
+    mock.method(User, "findById", () => query(user));
+    mock.method(Session, "rotateCurrentToken", async () => null);
+    const updateOne = mock.method(Session, "updateOne", async () => ({ modifiedCount: 1 }));
+
+    const result = await run(refresh, mockRequest({ body: { refreshToken: "current" } }));
+
+    assert.equal(result.error.statusCode, 401);
+    assert.equal(updateOne.mock.calls[0].arguments[0].rotatedTokenHashes, Session.hashToken("current"));
+  });
+});
@@ -0,0 +1,104 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const { mockRequest, run, query, runHooks } = require("./helpers");
+const Class = require("../models/Class");
+const Session = require("../models/Session");
+const User = require("../models/User");
+const { protect } = require("../middleware/auth");
+const {
+  runAsSchool,
+  acrossSchools,
+  currentSchool,
+  enterUserSchool,
+} = require("../utils/tenancy");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const schoolA = new mongoose.Types.ObjectId();
+const schoolB = new mongoose.Types.ObjectId();
+
+const newUser = (fields) =>
+  new User({ firstName: "Alan", lastName: "Turing", email: "alan@example.com", ...fields });
+
+afterEach(() => mock.restoreAll());
+
+describe("Tenant query filter", () => {
+  it("keeps queries inside the current school", async () => {
+    const found = await runAsSchool(schoolA, () => runHooks(Class.find({ name: "7A" })));
+    const counted = await runAsSchool(schoolA, () => runHooks(Class.countDocuments()));
+
+    assert.deepEqual(found.filter, { name: "7A", school: schoolA });
+    assert.deepEqual(counted.filter, { school: schoolA });
+  });
+
+  it("keeps updates inside the school and records from moving out", async () => {
+    const updated = await runAsSchool(schoolA, () =>
+      runHooks(Class.updateMany({ name: "7A" }, { name: "7B", school: schoolB }))
+    );
+
+    assert.deepEqual(updated.filter, { name: "7A", school: schoolA });
+    assert.deepEqual(updated.update, { $set: { name: "7B" } });
+  });
+
+  it("leaves queries run across schools unfiltered", async () => {
+    const found = await runAsSchool(schoolA, () =>
+      acrossSchools(() => runHooks(Class.find({ name: "7A" })))
+    );
+
+    assert.deepEqual(found.filter, { name: "7A" });
+  });
+
+  it("puts new records in the current school", async () => {
+    const classObj = new Class({ name: "7A", school: schoolB });
+
+    await runAsSchool(schoolA, () => classObj.validate()).catch(() => {});
+
+    assert.ok(classObj.school.equals(schoolA));
+  });
+});
+
+describe("Entering the user's school", () => {
+  it("moves the request into the user's school", async () => {
+    await runAsSchool(null, async () => {
+      assert.equal(enterUserSchool(newUser({ role: "teacher", school: schoolA })), null);
+      assert.ok(currentSchool().equals(schoolA));
+    });
+  });
+
+  it("rejects users of another school", async () => {
+    await runAsSchool(schoolA, async () => {
+      const error = enterUserSchool(newUser({ role: "teacher", school: schoolB }));
+      assert.equal(error.statusCode, 401);
+      assert.ok(currentSchool().equals(schoolA));
+    });
+  });
+
+  it("lets super-admins work in the school named by the request", async () => {
+    await runAsSchool(schoolB, async () => {
+      assert.equal(enterUserSchool(newUser({ role: "superadmin" })), null);
+      assert.ok(currentSchool().equals(schoolB));
+    });
+  });
+
+  it("turns away a token used at another school's address", async () => {
+    const user = newUser({ role: "student", school: schoolB });
+    const session = new Session({
+      user: user._id,
+      refreshTokenHash: "hash",
+      expiresAt: new Date(Date.now() + DAY),
+    });
+    mock.method(Session, "findById", async () => session);
+    mock.method(User, "findById", () => query(user));
+    const token = jwt.sign({ id: user._id, sid: session._id }, process.env.JWT_SECRET);
+    const req = mockRequest({
+      originalUrl: "/api/courses",
+      headers: { authorization: `Bearer ${token}` },
+    });
+
+    const result = await runAsSchool(schoolA, () => run(protect, req));
+
+    assert.equal(result.error.statusCode, 401);
+  });
+});
@@ -0,0 +1,106 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const { mockRequest, run, query } = require("./helpers");
+const Session = require("../models/Session");
+const User = require("../models/User");
+const { protect } = require("../middleware/auth");
+const { verify } = require("../controllers/twoFactorController");
+const { generateSecret, verifyToken, hotp } = require("../utils/totp");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const currentCode = (secret) => hotp(secret, Math.floor(Date.now() / 30000));
+
+afterEach(() => mock.restoreAll());
+
+describe("TOTP", () => {
+  it("accepts the current code once per step", () => {
+    const secret = generateSecret();
+    const step = verifyToken(secret, currentCode(secret));
+
+    assert.notEqual(step, null);
+    assert.equal(verifyToken(secret, currentCode(secret), { afterStep: step }), null);
+  });
+
+  it("rejects malformed and wrong codes", () => {
+    const secret = generateSecret();
+    const wrong = String((Number(currentCode(secret)) + 1) % 1000000).padStart(6, "0");
+
+    assert.equal(verifyToken(secret, "abc"), null);
+    assert.equal(verifyToken(secret, "12345"), null);
+    assert.equal(verifyToken(secret, wrong), null);
+  });
+});
+
+describe("Mandatory 2FA enrolment", () => {
+  const user = new User({ firstName: "Grace", lastName: "Hopper", email: "grace@example.com", role: "teacher" });
+
+  const signIn = (originalUrl, sessionFields = {}) => {
+    const session = new Session({
+      user: user._id,
+      refreshTokenHash: "hash",
+      expiresAt: new Date(Date.now() + DAY),
+      ...sessionFields,
+    });
+    mock.method(Session, "findById", async () => session);
+    mock.method(User, "findById", () => query(user));
+
+    const token = jwt.sign({ id: user._id, sid: session._id }, process.env.JWT_SECRET);
+    return mockRequest({ originalUrl, headers: { authorization: `Bearer ${token}` } });
+  };
+
+  it("blocks other routes until the session has enrolled", async () => {
+    const req = signIn("/api/courses", { twoFactorSetupRequired: true });
+
+    const result = await run(protect, req);
+
+    assert.equal(result.error.statusCode, 403);
+    assert.match(result.error.message, /Two-factor authentication must be set up/);
+  });
+
+  it("leaves the enrolment routes open", async () => {
+    for (const path of ["/api/auth/2fa/setup", "/api/auth/me", "/api/auth/logout"]) {
+      const result = await run(protect, signIn(path, { twoFactorSetupRequired: true }));
+      assert.equal(result.error, undefined, path);
+      mock.restoreAll();
+    }
+  });
+
+  it("lets enrolled sessions through", async () => {
+    const result = await run(protect, signIn("/api/courses"));
+
+    assert.equal(result.error, undefined);
+  });
+
+  it("opens up only the session that proved the second factor", async () => {
+    const secret = generateSecret();
+    const enrolling = new User({
+      firstName: "Grace",
+      lastName: "Hopper",
+      email: "grace@example.com",
+      role: "teacher",
+      twoFactor: { enabled: false, pendingSecret: secret },
+    });
+    mock.method(User, "findById", () => query(enrolling));
+    mock.method(enrolling, "save", async () => enrolling);
+    const updateOne = mock.method(Session, "updateOne", async () => ({ modifiedCount: 1 }));
+    const sessionId = new mongoose.Types.ObjectId();
+
+    const result = await run(
+      verify,
+      mockRequest({
+        user: enrolling,
+        authSession: { _id: sessionId },
+        body: { code: currentCode(secret) },
+      })
+    );
+
+    assert.equal(result.statusCode, 200);
+    assert.equal(enrolling.twoFactor.enabled, true);
+    const [filter, update] = updateOne.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: sessionId });
+    assert.deepEqual(update, { twoFactorSetupRequired: false });
+  });
+});
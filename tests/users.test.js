@@ -0,0 +1,106 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { mockRequest, run, query } = require("./helpers");
+const Setting = require("../models/Setting");
+const User = require("../models/User");
+const { createUser } = require("../controllers/userController");
+
+const admin = new User({ firstName: "Ada", lastName: "Admin", email: "admin@example.com", role: "admin" });
+admin.permissionGrants = [{ permission: "users:manage", scope: null }];
+
+afterEach(() => mock.restoreAll());
+
+// Creates a user as the admin and returns what reached User.create
+const create = async (body, fields = {}) => {
+  mock.method(User, "findOne", () => query(null));
+  mock.method(Setting, "getValue", async (key, fallback) => fallback);
+  const userCreate = mock.method(User, "create", async (data) => data);
+
+  const result = await run(createUser, mockRequest({ user: admin, body, ...fields }));
+  return { result, created: userCreate.mock.calls.length ? userCreate.mock.calls[0].arguments[0] : null };
+};
+
+describe("POST /api/users", () => {
+  const body = {
+    firstName: "Tom",
+    lastName: "Teacher",
+    email: "tom@example.com",
+    role: "teacher",
+    password: "Correct-Horse-Battery-9",
+  };
+
+  it("ignores fields that have their own endpoints", async () => {
+    const { result, created } = await create({
+      ...body,
+      roleGrants: [{ role: new mongoose.Types.ObjectId() }],
+      twoFactor: { enabled: true, secret: "JBSWY3DPEHPK3PXP" },
+      oidc: { issuer: "https://idp.example.com", subject: "attacker" },
+      loginSecurity: { failedAttempts: 0 },
+      deletion: { deletedAt: new Date() },
+      pseudonym: "ANON-1",
+      serviceAccount: { description: "x" },
+      school: new mongoose.Types.ObjectId(),
+      passwordHistory: ["hash"],
+    });
+
+    assert.equal(result.statusCode, 201);
+    for (const field of [
+      "roleGrants",
+      "twoFactor",
+      "oidc",
+      "loginSecurity",
+      "deletion",
+      "pseudonym",
+      "serviceAccount",
+      "school",
+      "passwordHistory",
+    ]) {
+      assert.equal(created[field], undefined, field);
+    }
+    assert.equal(created.password, body.password);
+    assert.equal(created.mustChangePassword, true);
+  });
+
+  it("leaves out qualifications sent in the body", async () => {
+    const { result, created } = await create({
+      ...body,
+      profile: {
+        phone: "0700000000",
+        qualifications: [{ institution: "Makerere", status: "verified", isVerified: true }],
+      },
+    });
+
+    assert.equal(result.statusCode, 201);
+    assert.equal(created.profile.phone, "0700000000");
+    assert.equal(created.profile.qualifications, undefined);
+  });
+
+  it("adds an uploaded qualification awaiting review", async () => {
+    const files = [{ originalname: "degree.pdf", path: "uploads/degree.pdf" }];
+
+    const { result, created } = await create(
+      {
+        ...body,
+        newQualification: JSON.stringify({ institution: "Makerere", status: "verified" }),
+      },
+      { files }
+    );
+
+    assert.equal(result.statusCode, 201);
+    const [qualification] = created.profile.qualifications;
+    assert.equal(qualification.institution, "Makerere");
+    assert.equal(qualification.status, "pending");
+    assert.equal(qualification.isVerified, false);
+  });
+
+  it("rejects dotted field names and operators", async () => {
+    for (const extra of [{ "twoFactor.enabled": true }, { profile: { $set: { x: 1 } } }]) {
+      const { result, created } = await create({ ...body, ...extra });
+
+      assert.equal(result.error.statusCode, 400);
+      assert.equal(created, null);
+      mock.restoreAll();
+    }
+  });
+});
@@ -0,0 +1,220 @@
+const AcademicYear = require("../models/AcademicYear");
+const Setting = require("../models/Setting");
+const config = require("../config/config");
+
+// Setting holding the current academic year and term, advanced by the rollover.
+// Only used until an academic calendar has been set up.
+const CURRENT_TERM_KEY = "academic.currentTerm";
+
+const TERMS = ["Term 1", "Term 2", "Term 3"];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Resolves the active term from the academic calendar: the open term the date
+ * falls in; between terms, the last open term that has started (its rollover
+ * hasn't run yet); failing that, the next open term to start
+ * @param {Date} [date] - Date to resolve for, defaults to now
+ * @returns {Promise<Object|null>} - Term details, or null without a calendar
+ */
+const getActiveTerm = async (date = new Date()) => {
+  const years = await AcademicYear.find({ "terms.status": "open" }).sort("startDate");
+  const terms = years
+    .flatMap((year) =>
+      year.terms.filter((t) => t.status === "open").map((term) => termDetails(year, term))
+    )
+    .sort((a, b) => a.startDate - b.startDate);
+
+  const started = terms.filter((t) => t.startDate <= date);
+  return started[started.length - 1] || terms[0] || null;
+};
+
+/**
+ * Gets the current academic year and term, from the academic calendar when
+ * there is one
+ * @returns {Promise<{academicYear: string, term: string}>} - Current term
+ */
+const getCurrentTerm = async () => {
+  const active = await getActiveTerm();
+  if (active) {
+    return { academicYear: active.academicYear, term: active.term };
+  }
+
+  return Setting.getValue(CURRENT_TERM_KEY, {
+    academicYear: config.currentAcademicYear,
+    term: config.currentTerm,
+  });
+};
+
+/**
+ * Sets the current academic year and term
+ * @param {Object} current - { academicYear, term }
+ * @param {string} updatedBy - User ID
+ * @returns {Promise<Object>} - Saved setting
+ */
+const setCurrentTerm = ({ academicYear, term }, updatedBy) =>
+  Setting.setValue(CURRENT_TERM_KEY, { academicYear: String(academicYear), term }, updatedBy);
+
+/**
+ * Finds a term in the academic calendar
+ * @param {Object} term - { academicYear, term }
+ * @returns {Promise<Object|null>} - Term details, or null if not in the calendar
+ */
+const findTerm = async ({ academicYear, term }) => {
+  const year = await AcademicYear.findOne({ name: String(academicYear) });
+  const found = year && year.terms.find((t) => t.name === term);
+
+  return found ? termDetails(year, found) : null;
+};
+
+/**
+ * Checks that a term can be written to: it must be an open term of the
+ * academic calendar. Nothing is enforced until a calendar has been set up.
+ * @param {Object} term - { academicYear, term }
+ * @param {Date[]} [dates] - Dates in the write, which must fall within the term
+ * @returns {Promise<string|null>} - Error message, or null if open
+ */
+const checkOpenTerm = async ({ academicYear, term }, dates = []) => {
+  if (!(await AcademicYear.exists({}))) return null;
+
+  const found = await findTerm({ academicYear, term });
+  if (!found) {
+    return `${term} ${academicYear} is not in the academic calendar`;
+  }
+  if (found.status !== "open") {
+    return `${term} ${academicYear} is closed`;
+  }
+
+  const outside = dates
+    .map((date) => new Date(date))
+    .some((date) => isNaN(date) || date < found.startDate || date >= dayAfter(found.endDate));
+  if (outside) {
+    return `Dates must fall within ${term} ${academicYear}`;
+  }
+
+  return null;
+};
+
+/**
+ * Resolves the term of a school day: the date must fall in an open term of
+ * the academic calendar and not in a holiday or half-term break. Without a
+ * calendar every date is accepted.
+ * @param {Date} date - Date of the record
+ * @returns {Promise<{term: Object|null}|{error: string}>} - Term details, or an error
+ */
+const resolveSchoolDay = async (date) => {
+  if (!(await AcademicYear.exists({}))) return { term: null };
+
+  const day = new Date(date);
+  if (isNaN(day)) return { error: "Invalid date" };
+
+  const year = await AcademicYear.findOne({
+    startDate: { $lte: day },
+    endDate: { $gt: new Date(day.getTime() - DAY) },
+  }).sort("-startDate");
+  const term = year && year.termOn(day);
+
+  if (!term) {
+    return { error: `${day.toDateString()} is not in a term of the academic calendar` };
+  }
+  if (term.status !== "open") {
+    return { error: `${day.toDateString()} is in ${term.name} ${year.name}, which is closed` };
+  }
+
+  const holiday = year.breakOn(day);
+  if (holiday) {
+    return { error: `${day.toDateString()} is in the ${holiday.name} break` };
+  }
+
+  return { term: termDetails(year, term) };
+};
+
+/**
+ * Closes a term of the academic calendar, if it is in it
+ * @param {Object} term - { academicYear, term }
+ * @param {string} closedBy - User ID
+ * @returns {Promise<void>}
+ */
+const closeTerm = async ({ academicYear, term }, closedBy) => {
+  await AcademicYear.updateOne(
+    { name: String(academicYear), terms: { $elemMatch: { name: term, status: "open" } } },
+    {
+      $set: {
+        "terms.$.status": "closed",
+        "terms.$.closedAt": Date.now(),
+        "terms.$.closedBy": closedBy,
+        updatedAt: Date.now(),
+      },
+    }
+  );
+};
+
+/**
+ * Gets the term after a term: the next term of the academic calendar, or
+ * without one, Term 3 is followed by Term 1 of the next year
+ * @param {Object} current - { academicYear, term }
+ * @returns {Promise<{academicYear: string, term: string}>} - Next term
+ */
+const followingTerm = async (current) => {
+  const found = await findTerm(current);
+
+  if (found) {
+    const years = await AcademicYear.find({ endDate: { $gt: found.endDate } }).sort("startDate");
+    const next = years
+      .flatMap((year) => year.terms.map((term) => termDetails(year, term)))
+      .filter((t) => t.startDate > found.endDate)
+      .sort((a, b) => a.startDate - b.startDate)[0];
+
+    if (next) return { academicYear: next.academicYear, term: next.term };
+  }
+
+  return nextTerm(current);
+};
+
+/**
+ * Gets the term after a term; Term 3 is followed by Term 1 of the next year
+ * @param {Object} current - { academicYear, term }
+ * @returns {{academicYear: string, term: string}} - Next term
+ */
+const nextTerm = ({ academicYear, term }) => {
+  const index = TERMS.indexOf(term);
+
+  if (index === TERMS.length - 1) {
+    // 2025 => 2026, 2025-2026 => 2026-2027
+    const year = String(academicYear).replace(/\d{4}/g, (y) => String(Number(y) + 1));
+    return { academicYear: year, term: TERMS[0] };
+  }
+
+  return { academicYear: String(academicYear), term: TERMS[index + 1] };
+};
+
+// End dates are the last day of a period
+function dayAfter(date) {
+  return new Date(date.getTime() + DAY);
+}
+
+// Flatten a calendar term for responses and callers
+function termDetails(year, term) {
+  return {
+    academicYear: year.name,
+    term: term.name,
+    startDate: term.startDate,
+    endDate: term.endDate,
+    status: term.status,
+    breaks: year.breaks.filter((b) => b.startDate <= term.endDate && b.endDate >= term.startDate),
+  };
+}
+
+module.exports = {
+  CURRENT_TERM_KEY,
+  TERMS,
+  getActiveTerm,
+  getCurrentTerm,
+  setCurrentTerm,
+  findTerm,
+  checkOpenTerm,
+  resolveSchoolDay,
+  closeTerm,
+  followingTerm,
+  nextTerm,
+};
@@ -0,0 +1,264 @@
+const { AsyncLocalStorage, AsyncResource } = require("async_hooks");
+const AuditLog = require("../models/AuditLog");
+const { acrossSchools } = require("./tenancy");
+
+// Request the current code runs for, so model hooks know who made a change
+const storage = new AsyncLocalStorage();
+
+// Fields that change on every write and say nothing about who changed what
+const ALWAYS_IGNORED = ["_id", "__v", "updatedAt"];
+
+// Most records an updateMany is audited for one by one
+const UPDATE_MANY_DIFF_LIMIT = 1000;
+
+/**
+ * Express middleware that makes the request available to audit hooks
+ */
+const auditContext = (req, res, next) =>
+  storage.run({ req }, () => {
+    // Body stream events (e.g. multer uploads) would otherwise run outside
+    // the request context and lose it for the rest of the chain
+    req.emit = AsyncResource.bind(req.emit, "AuditContext", req);
+    next();
+  });
+
+/**
+ * Labels the audit entries written for the rest of the request
+ * @param {string} action - Action name (e.g., "submission.grade")
+ */
+const setAuditAction = (action) => {
+  const context = storage.getStore();
+  if (context) context.action = action;
+};
+
+// Plain JSON values (ObjectIds as strings, dates as ISO strings)
+const normalize = (value) =>
+  value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+
+/**
+ * Compares two snapshots of a record field by field
+ * @param {Object} before - Record before the change
+ * @param {Object} after - Record after the change
+ * @param {Object} [options] - { ignore: [fields], redact: [fields] }
+ * @returns {Array<{field: string, before: *, after: *}>} - Changed fields
+ */
+const diff = (before = {}, after = {}, options = {}) => {
+  const ignore = [...ALWAYS_IGNORED, ...(options.ignore || [])];
+  const redact = options.redact || [];
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  const changes = [];
+
+  fields.forEach((field) => {
+    if (ignore.includes(field)) return;
+
+    const from = normalize(before[field]);
+    const to = normalize(after[field]);
+    if (JSON.stringify(from) === JSON.stringify(to)) return;
+
+    if (redact.includes(field)) {
+      changes.push({
+        field,
+        before: from === undefined ? undefined : "[redacted]",
+        after: to === undefined ? undefined : "[redacted]",
+      });
+    } else {
+      changes.push({ field, before: from, after: to });
+    }
+  });
+
+  return changes;
+};
+
+/**
+ * Writes an audit entry for the current request. Never throws: a failed
+ * audit write is logged but does not fail the change itself. While an
+ * admin impersonates a user, the admin is recorded as the actor.
+ * @param {Object} entry - { action, entityType, entityId, changes, statusCode }
+ * @param {Object} [request] - Request to attribute the entry to, for code
+ * running outside the request context (defaults to the current request)
+ * @returns {Promise<void>}
+ */
+const recordAudit = async (
+  { action, entityType, entityId, changes = [], statusCode },
+  request
+) => {
+  const context = storage.getStore() || {};
+  const req = request || context.req;
+  const user = req && (req.impersonator || req.user);
+
+  try {
+    await AuditLog.create({
+      actor: user && user._id,
+      actorEmail: user && user.email,
+      actorRole: user && user.role,
+      impersonatedUser: req && req.impersonator ? req.user._id : undefined,
+      apiKey: req && req.apiKey ? req.apiKey._id : undefined,
+      action,
+      entityType,
+      entityId,
+      changes,
+      ip: req && req.ip,
+      userAgent: req && req.get("user-agent"),
+      method: req && req.method,
+      path: req && req.originalUrl,
+      statusCode,
+    });
+  } catch (err) {
+    console.error("Audit log error:", err);
+  }
+};
+
+/**
+ * Logs an impersonated request once its response has been sent
+ * @param {Object} req - Express request (req.impersonator set)
+ * @param {Object} res - Express response
+ */
+const auditImpersonatedRequest = (req, res) => {
+  // Bound so the entry is written for the request's school
+  res.once("finish", AsyncResource.bind(() => {
+    recordAudit(
+      {
+        action: "impersonation.request",
+        entityType: "User",
+        entityId: req.user._id,
+        statusCode: res.statusCode,
+      },
+      req
+    );
+  }));
+};
+
+/**
+ * Mongoose plugin that audits saves, findOneAndUpdate, updateOne and
+ * updateMany calls and document deletes made while handling a request.
+ * Earlier state is read back from the database only for those writes, so
+ * loading records costs nothing extra.
+ * @param {Object} schema - Mongoose schema
+ * @param {Object} options - { entityType, ignore: [fields], redact: [fields] }
+ */
+const auditPlugin = (schema, options) => {
+  const { entityType } = options;
+  const defaultAction = (op) =>
+    `${entityType.charAt(0).toLowerCase()}${entityType.slice(1)}.${op}`;
+
+  const snapshot = (doc) => doc.toObject({ depopulate: true, virtuals: false });
+
+  const write = async (op, entityId, before, after) => {
+    const context = storage.getStore();
+    if (!context) return;
+
+    const changes = diff(before, after, options);
+    if (changes.length === 0) return;
+
+    await recordAudit({
+      // Bulk summaries keep their own action: they have no single record to point at
+      action: op === "update_many" ? defaultAction(op) : context.action || defaultAction(op),
+      entityType,
+      entityId,
+      changes,
+    });
+  };
+
+  schema.pre("save", async function () {
+    this.$locals.auditIsNew = this.isNew;
+    this.$locals.auditBefore = undefined;
+    if (this.isNew || !storage.getStore() || !this.isModified()) return;
+
+    // The stored record, limited to the fields this document was loaded with
+    // (plus any it clears) so fields left out of the query don't show as changes
+    const fields = new Set([
+      ...Object.keys(snapshot(this)),
+      ...this.modifiedPaths().map((path) => path.split(".")[0]),
+    ]);
+    // Across schools: a super-admin's own record belongs to none
+    this.$locals.auditBefore = await acrossSchools(() =>
+      this.constructor.findById(this._id).select([...fields].join(" ")).lean().exec()
+    );
+  });
+
+  schema.post("save", async function () {
+    if (this.$locals.auditIsNew) {
+      await write("create", this._id, {}, snapshot(this));
+    } else if (this.$locals.auditBefore) {
+      await write("update", this._id, this.$locals.auditBefore, snapshot(this));
+    }
+  });
+
+  schema.pre("findOneAndUpdate", async function () {
+    if (!storage.getStore()) return;
+    this._auditBefore = await this.model.findOne(this.getFilter()).lean();
+  });
+
+  schema.post("findOneAndUpdate", async function () {
+    const before = this._auditBefore;
+    if (!before) return;
+
+    const after = await this.model.findById(before._id).lean();
+    await write("update", before._id, before, after || {});
+  });
+
+  schema.pre("updateOne", { document: false, query: true }, async function () {
+    if (!storage.getStore()) return;
+    this._auditBefore = await this.model.findOne(this.getFilter()).lean();
+  });
+
+  schema.post("updateOne", { document: false, query: true }, async function (result) {
+    if (!storage.getStore()) return;
+
+    if (this._auditBefore) {
+      const after = await this.model.findById(this._auditBefore._id).lean();
+      await write("update", this._auditBefore._id, this._auditBefore, after || {});
+    } else if (result && result.upsertedId) {
+      const created = await this.model.findById(result.upsertedId).lean();
+      await write("create", result.upsertedId, {}, created || {});
+    }
+  });
+
+  schema.pre("updateMany", async function () {
+    if (!storage.getStore()) return;
+
+    // Bulk updates too large to diff record by record get one summary entry
+    const matched = await this.model
+      .find(this.getFilter())
+      .limit(UPDATE_MANY_DIFF_LIMIT + 1)
+      .lean();
+    this._auditBefore = matched.length > UPDATE_MANY_DIFF_LIMIT ? null : matched;
+  });
+
+  schema.post("updateMany", async function (result) {
+    if (!storage.getStore() || !result || result.modifiedCount === 0) return;
+
+    if (!this._auditBefore) {
+      // The values set, without their earlier ones
+      const update = this.getUpdate() || {};
+      const set = { ...update.$set };
+      Object.keys(update)
+        .filter((key) => !key.startsWith("$"))
+        .forEach((key) => {
+          set[key] = update[key];
+        });
+      await write("update_many", undefined, {}, set);
+      return;
+    }
+
+    const ids = this._auditBefore.map((doc) => doc._id);
+    const after = await this.model.find({ _id: { $in: ids } }).lean();
+    for (const before of this._auditBefore) {
+      const current = after.find((doc) => doc._id.equals(before._id));
+      await write("update", before._id, before, current || {});
+    }
+  });
+
+  schema.post("deleteOne", { document: true, query: false }, async function () {
+    await write("delete", this._id, snapshot(this), {});
+  });
+};
+
+module.exports = {
+  auditContext,
+  setAuditAction,
+  recordAudit,
+  auditImpersonatedRequest,
+  auditPlugin,
+  diff,
+};
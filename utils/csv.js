@@ -0,0 +1,111 @@
+/**
+ * Parses CSV text into rows of fields (RFC 4180: quoted fields, escaped
+ * quotes, embedded commas and newlines)
+ * @param {string} text - Raw CSV text
+ * @returns {Array<Array<string>>} - Rows of raw field values
+ */
+const parseRows = (text) => {
+  const input = text.replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter((r) => r.some((value) => value.trim() !== ""));
+};
+
+/**
+ * Parses CSV text with a header row into objects keyed by header
+ * @param {string} text - Raw CSV text
+ * @returns {Array<Object>} - One object per data row, values trimmed
+ */
+const parse = (text) => {
+  const [header, ...rows] = parseRows(text);
+  if (!header) return [];
+
+  const keys = header.map((key) => key.trim());
+
+  return rows.map((row) =>
+    keys.reduce((obj, key, index) => {
+      obj[key] = (row[index] || "").trim();
+      return obj;
+    }, {})
+  );
+};
+
+/**
+ * Escapes a single value for CSV output
+ * @param {*} value - The value to escape
+ * @returns {string} - CSV-safe field
+ */
+const escapeField = (value) => {
+  if (value === undefined || value === null) return "";
+
+  let str = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === "object" && !(value instanceof Date)) {
+    str = JSON.stringify(value);
+  }
+
+  // Stop spreadsheet apps from evaluating cell contents as formulas,
+  // leaving plain numbers such as "+256..." phone numbers untouched
+  const isNumeric = /^[+-]?[\d\s().]+$/.test(str);
+  if (/^[=@]/.test(str) || (/^[+-]/.test(str) && !isNumeric)) str = `'${str}`;
+
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+/**
+ * Serialises objects to CSV text
+ * @param {Array<Object>} records - Records to write
+ * @param {Array<string>} columns - Keys to write, in order
+ * @returns {string} - CSV text with header row
+ */
+const stringify = (records, columns) => {
+  const lines = [columns.map(escapeField).join(",")];
+
+  records.forEach((record) => {
+    lines.push(columns.map((column) => escapeField(record[column])).join(","));
+  });
+
+  return lines.join("\r\n") + "\r\n";
+};
+
+module.exports = {
+  parse,
+  parseRows,
+  stringify,
+};
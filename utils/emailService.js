@@ -1,7 +1,16 @@
 const nodemailer = require("nodemailer");
 const ErrorResponse = require("./errorResponse");
+const School = require("../models/School");
+const { currentSchool } = require("./tenancy");
 
 const sendEmail = async (options) => {
+  // Emails go out under the branding of the school they are sent for
+  const school = currentSchool() ? await School.findById(currentSchool()) : null;
+  const branding = (school && school.branding) || {};
+  const fromName = branding.emailFromName || (school && school.name) || process.env.EMAIL_FROM_NAME;
+  const from = branding.emailFrom || process.env.EMAIL_FROM;
+  const text = options.text || options.message;
+
   // 1) Create a transporter
   const transporter = nodemailer.createTransport({
     host: process.env.EMAIL_HOST,
@@ -14,11 +23,13 @@ const sendEmail = async (options) => {
 
   // 2) Define the email options
   const mailOptions = {
-    from: `"${process.env.EMAIL_FROM_NAME}" <${process.env.EMAIL_FROM}>`,
+    from: `"${fromName}" <${from}>`,
     to: options.email,
     subject: options.subject,
-    text: options.text,
-    html: options.html,
+    text: text && branding.emailFooter ? `${text}\n\n${branding.emailFooter}` : text,
+    html: options.html && branding.emailFooter
+      ? `${options.html}<p style="font-size: 0.8em; color: #718096;">${escapeHtml(branding.emailFooter)}</p>`
+      : options.html,
     headers: {
       'Content-Type': 'text/html; charset=utf-8'
     }
@@ -35,4 +46,13 @@ const sendEmail = async (options) => {
   }
 };
 
+// Branding is set by school admins, so keep it out of the markup
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
 module.exports = sendEmail;
@@ -1,40 +1,83 @@
 const ErrorResponse = require("./errorResponse");
+const Setting = require("../models/Setting");
+const config = require("../config/config");
+
+// Setting holding the school's grading scale
+const SCALE_KEY = "grading.scale";
+
+// The configured scale as a list, highest grade first
+const DEFAULT_SCALE = Object.entries(config.gradingSystem)
+  .map(([grade, { min, points }]) => ({ grade, min, points }))
+  .sort((a, b) => b.min - a.min);
+
+/**
+ * Gets the grading scale of the current school
+ * @returns {Promise<Array<{grade: string, min: number, points: number}>>} -
+ * Grades with their minimum percentage and points, highest first
+ */
+const getGradingScale = () => Setting.getValue(SCALE_KEY, DEFAULT_SCALE);
+
+/**
+ * Checks a grading scale
+ * @param {Array} scale - Grades ({ grade, min, points })
+ * @returns {string|null} - Error message, or null if the scale is valid
+ */
+const validateGradingScale = (scale) => {
+  if (!Array.isArray(scale) || scale.length === 0) {
+    return "The grading scale must be a non-empty list of grades";
+  }
+
+  const grades = new Set();
+  for (const entry of scale) {
+    if (!entry || typeof entry.grade !== "string" || !entry.grade.trim()) {
+      return "Every grade needs a name";
+    }
+    if (grades.has(entry.grade)) return `Grade ${entry.grade} is listed twice`;
+    grades.add(entry.grade);
+
+    if (typeof entry.min !== "number" || entry.min < 0 || entry.min > 100) {
+      return `The minimum for grade ${entry.grade} must be a percentage between 0 and 100`;
+    }
+    if (typeof entry.points !== "number" || entry.points < 0) {
+      return `Points for grade ${entry.grade} must be a number of at least 0`;
+    }
+  }
+
+  if (!scale.some((entry) => entry.min === 0)) {
+    return "The lowest grade must start at 0%";
+  }
+
+  return null;
+};
 
 /**
  * Calculate grade based on marks and total marks
  * @param {number} marks - Marks obtained
  * @param {number} totalMarks - Total possible marks
- * @returns {string} - Grade (A, B, C, D, F)
+ * @param {Array} [scale] - Grading scale (defaults to the configured one)
+ * @returns {string} - Grade (e.g., A, B, C, D, F)
  */
-const calculateGrade = (marks, totalMarks) => {
+const calculateGrade = (marks, totalMarks, scale = DEFAULT_SCALE) => {
   if (marks < 0 || totalMarks <= 0) {
     throw new ErrorResponse("Invalid marks or total marks", 400);
   }
 
   const percentage = (marks / totalMarks) * 100;
+  const sorted = [...scale].sort((a, b) => b.min - a.min);
+  const entry = sorted.find((e) => percentage >= e.min) || sorted[sorted.length - 1];
 
-  if (percentage >= 80) return "A";
-  if (percentage >= 70) return "B";
-  if (percentage >= 60) return "C";
-  if (percentage >= 50) return "D";
-  return "F";
+  return entry.grade;
 };
 
 /**
  * Calculate grade points based on grade
- * @param {string} grade - Grade (A, B, C, D, F)
+ * @param {string} grade - Grade (e.g., A, B, C, D, F)
+ * @param {Array} [scale] - Grading scale (defaults to the configured one)
  * @returns {number} - Grade points
  */
-const calculateGradePoints = (grade) => {
-  const gradePoints = {
-    A: 5,
-    B: 4,
-    C: 3,
-    D: 2,
-    F: 0,
-  };
-
-  return gradePoints[grade] || 0;
+const calculateGradePoints = (grade, scale = DEFAULT_SCALE) => {
+  const entry = scale.find((e) => e.grade === grade);
+  return entry ? entry.points : 0;
 };
 
 /**
@@ -145,6 +188,9 @@ const calculateAverageGrade = (submissions) => {
 };
 
 module.exports = {
+  SCALE_KEY,
+  getGradingScale,
+  validateGradingScale,
   calculateGrade,
   calculateGradePoints,
   calculateWeightedGrade,
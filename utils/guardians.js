@@ -0,0 +1,36 @@
+const GuardianLink = require("../models/GuardianLink");
+
+/**
+ * Gets the IDs of students a parent is actively linked to
+ * @param {string} parentId - Parent user ID
+ * @returns {Promise<Array<string>>} - Linked student IDs
+ */
+const getLinkedStudentIds = async (parentId) => {
+  const links = await GuardianLink.find({
+    parent: parentId,
+    status: "active",
+  }).select("student");
+
+  return links.map((link) => link.student.toString());
+};
+
+/**
+ * Checks whether a parent has an active, verified link to a student
+ * @param {string} parentId - Parent user ID
+ * @param {string} studentId - Student user ID
+ * @returns {Promise<boolean>} - True if linked, false otherwise
+ */
+const isGuardianOf = async (parentId, studentId) => {
+  const link = await GuardianLink.exists({
+    parent: parentId,
+    student: studentId,
+    status: "active",
+  });
+
+  return !!link;
+};
+
+module.exports = {
+  getLinkedStudentIds,
+  isGuardianOf,
+};
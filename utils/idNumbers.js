@@ -0,0 +1,244 @@
+const Counter = require("../models/Counter");
+const IdNumber = require("../models/IdNumber");
+const Setting = require("../models/Setting");
+const Class = require("../models/Class");
+const ErrorResponse = require("./errorResponse");
+const config = require("../config/config");
+
+// Setting holding the admin-configured formats
+const FORMATS_KEY = "identity.idNumberFormats";
+
+// Profile field holding each role's ID number
+const ID_FIELDS = {
+  student: "studentId",
+  teacher: "teacherId",
+};
+
+const TOKEN_PATTERN = /\{([A-Z]+)(?::(\d+))?\}/g;
+const TOKENS = ["YEAR", "YY", "LEVEL", "SEQ"];
+const LITERAL_PATTERN = /^[A-Za-z0-9/_.-]*$/;
+
+// Generated candidates skipped before giving up (reserved/legacy numbers)
+const MAX_ATTEMPTS = 100;
+
+/**
+ * Gets the current ID number formats
+ * @returns {Promise<{student: string, teacher: string}>} - Templates by role
+ */
+const getFormats = () => Setting.getValue(FORMATS_KEY, config.idNumbers.formats);
+
+/**
+ * Checks an ID number template
+ * @param {string} template - Template (e.g., "{YEAR}/{LEVEL}/{SEQ:4}")
+ * @param {string} role - "student" or "teacher"
+ * @returns {string|null} - Error message, or null if the template is valid
+ */
+const validateTemplate = (template, role) => {
+  if (typeof template !== "string" || !template.trim()) {
+    return "Template is required";
+  }
+
+  let seqCount = 0;
+  for (const [, token, width] of template.matchAll(TOKEN_PATTERN)) {
+    if (!TOKENS.includes(token)) return `Unknown token {${token}}`;
+    if (width !== undefined && token !== "SEQ") return `{${token}} does not take a width`;
+    if (width !== undefined && (width < 1 || width > 10)) return "{SEQ} width must be between 1 and 10";
+    if (token === "LEVEL" && role !== "student") return "{LEVEL} can only be used for student IDs";
+    if (token === "SEQ") seqCount++;
+  }
+
+  if (seqCount !== 1) return "Template must contain {SEQ} exactly once";
+
+  const literals = template.replace(TOKEN_PATTERN, "");
+  if (!LITERAL_PATTERN.test(literals)) {
+    return "Template may only contain letters, digits and / _ . -";
+  }
+
+  return null;
+};
+
+/**
+ * Renders a template for a sequence number
+ * @param {string} template - ID number template
+ * @param {Object} values - { year, level, seq }
+ * @returns {string} - ID number
+ */
+const renderTemplate = (template, { year, level, seq }) =>
+  template.replace(TOKEN_PATTERN, (match, token, width) => {
+    switch (token) {
+      case "YEAR":
+        return String(year);
+      case "YY":
+        return String(year).slice(-2);
+      case "LEVEL":
+        return level;
+      case "SEQ":
+        return String(seq).padStart(Number(width) || 1, "0");
+      default:
+        return match;
+    }
+  });
+
+/**
+ * Registers an ID number for a user, failing if it was ever issued,
+ * reserved or retired before
+ * @param {Object} user - User document
+ * @param {string} field - "studentId" or "teacherId"
+ * @param {string} value - ID number
+ * @returns {Promise<void>}
+ */
+const claimIdNumber = async (user, field, value) => {
+  const existing = await IdNumber.findOne({ idType: field, value });
+  if (existing) {
+    if (existing.status === "assigned" && String(existing.user) === String(user._id)) return;
+    throw unavailableError(field, value, existing.status);
+  }
+
+  // Numbers typed in before the registry existed
+  const holder = await user.constructor.exists({
+    [`profile.${field}`]: value,
+    _id: { $ne: user._id },
+  });
+  if (holder) {
+    await registerLegacy(field, value, holder._id);
+    throw unavailableError(field, value, "assigned");
+  }
+
+  try {
+    await IdNumber.create({ idType: field, value, user: user._id });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    throw unavailableError(field, value, "assigned");
+  }
+};
+
+/**
+ * Generates, registers and sets the next ID number for a user's role
+ * @param {Object} user - User document (student or teacher)
+ * @returns {Promise<string>} - Assigned ID number
+ */
+const assignIdNumber = async (user) => {
+  const field = ID_FIELDS[user.role];
+  if (!field) throw new ErrorResponse(`Users with role ${user.role} have no ID number`, 400);
+
+  const template = (await getFormats())[user.role];
+  const values = {
+    year: new Date().getFullYear(),
+    level: user.role === "student" ? await resolveLevel(user) : undefined,
+  };
+
+  // One counter per rendered prefix, so e.g. each year and level count from 1
+  const counterKey = `${field}:${renderTemplate(template, { ...values, seq: "#" })}`;
+
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const seq = await Counter.next(counterKey);
+    const value = renderTemplate(template, { ...values, seq });
+
+    const holder = await user.constructor.exists({
+      [`profile.${field}`]: value,
+      _id: { $ne: user._id },
+    });
+    if (holder) {
+      await registerLegacy(field, value, holder._id);
+      continue;
+    }
+
+    try {
+      await IdNumber.create({ idType: field, value, user: user._id });
+    } catch (err) {
+      // Reserved, retired or taken by a concurrent request
+      if (err.code === 11000) continue;
+      throw err;
+    }
+
+    user.profile[field] = value;
+    return value;
+  }
+
+  throw new ErrorResponse(`Could not generate a free ${field}, please check the ID format`, 500);
+};
+
+/**
+ * Marks an ID number as retired so it is never issued again
+ * @param {string} field - "studentId" or "teacherId"
+ * @param {string} value - ID number
+ * @param {string} reason - Why it was retired
+ * @param {Object} [user] - User it belonged to
+ * @returns {Promise<void>}
+ */
+const retireIdNumber = (field, value, reason, user) =>
+  IdNumber.updateOne(
+    { idType: field, value },
+    {
+      $set: { status: "retired", reason, updatedAt: Date.now() },
+      $setOnInsert: { user: user && user._id, createdAt: Date.now() },
+    },
+    { upsert: true }
+  );
+
+/**
+ * Keeps a user's ID number in step with the registry when it is saved:
+ * new students/teachers without one get the next number, numbers typed in
+ * by hand are checked and registered, replaced or removed numbers are
+ * retired (with user.$locals.idNumberRetireReason, default "replaced")
+ * @param {Object} user - User document being saved
+ * @returns {Promise<void>}
+ */
+const syncIdNumbers = async (user) => {
+  const previous = user.$locals.idNumbers || {};
+
+  for (const field of Object.values(ID_FIELDS)) {
+    const path = `profile.${field}`;
+    if (user.isNew || !user.isModified(path)) continue;
+    if (previous[field] && previous[field] !== user.profile[field]) {
+      const reason = user.$locals.idNumberRetireReason || "replaced";
+      await retireIdNumber(field, previous[field], reason, user);
+    }
+  }
+
+  const field = ID_FIELDS[user.role];
+  if (!field) return;
+
+  const value = user.profile[field];
+  if (!value && user.isNew) {
+    await assignIdNumber(user);
+  } else if (value && (user.isNew || user.isModified(`profile.${field}`))) {
+    await claimIdNumber(user, field, value);
+  }
+};
+
+// Level token for a student, from their current class
+async function resolveLevel(user) {
+  const classObj = user.profile.currentClass
+    ? await Class.findById(user.profile.currentClass).select("level")
+    : null;
+  const level = classObj && classObj.level.replace(/[^A-Za-z0-9]/g, "").toUpperCase();
+
+  return level || config.idNumbers.unknownLevel;
+}
+
+// Record a number that was typed in by hand before the registry existed
+function registerLegacy(field, value, userId) {
+  return IdNumber.updateOne(
+    { idType: field, value },
+    { $setOnInsert: { status: "assigned", user: userId, reason: "legacy" } },
+    { upsert: true }
+  );
+}
+
+function unavailableError(field, value, status) {
+  const state = status === "assigned" ? "already in use" : `${status} and cannot be reused`;
+  return new ErrorResponse(`${field} ${value} is ${state}`, 400);
+}
+
+module.exports = {
+  ID_FIELDS,
+  FORMATS_KEY,
+  getFormats,
+  validateTemplate,
+  renderTemplate,
+  claimIdNumber,
+  assignIdNumber,
+  retireIdNumber,
+  syncIdNumbers,
+};
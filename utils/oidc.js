@@ -0,0 +1,221 @@
+const crypto = require("crypto");
+const axios = require("axios");
+const jwt = require("jsonwebtoken");
+const config = require("../config/config");
+
+// Signature algorithms accepted for ID tokens
+const SUPPORTED_ALGS = [
+  "RS256", "RS384", "RS512",
+  "PS256", "PS384", "PS512",
+  "ES256", "ES384", "ES512",
+  "HS256",
+];
+
+let discoveryCache = null;
+let jwksCache = null;
+
+/**
+ * Fetches (and caches) the provider's discovery document
+ * @returns {Promise<Object>} - OpenID provider metadata
+ */
+const getProviderMetadata = async () => {
+  const { issuer, discoveryCacheTtl } = config.oidc;
+
+  if (discoveryCache && discoveryCache.fetchedAt + discoveryCacheTtl > Date.now()) {
+    return discoveryCache.metadata;
+  }
+
+  const url = `${issuer.replace(/\/$/, "")}/.well-known/openid-configuration`;
+  const { data } = await axios.get(url, { timeout: 10000 });
+
+  // The document must describe the issuer we were configured with
+  if (data.issuer !== issuer) {
+    throw new Error(`Discovery issuer ${data.issuer} does not match ${issuer}`);
+  }
+
+  discoveryCache = { metadata: data, fetchedAt: Date.now() };
+  return data;
+};
+
+/**
+ * Finds the provider's public key for a key ID, refetching the JWKS once
+ * when the key is unknown (the provider may have rotated keys)
+ * @param {string} kid - Key ID from the token header
+ * @returns {Promise<crypto.KeyObject>} - Public key
+ */
+const getSigningKey = async (kid) => {
+  const findKey = () =>
+    jwksCache &&
+    jwksCache.keys.find(
+      (key) => (!kid || key.kid === kid) && (!key.use || key.use === "sig")
+    );
+
+  let jwk = findKey();
+  if (!jwk) {
+    const metadata = await getProviderMetadata();
+    const { data } = await axios.get(metadata.jwks_uri, { timeout: 10000 });
+    jwksCache = { keys: data.keys || [] };
+    jwk = findKey();
+  }
+
+  if (!jwk) throw new Error(`No signing key found for kid ${kid}`);
+
+  return crypto.createPublicKey({ key: jwk, format: "jwk" });
+};
+
+/**
+ * Generates a PKCE code verifier and its S256 challenge
+ * @returns {{codeVerifier: string, codeChallenge: string}} - PKCE pair
+ */
+const createPkce = () => {
+  const codeVerifier = crypto.randomBytes(32).toString("base64url");
+  const codeChallenge = crypto
+    .createHash("sha256")
+    .update(codeVerifier)
+    .digest("base64url");
+
+  return { codeVerifier, codeChallenge };
+};
+
+/**
+ * Builds the provider's authorization URL
+ * @param {Object} params - { state, nonce, codeChallenge }
+ * @returns {Promise<string>} - URL to redirect the browser to
+ */
+const buildAuthorizationUrl = async ({ state, nonce, codeChallenge }) => {
+  const metadata = await getProviderMetadata();
+  const url = new URL(metadata.authorization_endpoint);
+
+  url.search = new URLSearchParams({
+    response_type: "code",
+    client_id: config.oidc.clientId,
+    redirect_uri: config.oidc.redirectUri,
+    scope: config.oidc.scope,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: "S256",
+  }).toString();
+
+  return url.toString();
+};
+
+/**
+ * Exchanges an authorization code for tokens
+ * @param {string} code - Authorization code from the callback
+ * @param {string} codeVerifier - PKCE verifier of the transaction
+ * @returns {Promise<Object>} - Token response (id_token, access_token, ...)
+ */
+const exchangeCode = async (code, codeVerifier) => {
+  const metadata = await getProviderMetadata();
+  const { clientId, clientSecret, redirectUri } = config.oidc;
+
+  const body = new URLSearchParams({
+    grant_type: "authorization_code",
+    code,
+    redirect_uri: redirectUri,
+    client_id: clientId,
+    code_verifier: codeVerifier,
+  });
+
+  // Confidential clients authenticate with client_secret_basic
+  const headers = { "Content-Type": "application/x-www-form-urlencoded" };
+  if (clientSecret) {
+    const credentials = `${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString("base64")}`;
+  }
+
+  const { data } = await axios.post(metadata.token_endpoint, body.toString(), {
+    headers,
+    timeout: 10000,
+  });
+
+  if (!data.id_token) throw new Error("Token response did not include an ID token");
+  return data;
+};
+
+/**
+ * Validates an ID token's signature and claims
+ * @param {string} idToken - ID token from the token response
+ * @param {string} nonce - Nonce sent with the authorization request
+ * @returns {Promise<Object>} - Verified claims
+ */
+const verifyIdToken = async (idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) throw new Error("Malformed ID token");
+
+  const { alg, kid } = decoded.header;
+  if (!SUPPORTED_ALGS.includes(alg)) {
+    throw new Error(`Unsupported ID token algorithm ${alg}`);
+  }
+
+  const key = alg === "HS256" ? config.oidc.clientSecret : await getSigningKey(kid);
+
+  const claims = jwt.verify(idToken, key, {
+    algorithms: [alg],
+    issuer: config.oidc.issuer,
+    audience: config.oidc.clientId,
+    clockTolerance: 60,
+  });
+
+  if (claims.nonce !== nonce) throw new Error("ID token nonce mismatch");
+
+  return claims;
+};
+
+/**
+ * Fetches the UserInfo claims for an access token
+ * @param {string} accessToken - Access token from the token response
+ * @returns {Promise<Object>} - UserInfo claims, or {} if the provider has no endpoint
+ */
+const fetchUserInfo = async (accessToken) => {
+  const metadata = await getProviderMetadata();
+  if (!metadata.userinfo_endpoint || !accessToken) return {};
+
+  const { data } = await axios.get(metadata.userinfo_endpoint, {
+    headers: { Authorization: `Bearer ${accessToken}` },
+    timeout: 10000,
+  });
+
+  return data;
+};
+
+/**
+ * Maps the configured role claim to a platform role
+ * @param {Object} claims - ID token/UserInfo claims
+ * @returns {string|null} - Most privileged mapped role, or the default role
+ */
+const mapRole = (claims) => {
+  const { roleClaim, roleMapping, defaultRole } = config.oidc;
+
+  // Support nested claims such as "realm_access.roles"
+  const value = roleClaim
+    .split(".")
+    .reduce((obj, key) => (obj == null ? undefined : obj[key]), claims);
+  const values = Array.isArray(value) ? value : value ? [value] : [];
+
+  const mapped = values.map((v) => roleMapping[v]).filter(Boolean);
+  const role = ROLE_PRECEDENCE.find((r) => mapped.includes(r));
+
+  return role || defaultRole;
+};
+
+// Most privileged first, used when claims map to several roles
+const ROLE_PRECEDENCE = ["admin", "teacher", "parent", "student"];
+
+// Forget cached provider metadata and keys (e.g. after changing the issuer)
+const resetCache = () => {
+  discoveryCache = null;
+  jwksCache = null;
+};
+
+module.exports = {
+  getProviderMetadata,
+  createPkce,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+  fetchUserInfo,
+  mapRole,
+  resetCache,
+};
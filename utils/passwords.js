@@ -0,0 +1,180 @@
+const fs = require("fs");
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const Setting = require("../models/Setting");
+const config = require("../config/config");
+
+// Setting holding the admin-configured policy
+const POLICY_KEY = "security.passwordPolicy";
+
+// Character classes, checked when the policy requires them
+const RULES = [
+  { option: "requireUppercase", pattern: /[A-Z]/, message: "an uppercase letter" },
+  { option: "requireLowercase", pattern: /[a-z]/, message: "a lowercase letter" },
+  { option: "requireNumber", pattern: /[0-9]/, message: "a number" },
+  { option: "requireSymbol", pattern: /[^A-Za-z0-9]/, message: "a symbol" },
+];
+
+const TEMPORARY_CHARSETS = [
+  "ABCDEFGHJKLMNPQRSTUVWXYZ",
+  "abcdefghijkmnopqrstuvwxyz",
+  "23456789",
+  "!@#$%*?",
+];
+
+// Loaded on first use
+let breachedPasswords;
+
+/**
+ * Gets the current password policy
+ * @returns {Promise<Object>} - Policy (see config.security.passwordPolicy)
+ */
+const getPolicy = async () => ({
+  ...config.security.passwordPolicy,
+  ...(await Setting.getValue(POLICY_KEY, {})),
+});
+
+/**
+ * Checks whether a password appears in the bundled breached password list,
+ * also with trailing digits and symbols removed ("Password123!")
+ * @param {string} password - Plain text password
+ * @returns {boolean} - True if the password is known to be breached
+ */
+const isBreached = (password) => {
+  if (!breachedPasswords) {
+    breachedPasswords = new Set(
+      fs
+        .readFileSync(config.security.breachedPasswordsFile, "utf8")
+        .split(/\r?\n/)
+        .map((line) => line.trim().toLowerCase())
+        .filter((line) => line && !line.startsWith("#"))
+    );
+  }
+
+  const lower = password.toLowerCase();
+  return breachedPasswords.has(lower) || breachedPasswords.has(lower.replace(/[^a-z]+$/, ""));
+};
+
+/**
+ * Checks a password against the policy's rules (not its history)
+ * @param {string} password - Plain text password
+ * @param {Object} policy - Password policy
+ * @param {Object} [user] - Account it is for ({ firstName, lastName, email })
+ * @returns {string|null} - Error message, or null if the password is acceptable
+ */
+const checkPassword = (password, policy, user = {}) => {
+  if (typeof password !== "string" || !password) return "Please provide a password";
+
+  const missing = [];
+  if (password.length < policy.minLength) missing.push(`be at least ${policy.minLength} characters`);
+  RULES.forEach(({ option, pattern, message }) => {
+    if (policy[option] && !pattern.test(password)) missing.push(`contain ${message}`);
+  });
+  if (missing.length > 0) return `Password must ${missing.join(", ")}`;
+
+  const lower = password.toLowerCase();
+  const personal = [user.firstName, user.lastName, user.email && user.email.split("@")[0]]
+    .filter((value) => value && value.length >= 3)
+    .map((value) => value.toLowerCase());
+  if (personal.some((value) => lower.includes(value))) {
+    return "Password must not contain your name or email";
+  }
+
+  if (policy.checkBreached && isBreached(password)) {
+    return "This password has appeared in a data breach, please choose another";
+  }
+
+  return null;
+};
+
+/**
+ * Checks a new password for a user against the policy and their history
+ * @param {Object} user - User document, loaded with +passwordHistory
+ * @param {string} password - Plain text password
+ * @param {Object} policy - Password policy
+ * @returns {Promise<string|null>} - Error message, or null if acceptable
+ */
+const validateNewPassword = async (user, password, policy) => {
+  const error = checkPassword(password, policy, user);
+  if (error) return error;
+
+  if (policy.historySize > 0) {
+    const previous = [user.password, ...(user.passwordHistory || [])]
+      .filter(Boolean)
+      .slice(0, policy.historySize);
+
+    for (const hash of previous) {
+      if (await bcrypt.compare(password, hash)) {
+        return `You cannot reuse any of your last ${policy.historySize} passwords`;
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Sets a user's password, keeping the current one in their history. Check it
+ * with validateNewPassword first; temporary passwords must be changed at the
+ * next sign-in.
+ * @param {Object} user - User document, loaded with +passwordHistory
+ * @param {string} password - Plain text password
+ * @param {Object} policy - Password policy
+ * @param {Object} [options] - { temporary }
+ */
+const setPassword = (user, password, policy, options = {}) => {
+  if (!user.isNew && user.password && !user.isModified("password")) {
+    user.passwordHistory = [user.password, ...(user.passwordHistory || [])].slice(
+      0,
+      Math.max(policy.historySize - 1, 0)
+    );
+  }
+
+  user.password = password;
+  user.mustChangePassword = !!options.temporary;
+};
+
+/**
+ * Checks whether a user's password is older than the policy allows
+ * @param {Object} user - User document
+ * @param {Object} policy - Password policy
+ * @returns {boolean} - True if the password must be changed
+ */
+const isExpired = (user, policy) => {
+  if (!policy.maxAgeDays) return false;
+
+  const changedAt = user.passwordChangedAt || user.createdAt;
+  return changedAt < Date.now() - policy.maxAgeDays * 24 * 60 * 60 * 1000;
+};
+
+/**
+ * Generates a random password that satisfies any policy's character rules
+ * @param {Object} policy - Password policy
+ * @returns {string} - Temporary password
+ */
+const generateTemporaryPassword = (policy) => {
+  const length = Math.max(policy.minLength, 14);
+  const all = TEMPORARY_CHARSETS.join("");
+  const chars = TEMPORARY_CHARSETS.map((set) => set[crypto.randomInt(set.length)]);
+
+  while (chars.length < length) chars.push(all[crypto.randomInt(all.length)]);
+
+  // Shuffle so the required classes aren't always up front
+  for (let i = chars.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [chars[i], chars[j]] = [chars[j], chars[i]];
+  }
+
+  return chars.join("");
+};
+
+module.exports = {
+  POLICY_KEY,
+  getPolicy,
+  isBreached,
+  checkPassword,
+  validateNewPassword,
+  setPassword,
+  isExpired,
+  generateTemporaryPassword,
+};
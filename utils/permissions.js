@@ -0,0 +1,118 @@
+const Role = require("../models/Role");
+const Class = require("../models/Class");
+const Attendance = require("../models/Attendance");
+const AcademicEnrollment = require("../models/AcademicEnrollment");
+const Gradebook = require("../models/Gradebook");
+const SubstituteAssignment = require("../models/SubstituteAssignment");
+const { ROLE_PERMISSIONS, PLATFORM_PERMISSIONS } = require("../config/permissions");
+
+/**
+ * Builds the effective permission grants of a user: the built-in role's
+ * permissions (unscoped) plus every active custom role they were granted
+ * @param {Object} user - User document
+ * @returns {Promise<Array<{permission: string, scope: Object|null}>>} - Grants
+ */
+const resolveGrants = async (user) => {
+  const grants = (ROLE_PERMISSIONS[user.role] || []).map((permission) => ({
+    permission,
+    scope: null,
+  }));
+
+  if (user.roleGrants && user.roleGrants.length > 0) {
+    const roles = await Role.find({
+      _id: { $in: user.roleGrants.map((g) => g.role) },
+      isActive: true,
+    });
+    const rolesById = new Map(roles.map((r) => [r._id.toString(), r]));
+
+    user.roleGrants.forEach((grant) => {
+      const role = rolesById.get(grant.role.toString());
+      if (!role) return;
+
+      role.permissions.forEach((permission) => {
+        grants.push({ permission, scope: grant.scope || null });
+      });
+    });
+  }
+
+  return grants;
+};
+
+/**
+ * Checks whether a grant scope covers a target class
+ * @param {Object|null} scope - Grant scope ({ levels, classes })
+ * @param {Object} [target] - Target ({ class, level })
+ * @returns {boolean} - True if the scope applies, false otherwise
+ */
+const scopeMatches = (scope, target) => {
+  const levels = (scope && scope.levels) || [];
+  const classes = ((scope && scope.classes) || []).map(String);
+
+  // An empty scope is school-wide
+  if (levels.length === 0 && classes.length === 0) return true;
+  if (!target) return false;
+
+  if (target.class && classes.includes(String(target.class))) return true;
+  if (target.level && levels.includes(target.level)) return true;
+  return false;
+};
+
+/**
+ * Checks whether a user holds a permission, optionally for a specific class
+ * @param {Object} user - User with permissionGrants loaded by protect
+ * @param {string} permission - Permission key
+ * @param {Object} [target] - Class the action applies to ({ class, level })
+ * @returns {boolean} - True if permitted, false otherwise
+ */
+const hasPermission = (user, permission, target) => {
+  if (!user) return false;
+
+  const grants =
+    user.permissionGrants ||
+    (ROLE_PERMISSIONS[user.role] || []).map((p) => ({ permission: p, scope: null }));
+
+  // "*" covers every permission within a school, not the platform's
+  const wildcard = !Object.hasOwn(PLATFORM_PERMISSIONS, permission);
+
+  return grants.some(
+    (grant) =>
+      ((wildcard && grant.permission === "*") || grant.permission === permission) &&
+      scopeMatches(grant.scope, target)
+  );
+};
+
+/**
+ * Loads the scope target for a class
+ * @param {string|Object} classId - Class ID or populated class
+ * @returns {Promise<Object|undefined>} - { class, level } or undefined if not found
+ */
+const classTarget = async (classId) => {
+  if (!classId) return undefined;
+
+  // Accept a populated class as well as an ID
+  const classObj = await Class.findById(classId._id || classId).select("level");
+  return classObj ? { class: classObj._id, level: classObj.level } : undefined;
+};
+
+// Resolve the class a request acts on, for scoped permission checks
+const targetFromDocument = (Model) => async (req) => {
+  const doc = await Model.findById(req.params.id).select("class");
+  return doc ? classTarget(doc.class) : undefined;
+};
+
+const scopes = {
+  classParam: (param = "id") => (req) => classTarget(req.params[param]),
+  classBody: (field = "class") => (req) => classTarget(req.body[field]),
+  classQuery: (field = "class") => (req) => classTarget(req.query[field]),
+  attendance: targetFromDocument(Attendance),
+  enrollment: targetFromDocument(AcademicEnrollment),
+  gradebook: targetFromDocument(Gradebook),
+  substituteAssignment: targetFromDocument(SubstituteAssignment),
+};
+
+module.exports = {
+  resolveGrants,
+  hasPermission,
+  classTarget,
+  scopes,
+};
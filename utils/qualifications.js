@@ -0,0 +1,54 @@
+// Fields a teacher may set on their own qualification; review fields
+// (status, isVerified, verifiedBy, ...) are only ever set by a reviewer
+const SUBMITTED_FIELDS = [
+  "subject",
+  "qualificationLevel",
+  "yearsOfExperience",
+  "institution",
+  "yearObtained",
+];
+
+/**
+ * Converts uploaded files into qualification document entries
+ * @param {Array} files - Multer files saved under uploads/qualifications
+ * @param {string} [description] - Description applied to every document
+ * @returns {Array<Object>} - Document entries
+ */
+const documentsFromFiles = (files = [], description) =>
+  files.map((file) => ({
+    name: file.originalname,
+    url: `/uploads/qualifications/${file.filename}`,
+    fileType: file.mimetype,
+    uploadedAt: Date.now(),
+    description: description || "Qualification document",
+  }));
+
+/**
+ * Builds a new qualification awaiting review from submitted data
+ * @param {Object} data - Submitted qualification fields
+ * @param {Array} files - Uploaded documents
+ * @param {string} [description] - Document description
+ * @returns {Object} - Qualification ready to push onto profile.qualifications
+ */
+const buildQualification = (data = {}, files, description) => {
+  const qualification = {};
+
+  SUBMITTED_FIELDS.forEach((field) => {
+    if (data[field] !== undefined && data[field] !== "") {
+      qualification[field] = data[field];
+    }
+  });
+
+  qualification.documents = documentsFromFiles(files, description);
+  qualification.status = "pending";
+  qualification.isVerified = false;
+  qualification.submittedAt = Date.now();
+
+  return qualification;
+};
+
+module.exports = {
+  SUBMITTED_FIELDS,
+  documentsFromFiles,
+  buildQualification,
+};
@@ -0,0 +1,53 @@
+/**
+ * In-memory fixed-window counter store for the rate limiter.
+ *
+ * Any object with the same async increment/reset methods can be plugged in
+ * with setStore (middleware/rateLimit) - e.g. a Redis-backed store when
+ * running more than one instance.
+ */
+class MemoryStore {
+  constructor({ cleanupIntervalMs = 60 * 1000 } = {}) {
+    this.hits = new Map();
+
+    // Drop expired windows so the map does not grow without bound
+    this.cleanupTimer = setInterval(() => this.cleanup(), cleanupIntervalMs);
+    if (this.cleanupTimer.unref) this.cleanupTimer.unref();
+  }
+
+  /**
+   * Counts a hit for a key
+   * @param {string} key - Counter key (e.g. "login:ip:127.0.0.1")
+   * @param {number} windowMs - Window length in milliseconds
+   * @returns {Promise<{count: number, resetAt: Date}>} - Hits in the current window
+   */
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let entry = this.hits.get(key);
+
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      this.hits.set(key, entry);
+    }
+
+    entry.count += 1;
+    return { count: entry.count, resetAt: new Date(entry.resetAt) };
+  }
+
+  /**
+   * Clears the counter for a key
+   * @param {string} key - Counter key
+   * @returns {Promise<void>}
+   */
+  async reset(key) {
+    this.hits.delete(key);
+  }
+
+  cleanup() {
+    const now = Date.now();
+    for (const [key, entry] of this.hits) {
+      if (entry.resetAt <= now) this.hits.delete(key);
+    }
+  }
+}
+
+module.exports = { MemoryStore };
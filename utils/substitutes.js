@@ -0,0 +1,47 @@
+const SubstituteAssignment = require("../models/SubstituteAssignment");
+
+/**
+ * Gets the class subjects a teacher is covering as a substitute
+ * @param {string} teacherId - Teacher user ID
+ * @param {Date} [date] - Date to check (defaults to now)
+ * @returns {Promise<Array<{class: Object, subject: Object}>>} - Class and subject IDs
+ */
+const getCoveredSubjects = async (teacherId, date = new Date()) => {
+  const assignments = await SubstituteAssignment.find({
+    substitute: teacherId,
+    ...SubstituteAssignment.activeOn(date),
+  }).select("class subject");
+
+  return assignments.map((a) => ({ class: a.class, subject: a.subject }));
+};
+
+/**
+ * Checks whether a teacher is covering a subject in a class, or any subject
+ * in it when no subject is given
+ * @param {string} teacherId - Teacher user ID
+ * @param {string|Object} classId - Class ID or populated class
+ * @param {string|Object} [subjectId] - Subject ID or populated subject
+ * @param {Date} [date] - Date to check (defaults to now)
+ * @returns {Promise<boolean>} - True if covering, false otherwise
+ */
+const isCovering = async (teacherId, classId, subjectId, date = new Date()) => {
+  if (!classId) return false;
+
+  const filter = {
+    substitute: teacherId,
+    class: idOf(classId),
+    ...SubstituteAssignment.activeOn(date),
+  };
+  if (subjectId) filter.subject = idOf(subjectId);
+
+  return !!(await SubstituteAssignment.exists(filter));
+};
+
+function idOf(value) {
+  return value && value._id ? value._id : value;
+}
+
+module.exports = {
+  getCoveredSubjects,
+  isCovering,
+};
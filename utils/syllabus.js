@@ -0,0 +1,183 @@
+const mongoose = require("mongoose");
+const SyllabusTopic = require("../models/SyllabusTopic");
+const Class = require("../models/Class");
+const Content = require("../models/Content");
+const Assignment = require("../models/Assignment");
+const LiveSession = require("../models/LiveSession");
+
+/**
+ * Nests syllabus topics into a tree, siblings in order
+ * @param {Object[]} topics - Topics of one subject and level
+ * @returns {Object[]} - Units, each with its children
+ */
+const buildTree = (topics) => {
+  const nodes = new Map(
+    topics.map((t) => [t._id.toString(), { ...(t.toObject ? t.toObject() : t), children: [] }])
+  );
+  const roots = [];
+
+  nodes.forEach((node) => {
+    const parent = node.parent && nodes.get(node.parent.toString());
+    (parent ? parent.children : roots).push(node);
+  });
+
+  const sort = (list) => {
+    list.sort((a, b) => a.order - b.order || String(a.title).localeCompare(b.title));
+    list.forEach((node) => sort(node.children));
+    return list;
+  };
+
+  return sort(roots);
+};
+
+/**
+ * Gets the IDs of a topic and everything below it
+ * @param {Object} topic - SyllabusTopic document
+ * @returns {Promise<Object[]>} - Topic IDs
+ */
+const subtreeIds = async (topic) => {
+  const ids = [topic._id];
+  let frontier = [topic._id];
+
+  while (frontier.length > 0) {
+    const children = await SyllabusTopic.find({ parent: { $in: frontier } }).select("_id");
+    frontier = children.map((c) => c._id);
+    ids.push(...frontier);
+  }
+
+  return ids;
+};
+
+/**
+ * Checks the topic tags of a piece of content, assignment or live session:
+ * topics must be active and in the syllabus of its subject and class level
+ * @param {*} value - Topic IDs (array, JSON array or comma-separated string)
+ * @param {Object} item - { subject, class }
+ * @returns {Promise<{topics: Object[]}|{error: string}>} - Topic IDs, or an error
+ */
+const resolveTopicTags = async (value, { subject, class: classId }) => {
+  const ids = parseIds(value);
+  if (!ids) return { error: "topics must be a list of topic IDs" };
+  if (ids.length === 0) return { topics: [] };
+
+  const unique = [...new Set(ids)];
+  const topics = await SyllabusTopic.find({ _id: { $in: unique }, isActive: true });
+  if (topics.length !== unique.length) {
+    return { error: "One or more topics not found" };
+  }
+
+  const classObj = await Class.findById(classId).select("level");
+  const outside = topics.some(
+    (t) => String(t.subject) !== String(subject) || (classObj && t.level !== classObj.level)
+  );
+  if (outside) {
+    return { error: "Topics must come from the syllabus of the subject and class level" };
+  }
+
+  return { topics: topics.map((t) => t._id) };
+};
+
+/**
+ * Works out which topics of a syllabus a class has been taught (content or
+ * held live sessions) and assessed (published assignments) in a period
+ * @param {Object[]} topics - Active topics of the subject and level
+ * @param {Object} options - { class, subject, from, to }
+ * @returns {Promise<Object>} - { tree, summary }
+ */
+const buildCoverage = async (topics, { class: classId, subject, from, to }) => {
+  const ids = topics.map((t) => t._id);
+  const period = (field) => {
+    const range = {};
+    if (from) range.$gte = from;
+    if (to) range.$lte = to;
+    return Object.keys(range).length > 0 ? { [field]: range } : {};
+  };
+
+  const [content, sessions, assignments] = await Promise.all([
+    countByTopic(Content, { class: classId, subject, topics: { $in: ids }, ...period("createdAt") }),
+    countByTopic(LiveSession, {
+      class: classId,
+      subject,
+      topics: { $in: ids },
+      status: { $in: ["live", "ended"] },
+      ...period("startTime"),
+    }),
+    countByTopic(Assignment, {
+      class: classId,
+      subject,
+      topics: { $in: ids },
+      status: { $in: ["published", "closed"] },
+      ...period("dueDate"),
+    }),
+  ]);
+
+  const tree = buildTree(topics);
+  const summary = { topics: 0, taught: 0, assessed: 0, expectedWeeks: 0, weeksTaught: 0 };
+
+  // Leaves are counted in the summary; a parent is taught or assessed when
+  // tagged itself or when all its children are
+  const annotate = (node) => {
+    const id = node._id.toString();
+    node.content = content.get(id) || 0;
+    node.liveSessions = sessions.get(id) || 0;
+    node.assignments = assignments.get(id) || 0;
+    node.children.forEach(annotate);
+
+    const hasChildren = node.children.length > 0;
+    node.taught =
+      node.content + node.liveSessions > 0 || (hasChildren && node.children.every((c) => c.taught));
+    node.assessed = node.assignments > 0 || (hasChildren && node.children.every((c) => c.assessed));
+
+    if (!hasChildren) {
+      summary.topics += 1;
+      summary.expectedWeeks += node.expectedWeeks || 0;
+      if (node.taught) {
+        summary.taught += 1;
+        summary.weeksTaught += node.expectedWeeks || 0;
+      }
+      if (node.assessed) summary.assessed += 1;
+    }
+  };
+  tree.forEach(annotate);
+
+  const percent = (count) => (summary.topics ? Math.round((count / summary.topics) * 1000) / 10 : 0);
+  summary.taughtPercent = percent(summary.taught);
+  summary.assessedPercent = percent(summary.assessed);
+
+  return { tree, summary };
+};
+
+// Accept IDs as an array, a JSON array or a comma-separated string (forms)
+function parseIds(value) {
+  let ids = value;
+
+  if (typeof value === "string") {
+    try {
+      ids = value.trim().startsWith("[") ? JSON.parse(value) : value.split(",");
+    } catch (err) {
+      return null;
+    }
+  }
+
+  if (!Array.isArray(ids)) return null;
+  ids = ids.map((id) => String(id).trim()).filter(Boolean);
+  return ids.every((id) => mongoose.Types.ObjectId.isValid(id)) ? ids : null;
+}
+
+async function countByTopic(Model, match) {
+  const rows = await Model.aggregate([
+    { $match: match },
+    { $unwind: "$topics" },
+    { $match: { topics: match.topics } },
+    { $group: { _id: "$topics", count: { $sum: 1 } } },
+  ]);
+
+  return new Map(rows.map((row) => [row._id.toString(), row.count]));
+}
+
+module.exports = {
+  buildTree,
+  subtreeIds,
+  resolveTopicTags,
+  buildCoverage,
+};
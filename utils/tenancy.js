@@ -0,0 +1,210 @@
+const { AsyncLocalStorage } = require("async_hooks");
+const mongoose = require("mongoose");
+const ErrorResponse = require("./errorResponse");
+const config = require("../config/config");
+
+// School the current request runs for. A null school is the platform itself:
+// super-admins and the records that belong to no school.
+const storage = new AsyncLocalStorage();
+
+// Query operations the tenant filter is added to
+const QUERY_OPS = [
+  "countDocuments",
+  "deleteMany",
+  "deleteOne",
+  "distinct",
+  "find",
+  "findOne",
+  "findOneAndDelete",
+  "findOneAndReplace",
+  "findOneAndUpdate",
+  "replaceOne",
+  "updateMany",
+  "updateOne",
+];
+
+// Schools by slug, so resolving the tenant doesn't cost a query per request
+const cache = new Map();
+
+/**
+ * Finds a school by slug, cached briefly
+ * @param {string} slug - School slug
+ * @returns {Promise<Object|null>} - School document
+ */
+const findSchool = async (slug) => {
+  const cached = cache.get(slug);
+  if (cached && cached.expires > Date.now()) return cached.school;
+
+  // Required here: the School model loads the audit plugin, whose AuditLog
+  // model uses this module
+  const School = require("../models/School");
+  const school = await School.findOne({ slug });
+  cache.set(slug, { school, expires: Date.now() + config.tenancy.cacheTtl });
+  return school;
+};
+
+/**
+ * Forgets a cached school after it changes
+ * @param {string} slug - School slug
+ */
+const forgetSchool = (slug) => cache.delete(slug);
+
+/**
+ * Express middleware that resolves the school of a request from the X-School
+ * header, the subdomain or the configured default. Requests naming no school
+ * run at platform level until protect moves them into the user's school.
+ */
+const tenantContext = async (req, res, next) => {
+  const slug = requestedSlug(req);
+  let school = null;
+
+  if (slug) {
+    school = await findSchool(slug);
+    if (!school) {
+      return next(new ErrorResponse(`School not found: ${slug}`, 404));
+    }
+    if (!school.isActive) {
+      return next(new ErrorResponse("This school is not active", 403));
+    }
+  }
+
+  req.school = school;
+  storage.run({ school: school ? school._id : null }, () => next());
+};
+
+/**
+ * Gets the school the current code runs for
+ * @returns {Object|null|undefined} - School ID, null at platform level, or
+ * undefined outside a request (background jobs see every school)
+ */
+const currentSchool = () => {
+  const context = storage.getStore();
+  return context ? context.school : undefined;
+};
+
+/**
+ * Moves an authenticated request into its user's school. Users only reach
+ * their own school; super-admins reach the school named in the request, or
+ * the platform when none is.
+ * @param {Object} user - Authenticated user
+ * @returns {ErrorResponse|null} - Error to stop the request, or null
+ */
+const enterUserSchool = (user) => {
+  const context = storage.getStore();
+  if (!context || user.role === "superadmin") return null;
+
+  if (!user.school || (context.school && !user.school.equals(context.school))) {
+    return new ErrorResponse("Not authorized to access this route", 401);
+  }
+
+  context.school = user.school;
+  return null;
+};
+
+/**
+ * Runs code for a school, e.g. a background job acting on its records
+ * @param {Object} school - School ID
+ * @param {Function} fn - Function returning a promise
+ * @returns {Promise<*>} - Result of fn
+ */
+const runAsSchool = (school, fn) => storage.run({ school: school || null }, fn);
+
+/**
+ * Runs code across every school, e.g. loading the user of a token before
+ * knowing which school they belong to
+ * @param {Function} fn - Function returning a promise (call exec() on queries)
+ * @returns {Promise<*>} - Result of fn
+ */
+const acrossSchools = (fn) => storage.exit(fn);
+
+/**
+ * Mongoose plugin that gives a model a school and keeps every query,
+ * aggregation and new record inside the school of the current request
+ * @param {Object} schema - Mongoose schema
+ * @param {Object} [options] - { required: false } when records may be made
+ * outside any school; { platform: (doc) => boolean } for records that never
+ * belong to one
+ */
+const tenantPlugin = (schema, options = {}) => {
+  schema.add({
+    school: { type: mongoose.Schema.Types.ObjectId, ref: "School", index: true },
+  });
+
+  schema.pre(QUERY_OPS, { document: false, query: true }, function () {
+    const school = currentSchool();
+    if (school === undefined) return;
+
+    this.where({ school });
+
+    // Records never move between schools
+    const update = this.getUpdate();
+    if (update) {
+      delete update.school;
+      ["$set", "$unset", "$setOnInsert"].forEach((op) => {
+        if (update[op]) delete update[op].school;
+      });
+      if (["replaceOne", "findOneAndReplace"].includes(this.op)) update.school = school;
+    }
+  });
+
+  schema.pre("aggregate", function () {
+    const school = currentSchool();
+    if (school === undefined) return;
+
+    this.pipeline().unshift({ $match: { school } });
+  });
+
+  const { required = true, platform = () => false } = options;
+
+  schema.pre("validate", function () {
+    if (!this.isNew) return;
+
+    if (platform(this)) {
+      this.school = undefined;
+      return;
+    }
+
+    // Inside a request new records always go to its school
+    const school = currentSchool();
+    if (school !== undefined) this.school = school || undefined;
+
+    if (!this.school && required) {
+      this.invalidate("school", "Please choose a school (X-School header or subdomain)");
+    }
+  });
+
+  schema.pre("insertMany", function (next, docs) {
+    const school = currentSchool();
+    if (school) {
+      (Array.isArray(docs) ? docs : [docs]).forEach((doc) => {
+        if (!platform(doc)) doc.school = school;
+      });
+    }
+    next();
+  });
+};
+
+// The slug named by the request, if any
+function requestedSlug(req) {
+  const header = req.get(config.tenancy.header);
+  if (header) return header.trim().toLowerCase();
+
+  const { baseDomain } = config.tenancy;
+  if (baseDomain && req.hostname && req.hostname.endsWith(`.${baseDomain}`)) {
+    const subdomain = req.hostname.slice(0, -(baseDomain.length + 1));
+    if (subdomain && !subdomain.includes(".")) return subdomain.toLowerCase();
+  }
+
+  return config.tenancy.defaultSchool || null;
+}
+
+module.exports = {
+  tenantContext,
+  currentSchool,
+  enterUserSchool,
+  runAsSchool,
+  acrossSchools,
+  tenantPlugin,
+  findSchool,
+  forgetSchool,
+};
@@ -0,0 +1,213 @@
+const TimetableEntry = require("../models/TimetableEntry");
+const Setting = require("../models/Setting");
+const config = require("../config/config");
+
+// Setting holding the admin-configured bell schedule
+const BELL_SCHEDULE_KEY = "timetable.bellSchedule";
+
+const DAYS = ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday"];
+
+// Resources that can't be in two places at once
+const CLASH_TYPES = ["class", "teacher", "venue"];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const PERIOD_KEY_PATTERN = /^[A-Z0-9_]{1,12}$/;
+
+/**
+ * Gets the current bell schedule
+ * @returns {Promise<{days: string[], periods: Object[]}>} - Teaching days and periods
+ */
+const getBellSchedule = () => Setting.getValue(BELL_SCHEDULE_KEY, config.timetable);
+
+/**
+ * Checks a bell schedule
+ * @param {Object} schedule - { days, periods: [{ key, name, start, end, isBreak }] }
+ * @returns {string|null} - Error message, or null if the schedule is valid
+ */
+const validateBellSchedule = (schedule) => {
+  const { days, periods } = schedule || {};
+
+  if (!Array.isArray(days) || days.length === 0 || days.some((d) => !DAYS.includes(d))) {
+    return `days must be a list of: ${DAYS.join(", ")}`;
+  }
+  if (new Set(days).size !== days.length) return "Each day can only be listed once";
+
+  if (!Array.isArray(periods) || periods.length === 0) return "At least one period is required";
+
+  const keys = new Set();
+  for (const period of periods) {
+    if (!period || !PERIOD_KEY_PATTERN.test(period.key)) {
+      return "Period keys must be 1-12 uppercase letters, digits or _";
+    }
+    if (keys.has(period.key)) return `Period key ${period.key} is used twice`;
+    keys.add(period.key);
+
+    if (!period.name || !String(period.name).trim()) return `Period ${period.key} needs a name`;
+    if (!TIME_PATTERN.test(period.start) || !TIME_PATTERN.test(period.end)) {
+      return `Period ${period.key} times must be in HH:MM format`;
+    }
+    if (period.start >= period.end) return `Period ${period.key} must end after it starts`;
+  }
+
+  const sorted = [...periods].sort((a, b) => a.start.localeCompare(b.start));
+  for (let i = 1; i < sorted.length; i++) {
+    if (sorted[i].start < sorted[i - 1].end) {
+      return `Periods ${sorted[i - 1].key} and ${sorted[i].key} overlap`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Finds the entries an entry would clash with: the same class, teacher or
+ * venue booked at an overlapping time on the same day of the same term
+ * @param {Object} entry - Entry (saved or not)
+ * @returns {Promise<Array<{types: string[], entry: Object}>>} - Clashing entries
+ */
+const findClashes = async (entry) => {
+  const resources = CLASH_TYPES.filter((type) => entry[type]).map((type) => ({
+    [type]: entry[type],
+  }));
+
+  const others = await TimetableEntry.find({
+    _id: { $ne: entry._id },
+    academicYear: entry.academicYear,
+    term: entry.term,
+    day: entry.day,
+    startTime: { $lt: entry.endTime },
+    endTime: { $gt: entry.startTime },
+    $or: resources,
+  })
+    .populate("class", "name code")
+    .populate("subject", "name code")
+    .populate("teacher", "firstName lastName")
+    .populate("venue", "name code");
+
+  return others.map((other) => ({
+    types: CLASH_TYPES.filter(
+      (type) => entry[type] && other[type] && idOf(other[type]) === idOf(entry[type])
+    ),
+    entry: other,
+  }));
+};
+
+/**
+ * Finds every clash in a term's timetable, across all classes
+ * @param {Object} filter - { academicYear, term }
+ * @returns {Promise<Array<{type: string, day: string, entries: Object[]}>>} - Clashes
+ */
+const findAllClashes = async ({ academicYear, term }) => {
+  const entries = await TimetableEntry.find({ academicYear, term })
+    .populate("class", "name code")
+    .populate("subject", "name code")
+    .populate("teacher", "firstName lastName")
+    .populate("venue", "name code")
+    .sort("day startTime");
+
+  const clashes = [];
+
+  CLASH_TYPES.forEach((type) => {
+    const groups = new Map();
+    entries.forEach((entry) => {
+      if (!entry[type]) return;
+      const key = `${entry.day}|${idOf(entry[type])}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(entry);
+    });
+
+    // Entries are sorted by start time, so each one only needs comparing
+    // with the ones still running when it starts
+    groups.forEach((group) => {
+      group.forEach((entry, i) => {
+        for (let j = i + 1; j < group.length && group[j].startTime < entry.endTime; j++) {
+          clashes.push({ type, day: entry.day, entries: [entry, group[j]] });
+        }
+      });
+    });
+  });
+
+  return clashes;
+};
+
+/**
+ * Lays entries out as a weekly grid following the bell schedule
+ * @param {Object[]} entries - Timetable entries
+ * @param {Object} schedule - Bell schedule
+ * @returns {Array<{day: string, periods: Object[]}>} - One row per teaching day,
+ * one cell per period with the entries in it
+ */
+const buildGrid = (entries, schedule) =>
+  schedule.days.map((day) => ({
+    day,
+    periods: schedule.periods.map((period) => ({
+      ...period,
+      entries: entries.filter((e) => e.day === day && e.period === period.key),
+    })),
+  }));
+
+/**
+ * Marks the entries taught by a substitute
+ * @param {Array} entries - Timetable entries (class, subject and teacher may be populated)
+ * @param {Array} assignments - Substitute assignments in force
+ * @returns {Array<Object>} - Plain entries, with substitute set on covered ones
+ */
+const markSubstitutes = (entries, assignments) =>
+  entries.map((entry) => {
+    const cover = assignments.find(
+      (a) =>
+        idOf(a.class) === idOf(entry.class) &&
+        idOf(a.subject) === idOf(entry.subject) &&
+        (!a.absentTeacher || idOf(a.absentTeacher) === idOf(entry.teacher))
+    );
+    const plain = entry.toObject ? entry.toObject() : entry;
+
+    return cover
+      ? {
+          ...plain,
+          substitute: {
+            assignment: cover._id,
+            teacher: cover.substitute,
+            startDate: cover.startDate,
+            endDate: cover.endDate,
+          },
+        }
+      : plain;
+  });
+
+/**
+ * Copies changed bell schedule times onto existing entries
+ * @param {Object} schedule - New bell schedule
+ * @returns {Promise<number>} - Entries whose period or day no longer exists
+ */
+const syncEntryTimes = async (schedule) => {
+  for (const period of schedule.periods) {
+    await TimetableEntry.updateMany(
+      { period: period.key, $or: [{ startTime: { $ne: period.start } }, { endTime: { $ne: period.end } }] },
+      { startTime: period.start, endTime: period.end, updatedAt: Date.now() }
+    );
+  }
+
+  return TimetableEntry.countDocuments({
+    $or: [
+      { period: { $nin: schedule.periods.filter((p) => !p.isBreak).map((p) => p.key) } },
+      { day: { $nin: schedule.days } },
+    ],
+  });
+};
+
+function idOf(value) {
+  return String(value && value._id ? value._id : value);
+}
+
+module.exports = {
+  BELL_SCHEDULE_KEY,
+  DAYS,
+  getBellSchedule,
+  validateBellSchedule,
+  findClashes,
+  findAllClashes,
+  buildGrid,
+  markSubstitutes,
+  syncEntryTimes,
+};
@@ -41,13 +41,14 @@ const validateDate = (date) => {
 };
 
 /**
- * Validates if a string is a valid academic year (format: YYYY-YYYY)
+ * Validates if a string is a valid academic year: a single year (2025) or a
+ * span of two consecutive years (2025-2026)
  * @param {string} year - The academic year to validate
  * @returns {boolean} - True if valid, false otherwise
  */
 const validateAcademicYear = (year) => {
-  const re = /^\d{4}-\d{4}$/;
-  if (!re.test(year)) return false;
+  if (/^\d{4}$/.test(year)) return true;
+  if (!/^\d{4}-\d{4}$/.test(year)) return false;
 
   const [start, end] = year.split("-").map(Number);
   return end === start + 1;